@@ -0,0 +1,106 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import { loadTokenConfigs, findToken } from './src/tokens.js';
+import { loadSignalRules } from './src/signalRules.js';
+import { KLINE_INTERVALS } from './src/klines.js';
+import {
+  downloadKlines,
+  klineObservations,
+  snapshotObservations,
+  runBacktest,
+  formatBacktestReport
+} from './src/backtest.js';
+
+// Backtest the signal rules from the command line:
+//   node backtest.js <SYMBOL> [--days 7] [--interval 5m] [--step 1h]
+//                    [--source mexc|recorded] [--rules signal-rules.json]
+// "mexc" downloads klines, "recorded" replays the snapshots the bot stored
+// for /history (data/bot-state.json).
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '.env') });
+
+const USAGE = 'Usage: node backtest.js <SYMBOL> [--days 7] [--interval 5m] [--step 1h] [--source mexc|recorded] [--rules signal-rules.json]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { days: 7, interval: '5m', step: '1h', source: 'mexc', rules: null };
+  const positional = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const key = arg.slice(2);
+    if (!(key in options)) throw new Error(`Unknown option ${arg}. ${USAGE}`);
+    options[key] = argv[++index];
+  }
+
+  if (!positional[0]) throw new Error(USAGE);
+  if (!KLINE_INTERVALS[options.interval]) throw new Error(`--interval must be one of: ${Object.keys(KLINE_INTERVALS).join(', ')}`);
+  if (!KLINE_INTERVALS[options.step]) throw new Error(`--step must be one of: ${Object.keys(KLINE_INTERVALS).join(', ')}`);
+  if (!['mexc', 'recorded'].includes(options.source)) throw new Error('--source must be mexc or recorded');
+
+  const days = parseFloat(options.days);
+  if (!(days > 0)) throw new Error('--days must be a positive number');
+
+  return { ...options, symbol: positional[0].toUpperCase(), days };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const tokens = loadTokenConfigs({
+    configPath: process.env.TOKENS_CONFIG || path.resolve(__dirname, 'tokens.json')
+  });
+  const token = findToken(tokens, options.symbol);
+  const rules = loadSignalRules({
+    rulesPath: options.rules || process.env.SIGNAL_RULES_CONFIG || path.resolve(__dirname, 'signal-rules.json')
+  });
+
+  const endTime = Date.now();
+  const startTime = endTime - options.days * DAY_MS;
+  let data;
+
+  if (options.source === 'recorded') {
+    const statePath = path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'bot-state.json');
+    if (!fs.existsSync(statePath)) throw new Error(`No recorded data at ${statePath}`);
+
+    // Read-only: the bot may be running and writing the file
+    const symbol = token?.symbol || options.symbol;
+    const snapshots = (JSON.parse(fs.readFileSync(statePath, 'utf8')).snapshots || [])
+      .filter(snapshot => snapshot.symbol === symbol && snapshot.timestamp >= startTime);
+    data = snapshotObservations(snapshots);
+  } else {
+    const mexcAxios = axios.create({ baseURL: 'https://api.mexc.com/api/v3', timeout: 10000 });
+    const pair = token?.pair || `${options.symbol}USDT`;
+    console.log(`Downloading ${options.interval} klines for ${pair}...`);
+
+    const klines = await downloadKlines(
+      params => mexcAxios.get('/klines', { params }).then(response => response.data),
+      { symbol: pair, interval: options.interval, startTime, endTime }
+    );
+    data = klineObservations(klines, { interval: options.interval, stepMs: KLINE_INTERVALS[options.step].ms });
+  }
+
+  if (data.observations.length === 0) throw new Error('Not enough data to backtest');
+
+  const results = runBacktest(rules, data);
+  console.log(formatBacktestReport(results, {
+    symbol: options.symbol,
+    observations: data.observations.length,
+    from: data.observations[0].time,
+    to: data.observations[data.observations.length - 1].time
+  }));
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
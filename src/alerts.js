@@ -0,0 +1,215 @@
+import { createTranslator } from './i18n.js';
+
+// Windows an alert can look back over; bounded by the trade stream retention
+export const ALERT_WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+const NUMBER_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
+// Parse "1.5", "$20K", "2.5M" into a number
+export function parseAmount(raw) {
+  const match = /^\$?(\d+(?:\.\d+)?)([KMB])?$/i.exec(raw || '');
+  if (!match) return NaN;
+  return parseFloat(match[1]) * (match[2] ? NUMBER_SUFFIXES[match[2].toUpperCase()] : 1);
+}
+
+// Parse a comparison like ">5%", "<-3%" or ">$20K" into { operator, threshold }
+function parseComparison(raw, { percent }) {
+  const match = /^([<>])(.+)$/.exec(raw || '');
+  if (!match) return null;
+
+  const operator = match[1];
+  let value = match[2];
+
+  if (percent) {
+    if (!value.endsWith('%')) return null;
+    value = value.slice(0, -1);
+    const threshold = parseFloat(value);
+    return isNaN(threshold) || !/^-?\d+(\.\d+)?$/.test(value) ? null : { operator, threshold };
+  }
+
+  const threshold = parseAmount(value);
+  return isNaN(threshold) ? null : { operator, threshold };
+}
+
+// Parse the arguments of "/alert add ..." (everything after "add").
+// Thrown error messages are meant to be shown to the user as-is, in the
+// language of `t`.
+export function parseAlertSpec(args, t = createTranslator()) {
+  const [rawSymbol, kind, ...rest] = args;
+  const usage = t('alert.spec.usage');
+
+  if (!rawSymbol || !kind) {
+    throw new Error(usage);
+  }
+
+  const symbol = rawSymbol.toUpperCase().replace(/USDT$/, '');
+  const type = kind.toLowerCase();
+
+  if (type === 'above' || type === 'below') {
+    const threshold = parseAmount(rest[0]);
+    if (isNaN(threshold) || threshold <= 0) {
+      throw new Error(t('alert.spec.invalidPrice', { value: rest[0] || '', usage }));
+    }
+    return { symbol, type: 'price', operator: type === 'above' ? '>' : '<', threshold };
+  }
+
+  if (type === 'change' || type === 'volume') {
+    const windowLabel = (rest[0] || '').toLowerCase();
+    if (!ALERT_WINDOWS[windowLabel]) {
+      throw new Error(t('alert.spec.invalidWindow', { value: rest[0] || '', windows: Object.keys(ALERT_WINDOWS).join(', ') }));
+    }
+
+    const comparison = parseComparison(rest[1], { percent: type === 'change' });
+    if (!comparison) {
+      throw new Error(t('alert.spec.invalidCondition', { value: rest[1] || '', usage }));
+    }
+
+    return {
+      symbol,
+      type,
+      windowLabel,
+      windowMs: ALERT_WINDOWS[windowLabel],
+      ...comparison
+    };
+  }
+
+  throw new Error(usage);
+}
+
+// Human readable description of an alert condition, in the language of `t`
+export function describeAlert(alert, { formatPrice, formatNumber, t = createTranslator() }) {
+  const params = { symbol: alert.symbol, window: alert.windowLabel, operator: alert.operator };
+
+  switch (alert.type) {
+    case 'price':
+      return t(alert.operator === '>' ? 'alert.describe.priceAbove' : 'alert.describe.priceBelow', {
+        ...params,
+        price: formatPrice(alert.threshold)
+      });
+    case 'change':
+      return t('alert.describe.change', { ...params, threshold: formatNumber(alert.threshold, Number.isInteger(alert.threshold) ? 0 : 2) });
+    case 'volume':
+      return t('alert.describe.volume', { ...params, threshold: formatNumber(alert.threshold, 0) });
+    default:
+      return `${alert.symbol} ${alert.type}`;
+  }
+}
+
+// Compute the observed value for an alert from a trade list (newest first)
+export function measureAlert(alert, trades, { calculateVolume, getPriceAtTime, now = Date.now() }) {
+  if (!trades || trades.length === 0) return null;
+
+  const currentPrice = parseFloat(trades[0].price);
+  if (isNaN(currentPrice)) return null;
+
+  if (alert.type === 'price') {
+    return currentPrice;
+  }
+
+  if (alert.type === 'change') {
+    const pastPrice = getPriceAtTime(trades, now - alert.windowMs);
+    if (!pastPrice) return null;
+    return (currentPrice - pastPrice) / pastPrice * 100;
+  }
+
+  if (alert.type === 'volume') {
+    const volume = calculateVolume(trades, now - alert.windowMs);
+    return volume.totalBuyValue + volume.totalSellValue;
+  }
+
+  return null;
+}
+
+function compare(value, operator, threshold) {
+  return operator === '>' ? value > threshold : value < threshold;
+}
+
+// Background watcher that evaluates every alert and notifies once per crossing.
+// An alert re-arms when its condition stops holding, and never fires again
+// within cooldownMs of its previous trigger. `store` is storage.alerts.
+export function createAlertWatcher({
+  store,
+  fetchTrades,
+  notify,
+  calculateVolume,
+  getPriceAtTime,
+  intervalMs = 60000,
+  cooldownMs = 60 * 60 * 1000,
+  logger = console
+}) {
+  let timer = null;
+  let running = false;
+
+  async function checkPair(pair, alerts) {
+    const longestWindow = Math.max(...alerts.map(alert => alert.windowMs || 0));
+    const now = Date.now();
+    const trades = await fetchTrades(pair, now - longestWindow);
+
+    for (const alert of alerts) {
+      const value = measureAlert(alert, trades, { calculateVolume, getPriceAtTime, now });
+      if (value === null) continue;
+
+      const conditionMet = compare(value, alert.operator, alert.threshold);
+
+      if (!conditionMet) {
+        if (!alert.armed) store.update(alert.id, { armed: true });
+        continue;
+      }
+
+      const coolingDown = alert.lastTriggeredAt && now - alert.lastTriggeredAt < cooldownMs;
+      if (!alert.armed || coolingDown) continue;
+
+      store.update(alert.id, { armed: false, lastTriggeredAt: now });
+
+      try {
+        await notify(alert, value);
+        logger.info(`Alert ${alert.id} triggered`, { chatId: alert.chatId, pair, value });
+      } catch (error) {
+        logger.error('Failed to send alert notification', { id: alert.id, error: error.message });
+      }
+    }
+  }
+
+  async function checkAll() {
+    if (running) return;
+    running = true;
+
+    try {
+      const byPair = new Map();
+      store.list().forEach(alert => {
+        if (!byPair.has(alert.pair)) byPair.set(alert.pair, []);
+        byPair.get(alert.pair).push(alert);
+      });
+
+      for (const [pair, alerts] of byPair) {
+        try {
+          await checkPair(pair, alerts);
+        } catch (error) {
+          logger.error('Failed to evaluate alerts', { pair, error: error.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    checkAll,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(checkAll, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
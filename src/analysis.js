@@ -0,0 +1,305 @@
+import { createTranslator, interpolate } from './i18n.js';
+import { DEFAULT_SIGNAL_RULES, evaluateRules } from './signalRules.js';
+
+// Trade analysis behind the signal message. Trades are MEXC trade rows
+// ({ price, qty, time, isBuyerMaker }, newest first), order books MEXC depth
+// snapshots ({ bids: [[price, qty]], asks }).
+
+// Calculate buy and sell volumes from trade history
+export function calculateVolume(trades, startTime) {
+  if (!trades || !Array.isArray(trades) || trades.length === 0) {
+    return {
+      totalSellValue: 0,
+      totalSellAmount: 0,
+      totalBuyValue: 0,
+      totalBuyAmount: 0,
+    };
+  }
+
+  let totalSellValue = 0;
+  let totalSellAmount = 0;
+  let totalBuyValue = 0;
+  let totalBuyAmount = 0;
+
+  trades.forEach(trade => {
+    if (!trade || !trade.time || !trade.price || !trade.qty) return;
+    
+    const tradeTime = parseInt(trade.time, 10);
+    if (isNaN(tradeTime) || tradeTime < startTime) return;
+    
+    const price = parseFloat(trade.price);
+    const qty = parseFloat(trade.qty);
+    if (isNaN(price) || isNaN(qty)) return;
+    
+    const value = price * qty;
+    
+    if (trade.isBuyerMaker) {
+      totalSellValue += value;
+      totalSellAmount += qty;
+    } else {
+      totalBuyValue += value;
+      totalBuyAmount += qty;
+    }
+  });
+
+  return {
+    totalSellValue,
+    totalSellAmount,
+    totalBuyValue,
+    totalBuyAmount,
+  };
+}
+
+// Cải thiện ước tính khối lượng giao dịch
+export function estimateVolumeDistribution(totalVolume24h, tradeData) {
+  // Phân bổ tỷ lệ cao hơn cho các khoảng thời gian ngắn hơn
+  const hour1Percent = tradeData.change1Hour > 0 ? 0.1 : 0.08;
+  const min30Percent = tradeData.change30Min > 0 ? 0.06 : 0.05;
+  const min15Percent = tradeData.change15Min > 0 ? 0.04 : 0.03;
+
+  // Tính tỷ lệ mua/bán dựa trên biến động giá
+  const calculateBuyRatio = (change) => {
+    if (change > 2) return 0.8; // Tăng mạnh: 80% là mua
+    if (change > 1) return 0.7; // Tăng vừa: 70% là mua
+    if (change > 0.2) return 0.6; // Tăng nhẹ: 60% là mua
+    if (change > -0.2) return 0.5; // Đi ngang: 50-50
+    if (change > -1) return 0.4; // Giảm nhẹ: 40% là mua
+    if (change > -2) return 0.3; // Giảm vừa: 30% là mua
+    return 0.2; // Giảm mạnh: 20% là mua
+  };
+
+  // Tính các tỷ lệ
+  const buyRatio1h = calculateBuyRatio(tradeData.change1Hour);
+  const buyRatio30m = calculateBuyRatio(tradeData.change30Min);
+  const buyRatio15m = calculateBuyRatio(tradeData.change15Min);
+
+  // Tính khối lượng
+  const volume1h = totalVolume24h * hour1Percent;
+  const volume30m = totalVolume24h * min30Percent;
+  const volume15m = totalVolume24h * min15Percent;
+
+  return {
+    hour1: {
+      totalBuyValue: volume1h * buyRatio1h,
+      totalSellValue: volume1h * (1 - buyRatio1h),
+      totalBuyAmount: Math.round((volume1h * buyRatio1h) / tradeData.currentPrice),
+      totalSellAmount: Math.round((volume1h * (1 - buyRatio1h)) / tradeData.currentPrice)
+    },
+    min30: {
+      totalBuyValue: volume30m * buyRatio30m,
+      totalSellValue: volume30m * (1 - buyRatio30m),
+      totalBuyAmount: Math.round((volume30m * buyRatio30m) / tradeData.currentPrice),
+      totalSellAmount: Math.round((volume30m * (1 - buyRatio30m)) / tradeData.currentPrice)
+    },
+    min15: {
+      totalBuyValue: volume15m * buyRatio15m,
+      totalSellValue: volume15m * (1 - buyRatio15m),
+      totalBuyAmount: Math.round((volume15m * buyRatio15m) / tradeData.currentPrice),
+      totalSellAmount: Math.round((volume15m * (1 - buyRatio15m)) / tradeData.currentPrice)
+    }
+  };
+}
+
+// Find price at a specific time from trades
+export function getPriceAtTime(trades, targetTime) {
+  if (!trades || trades.length === 0) {
+    return null;
+  }
+  
+  // Filter trades that are before the target time
+  const validTrades = trades.filter(trade => parseInt(trade.time) <= targetTime);
+  
+  if (validTrades.length === 0) {
+    return parseFloat(trades[trades.length - 1].price);
+  }
+  
+  // Find the closest trade
+  const closestTrade = validTrades.reduce((prev, curr) => {
+    const prevDiff = Math.abs(parseInt(prev.time) - targetTime);
+    const currDiff = Math.abs(parseInt(curr.time) - targetTime);
+    return currDiff < prevDiff ? curr : prev;
+  });
+  
+  return parseFloat(closestTrade.price);
+}
+
+// Generate buy zones with highest price and volume - Improved version
+export function generateBuyZones(trades, orderBook, currentPrice, volume24h, { now = Date.now() } = {}) {
+  // Tạo các vùng mua mặc định gần với giá hiện tại
+  const defaultBuyZones = [
+    { 
+      price: currentPrice * 0.99, // Giảm 1% so với giá hiện tại
+      amount: Math.round(volume24h * 0.07 / currentPrice),
+      value: volume24h * 0.07
+    },
+    { 
+      price: currentPrice * 0.97, // Giảm 3% so với giá hiện tại
+      amount: Math.round(volume24h * 0.1 / currentPrice),
+      value: volume24h * 0.1
+    }
+  ];
+
+  // Nếu có dữ liệu order book
+  if (orderBook && orderBook.bids && orderBook.bids.length > 0) {
+    // Nhóm lệnh mua theo khoảng giá để tìm các "bức tường" mua lớn
+    const groupedBids = {};
+    // Điều chỉnh kích thước nhóm theo giá hiện tại
+    const priceBucketSize = currentPrice < 0.01 ? 0.00001 : currentPrice < 1 ? 0.0001 : 0.001;
+    
+    orderBook.bids.forEach(bid => {
+      const price = parseFloat(bid[0]);
+      const amount = parseFloat(bid[1]);
+      const value = price * amount;
+      
+      // Chỉ xem xét các lệnh có giá trị lớn hơn 50 USDT
+      if (value < 50) return;
+      
+      // Bỏ qua các lệnh giá quá thấp (dưới 10% giá hiện tại)
+      if (price < currentPrice * 0.9) return;
+      
+      const bucketKey = Math.floor(price / priceBucketSize) * priceBucketSize;
+      if (!groupedBids[bucketKey]) {
+        groupedBids[bucketKey] = { price, amount: 0, value: 0 };
+      }
+      
+      groupedBids[bucketKey].amount += amount;
+      groupedBids[bucketKey].value += value;
+    });
+
+    // Chuyển đổi nhóm lệnh mua thành mảng
+    const bidZones = Object.values(groupedBids);
+    
+    // Tìm vùng mua có khối lượng lớn
+    // Sắp xếp theo giá từ cao xuống thấp, ưu tiên vùng gần giá hiện tại
+    const significantZones = bidZones
+      .filter(zone => zone.value > volume24h * 0.003) // Điều chỉnh ngưỡng thấp hơn
+      .sort((a, b) => {
+        // Ưu tiên vùng gần giá hiện tại
+        // Nếu 2 vùng cách giá hiện tại dưới 5%, ưu tiên vùng có khối lượng lớn hơn
+        const aDistancePercent = (currentPrice - a.price) / currentPrice * 100;
+        const bDistancePercent = (currentPrice - b.price) / currentPrice * 100;
+        
+        if (aDistancePercent < 5 && bDistancePercent < 5) {
+          return b.value - a.value; // Sắp xếp theo khối lượng
+        }
+        
+        return aDistancePercent - bDistancePercent; // Sắp xếp theo khoảng cách đến giá hiện tại
+      });
+    
+    if (significantZones.length > 0) {
+      // Lấy tối đa 2 vùng mua từ order book
+      const orderBookZones = significantZones.slice(0, 2);
+      
+      // Kết hợp với vùng mua mặc định ở trên
+      // Chỉ thêm vùng mặc định nếu không trùng với vùng từ order book
+      const combinedZones = [...orderBookZones];
+      
+      defaultBuyZones.forEach(defaultZone => {
+        // Kiểm tra xem vùng mặc định có gần với vùng nào từ order book không
+        const hasSimilarZone = orderBookZones.some(zone => 
+          Math.abs(zone.price - defaultZone.price) / defaultZone.price < 0.02 // Trong phạm vi 2%
+        );
+        
+        if (!hasSimilarZone) {
+          combinedZones.push(defaultZone);
+        }
+      });
+      
+      // Sắp xếp lại theo giá giảm dần (cách giá hiện tại tăng dần)
+      return combinedZones.sort((a, b) => b.price - a.price).slice(0, 3);
+    }
+  }
+  
+  // Nếu không có dữ liệu order book, phân tích lịch sử giao dịch
+  const threeHoursAgo = now - 3 * 60 * 60 * 1000;
+  const buyTrades = trades.filter(t => parseInt(t.time) >= threeHoursAgo && !t.isBuyerMaker);
+  
+  if (buyTrades.length >= 5) {
+    const groupedTrades = {};
+    const tradeWindow = currentPrice < 0.01 ? 0.0001 : currentPrice < 1 ? 0.001 : 0.01;
+    
+    buyTrades.forEach(trade => {
+      const price = parseFloat(trade.price);
+      const qty = parseFloat(trade.qty);
+      const value = price * qty;
+      
+      // Bỏ qua các giao dịch có giá quá thấp
+      if (price < currentPrice * 0.9) return;
+      
+      const priceKey = Math.floor(price / tradeWindow) * tradeWindow;
+      
+      if (!groupedTrades[priceKey]) {
+        groupedTrades[priceKey] = { price, amount: 0, value: 0 };
+      }
+      
+      groupedTrades[priceKey].amount += qty;
+      groupedTrades[priceKey].value += value;
+    });
+
+    // Tìm vùng mua có lịch sử giao dịch mạnh
+    const historicalZones = Object.values(groupedTrades)
+      .filter(zone => zone.value > volume24h * 0.002)
+      .sort((a, b) => {
+        // Ưu tiên vùng gần giá hiện tại
+        const aDistance = Math.abs(currentPrice - a.price);
+        const bDistance = Math.abs(currentPrice - b.price);
+        
+        // Nếu khoảng cách tương đối gần nhau, ưu tiên khối lượng
+        if (Math.abs(aDistance - bDistance) < currentPrice * 0.01) {
+          return b.value - a.value;
+        }
+        
+        return aDistance - bDistance;
+      });
+    
+    if (historicalZones.length > 0) {
+      // Kết hợp vùng từ lịch sử giao dịch với vùng mặc định
+      const combinedZones = [...historicalZones.slice(0, 2)];
+      
+      defaultBuyZones.forEach(defaultZone => {
+        // Kiểm tra xem vùng mặc định có gần với vùng nào từ lịch sử không
+        const hasSimilarZone = historicalZones.some(zone => 
+          Math.abs(zone.price - defaultZone.price) / defaultZone.price < 0.02 // Trong phạm vi 2%
+        );
+        
+        if (!hasSimilarZone) {
+          combinedZones.push(defaultZone);
+        }
+      });
+      
+      // Sắp xếp lại theo giá giảm dần và lấy tối đa 3 vùng
+      return combinedZones.sort((a, b) => b.price - a.price).slice(0, 3);
+    }
+  }
+
+  // Nếu không có dữ liệu đủ tốt từ order book và lịch sử giao dịch
+  // Trả về các vùng mua mặc định ở các mức giá hợp lý
+  return [
+    { 
+      price: currentPrice * 0.995, // Giảm 0.5% so với giá hiện tại
+      amount: Math.round(volume24h * 0.05 / currentPrice),
+      value: volume24h * 0.05 
+    },
+    { 
+      price: currentPrice * 0.985, // Giảm 1.5% so với giá hiện tại
+      amount: Math.round(volume24h * 0.08 / currentPrice),
+      value: volume24h * 0.08
+    },
+    { 
+      price: currentPrice * 0.97, // Giảm 3% so với giá hiện tại
+      amount: Math.round(volume24h * 0.12 / currentPrice),
+      value: volume24h * 0.12
+    }
+  ];
+}
+
+// Signal sentence from the rules matching the facts (see signalRules.js);
+// `groups` limits it to some rule groups, e.g. ['move'] for the price move only
+export function generateSignalMessage(facts, coinName = 'TCAPY', t = createTranslator(), { groups = null, rules = DEFAULT_SIGNAL_RULES } = {}) {
+  const params = { timeframe: t(`timeframe.${facts.timeframe}`), coin: coinName };
+
+  return evaluateRules(rules, facts)
+    .filter(rule => !groups || groups.includes(rule.group))
+    .map(rule => rule.message ? t(rule.message, params) : interpolate(rule.text, params))
+    .join('');
+}
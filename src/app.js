@@ -0,0 +1,2884 @@
+import { Telegraf, Context, Markup } from 'telegraf';
+import axios from 'axios';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createMexcStream, DEFAULT_MEXC_WS_URL } from './mexcStream.js';
+import { loadTokenConfigs, findToken } from './tokens.js';
+import { createAlertWatcher, parseAlertSpec, describeAlert, parseAmount } from './alerts.js';
+import { createStorage } from './storage.js';
+import { HISTORY_RANGES, buildSnapshot, summarizeSnapshots, snapshotsToCsv } from './history.js';
+import { renderSignalChart, buildCandlesFromTrades, bucketTradeVolumes } from './chart.js';
+import { KLINE_INTERVALS, ANALYSIS_INTERVALS, klinesToCandles } from './klines.js';
+import { overallTrend } from './indicators.js';
+import { analyzeOrderBook, estimateSlippage } from './depth.js';
+import { createWhaleWatcher, largestTrades } from './whales.js';
+import { createEventWatcher, measureMarket } from './events.js';
+import {
+  SIGNAL_SECTIONS,
+  INTERVAL_OPTIONS,
+  LANGUAGES,
+  THRESHOLD_OPTIONS,
+  MAIN_CHAT_THREAD,
+  POSTING_MODES,
+  resolveChatTargets,
+  resolveThresholds,
+  orderedSections,
+  moveSectionUp
+} from './chatSettings.js';
+import { VOLUME_QUALITY, worstQuality, klineWindowVolume } from './volumeData.js';
+import { createScheduler, parseScheduleArgs, SCHEDULE_POLICIES } from './scheduler.js';
+import { assertTimeZone } from './cron.js';
+import { createCache } from './cache.js';
+import { createRateLimiter, parseRateLimits, commandName } from './rateLimit.js';
+import { createTranslator, resolveLocale, numberLocale, DEFAULT_LOCALE } from './i18n.js';
+import { loadSignalRules, signalFacts } from './signalRules.js';
+import { downloadKlines, klineObservations, snapshotObservations, runBacktest, formatBacktestReport } from './backtest.js';
+import {
+  calculateVolume,
+  estimateVolumeDistribution,
+  getPriceAtTime,
+  generateBuyZones,
+  generateSignalMessage
+} from './analysis.js';
+import { createMarketData, EXCHANGE_IDS, MINUTE_KLINES_LIMIT } from './marketData.js';
+import { parseWebhookConfig, createWebhook } from './webhook.js';
+import { createHttpServer, parseHttpPort } from './httpServer.js';
+import { createMetrics } from './metrics.js';
+import { createStatusRoutes } from './status.js';
+import { createInstanceLock, DEFAULT_LOCK_TTL_MS } from './instanceLock.js';
+import {
+  MESSAGE_LAYOUTS,
+  TELEGRAM_MESSAGE_LIMIT,
+  TELEGRAM_CAPTION_LIMIT,
+  escapeHtml,
+  renderSections,
+  splitMessage,
+  truncateMessage
+} from './messageTemplate.js';
+
+// The bot: command handlers, signal messages, background watchers and the
+// scheduler, wired to their dependencies. Creating it has no side effects
+// beyond opening storage; launch() starts receiving updates (webhook or long
+// polling) and the background jobs once this instance holds the instance lock.
+
+// tokens.json, signal-rules.json and data/ are looked up here by default
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Context class whose API calls go through `telegram` instead of a client
+// built from the bot token for each update
+function contextUsing(telegram) {
+  return class extends Context {
+    constructor(update, _telegram, botInfo) {
+      super(update, telegram, botInfo);
+    }
+  };
+}
+
+// Build the bot from its configuration (`env`, normally process.env). `http`
+// creates the upstream API clients (axios, see marketData.js) and
+// `telegram`, when given, replaces the Telegram API client, e.g. with a fake
+// Telegram subclass in tests.
+export function createApp({
+  env = process.env,
+  rootDir = ROOT_DIR,
+  http = axios,
+  telegram = null,
+  logger = console
+} = {}) {
+  // Updates are answered through `telegram` when one is given. Webhook
+  // replies are off so every API call returns its result (handlers use the
+  // ids of the messages they send) in webhook mode as with polling.
+  const bot = new Telegraf(env.BOT_TOKEN, {
+    telegram: { webhookReply: false },
+    ...(telegram && { contextType: contextUsing(telegram) })
+  });
+  if (telegram) bot.telegram = telegram;
+
+  // Tracked tokens (TCAPY by default, or the entries in tokens.json). /reload
+  // replaces the entries in place, so keep this array rather than copies.
+  const TOKENS_CONFIG_PATH = env.TOKENS_CONFIG || path.resolve(rootDir, 'tokens.json');
+  const tokens = loadTokenConfigs({ configPath: TOKENS_CONFIG_PATH, env });
+  logger.info(`Tracking tokens: ${tokens.map(token => token.symbol).join(', ')}`);
+
+  // Rules behind the signal sentence: signal-rules.json (or SIGNAL_RULES_CONFIG)
+  // when present, otherwise the built-in rules
+  const SIGNAL_RULES_PATH = env.SIGNAL_RULES_CONFIG || path.resolve(rootDir, 'signal-rules.json');
+  let signalRules = loadSignalRules({ rulesPath: SIGNAL_RULES_PATH });
+
+  // Cache TTL per upstream endpoint. CMC refreshes quotes about once a minute
+  // and its quota is the scarcest (CMC_CACHE_TTL_MS to change); trades and order
+  // books go stale quickly. Failed requests fall back to data up to
+  // CACHE_STALE_MS past its TTL.
+  const API_CACHE_TTLS = {
+    'cmc.quotes': parseInt(env.CMC_CACHE_TTL_MS, 10) || 60000,
+    'mexc.ticker24hr': 30000,
+    'mexc.trades': 5000,
+    'mexc.depth': 5000,
+    'mexc.klines': 30000,
+    // Listings rarely change
+    'mexc.exchangeInfo': 60 * 60 * 1000,
+    // Shared by the whale, event and alert watchers when the stream has gaps
+    'mexc.aggTrades': 20000,
+    venues: 30000
+  };
+  const apiCache = createCache({
+    ttls: API_CACHE_TTLS,
+    staleTtlMs: parseInt(env.CACHE_STALE_MS, 10) || 10 * 60 * 1000,
+    logger
+  });
+  // How often cache hit/miss counters are logged
+  const CACHE_STATS_INTERVAL_MS = parseInt(env.CACHE_STATS_INTERVAL_MS, 10) || 60 * 60 * 1000;
+  let cacheStatsTimer = null;
+
+  // Real-time MEXC trade/depth stream; REST is only used to fill gaps
+  const mexcStream = createMexcStream({
+    url: env.MEXC_WS_URL || DEFAULT_MEXC_WS_URL,
+    symbols: tokens.map(token => token.pair),
+    logger
+  });
+
+  // Prometheus metrics served on /metrics (see src/metrics.js and src/status.js)
+  const metrics = createMetrics();
+  const commandsTotal = metrics.counter('tcapy_commands_total', 'Commands received, by command');
+  const upstreamRequestsTotal = metrics.counter('tcapy_upstream_requests_total', 'Upstream API requests, by upstream, endpoint and outcome');
+  const upstreamRequestSeconds = metrics.histogram('tcapy_upstream_request_duration_seconds', 'Upstream API request latency');
+  const upstreamRetriesTotal = metrics.counter('tcapy_upstream_retries_total', 'Upstream API calls retried after a failure, by upstream');
+  const scheduledPostsTotal = metrics.counter('tcapy_scheduled_posts_total', 'Scheduled posts, by outcome');
+  metrics.counter('tcapy_api_cache_lookups_total', 'API cache lookups, by endpoint and result', () => (
+    Object.entries(apiCache.metrics()).flatMap(([endpoint, counts]) => ['hits', 'misses', 'coalesced', 'stale', 'errors']
+      .map(result => ({ labels: { endpoint, result }, value: counts[result] })))
+  ));
+
+  // Last successful call per upstream (epoch ms), for /healthz
+  const lastUpstreamSuccessAt = {};
+  metrics.gauge('tcapy_upstream_last_success_timestamp_seconds', 'Time of the last successful call, by upstream', () => (
+    Object.entries(lastUpstreamSuccessAt).map(([upstream, at]) => ({ labels: { upstream }, value: at / 1000 }))
+  ));
+
+  // Upstream API clients (see src/marketData.js)
+  const marketData = createMarketData({
+    http,
+    cmcApiKey: env.CMC_API_KEY,
+    mexcApiKey: env.MEXC_API_KEY,
+    mexcApiSecret: env.MEXC_API_SECRET,
+    // Venues compared in signals and /coin (EXCHANGES=mexc,gate,bitget,ton to choose)
+    exchanges: (env.EXCHANGES || EXCHANGE_IDS.join(',')).split(',').map(id => id.trim().toLowerCase()),
+    mexcStream,
+    cache: apiCache,
+    onRequest: ({ upstream, endpoint, durationMs, error }) => {
+      upstreamRequestsTotal.inc({ upstream, endpoint, outcome: error ? 'error' : 'success' });
+      upstreamRequestSeconds.observe({ upstream, endpoint }, durationMs / 1000);
+      if (!error) lastUpstreamSuccessAt[upstream] = Date.now();
+    },
+    onRetry: ({ upstream }) => upstreamRetriesTotal.inc({ upstream }),
+    logger
+  });
+  const {
+    fetchCmcData,
+    fetchMexc24hVolume,
+    isMexcPairListed,
+    fetchOrderBook,
+    fetchKlines,
+    fetchKlinePage,
+    fetchIndicators,
+    fetchTradeWindow,
+    fetchTradesSince,
+    fetchMarketOverview,
+    fetchLatestOrderBook
+  } = marketData;
+
+  // Persisted state: chats, settings, alerts, signal history and snapshots
+  const dataDir = env.DATA_DIR || path.join(rootDir, 'data');
+  const storage = createStorage({
+    type: env.STORAGE || 'json',
+    dataDir,
+    logger
+  });
+  logger.info(`Using ${storage.kind} storage (schema v${storage.schemaVersion})`);
+
+  // Language for chats and users that haven't picked one (BOT_LANGUAGE=en|vi)
+  const DEFAULT_LANGUAGE = resolveLocale(env.BOT_LANGUAGE) || DEFAULT_LOCALE;
+
+  // Price/volume alert subscriptions, evaluated in the background
+  const MAX_ALERTS_PER_CHAT = 20;
+  const alertStore = storage.alerts;
+
+  // The trade stream follows the tracked tokens and every pair with an alert;
+  // called again when alerts or tokens change
+  function syncStreamPairs() {
+    const pairs = new Set([...tokens, ...alertStore.list()].map(item => item.pair.toUpperCase()));
+    mexcStream.getSymbols().filter(symbol => !pairs.has(symbol)).forEach(symbol => mexcStream.unsubscribe(symbol));
+    pairs.forEach(pair => mexcStream.subscribe(pair));
+  }
+
+  syncStreamPairs();
+
+  // =====================================================
+  // Helper Functions
+  // =====================================================
+
+  // Format price with appropriate decimal places, dropping trailing zeros
+  function formatPrice(price, locale = DEFAULT_LANGUAGE) {
+    if (typeof price !== 'number' || isNaN(price)) return 'N/A';
+    
+    const decimals = price < 0.0001 ? 8 : price < 0.01 ? 6 : price < 1 ? 4 : 2;
+    return price.toLocaleString(numberLocale(locale), {
+      maximumFractionDigits: decimals,
+      useGrouping: false
+    });
+  }
+
+  // Format number with the language's thousands and decimal separators
+  function formatNumber(num, decimals = 2, locale = DEFAULT_LANGUAGE) {
+    if (typeof num !== 'number' || isNaN(num)) return 'N/A';
+    
+    return num.toLocaleString(numberLocale(locale), {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    });
+  }
+
+  // "+12.50" or "-3.10", for percentage changes
+  function formatSignedPercent(value, decimals = 2, locale = DEFAULT_LANGUAGE) {
+    return `${value >= 0 ? '+' : ''}${formatNumber(value, decimals, locale)}`;
+  }
+
+  // =====================================================
+  // Technical Indicator Formatting
+  // =====================================================
+
+  function formatTrend(trend, t = createTranslator(DEFAULT_LANGUAGE)) {
+    return t(`trend.${trend === 'Bullish' || trend === 'Bearish' ? trend : 'Neutral'}`);
+  }
+
+  function describeRsi(value, t = createTranslator(DEFAULT_LANGUAGE)) {
+    if (value === null) return 'N/A';
+    const zone = value >= 70 ? ` (${t('rsi.overbought')})` : value <= 30 ? ` (${t('rsi.oversold')})` : '';
+    return `${formatNumber(value, 1, t.locale)}${zone}`;
+  }
+
+  // One-line indicator summary for an interval, used in the signal message and /ta
+  function formatIndicatorSummary(interval, indicators, t = createTranslator(DEFAULT_LANGUAGE)) {
+    const macdArrow = indicators.macd ? (indicators.macd.histogram > 0 ? '▲' : '▼') : 'N/A';
+    return `<b>${interval}:</b> ${formatTrend(indicators.trend, t)} | RSI ${describeRsi(indicators.rsi, t)} | MACD ${macdArrow}`;
+  }
+
+  // Detailed indicator block for /ta <SYMBOL> <interval>
+  function formatIndicatorDetails(indicators, t = createTranslator(DEFAULT_LANGUAGE)) {
+    const price = (value) => value === null ? 'N/A' : `$${formatPrice(value, t.locale)}`;
+    const { macd, bollinger } = indicators;
+    
+    let message = `<b>${t('ta.trend')}:</b> ${formatTrend(indicators.trend, t)}\n`;
+    message += `<b>${t('ta.close')}:</b> ${price(indicators.close)}\n`;
+    message += `<b>RSI (14):</b> ${describeRsi(indicators.rsi, t)}\n`;
+    message += macd
+      ? `<b>MACD (12,26,9):</b> ${macd.macd.toPrecision(3)} / signal ${macd.signal.toPrecision(3)} / hist ${macd.histogram.toPrecision(3)} ${macd.histogram > 0 ? '▲' : '▼'}\n`
+      : `<b>MACD (12,26,9):</b> N/A\n`;
+    message += `<b>EMA 20 / 50 / 200:</b> ${price(indicators.ema20)} / ${price(indicators.ema50)} / ${price(indicators.ema200)}\n`;
+    message += bollinger
+      ? `<b>Bollinger (20,2):</b> ${price(bollinger.upper)} / ${price(bollinger.middle)} / ${price(bollinger.lower)}\n`
+      : `<b>Bollinger (20,2):</b> N/A\n`;
+    message += `<b>VWAP:</b> ${price(indicators.vwap)}\n`;
+    
+    return message;
+  }
+
+  // =====================================================
+  // Exchange Formatting
+  // =====================================================
+
+  // Per-venue prices and volume, aggregated volume, venue spread and arbitrage gaps.
+  // Returns an empty string unless the token trades on at least two venues.
+  function formatMarketOverview(overview, t = createTranslator(DEFAULT_LANGUAGE)) {
+    if (!overview || overview.venues.length < 2) return '';
+    
+    const { locale } = t;
+    let message = `\n<b>🌐 ${t('exchanges.title')}</b>\n`;
+    overview.venues.forEach(venue => {
+      message += `• <b>${escapeHtml(venue.name)}:</b> $${formatPrice(venue.price, locale)} | Vol $${formatNumber(venue.volume24h, 0, locale)} (${formatNumber(venue.volumeShare, 1, locale)}%)\n`;
+    });
+    message += `<b>- ${t('exchanges.aggregatedVolume')}:</b> $${formatNumber(overview.totalVolume, 0, locale)}\n`;
+    message += `<b>- ${t('exchanges.weightedPrice')}:</b> $${formatPrice(overview.weightedPrice, locale)}\n`;
+    message += `<b>- ${t('exchanges.spread')}:</b> ${formatNumber(overview.spreadPercent, 2, locale)}%\n`;
+    
+    overview.arbitrage.slice(0, 2).forEach(({ buy, sell, buyPrice, sellPrice, gapPercent }) => {
+      const route = t('exchanges.arbitrageRoute', {
+        buy: escapeHtml(buy),
+        sell: escapeHtml(sell),
+        buyPrice: formatPrice(buyPrice, locale),
+        sellPrice: formatPrice(sellPrice, locale),
+        gap: formatNumber(gapPercent, 2, locale)
+      });
+      message += `⚡ <b>${t('exchanges.arbitrage')}:</b> ${route}\n`;
+    });
+    
+    return message;
+  }
+
+  // =====================================================
+  // Chart Functions
+  // =====================================================
+
+  const CHARTS_ENABLED = env.CHARTS_ENABLED !== 'false';
+  const CHART_INTERVAL = KLINE_INTERVALS['5m'].mexc;
+  const CHART_INTERVAL_MS = KLINE_INTERVALS['5m'].ms;
+  const CHART_CANDLES = 48;
+
+  // Render a 4h candlestick PNG for a MEXC pair with buy/sell volume and buy zones.
+  // Trades and buy zones are fetched/computed when the caller doesn't already have them.
+  async function buildChartImage(pair, { title, trades, buyZones, currentPrice, volume24h = 0 }) {
+    const since = Date.now() - CHART_CANDLES * CHART_INTERVAL_MS;
+    const [klines, chartTrades, orderBook] = await Promise.all([
+      fetchKlines(pair, CHART_INTERVAL, CHART_CANDLES),
+      trades || fetchTradesSince(pair, since),
+      buyZones ? null : fetchLatestOrderBook(pair, 100)
+    ]);
+    
+    // Fall back to candles built from trades when klines are unavailable
+    let candles = klinesToCandles(klines);
+    if (candles.length === 0) {
+      candles = buildCandlesFromTrades(chartTrades, { intervalMs: CHART_INTERVAL_MS, count: CHART_CANDLES });
+    }
+    if (candles.length === 0) {
+      return null;
+    }
+    
+    const price = currentPrice ?? (chartTrades.length > 0 ? parseFloat(chartTrades[0].price) : candles[candles.length - 1].close);
+    const zones = buyZones || (chartTrades.length > 0 ? generateBuyZones(chartTrades, orderBook, price, volume24h) : []);
+    
+    return renderSignalChart({
+      title,
+      candles,
+      volumes: bucketTradeVolumes(chartTrades, candles, CHART_INTERVAL_MS),
+      buyZones: zones,
+      currentPrice: price,
+      formatPrice
+    });
+  }
+
+  // Send a chart photo to the command's chat or a target chat; never throws
+  async function sendChartPhoto(buildImage, caption, { ctx = null, chatId, messageThreadId } = {}) {
+    if (!CHARTS_ENABLED) return null;
+    
+    try {
+      const image = await buildImage();
+      if (!image) return null;
+      
+      const extra = { caption: truncateMessage(caption, TELEGRAM_CAPTION_LIMIT), parse_mode: 'HTML', message_thread_id: messageThreadId };
+      const photo = { source: image, filename: 'chart.png' };
+      
+      return ctx
+        ? await ctx.replyWithPhoto(photo, extra)
+        : await bot.telegram.sendPhoto(chatId, photo, extra);
+    } catch (error) {
+      logger.error('Failed to send chart', { error: error.message });
+      return null;
+    }
+  }
+
+  // =====================================================
+  // Refresh Helpers
+  // =====================================================
+
+  // Minimum time between two refreshes of the same message
+  const REFRESH_COOLDOWN_MS = 15000;
+  // Upper bound on remembered messages; oldest entries are dropped first
+  const MAX_REFRESH_ENTRIES = 5000;
+
+  // Refresh state per message, keyed by `${chatId}:${messageId}`
+  const refreshState = new Map();
+
+  function refreshKey(message) {
+    return `${message.chat.id}:${message.message_id}`;
+  }
+
+  function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  // Append a "last updated" footer to a message body
+  function withUpdatedAt(content, locale = DEFAULT_LANGUAGE, date = new Date()) {
+    const timestamp = date.toISOString().replace('T', ' ').slice(0, 19);
+    return `${content}\n\n🕒 <i>${createTranslator(locale)('common.updatedAt', { timestamp })}</i>`;
+  }
+
+  // Remember what a sent message contains so refreshes can detect unchanged data
+  function rememberRefreshContent(sentMessage, content) {
+    if (!sentMessage?.chat || !sentMessage.message_id) return;
+    
+    const key = refreshKey(sentMessage);
+    refreshState.delete(key);
+    refreshState.set(key, { contentHash: hashContent(content), lastRefreshAt: Date.now(), inFlight: false });
+    
+    if (refreshState.size > MAX_REFRESH_ENTRIES) {
+      refreshState.delete(refreshState.keys().next().value);
+    }
+  }
+
+  // Inline keyboard attached to signal analysis messages
+  function signalKeyboard(token, t = createTranslator(DEFAULT_LANGUAGE)) {
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.url(t('button.trade'), token.links.trade),
+        Markup.button.callback(t('button.refresh'), `signal_refresh_${token.symbol}`)
+      ]
+    ]);
+  }
+
+  // A single message as sent, cut at Telegram's size limit
+  const renderSingle = (content, locale) => truncateMessage(withUpdatedAt(content, locale));
+
+  // Re-build a message and edit it in place, with per-message debounce.
+  // `render(content, locale)` gives the text as it was originally sent.
+  async function handleRefresh(ctx, buildMessage, render = renderSingle) {
+    const message = ctx.callbackQuery?.message;
+    if (!message) {
+      return ctx.answerCbQuery().catch(() => {});
+    }
+    
+    const key = refreshKey(message);
+    const state = refreshState.get(key);
+    const now = Date.now();
+    const t = createTranslator(localeFor(ctx));
+    
+    if (state && (state.inFlight || now - state.lastRefreshAt < REFRESH_COOLDOWN_MS)) {
+      const waitSeconds = Math.max(1, Math.ceil((REFRESH_COOLDOWN_MS - (now - state.lastRefreshAt)) / 1000));
+      return ctx.answerCbQuery(t('refresh.wait', { seconds: waitSeconds })).catch(() => {});
+    }
+    
+    refreshState.set(key, { contentHash: state?.contentHash, lastRefreshAt: now, inFlight: true });
+    
+    try {
+      const { message: content, keyboard, locale } = await buildMessage();
+      
+      if (state?.contentHash === hashContent(content)) {
+        rememberRefreshContent(message, content);
+        return await ctx.answerCbQuery(t('refresh.unchanged')).catch(() => {});
+      }
+      
+      await ctx.editMessageText(render(content, locale), {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...keyboard
+      });
+      rememberRefreshContent(message, content);
+      
+      await ctx.answerCbQuery(t('refresh.updated')).catch(() => {});
+    } catch (error) {
+      refreshState.set(key, { contentHash: state?.contentHash, lastRefreshAt: now, inFlight: false });
+      
+      if (error.description?.includes('message is not modified')) {
+        return ctx.answerCbQuery(t('refresh.unchanged')).catch(() => {});
+      }
+      
+      logger.error('Failed to refresh message', { key, error: error.message });
+      await ctx.answerCbQuery(t('refresh.failed')).catch(() => {});
+    }
+  }
+
+  // =====================================================
+  // Chat Settings
+  // =====================================================
+
+  // Bot-wide notification and market event thresholds; chats override them with /settings
+  const DEFAULT_THRESHOLDS = {
+    whaleUsdt: parseFloat(env.WHALE_MIN_USDT) || 5000,
+    move15m: 5,
+    move1h: 10,
+    ratioSpike: parseFloat(env.EVENT_RATIO_SPIKE) || 3,
+    volumeSurge: parseFloat(env.EVENT_VOLUME_SURGE) || 3,
+    buyWallUsdt: parseFloat(env.EVENT_BUY_WALL_USDT) || 25000
+  };
+
+  // Posting mode for chats that haven't picked one (SIGNAL_MODE=interval|events)
+  const DEFAULT_POSTING_MODE = POSTING_MODES.includes(env.SIGNAL_MODE) ? env.SIGNAL_MODE : 'interval';
+  // Signal message layout for chats that haven't chosen one (SIGNAL_LAYOUT=compact)
+  const DEFAULT_LAYOUT = MESSAGE_LAYOUTS.includes(env.SIGNAL_LAYOUT) ? env.SIGNAL_LAYOUT : 'full';
+
+  // Chats named in token configs plus every chat the bot has seen
+  function knownChatIds() {
+    return [...new Set([
+      ...tokens.map(token => token.chatId).filter(Boolean),
+      ...storage.chats.list().map(chat => chat.id.toString())
+    ])];
+  }
+
+  // Tokens a chat receives, with the topic and interval to post them at
+  function chatTargets(chatId) {
+    return resolveChatTargets({
+      chatId,
+      settings: storage.settings.get(chatId.toString()),
+      tokens,
+      defaultMode: DEFAULT_POSTING_MODE
+    });
+  }
+
+  function allChatTargets() {
+    return knownChatIds().flatMap(chatTargets);
+  }
+
+  // Set by /pause: scheduled, market event and whale posts stop until /resume
+  function postingPaused() {
+    return storage.bot.get().postingPaused;
+  }
+
+  // Language of a chat's posts: its /settings (or /lang group) choice, else fallback
+  function chatLanguage(chatId, fallback = null) {
+    return storage.settings.get(chatId.toString()).language || fallback || DEFAULT_LANGUAGE;
+  }
+
+  // Language for replying to a user: their /lang choice, then the chat's
+  // language, then the language of their Telegram app
+  function localeFor(ctx) {
+    const userLanguage = ctx.from ? storage.users.get(ctx.from.id.toString()).language : null;
+    return userLanguage || chatLanguage(ctx.chat.id, resolveLocale(ctx.from?.language_code));
+  }
+
+  // Signal message options for a chat: sections and their order, layout, alert
+  // thresholds and language
+  function signalOptionsFor(chatId) {
+    const settings = storage.settings.get(chatId.toString());
+    return {
+      sections: orderedSections(settings.sections),
+      layout: settings.layout || DEFAULT_LAYOUT,
+      thresholds: resolveThresholds(settings, DEFAULT_THRESHOLDS),
+      locale: chatLanguage(chatId)
+    };
+  }
+
+  // Group admins may change a chat's settings; anyone may in a private chat
+  async function isChatAdmin(ctx) {
+    if (ctx.chat.type === 'private') return true;
+    
+    try {
+      const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+      return ['creator', 'administrator'].includes(member.status);
+    } catch (error) {
+      logger.warn('Could not verify chat admin', { chatId: ctx.chat.id, error: error.message });
+      return false;
+    }
+  }
+
+  function formatInterval(intervalMs, t = createTranslator(DEFAULT_LANGUAGE)) {
+    if (!intervalMs) return t('settings.off');
+    const hours = intervalMs / 3600000;
+    return hours >= 24 && hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+  }
+
+  // Timezone for schedules that don't set one (SCHEDULE_TIMEZONE, e.g. Asia/Ho_Chi_Minh)
+  const DEFAULT_SCHEDULE_TIMEZONE = (() => {
+    const timezone = env.SCHEDULE_TIMEZONE || 'UTC';
+    try {
+      assertTimeZone(timezone);
+      return timezone;
+    } catch {
+      logger.warn(`Unknown SCHEDULE_TIMEZONE "${timezone}", using UTC`);
+      return 'UTC';
+    }
+  })();
+
+  function scheduleId(chatId, symbol) {
+    return `${chatId}:${symbol}`;
+  }
+
+  // Custom cron schedules give way to the interval picked in /settings
+  function clearCustomSchedules(chatId) {
+    storage.schedules.list(chatId)
+      .filter(schedule => schedule.custom)
+      .forEach(schedule => storage.schedules.update(schedule.id, { custom: false }));
+  }
+
+  function formatScheduleTime(time, timezone, t) {
+    if (!time) return t('schedule.never');
+    return new Date(time).toLocaleString(numberLocale(t.locale), {
+      timeZone: timezone,
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  // One line of /schedule list
+  function describeSchedule(schedule, t) {
+    const timezone = schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE;
+    let line = `<b>${schedule.symbol}</b> ${schedule.paused ? '⏸' : '▶️'} <code>${schedule.cron || 'off'}</code> (${timezone})`;
+    
+    if (schedule.quietHours) line += ` | ${t('schedule.quiet', { hours: schedule.quietHours })}`;
+    if (schedule.policy) line += ` | ${schedule.policy}`;
+    if (schedule.jitterMs) line += ` | ${t('schedule.jitter', { jitter: schedule.jitterMs >= 60000 ? `${Math.round(schedule.jitterMs / 60000)}m` : `${Math.round(schedule.jitterMs / 1000)}s` })}`;
+    if (!schedule.paused) line += `\n    ${t('schedule.next', { time: formatScheduleTime(schedule.nextRunAt, timezone, t) })}`;
+    if (schedule.lastRunAt) {
+      line += `\n    ${t('schedule.last', { time: formatScheduleTime(schedule.lastRunAt, timezone, t) })}${schedule.lastResult && schedule.lastResult !== 'ok' ? ` ⚠️ ${t('schedule.failed')}` : ''}`;
+    }
+    
+    return line;
+  }
+
+  // Text of the /settings menu for a chat
+  function describeSettings(chatId, t) {
+    const { locale } = t;
+    const settings = storage.settings.get(chatId);
+    const targets = chatTargets(chatId);
+    const thresholds = resolveThresholds(settings, DEFAULT_THRESHOLDS);
+    const defaultTag = (value) => value === null ? ` <i>(${t('settings.default')})</i>` : '';
+    
+    const topic = settings.threadId === MAIN_CHAT_THREAD ? t('settings.mainChat')
+      : settings.threadId ? t('settings.topicId', { id: settings.threadId })
+      : targets[0]?.threadId ? t('settings.topicId', { id: targets[0].threadId }) : t('settings.mainChat');
+    const sections = orderedSections(settings.sections).map(id => t(`section.${id}`));
+    
+    let message = `<b>⚙️ ${t('settings.title')}</b>\n\n`;
+    message += `<b>🪙 ${t('settings.symbols')}:</b> ${targets.length > 0 ? targets.map(target => target.token.symbol).join(', ') : t('settings.none')}${defaultTag(settings.symbols)}\n`;
+    message += `<b>🧵 ${t('settings.topic')}:</b> ${topic}${defaultTag(settings.threadId)}\n`;
+    const mode = settings.mode || DEFAULT_POSTING_MODE;
+    const digest = mode === 'events' ? ` + ${t(settings.digest === false ? 'settings.digestOff' : 'settings.digestOn')}` : '';
+    message += `<b>📣 ${t('settings.posting')}:</b> ${t(`postingMode.${mode}`)}${digest}${defaultTag(settings.mode)}\n`;
+    if (mode === 'interval') {
+      message += `<b>⏱ ${t('settings.interval')}:</b> ${formatInterval(settings.intervalMs ?? targets[0]?.intervalMs, t)}${defaultTag(settings.intervalMs)}\n`;
+    }
+    message += `<b>🌐 ${t('settings.language')}:</b> ${LANGUAGES[settings.language] || LANGUAGES.en}${defaultTag(settings.language)}\n`;
+    message += `<b>🔔 ${t('settings.alerts')}:</b> ${t('settings.alertThresholds', {
+      whale: formatNumber(thresholds.whaleUsdt, 0, locale),
+      move15m: thresholds.move15m,
+      move1h: thresholds.move1h
+    })}\n`;
+    if (mode === 'events') {
+      message += `<b>⚡ ${t('settings.events')}:</b> ${t('settings.eventThresholds', {
+        ratio: thresholds.ratioSpike,
+        volume: thresholds.volumeSurge,
+        wall: formatNumber(thresholds.buyWallUsdt, 0, locale)
+      })}\n`;
+    }
+    message += `<b>🧩 ${t('settings.sections')}:</b> ${sections.length > 0 ? sections.join(', ') : t('settings.none')}\n`;
+    message += `<b>📐 ${t('settings.layout')}:</b> ${t(`layout.${settings.layout || DEFAULT_LAYOUT}`)}${defaultTag(settings.layout)}\n`;
+    
+    return message;
+  }
+
+  // Inline keyboard for one view of the /settings menu
+  function settingsKeyboard(chatId, view, t) {
+    const { locale } = t;
+    const settings = storage.settings.get(chatId);
+    const thresholds = resolveThresholds(settings, DEFAULT_THRESHOLDS);
+    const mark = (selected, label) => `${selected ? '✅ ' : ''}${label}`;
+    const back = [Markup.button.callback(`⬅️ ${t('settings.back')}`, 'settings:view:main')];
+    
+    switch (view) {
+      case 'symbols': {
+        const selected = chatTargets(chatId).map(target => target.token.symbol);
+        return Markup.inlineKeyboard([
+          ...tokens.map(token => [
+            Markup.button.callback(mark(selected.includes(token.symbol), token.symbol), `settings:sym:${token.symbol}`)
+          ]),
+          back
+        ]);
+      }
+      case 'topic':
+        return Markup.inlineKeyboard([
+          [Markup.button.callback(mark(settings.threadId && settings.threadId !== MAIN_CHAT_THREAD, `🧵 ${t('settings.useTopic')}`), 'settings:topic:here')],
+          [Markup.button.callback(mark(settings.threadId === MAIN_CHAT_THREAD, `💬 ${t('settings.mainChat')}`), 'settings:topic:main')],
+          [Markup.button.callback(mark(settings.threadId === null, `↩️ ${t('settings.tokenDefault')}`), 'settings:topic:default')],
+          back
+        ]);
+      case 'mode': {
+        const mode = settings.mode || DEFAULT_POSTING_MODE;
+        return Markup.inlineKeyboard([
+          POSTING_MODES.map(id =>
+            Markup.button.callback(mark(mode === id, t(`postingMode.${id}`)), `settings:mode:${id}`)),
+          ...(mode === 'events'
+            ? [[Markup.button.callback(mark(settings.digest !== false, `📰 ${t('settings.digest')}`), 'settings:digest:toggle')]]
+            : [[Markup.button.callback(`⏱ ${t('settings.interval')}`, 'settings:view:interval')]]),
+          back
+        ]);
+      }
+      case 'interval':
+        return Markup.inlineKeyboard([
+          INTERVAL_OPTIONS.slice(0, 4).map(ms => Markup.button.callback(mark(settings.intervalMs === ms, formatInterval(ms, t)), `settings:int:${ms}`)),
+          INTERVAL_OPTIONS.slice(4).map(ms => Markup.button.callback(mark(settings.intervalMs === ms, formatInterval(ms, t)), `settings:int:${ms}`)),
+          [Markup.button.callback(mark(settings.intervalMs === null, `↩️ ${t('settings.tokenDefault')}`), 'settings:int:default')],
+          back
+        ]);
+      case 'language':
+        return Markup.inlineKeyboard([
+          Object.entries(LANGUAGES).map(([code, name]) =>
+            Markup.button.callback(mark((settings.language || 'en') === code, name), `settings:lang:${code}`)),
+          back
+        ]);
+      case 'thresholds':
+        return Markup.inlineKeyboard([
+          THRESHOLD_OPTIONS.whaleUsdt.map(value =>
+            Markup.button.callback(mark(thresholds.whaleUsdt === value, `🐋 $${formatNumber(value / 1000, 0, locale)}K`), `settings:th:whaleUsdt:${value}`)),
+          THRESHOLD_OPTIONS.move15m.map(value =>
+            Markup.button.callback(mark(thresholds.move15m === value, `15m ${value}%`), `settings:th:move15m:${value}`)),
+          THRESHOLD_OPTIONS.move1h.map(value =>
+            Markup.button.callback(mark(thresholds.move1h === value, `1h ${value}%`), `settings:th:move1h:${value}`)),
+          THRESHOLD_OPTIONS.ratioSpike.map(value =>
+            Markup.button.callback(mark(thresholds.ratioSpike === value, `⚖️ ${value}x`), `settings:th:ratioSpike:${value}`)),
+          THRESHOLD_OPTIONS.volumeSurge.map(value =>
+            Markup.button.callback(mark(thresholds.volumeSurge === value, `📊 ${t('settings.timesAverage', { value })}`), `settings:th:volumeSurge:${value}`)),
+          THRESHOLD_OPTIONS.buyWallUsdt.map(value =>
+            Markup.button.callback(mark(thresholds.buyWallUsdt === value, `🧱 $${formatNumber(value / 1000, 0, locale)}K`), `settings:th:buyWallUsdt:${value}`)),
+          back
+        ]);
+      case 'sections': {
+        // Shown sections in message order (with a move-up button), then the hidden ones
+        const order = orderedSections(settings.sections);
+        const hidden = SIGNAL_SECTIONS.filter(id => !order.includes(id));
+        const label = (id) => t(`section.${id}`);
+        const layout = settings.layout || DEFAULT_LAYOUT;
+        return Markup.inlineKeyboard([
+          ...order.map((id, index) => [
+            Markup.button.callback(mark(true, label(id)), `settings:sec:${id}`),
+            ...(index > 0 ? [Markup.button.callback('⬆️', `settings:up:${id}`)] : [])
+          ]),
+          ...hidden.map(id => [Markup.button.callback(label(id), `settings:sec:${id}`)]),
+          MESSAGE_LAYOUTS.map(id =>
+            Markup.button.callback(mark(layout === id, `📐 ${t(`layout.${id}`)}`), `settings:layout:${id}`)),
+          back
+        ]);
+      }
+      default:
+        return Markup.inlineKeyboard([
+          [Markup.button.callback(`🪙 ${t('settings.symbols')}`, 'settings:view:symbols'), Markup.button.callback(`🧵 ${t('settings.topic')}`, 'settings:view:topic')],
+          [Markup.button.callback(`📣 ${t('settings.posting')}`, 'settings:view:mode'), Markup.button.callback(`🌐 ${t('settings.language')}`, 'settings:view:language')],
+          [Markup.button.callback(`🔔 ${t('settings.alerts')}`, 'settings:view:thresholds'), Markup.button.callback(`🧩 ${t('settings.sections')}`, 'settings:view:sections')],
+          [Markup.button.callback(`♻️ ${t('settings.reset')}`, 'settings:reset'), Markup.button.callback(`✖️ ${t('settings.close')}`, 'settings:close')]
+        ]);
+    }
+  }
+
+  // Apply one settings menu action. Returns the view to show next, or a
+  // { toast } (a catalog key) when the action can't be applied.
+  function applySettingsAction(ctx, chatId, action, value) {
+    const settings = storage.settings.get(chatId);
+    
+    switch (action) {
+      case 'view':
+        return value;
+      case 'sym': {
+        if (!findToken(tokens, value)) return { toast: 'settings.error.untracked' };
+        const current = chatTargets(chatId).map(target => target.token.symbol);
+        const symbols = current.includes(value)
+          ? current.filter(symbol => symbol !== value)
+          : [...current, value];
+        storage.settings.update(chatId, { symbols });
+        return 'symbols';
+      }
+      case 'topic': {
+        if (value === 'here') {
+          const threadId = ctx.callbackQuery.message?.message_thread_id;
+          if (!threadId) return { toast: 'settings.error.noTopic' };
+          storage.settings.update(chatId, { threadId: threadId.toString() });
+        } else {
+          storage.settings.update(chatId, { threadId: value === 'main' ? MAIN_CHAT_THREAD : null });
+        }
+        return 'topic';
+      }
+      case 'int':
+        storage.settings.update(chatId, { intervalMs: value === 'default' ? null : parseInt(value, 10) });
+        clearCustomSchedules(chatId);
+        return 'interval';
+      case 'mode':
+        if (!POSTING_MODES.includes(value)) return { toast: 'settings.error.mode' };
+        storage.settings.update(chatId, { mode: value });
+        clearCustomSchedules(chatId);
+        return 'mode';
+      case 'digest':
+        storage.settings.update(chatId, { digest: settings.digest === false });
+        return 'mode';
+      case 'lang':
+        if (!LANGUAGES[value]) return { toast: 'settings.error.language' };
+        storage.settings.update(chatId, { language: value });
+        return 'language';
+      case 'th': {
+        const [key, amount] = value.split(':');
+        if (!THRESHOLD_OPTIONS[key]) return { toast: 'settings.error.threshold' };
+        storage.settings.update(chatId, { thresholds: { ...settings.thresholds, [key]: parseFloat(amount) } });
+        return 'thresholds';
+      }
+      case 'sec': {
+        if (!SIGNAL_SECTIONS.includes(value)) return { toast: 'settings.error.section' };
+        // Sections switched back on go to the bottom of the message
+        const enabled = orderedSections(settings.sections);
+        const sections = enabled.includes(value)
+          ? enabled.filter(id => id !== value)
+          : [...enabled, value];
+        storage.settings.update(chatId, { sections });
+        return 'sections';
+      }
+      case 'up':
+        storage.settings.update(chatId, { sections: moveSectionUp(settings.sections, value) });
+        return 'sections';
+      case 'layout':
+        if (!MESSAGE_LAYOUTS.includes(value)) return { toast: 'settings.error.layout' };
+        storage.settings.update(chatId, { layout: value });
+        return 'sections';
+      case 'reset':
+        storage.settings.reset(chatId);
+        clearCustomSchedules(chatId);
+        return 'main';
+      default:
+        return { toast: 'settings.error.action' };
+    }
+  }
+
+  // =====================================================
+  // Bot Command Handlers
+  // =====================================================
+
+  // Register every chat the bot sees so it can be addressed later
+  bot.use((ctx, next) => {
+    if (ctx.chat) {
+      try {
+        storage.chats.upsert({
+          id: ctx.chat.id.toString(),
+          title: ctx.chat.title || ctx.chat.username || null,
+          type: ctx.chat.type
+        });
+      } catch (error) {
+        logger.warn(`Could not register chat ${ctx.chat.id}: ${error.message}`);
+      }
+    }
+    
+    return next();
+  });
+
+  // Command rate limits per user and per chat, as burst/period (see
+  // src/rateLimit.js). "*" covers every other command. Override some with e.g.
+  // RATE_LIMITS="coin:user=3/1m,coin:chat=off", or RATE_LIMITS=off to disable.
+  const DEFAULT_RATE_LIMITS = {
+    tcapy: { user: '3/1m', chat: '6/1m' },
+    signal: { user: '3/1m', chat: '6/1m' },
+    coin: { user: '5/1m', chat: '15/1m' },
+    ta: { user: '5/1m', chat: '15/1m' },
+    depth: { user: '5/1m', chat: '15/1m' },
+    history: { user: '5/1m', chat: '15/1m' },
+    backtest: { user: '1/1m', chat: '2/1m' },
+    '*': { user: '20/1m' }
+  };
+
+  const rateLimits = (() => {
+    if (env.RATE_LIMITS === 'off') return {};
+    try {
+      return parseRateLimits(env.RATE_LIMITS, DEFAULT_RATE_LIMITS);
+    } catch (error) {
+      logger.warn(`${error.message}, using the default rate limits`);
+      return parseRateLimits(null, DEFAULT_RATE_LIMITS);
+    }
+  })();
+
+  // Group admins aren't rate limited; their status is remembered for a while
+  // so a limited user doesn't cost a getChatMember call per command
+  const ADMIN_STATUS_TTL_MS = 5 * 60 * 1000;
+  const MAX_ADMIN_STATUS_ENTRIES = 5000;
+  const adminStatus = new Map();
+
+  // Telegram user ids allowed to run the owner commands: OWNER_IDS=123,456
+  const OWNER_IDS = new Set((env.OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+  const isOwner = (ctx) => Boolean(ctx.from) && OWNER_IDS.has(ctx.from.id.toString());
+
+  async function isRateLimitExempt(ctx) {
+    if (isOwner(ctx)) return true;
+    if (ctx.chat.type === 'private') return false;
+    
+    const key = `${ctx.chat.id}:${ctx.from.id}`;
+    const cached = adminStatus.get(key);
+    if (cached && Date.now() - cached.checkedAt < ADMIN_STATUS_TTL_MS) return cached.admin;
+    
+    const admin = await isChatAdmin(ctx);
+    adminStatus.delete(key);
+    adminStatus.set(key, { admin, checkedAt: Date.now() });
+    if (adminStatus.size > MAX_ADMIN_STATUS_ENTRIES) {
+      adminStatus.delete(adminStatus.keys().next().value);
+    }
+    return admin;
+  }
+
+  // Commands the bot answers, counted for /metrics; anything else is "other"
+  const KNOWN_COMMANDS = new Set([
+    'start', 'help', 'lang', 'getgroupid', 'settings', 'schedule', 'coin', 'tcapy',
+    'signal', 'alert', 'ta', 'depth', 'history', 'backtest',
+    'post_now', 'broadcast', 'pause', 'resume', 'stats', 'reload', 'logs'
+  ]);
+
+  bot.use((ctx, next) => {
+    const command = commandName(ctx.message?.text);
+    if (command) commandsTotal.inc({ command: KNOWN_COMMANDS.has(command) ? command : 'other' });
+    return next();
+  });
+
+  bot.use(createRateLimiter({
+    limits: rateLimits,
+    isExempt: isRateLimitExempt,
+    notify: (ctx, retryAfterMs) => ctx.reply(createTranslator(localeFor(ctx))('rateLimit.wait', {
+      command: commandName(ctx.message.text),
+      seconds: Math.max(1, Math.ceil(retryAfterMs / 1000))
+    })).catch(() => {}),
+    logger
+  }));
+
+  // Forget chats the bot has been removed from
+  bot.on('my_chat_member', (ctx) => {
+    const status = ctx.myChatMember.new_chat_member.status;
+    if (status === 'left' || status === 'kicked') {
+      storage.chats.remove(ctx.chat.id.toString());
+      syncSchedules();
+      logger.info(`Bot removed from chat ${ctx.chat.id}`);
+    }
+  });
+
+  // Start command
+  bot.start((ctx) => {
+    ctx.replyWithHTML(createTranslator(localeFor(ctx))('start.message'));
+  });
+
+  // Help command
+  bot.help((ctx) => {
+    ctx.replyWithHTML(createTranslator(localeFor(ctx))('help.message', {
+      tokens: tokens.map(token => `<code>${token.symbol}</code>`).join(', ')
+    }));
+  });
+
+  // Language command: /lang [en|vi|reset] for yourself, /lang group <en|vi> for the group default
+  bot.command('lang', async (ctx) => {
+    const [, rawArg, rawGroupArg] = ctx.message.text.trim().split(/\s+/);
+    const userId = ctx.from.id.toString();
+    const arg = rawArg?.toLowerCase();
+    
+    if (!arg) {
+      const t = createTranslator(localeFor(ctx));
+      return ctx.reply(t('lang.current', { language: LANGUAGES[t.locale] }));
+    }
+    
+    if (arg === 'reset') {
+      storage.users.update(userId, { language: null });
+      const t = createTranslator(localeFor(ctx));
+      return ctx.reply(t('lang.reset', { language: LANGUAGES[t.locale] }));
+    }
+    
+    const isGroup = arg === 'group';
+    const locale = resolveLocale(isGroup ? rawGroupArg : arg);
+    if (!locale) {
+      return ctx.reply(createTranslator(localeFor(ctx))('lang.unsupported', {
+        code: (isGroup ? rawGroupArg : rawArg) || '',
+        languages: Object.keys(LANGUAGES).join(', ')
+      }));
+    }
+    
+    if (isGroup) {
+      if (!(await isChatAdmin(ctx))) {
+        return ctx.reply(createTranslator(localeFor(ctx))('lang.adminOnly'));
+      }
+      storage.settings.update(ctx.chat.id.toString(), { language: locale });
+      logger.info(`Language for chat ${ctx.chat.id} set to ${locale}`, { userId });
+      return ctx.reply(createTranslator(locale)('lang.groupSet', { language: LANGUAGES[locale] }));
+    }
+    
+    storage.users.update(userId, { language: locale });
+    return ctx.reply(createTranslator(locale)('lang.set', { language: LANGUAGES[locale] }));
+  });
+
+  // Get group ID command
+  bot.command('getgroupid', (ctx) => {
+    const chatId = ctx.chat.id;
+    const threadId = ctx.message?.message_thread_id;
+    const t = createTranslator(localeFor(ctx));
+    
+    let message = t('groupId.chat', { id: chatId });
+    if (threadId) {
+      message += `\n${t('groupId.thread', { id: threadId })}`;
+    }
+    
+    ctx.reply(message);
+  });
+
+  // Per-chat settings menu, for group admins
+  bot.command('settings', async (ctx) => {
+    const t = createTranslator(localeFor(ctx));
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply(t('settings.adminOnly'));
+    }
+    
+    const chatId = ctx.chat.id.toString();
+    await ctx.replyWithHTML(describeSettings(chatId, t), settingsKeyboard(chatId, 'main', t));
+  });
+
+  bot.action(/^settings:(\w+)(?::(.+))?$/, async (ctx) => {
+    const [, action, value] = ctx.match;
+    const chatId = ctx.chat.id.toString();
+    
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.answerCbQuery(createTranslator(localeFor(ctx))('settings.adminOnlyToast'), { show_alert: true }).catch(() => {});
+    }
+    
+    if (action === 'close') {
+      await ctx.answerCbQuery().catch(() => {});
+      return ctx.deleteMessage().catch(() => {});
+    }
+    
+    const result = applySettingsAction(ctx, chatId, action, value);
+    // After the action, so a new group language shows right away
+    const t = createTranslator(localeFor(ctx));
+    if (result.toast) {
+      return ctx.answerCbQuery(t(result.toast)).catch(() => {});
+    }
+    
+    if (action !== 'view') {
+      syncSchedules();
+      logger.info(`Settings changed for chat ${chatId}`, { action, value, userId: ctx.from.id });
+    }
+    
+    await ctx.answerCbQuery(action === 'view' ? undefined : t('settings.saved')).catch(() => {});
+    await ctx.editMessageText(describeSettings(chatId, t), {
+      parse_mode: 'HTML',
+      ...settingsKeyboard(chatId, result, t)
+    }).catch(error => {
+      if (!error.description?.includes('message is not modified')) {
+        logger.warn(`Could not update settings menu: ${error.message}`);
+      }
+    });
+  });
+
+  // Scheduled posts: /schedule list | set <SYMBOL|all> <cron> [options] | pause|resume [SYMBOL|all]
+  bot.command('schedule', async (ctx) => {
+    const [, action, rawSymbol, ...args] = ctx.message.text.trim().split(/\s+/);
+    const chatId = ctx.chat.id.toString();
+    const t = createTranslator(localeFor(ctx));
+    const describe = (schedule) => describeSchedule(schedule, t);
+    
+    const type = (action || 'list').toLowerCase();
+    if (!['list', 'set', 'pause', 'resume'].includes(type)) {
+      return ctx.reply(t('schedule.usage'));
+    }
+    
+    const schedules = storage.schedules.list(chatId);
+    if (type === 'list') {
+      if (schedules.length === 0) {
+        return ctx.reply(t('schedule.empty'));
+      }
+      return ctx.replyWithHTML(`<b>🗓 ${t('schedule.title')}</b>\n\n${schedules.map(describe).join('\n')}`);
+    }
+    
+    if (!(await isChatAdmin(ctx))) {
+      return ctx.reply(t('schedule.adminOnly'));
+    }
+    
+    // pause/resume default to every schedule in the chat
+    const symbol = (rawSymbol || 'all').toUpperCase().replace(/USDT$/, '');
+    const selected = symbol === 'ALL' ? schedules : schedules.filter(schedule => schedule.symbol === symbol);
+    if (selected.length === 0) {
+      return ctx.reply(symbol === 'ALL' ? t('schedule.noneInChat') : t('schedule.notPosted', { symbol }));
+    }
+    
+    let updated;
+    try {
+      if (type === 'set') {
+        const changes = parseScheduleArgs(args, t);
+        updated = selected.map(schedule => scheduler.set(schedule.id, changes));
+      } else {
+        updated = selected.map(schedule => scheduler[type](schedule.id));
+      }
+    } catch (error) {
+      return ctx.reply(`❌ ${error.message}`);
+    }
+    
+    logger.info(`Schedule ${type} in chat ${chatId}`, { symbol, args, userId: ctx.from?.id });
+    return ctx.replyWithHTML(`✅ ${t('schedule.updated')}\n\n${updated.map(describe).join('\n')}`);
+  });
+
+  // Fetch CMC data for a coin and build the /coin message with its inline keyboard
+  async function buildCoinMessage(symbol, locale = DEFAULT_LANGUAGE) {
+    const token = findToken(tokens, symbol);
+    const t = createTranslator(locale);
+    const fmtPrice = (value) => formatPrice(value, locale);
+    const fmtNumber = (value, decimals) => formatNumber(value, decimals, locale);
+    
+    // Fetch data from CoinMarketCap API and the exchanges in parallel
+    const [coinData, marketOverview] = await Promise.all([
+      fetchCmcData(symbol),
+      fetchMarketOverview(token?.symbol || symbol, token?.exchanges).catch(() => null)
+    ]);
+    
+    if (!coinData) {
+      throw new Error('Coin not found');
+    }
+    
+    // Tracked tokens may override the circulating supply reported by CMC
+    const circulatingSupply = token?.circulatingSupply || coinData.circulating_supply;
+    const marketCap = coinData.price * circulatingSupply;
+    
+    // Construct the response message
+    const name = escapeHtml(coinData.name);
+    const ticker = escapeHtml(symbol);
+    let message = `
+  📈 <b>${name} (${ticker})</b>
+  💰 <b>${t('coin.currentPrice')}:</b> $${fmtPrice(coinData.price)}
+  📊 <b>${t('coin.change24h')}:</b> ${fmtNumber(coinData.percent_change_24h, 2)}%
+  📊 <b>${t('coin.change1h')}:</b> ${fmtNumber(coinData.percent_change_1h, 2)}%
+  🔄 <b>${t('coin.volume24h')}:</b> $${fmtNumber(coinData.volume24h, 0)}
+  🔄 <b>${t('coin.marketCap')}:</b> $${fmtNumber(marketCap, 0)}
+    `;
+    
+    // Add supply information
+    if (token?.circulatingSupply) {
+      message += `🔢 <b>${t('coin.totalSupply')}:</b> ${fmtNumber(token.circulatingSupply, 0)} ${escapeHtml(token.name)}\n`;
+    } else {
+      // For other coins, show regular supply info with consistent formatting
+      if (coinData.circulating_supply) {
+        message += `🔢 <b>${t('coin.circulatingSupply')}:</b> ${fmtNumber(coinData.circulating_supply, 0)} ${ticker}\n`;
+      }
+      if (coinData.max_supply) {
+        message += `🔢 <b>${t('coin.maxSupply')}:</b> ${fmtNumber(coinData.max_supply, 0)} ${ticker}\n`;
+      }
+      // Add a note if supply data is unavailable
+      if (!coinData.circulating_supply && !coinData.max_supply) {
+        message += `ℹ️ <i>${t('coin.supplyUnavailable')}</i>\n`;
+      }
+    }
+    
+    // Per-exchange volume, venue spread and arbitrage gaps
+    message += formatMarketOverview(marketOverview, t);
+    
+    // Project description configured for the tracked token
+    if (token?.description) {
+      message += `\n${token.description}\n`;
+    }
+    
+    // Add chart link with a clear call-to-action
+    message += `\n🔗 <a href="https://coinmarketcap.com/currencies/${escapeHtml(coinData.slug)}/">${t('coin.viewChart')}</a>`;
+    
+    // Inline keyboard with buttons, using concise and professional labels
+    const keyboard = Markup.inlineKeyboard([
+      [
+        Markup.button.url(t('button.chart'), `https://coinmarketcap.com/currencies/${coinData.slug}/`),
+        Markup.button.url(t('button.trade'), token?.links.trade || `https://www.mexc.com/exchange/${symbol}_USDT`)
+      ],
+      [
+        Markup.button.url(t('button.news'), `https://coinmarketcap.com/currencies/${coinData.slug}/news/`),
+        Markup.button.callback(t('button.refresh'), `refresh_${symbol}`)
+      ],
+    ]);
+    
+    return { message, keyboard, coinData, token, locale };
+  }
+
+  // Coin info command
+  bot.command('coin', async (ctx) => {
+    const symbol = ctx.message.text.split(/\s+/)[1]?.trim()?.toUpperCase();
+    const locale = localeFor(ctx);
+    const t = createTranslator(locale);
+    
+    if (!symbol) {
+      return ctx.reply(t('coin.usage'));
+    }
+
+    // Show typing status
+    await ctx.telegram.sendChatAction(ctx.chat.id, 'typing', {
+      message_thread_id: ctx.message.message_thread_id
+    }).catch(() => {});
+
+    try {
+      const { message, keyboard, coinData, token } = await buildCoinMessage(symbol, locale);
+      
+      const sentMessage = await ctx.replyWithHTML(renderSingle(message, locale), keyboard);
+      rememberRefreshContent(sentMessage, message);
+      logger.info(`Coin info sent for ${symbol}`);
+      
+      // Chart from MEXC data, when the pair trades there
+      await sendChartPhoto(
+        () => buildChartImage(token?.pair || `${symbol}USDT`, {
+          title: `${symbol}/USDT 5m - last 4h`,
+          volume24h: coinData.volume24h
+        }),
+        `📊 <b>${escapeHtml(coinData.name)} (${escapeHtml(symbol)})</b> $${formatPrice(coinData.price, locale)} | 24h: ${formatNumber(coinData.percent_change_24h, 2, locale)}%`,
+        { ctx }
+      );
+
+    } catch (error) {
+      // Enhanced error handling with user-friendly messages
+      let errorMessage = t('coin.error.default');
+
+      if (error.response) {
+        const { status, data } = error.response;
+        const apiError = data?.status?.error_message;
+
+        switch (status) {
+          case 400:
+            errorMessage = t('coin.error.400');
+            break;
+          case 401:
+            errorMessage = t('coin.error.401');
+            break;
+          case 403:
+            errorMessage = t('coin.error.403');
+            break;
+          case 429:
+            errorMessage = t('coin.error.429');
+            break;
+          case 500:
+            errorMessage = t('coin.error.500');
+            break;
+          default:
+            errorMessage = t('coin.error.unexpected');
+        }
+
+        if (apiError) {
+          errorMessage += t('coin.error.details', { details: apiError });
+        }
+      } else if (error.message === 'Coin not found') {
+        errorMessage = t('coin.error.notFound', { symbol });
+      } else {
+        errorMessage = t('coin.error.generic', { error: error.message });
+      }
+
+      logger.error('Error in /coin command', {
+        symbol,
+        error: error.message,
+        status: error.response?.status
+      });
+
+      await ctx.reply(errorMessage);
+    }
+  });
+  // Signal command handler shared by /tcapy and /signal <SYMBOL>
+  async function handleSignalCommand(ctx, token) {
+    // Convert IDs to strings for proper comparison
+    const chatId = ctx.chat.id.toString();
+    const t = createTranslator(localeFor(ctx));
+    
+    // Thread IDs
+    const threadId = ctx.message?.message_thread_id ? ctx.message.message_thread_id.toString() : null;
+    
+    // Where this chat receives the token, from its settings or the token config
+    const target = chatTargets(chatId).find(item => item.token.symbol === token.symbol);
+    const configuredThreadId = target?.threadId || null;
+    
+    // Improved permission check with better logging
+    let permissionDenied = false;
+    let permissionMessage = '';
+    
+    // Tokens with a target chat are only available in chats that receive them
+    if (token.chatId && !target) {
+      logger.info(`Command rejected - ${token.symbol} is not enabled in chat ${chatId}`);
+      permissionDenied = true;
+      permissionMessage = t('signal.notEnabled', { name: token.name });
+    }
+    
+    // If the chat has a target topic and we're in a forum, check if correct thread
+    if (!permissionDenied && configuredThreadId && threadId !== configuredThreadId && ctx.chat.is_forum) {
+      logger.info(`Command rejected - requested in thread ${threadId}, configured for ${configuredThreadId}`);
+      permissionDenied = true;
+      permissionMessage = t('signal.wrongTopic');
+    }
+    
+    // Handle permission denied case
+    if (permissionDenied) {
+      return ctx.reply(permissionMessage, {
+        message_thread_id: threadId ? parseInt(threadId, 10) : undefined
+      });
+    }
+    
+    // Show typing indicator
+    try {
+      await ctx.telegram.sendChatAction(ctx.chat.id, 'typing', {
+        message_thread_id: threadId ? parseInt(threadId, 10) : undefined
+      });
+    } catch (error) {
+      logger.warn(`Could not send typing indicator: ${error.message}`);
+    }
+    
+    // Send message that we're collecting data
+    let statusMsg;
+    try {
+      statusMsg = await ctx.reply(t('signal.collecting', { name: token.name }), {
+        message_thread_id: threadId ? parseInt(threadId, 10) : undefined
+      });
+    } catch (error) {
+      logger.warn(`Could not send status message: ${error.message}`);
+    }
+    
+    try {
+      // Call the signal generation function
+      await sendSignal(token, ctx);
+      
+      // Delete status message if successful
+      if (statusMsg) {
+        try {
+          await ctx.telegram.deleteMessage(ctx.chat.id, statusMsg.message_id);
+        } catch (error) {
+          logger.debug(`Could not delete status message: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error executing signal command for ${token.symbol}: ${error.message}`, { stack: error.stack });
+      
+      try {
+        const errorMsg = t('signal.failed', { name: token.name });
+        if (statusMsg) {
+          // Edit existing message instead of creating a new one
+          await ctx.telegram.editMessageText(
+            ctx.chat.id,
+            statusMsg.message_id,
+            undefined,
+            errorMsg
+          );
+        } else {
+          await ctx.reply(errorMsg, {
+            message_thread_id: threadId ? parseInt(threadId, 10) : undefined
+          });
+        }
+      } catch (replyError) {
+        logger.error(`Could not send error message: ${replyError.message}`);
+      }
+    }
+  }
+
+  // TCAPY command handler
+  bot.command(['tcapy', 'tcapy@Tcapy_bot'], async (ctx) => {
+    const token = findToken(tokens, 'TCAPY');
+    if (!token) {
+      return ctx.reply(createTranslator(localeFor(ctx))('signal.tcapyMissing'));
+    }
+    
+    return handleSignalCommand(ctx, token);
+  });
+
+  // Generic signal command for any tracked token
+  bot.command('signal', async (ctx) => {
+    const symbol = ctx.message.text.split(/\s+/)[1]?.trim()?.toUpperCase();
+    const trackedList = tokens.map(token => token.symbol).join(', ');
+    const t = createTranslator(localeFor(ctx));
+    
+    if (!symbol) {
+      return ctx.reply(t('signal.usage', { example: tokens[0]?.symbol || 'TCAPY', tracked: trackedList }));
+    }
+    
+    const token = findToken(tokens, symbol);
+    if (!token) {
+      return ctx.reply(t('signal.untracked', { symbol, tracked: trackedList }));
+    }
+    
+    return handleSignalCommand(ctx, token);
+  });
+
+
+  // Fetch market data for a tracked token and build the HTML analysis message.
+  // `sections` lists the optional sections to show in display order (null shows
+  // all, see SIGNAL_SECTIONS); `layout` is 'full' or 'compact'; `thresholds`
+  // sets the price movement alert levels. The message may exceed Telegram's
+  // size limit, so send it with splitMessage().
+  async function buildSignalMessage(token, { sections = null, layout = 'full', thresholds = DEFAULT_THRESHOLDS, locale = DEFAULT_LANGUAGE } = {}) {
+    const t = createTranslator(locale);
+    const fmtPrice = (value) => formatPrice(value, locale);
+    const fmtNumber = (value, decimals) => formatNumber(value, decimals, locale);
+    const symbol = token.pair;
+    const fourHoursAgo = Date.now() - 4 * 60 * 60 * 1000;
+    
+    // Fetch data in parallel to improve performance
+    const [cmcData, mexcVolume, tradeWindow, orderBook, indicators, marketOverview] = await Promise.all([
+      fetchCmcData(token.cmcSymbol).catch(err => {
+        logger.error('Failed to fetch CMC data', { error: err.message });
+        return { price: 0, volume24h: 0 };
+      }),
+      fetchMexc24hVolume(symbol),
+      fetchTradeWindow(symbol, fourHoursAgo),
+      fetchLatestOrderBook(symbol, 100),
+      fetchIndicators(symbol),
+      fetchMarketOverview(token.symbol, token.exchanges)
+    ]);
+    const { trades } = tradeWindow;
+    
+    // Validate trade data
+    if (!trades || trades.length === 0) {
+      throw new Error('No trade data available');
+    }
+    
+    // Get current price from most recent trade
+    const currentPrice = parseFloat(trades[0].price);
+    if (isNaN(currentPrice)) {
+      throw new Error('Invalid current price');
+    }
+    
+    // Define time periods for analysis
+    const now = Date.now();
+    const oneHourAgo = now - 60 * 60 * 1000;
+    const thirtyMinutesAgo = now - 30 * 60 * 1000;
+    const fifteenMinutesAgo = now - 15 * 60 * 1000;
+    
+    // Find prices at different time periods
+    const price15MinAgo = getPriceAtTime(trades, fifteenMinutesAgo) || currentPrice;
+    const price30MinAgo = getPriceAtTime(trades, thirtyMinutesAgo) || currentPrice;
+    const price1HourAgo = getPriceAtTime(trades, oneHourAgo) || currentPrice;
+    const price4HourAgo = getPriceAtTime(trades, fourHoursAgo) || currentPrice;
+    
+    // Calculate price changes
+    const change15Min = ((currentPrice - price15MinAgo) / price15MinAgo * 100);
+    const change30Min = ((currentPrice - price30MinAgo) / price30MinAgo * 100);
+    const change1Hour = ((currentPrice - price1HourAgo) / price1HourAgo * 100);
+    const change4Hour = ((currentPrice - price4HourAgo) / price4HourAgo * 100);
+    
+    // Use CMC volume if available, fallback to MEXC volume
+    const volume24h = cmcData.volume24h > 0 ? cmcData.volume24h : mexcVolume;
+    
+    // Trade data for volume estimation
+    const tradeData = {
+      currentPrice,
+      change15Min,
+      change30Min,
+      change1Hour,
+      change4Hour
+    };
+    
+    // Last-resort estimates when neither trades nor klines cover a window
+    const estimatedVolumes = estimateVolumeDistribution(volume24h, tradeData);
+    
+    // Resolve each window from the best data available: complete trades,
+    // then 1m klines, then the 24h-volume estimate, then whatever trades we have
+    let minuteKlines = null;
+    const resolveWindowVolume = async (startTime, estimate) => {
+      if (tradeWindow.coveredFrom <= startTime) {
+        const quality = tradeWindow.source === 'live' ? 'live' : 'complete';
+        return { ...calculateVolume(trades, startTime), quality };
+      }
+      
+      minuteKlines = minuteKlines || await fetchKlines(symbol, '1m', MINUTE_KLINES_LIMIT);
+      if (minuteKlines.length > 0 && Number(minuteKlines[0][0]) <= startTime) {
+        return { ...klineWindowVolume(minuteKlines, startTime), quality: 'approximate' };
+      }
+      
+      if (estimate) {
+        return { ...estimate, quality: 'estimated' };
+      }
+      return { ...calculateVolume(trades, startTime), quality: 'partial' };
+    };
+    
+    const fifteenMinData = await resolveWindowVolume(fifteenMinutesAgo, estimatedVolumes.min15);
+    const thirtyMinData = await resolveWindowVolume(thirtyMinutesAgo, estimatedVolumes.min30);
+    const oneHourData = await resolveWindowVolume(oneHourAgo, estimatedVolumes.hour1);
+    const fourHourData = await resolveWindowVolume(fourHoursAgo, null);
+    const dataQuality = worstQuality([fifteenMinData, thirtyMinData, oneHourData, fourHourData]
+      .map(data => data.quality));
+    
+    // Generate key buy zones
+    const buyZones = generateBuyZones(trades, orderBook, currentPrice, volume24h);
+    
+    // The computed metrics, recorded for /history when the signal is posted
+    const snapshot = buildSnapshot({
+      symbol: token.symbol,
+      currentPrice,
+      volume24h,
+      changes: { min15: change15Min, min30: change30Min, hour1: change1Hour, hour4: change4Hour },
+      volumes: { min15: fifteenMinData, hour1: oneHourData, hour4: fourHourData },
+      buyZones
+    });
+    
+    const timeframes = [
+      { id: '15m', change: change15Min, data: fifteenMinData },
+      { id: '30m', change: change30Min, data: thirtyMinData },
+      { id: '1h', change: change1Hour, data: oneHourData },
+      { id: '4h', change: change4Hour, data: fourHourData }
+    ];
+    
+    // What the signal rules are evaluated on: the most significant timeframe's
+    // change, buy/sell ratio and volume, plus the indicators
+    const facts = signalFacts({ timeframes, indicators });
+    
+    const name = escapeHtml(token.name);
+    const hourlyBuyValue = parseFloat(oneHourData.totalBuyValue);
+    const hourlySellValue = parseFloat(oneHourData.totalSellValue);
+    const hourlyRatio = hourlySellValue === 0 ? Infinity : hourlyBuyValue / hourlySellValue;
+    const formatRatio = (ratio) => `${ratio === Infinity ? '∞' : fmtNumber(ratio, 2)} ${ratio > 1 ? '📈' : '📉'}`;
+    const circulatingSupply = token.circulatingSupply || cmcData.circulating_supply || 0;
+    const marketCap = currentPrice * circulatingSupply;
+    
+    // One renderer per section; each gets the layout ('full' or 'compact')
+    const blocks = {
+      header: () => {
+        let block = `<b>${t('signal.title', { name })}</b>\n\n`;
+        block += `<b>💰 ${t('signal.currentPrice')}:</b> $${fmtPrice(currentPrice)} USDT\n`;
+        block += `🕒 15m: ${fmtNumber(change15Min, 2)}% | ⏳ 30m: ${fmtNumber(change30Min, 2)}% | 🕰 1h: ${fmtNumber(change1Hour, 2)}% | 📅 4h: ${fmtNumber(change4Hour, 2)}%`;
+        return block;
+      },
+      
+      signal: (layout) => {
+        let block = '';
+        
+        // Add alert for significant price movements
+        if (Math.abs(change15Min) >= thresholds.move15m || Math.abs(change1Hour) >= thresholds.move1h) {
+          block += `<b>${t('signal.alert')}</b>\n`;
+        }
+        
+        // The compact layout keeps only the price movement sentence
+        block += generateSignalMessage(facts, name, t, { groups: layout === 'compact' ? ['move'] : null, rules: signalRules });
+        return block;
+      },
+      
+      volume: (layout) => {
+        const quality = VOLUME_QUALITY[dataQuality];
+        
+        if (layout === 'compact') {
+          const { marker } = VOLUME_QUALITY[oneHourData.quality];
+          return `📊 <b>${t('signal.totalVolume24h')}:</b> $${fmtNumber(volume24h, 0)}\n` +
+            `⚖️ <b>${t('signal.ratio1h')}:</b> ${formatRatio(hourlyRatio)} | 🟢 ${marker}$${fmtNumber(hourlyBuyValue, 0)} 🔴 ${marker}$${fmtNumber(hourlySellValue, 0)}`;
+        }
+        
+        let block = `<b>📊 ${t('signal.volumeTitle', { volume: fmtNumber(volume24h, 0) })}</b>\n`;
+        
+        // Display Sell Orders (Asks)
+        block += `\n🔴 <b>${t('signal.sellOrders')}</b>\n`;
+        timeframes.slice(0, 3).forEach(({ id, data }) => {
+          const sellValue = parseFloat(data.totalSellValue);
+          const sellAmount = parseFloat(data.totalSellAmount);
+          block += `- <b>${t('signal.last', { window: t(`timeframe.${id}`) })}:</b> ${VOLUME_QUALITY[data.quality].marker}$${fmtNumber(sellValue, 0)} | ${fmtNumber(sellAmount, 0)} ${name}\n`;
+        });
+        
+        // Display Buy Orders (Bids)
+        block += `\n🟢 <b>${t('signal.buyOrders')}</b>\n`;
+        timeframes.slice(0, 3).forEach(({ id, data }) => {
+          const buyValue = parseFloat(data.totalBuyValue);
+          const buyAmount = parseFloat(data.totalBuyAmount);
+          block += `- <b>${t('signal.last', { window: t(`timeframe.${id}`) })}:</b> ${VOLUME_QUALITY[data.quality].marker}$${fmtNumber(buyValue, 0)} | ${fmtNumber(buyAmount, 0)} ${name}\n`;
+        });
+        
+        // Display Buy/Sell Ratio
+        block += `\n<b>${t('signal.ratio1h')}:</b> ${formatRatio(hourlyRatio)}\n`;
+        
+        // Where the volume figures came from
+        block += `<b>📶 ${t('signal.dataQuality')}:</b> ${quality.icon} ${t(`quality.${dataQuality}`)}\n`;
+        const notes = [...new Set(timeframes.slice(0, 3)
+          .filter(({ data }) => VOLUME_QUALITY[data.quality].marker)
+          .map(({ data }) => t(`quality.note.${data.quality}`)))];
+        if (notes.length > 0) {
+          block += `<i>${notes.join(' | ')}</i>\n`;
+        }
+        return block;
+      },
+      
+      buyZones: (layout) => {
+        if (layout === 'compact') {
+          if (buyZones.length === 0) return '';
+          const zones = buyZones.slice(0, 2).map(({ price, value }) => `$${fmtPrice(price)} ($${fmtNumber(value, 0)})`);
+          return `🏆 <b>${t('signal.buyZones')}:</b> ${zones.join(' | ')}`;
+        }
+        
+        if (buyZones.length === 0) {
+          return `🟢 ${t('signal.noBuyZones')}`;
+        }
+        
+        let block = `<b>🏆 ${t('signal.buyZones')}</b> 💡\n`;
+        buyZones.forEach(({ price, amount, value }, index) => {
+          block += `${index + 1}. $${fmtPrice(price)} | $${fmtNumber(value, 0)} | ${fmtNumber(amount, 0)} ${name}\n`;
+        });
+        return block;
+      },
+      
+      whales: (layout) => {
+        // The largest single trades of the last hour
+        const whales = largestTrades(trades, oneHourAgo, layout === 'compact' ? 1 : 3);
+        if (whales.length === 0) return '';
+        
+        const describeTrade = ({ side, price, qty, value, time }) => {
+          const sideLabel = side === 'buy' ? `🟢 ${t('common.buy')}` : `🔴 ${t('common.sell')}`;
+          if (layout === 'compact') return `${sideLabel} $${fmtNumber(value, 0)} @ $${fmtPrice(price)}`;
+          
+          const clock = new Date(time).toISOString().slice(11, 16);
+          return `${sideLabel} $${fmtNumber(value, 0)} | ${fmtNumber(qty, 0)} ${name} @ $${fmtPrice(price)} (${clock} UTC)`;
+        };
+        
+        if (layout === 'compact') {
+          return `🐋 <b>${t('signal.largestTrades')}:</b> ${describeTrade(whales[0])}`;
+        }
+        
+        let block = `<b>🐋 ${t('signal.largestTrades')}</b>\n`;
+        whales.forEach((trade, index) => {
+          block += `${index + 1}. ${describeTrade(trade)}\n`;
+        });
+        return block;
+      },
+      
+      market: (layout) => {
+        if (layout === 'compact') {
+          return `📊 <b>${t('signal.marketCap')}:</b> $${fmtNumber(marketCap, 0)}`;
+        }
+        
+        let block = `<b>📊 ${t('signal.marketMetrics')}</b>`;
+        block += `\n<b>- ${t('signal.marketCap')}:</b> $${fmtNumber(marketCap, 0)}`;
+        block += `\n<b>- ${t('signal.totalVolume24h')}:</b> $${fmtNumber(volume24h, 0)}`;
+        block += `\n<b>- ${t('signal.circulatingSupply')}:</b> ${fmtNumber(circulatingSupply, 0)}`;
+        return block;
+      },
+      
+      exchanges: (layout) => {
+        if (layout === 'compact') {
+          if (!marketOverview || marketOverview.venues.length < 2) return '';
+          return `🌐 <b>${t('exchanges.weightedPrice')}:</b> $${fmtPrice(marketOverview.weightedPrice)} | ${t('exchanges.spread')}: ${fmtNumber(marketOverview.spreadPercent, 2)}%`;
+        }
+        
+        // Per-exchange volume, venue spread and arbitrage gaps
+        return formatMarketOverview(marketOverview, t);
+      },
+      
+      indicators: (layout) => {
+        // Kline-based technical indicators, or the price-change heuristic
+        // when no klines are available
+        const trend = overallTrend(indicators) || (
+          change1Hour > 0 && change4Hour > 0 ? 'Bullish' :
+          change1Hour < 0 && change4Hour < 0 ? 'Bearish' :
+          'Neutral');
+        const trendLine = `<b>${t('signal.technicalTrend')}:</b> ${formatTrend(trend, t)}`;
+        
+        if (layout === 'compact') return `📐 ${trendLine}`;
+        if (!overallTrend(indicators)) return trendLine;
+        
+        let block = `<b>📐 ${t('signal.indicators')}</b>\n`;
+        ANALYSIS_INTERVALS.forEach(interval => {
+          if (indicators[interval]) {
+            block += `• ${formatIndicatorSummary(interval, indicators[interval], t)}\n`;
+          }
+        });
+        block += `\n${trendLine}`;
+        return block;
+      },
+      
+      footer: (layout) => {
+        // Footer with links
+        const cmcLink = token.links.cmc || `https://coinmarketcap.com/currencies/${cmcData.slug}/`;
+        let block = `🔗 <a href="${escapeHtml(token.links.trade)}">${t('signal.tradeOnMexc')}</a> | <a href="${escapeHtml(cmcLink)}">${t('signal.viewOnCmc')}</a>`;
+        if (layout === 'compact') return block;
+        
+        block += `\n📚 <b>${t('signal.footerCommands', { symbol: token.symbol })}</b>`;
+        block += `\n🌐 ${t('signal.poweredBy')}`;
+        return block;
+      }
+    };
+    
+    const message = renderSections(blocks, ['header', ...orderedSections(sections), 'footer'], layout);
+    
+    return { message, trades, buyZones, currentPrice, change1Hour, change4Hour, snapshot };
+  }
+  // Alert subscription command: /alert add|list|remove
+  bot.command('alert', async (ctx) => {
+    const [, action, ...args] = ctx.message.text.trim().split(/\s+/);
+    const chatId = ctx.chat.id.toString();
+    const locale = localeFor(ctx);
+    const t = createTranslator(locale);
+    const formatters = {
+      formatPrice: (value) => formatPrice(value, locale),
+      formatNumber: (value, decimals) => formatNumber(value, decimals, locale),
+      t
+    };
+    
+    switch ((action || '').toLowerCase()) {
+      case 'add': {
+        let spec;
+        try {
+          spec = parseAlertSpec(args, t);
+        } catch (error) {
+          return ctx.reply(`❌ ${error.message}`);
+        }
+        
+        if (alertStore.list(chatId).length >= MAX_ALERTS_PER_CHAT) {
+          return ctx.reply(t('alert.limit', { max: MAX_ALERTS_PER_CHAT }));
+        }
+        
+        // Untracked symbols must trade on MEXC, or the watcher would poll a
+        // pair that doesn't exist
+        const trackedPair = findToken(tokens, spec.symbol)?.pair;
+        const pair = trackedPair || `${spec.symbol}USDT`;
+        if (!trackedPair) {
+          let listed;
+          try {
+            listed = await isMexcPairListed(pair);
+          } catch {
+            return ctx.reply(t('error.generic'));
+          }
+          if (!listed) {
+            return ctx.reply(t('coin.error.notFound', { symbol: spec.symbol }));
+          }
+        }
+
+        const alert = alertStore.add({
+          ...spec,
+          pair,
+          chatId,
+          threadId: ctx.message.message_thread_id || null,
+          userId: ctx.from?.id || null
+        });
+        syncStreamPairs();
+        
+        logger.info(`Alert ${alert.id} added`, { chatId, pair, type: alert.type });
+        return ctx.reply(t('alert.added', { id: alert.id, alert: describeAlert(alert, formatters) }));
+      }
+      
+      case 'list': {
+        const alerts = alertStore.list(chatId);
+        if (alerts.length === 0) {
+          return ctx.reply(t('alert.empty'));
+        }
+        
+        const lines = alerts.map(alert => `#${alert.id} - ${describeAlert(alert, formatters)}`);
+        return ctx.reply(`${t('alert.listTitle')}\n${lines.join('\n')}`);
+      }
+      
+      case 'remove': {
+        if (args[0]?.toLowerCase() === 'all') {
+          const removed = alertStore.removeAll(chatId);
+          syncStreamPairs();
+          return ctx.reply(t('alert.removedAll', { count: removed }));
+        }
+        
+        const id = parseInt(args[0]?.replace('#', ''), 10);
+        if (isNaN(id)) {
+          return ctx.reply(t('alert.idMissing'));
+        }
+        
+        const removed = alertStore.remove(chatId, id);
+        syncStreamPairs();
+        return ctx.reply(t(removed ? 'alert.removed' : 'alert.notFound', { id }));
+      }
+      
+      default:
+        return ctx.reply(t('alert.usage'));
+    }
+  });
+
+  // Technical analysis command: /ta <SYMBOL> [15m|1h|4h|1d]
+  bot.command('ta', async (ctx) => {
+    const [, rawSymbol, rawInterval] = ctx.message.text.trim().split(/\s+/);
+    const t = createTranslator(localeFor(ctx));
+    
+    if (!rawSymbol) {
+      return ctx.reply(t('ta.usage', { example: tokens[0]?.symbol || 'TCAPY', intervals: ANALYSIS_INTERVALS.join(', ') }));
+    }
+    
+    const interval = rawInterval?.toLowerCase();
+    if (interval && !ANALYSIS_INTERVALS.includes(interval)) {
+      return ctx.reply(t('ta.badInterval', { interval: rawInterval, intervals: ANALYSIS_INTERVALS.join(', ') }));
+    }
+    
+    const symbol = rawSymbol.toUpperCase().replace(/USDT$/, '');
+    const pair = findToken(tokens, symbol)?.pair || `${symbol}USDT`;
+    
+    await ctx.sendChatAction('typing').catch(() => {});
+    
+    const indicators = await fetchIndicators(pair, interval ? [interval] : ANALYSIS_INTERVALS);
+    const available = Object.entries(indicators).filter(([, value]) => value);
+    
+    if (available.length === 0) {
+      return ctx.reply(t('ta.noData', { pair }));
+    }
+    
+    let message = `<b>📐 ${t('ta.title', { symbol: escapeHtml(symbol) })}${interval ? ` (${interval})` : ''}</b>\n\n`;
+    
+    if (interval) {
+      message += formatIndicatorDetails(indicators[interval], t);
+    } else {
+      available.forEach(([name, value]) => {
+        message += `• ${formatIndicatorSummary(name, value, t)}\n`;
+      });
+      message += `\n<b>${t('ta.overall')}:</b> ${formatTrend(overallTrend(indicators), t)}\n`;
+      message += `\n<i>${t('ta.details', { symbol })}</i>`;
+    }
+    
+    await ctx.replyWithHTML(message);
+    logger.info(`Technical analysis sent for ${pair}`, { interval: interval || 'all' });
+  });
+
+  // Order book levels requested for /depth, enough to usually reach ±5%
+  const DEPTH_BOOK_LIMIT = 1000;
+  const DEFAULT_SLIPPAGE_SIZE = 1000;
+
+  function formatImbalance(imbalance, t) {
+    const percent = formatSignedPercent(imbalance * 100, 1, t.locale);
+    if (imbalance > 0.1) return `🟢 ${percent}% (${t('depth.bidsHeavier')})`;
+    if (imbalance < -0.1) return `🔴 ${percent}% (${t('depth.asksHeavier')})`;
+    return `⚪ ${percent}% (${t('depth.balanced')})`;
+  }
+
+  function formatSlippage(estimate, t) {
+    const { locale } = t;
+    const label = estimate.side === 'buy' ? `🟢 ${t('depth.marketBuy')}` : `🔴 ${t('depth.marketSell')}`;
+    if (!estimate.complete) {
+      return `${label}: ${t(estimate.side === 'buy' ? 'depth.fillableUp' : 'depth.fillableDown', {
+        value: formatNumber(estimate.filledValue, 0, locale),
+        price: formatPrice(estimate.worstPrice, locale)
+      })} ⚠️`;
+    }
+    return `${label}: ${t('depth.slippage', {
+      average: formatPrice(estimate.averagePrice, locale),
+      percent: formatNumber(estimate.slippagePercent, 2, locale),
+      worst: formatPrice(estimate.worstPrice, locale)
+    })}`;
+  }
+
+  // Order book depth command: /depth <SYMBOL> [USDT size]
+  bot.command('depth', async (ctx) => {
+    const [, rawSymbol, rawSize] = ctx.message.text.trim().split(/\s+/);
+    const locale = localeFor(ctx);
+    const t = createTranslator(locale);
+    const fmtPrice = (value) => formatPrice(value, locale);
+    const fmtNumber = (value, decimals) => formatNumber(value, decimals, locale);
+    
+    if (!rawSymbol) {
+      return ctx.reply(t('depth.usage', { example: tokens[0]?.symbol || 'TCAPY' }));
+    }
+    
+    const size = rawSize ? parseAmount(rawSize) : DEFAULT_SLIPPAGE_SIZE;
+    if (isNaN(size) || size <= 0) {
+      return ctx.reply(t('depth.badSize', { size: rawSize }));
+    }
+    
+    const symbol = rawSymbol.toUpperCase().replace(/USDT$/, '');
+    const token = findToken(tokens, symbol);
+    const pair = token?.pair || `${symbol}USDT`;
+    const name = token?.name || symbol;
+    
+    await ctx.sendChatAction('typing').catch(() => {});
+    
+    const orderBook = await fetchOrderBook(pair, DEPTH_BOOK_LIMIT);
+    const analysis = analyzeOrderBook(orderBook);
+    
+    if (!analysis) {
+      return ctx.reply(t('depth.noData', { pair }));
+    }
+    
+    let message = `<b>📚 ${t('depth.title', { name })}</b>\n\n`;
+    message += `<b>${t('depth.bestBid')}:</b> $${fmtPrice(analysis.bestBid)} | <b>${t('depth.bestAsk')}:</b> $${fmtPrice(analysis.bestAsk)}\n`;
+    message += `<b>${t('depth.spread')}:</b> $${fmtPrice(analysis.spread)} (${fmtNumber(analysis.spreadPercent, 3)}%)\n`;
+    
+    message += `\n<b>📊 ${t('depth.cumulative')}</b>\n`;
+    analysis.depth.forEach(({ percent, bidValue, askValue, imbalance, truncated }) => {
+      const marker = truncated ? '≥' : '';
+      message += `±${percent}%: 🟢 ${marker}$${fmtNumber(bidValue, 0)} | 🔴 ${marker}$${fmtNumber(askValue, 0)} | ⚖️ ${formatSignedPercent(imbalance * 100, 1, locale)}%\n`;
+    });
+    
+    const headline = analysis.depth.find(band => band.percent === 2) || analysis.depth[0];
+    message += `\n<b>⚖️ ${t('depth.imbalance', { percent: headline.percent })}:</b> ${formatImbalance(headline.imbalance, t)}\n`;
+    
+    if (analysis.sellWalls.length > 0) {
+      message += `\n<b>🧱 ${t('depth.sellWalls')}</b>\n`;
+      analysis.sellWalls.forEach(({ price, amount, value, distancePercent }, index) => {
+        message += `${index + 1}. $${fmtPrice(price)} (+${fmtNumber(distancePercent, 2)}%) | $${fmtNumber(value, 0)} | ${fmtNumber(amount, 0)} ${name}\n`;
+      });
+    }
+    
+    if (analysis.buyWalls.length > 0) {
+      message += `\n<b>🏆 ${t('depth.buyWalls')}</b>\n`;
+      analysis.buyWalls.forEach(({ price, amount, value, distancePercent }, index) => {
+        message += `${index + 1}. $${fmtPrice(price)} (${fmtNumber(distancePercent, 2)}%) | $${fmtNumber(value, 0)} | ${fmtNumber(amount, 0)} ${name}\n`;
+      });
+    }
+    
+    message += `\n<b>💸 ${t('depth.slippageFor', { size: fmtNumber(size, 0) })}</b>\n`;
+    ['buy', 'sell'].forEach(side => {
+      const estimate = estimateSlippage(orderBook, size, side);
+      if (estimate) message += `${formatSlippage(estimate, t)}\n`;
+    });
+    
+    if (analysis.depth.some(band => band.truncated)) {
+      message += `\n<i>${t('depth.truncated')}</i>\n`;
+    }
+    message += `\n<i>${t('depth.otherSizes', { symbol })}</i>`;
+    
+    await ctx.replyWithHTML(message);
+    logger.info(`Depth analysis sent for ${pair}`, { size });
+  });
+
+  // Snapshot history command: /history <SYMBOL> [24h|7d] [csv]
+  bot.command('history', async (ctx) => {
+    const [, rawSymbol, ...options] = ctx.message.text.trim().split(/\s+/);
+    const token = findToken(tokens, rawSymbol);
+    const locale = localeFor(ctx);
+    const t = createTranslator(locale);
+    const fmtPrice = (value) => formatPrice(value, locale);
+    const fmtNumber = (value, decimals) => formatNumber(value, decimals, locale);
+    
+    if (!token) {
+      const trackedList = tokens.map(item => item.symbol).join(', ');
+      return ctx.reply(t('history.usage', { example: tokens[0]?.symbol || 'TCAPY', tracked: trackedList }));
+    }
+    
+    const lowered = options.map(option => option.toLowerCase());
+    const range = lowered.find(option => HISTORY_RANGES[option]) || '24h';
+    const wantsCsv = lowered.includes('csv');
+    
+    const snapshots = storage.snapshots.list({
+      symbol: token.symbol,
+      since: Date.now() - HISTORY_RANGES[range]
+    });
+    const summary = summarizeSnapshots(snapshots);
+    
+    if (!summary) {
+      return ctx.reply(t('history.empty', { name: token.name, range }));
+    }
+    
+    if (wantsCsv) {
+      const filename = `${token.symbol.toLowerCase()}-history-${range}.csv`;
+      await ctx.replyWithDocument(
+        { source: Buffer.from(snapshotsToCsv(snapshots)), filename },
+        { caption: `📄 ${t('history.csvCaption', { name: token.name, count: summary.count, range })}` }
+      );
+      logger.info(`History CSV sent for ${token.symbol}`, { range, count: summary.count });
+      return;
+    }
+    
+    const formatTime = (timestamp) => new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16);
+    const formatMove = (snapshot) => t('history.move', { change: fmtNumber(snapshot.change1Hour, 2), time: formatTime(snapshot.timestamp) });
+    
+    let message = `<b>📜 ${t('history.title', { name: token.name, range })}</b>\n\n`;
+    message += `<b>${t('history.snapshots')}:</b> ${summary.count} (${formatTime(summary.from)} → ${formatTime(summary.to)} UTC)\n`;
+    message += `<b>${t('history.price')}:</b> $${fmtPrice(summary.firstPrice)} → $${fmtPrice(summary.lastPrice)} (${fmtNumber(summary.rangeChange, 2)}%)\n`;
+    message += `<b>${t('history.high')}:</b> ${t('history.priceAt', { price: fmtPrice(summary.high.price), time: formatTime(summary.high.timestamp) })}\n`;
+    message += `<b>${t('history.low')}:</b> ${t('history.priceAt', { price: fmtPrice(summary.low.price), time: formatTime(summary.low.timestamp) })}\n`;
+    message += `<b>${t('history.averageRatio')}:</b> ${summary.averageRatio === null ? 'N/A' : fmtNumber(summary.averageRatio, 2)}\n`;
+    
+    if (summary.biggestGain || summary.biggestDrop) {
+      message += `\n<b>${t('history.biggestMoves')}</b>\n`;
+      if (summary.biggestGain) message += `📈 ${formatMove(summary.biggestGain)}\n`;
+      if (summary.biggestDrop) message += `📉 ${formatMove(summary.biggestDrop)}\n`;
+    }
+    
+    message += `\n<i>${t('history.export', { symbol: token.symbol, range })}</i>`;
+    
+    await ctx.replyWithHTML(message);
+  });
+
+  // Replay the last 24h/7d through the signal rules: /backtest <SYMBOL> [24h|7d] [recorded]
+  // Uses 5m MEXC klines, or the snapshots recorded for /history with "recorded"
+  bot.command('backtest', async (ctx) => {
+    const [, rawSymbol, ...options] = ctx.message.text.trim().split(/\s+/);
+    const token = findToken(tokens, rawSymbol);
+    const t = createTranslator(localeFor(ctx));
+    
+    if (!token) {
+      const trackedList = tokens.map(item => item.symbol).join(', ');
+      return ctx.reply(t('backtest.usage', { example: tokens[0]?.symbol || 'TCAPY', tracked: trackedList }));
+    }
+    
+    const lowered = options.map(option => option.toLowerCase());
+    const range = lowered.find(option => HISTORY_RANGES[option]) || '7d';
+    const recorded = lowered.includes('recorded');
+    const startTime = Date.now() - HISTORY_RANGES[range];
+    
+    await ctx.sendChatAction('typing').catch(() => {});
+    
+    const data = recorded
+      ? snapshotObservations(storage.snapshots.list({ symbol: token.symbol, since: startTime }))
+      : klineObservations(await downloadKlines(
+        fetchKlinePage,
+        { symbol: token.pair, interval: '5m', startTime }
+      ).catch(error => {
+        logger.error('Failed to download backtest klines', { symbol: token.pair, error: error.message });
+        return [];
+      }), { interval: '5m' });
+    
+    if (data.observations.length === 0) {
+      return ctx.reply(t(recorded ? 'backtest.noRecordedData' : 'backtest.noKlineData', { name: token.name, range }));
+    }
+    
+    const report = formatBacktestReport(runBacktest(signalRules, data), {
+      symbol: token.symbol,
+      observations: data.observations.length,
+      from: data.observations[0].time,
+      to: data.observations[data.observations.length - 1].time
+    }, t);
+    
+    // Escaping can lengthen the text, so leave room when splitting
+    for (const part of splitMessage(report, TELEGRAM_MESSAGE_LIMIT - 500)) {
+      await ctx.replyWithHTML(`<pre>${escapeHtml(part)}</pre>`);
+    }
+    logger.info(`Backtest sent for ${token.symbol}`, { range, recorded, observations: data.observations.length });
+  });
+
+  // Send a triggered alert to the chat/topic that subscribed to it
+  async function sendAlertNotification(alert, value) {
+    const locale = chatLanguage(alert.chatId);
+    const t = createTranslator(locale);
+    const fmtPrice = (amount) => formatPrice(amount, locale);
+    const fmtNumber = (amount, decimals) => formatNumber(amount, decimals, locale);
+    const observed = alert.type === 'price' ? `$${fmtPrice(value)}`
+      : alert.type === 'change' ? `${fmtNumber(value, 2)}%`
+      : `$${fmtNumber(value, 0)}`;
+    
+    const message = `🔔 <b>${t('alert.triggered', { id: alert.id })}</b>\n` +
+      `${describeAlert(alert, { formatPrice: fmtPrice, formatNumber: fmtNumber, t })}\n` +
+      `${t('alert.now')}: <b>${observed}</b>`;
+    
+    await bot.telegram.sendMessage(alert.chatId, message, {
+      parse_mode: 'HTML',
+      message_thread_id: alert.threadId || undefined
+    });
+  }
+
+  const alertWatcher = createAlertWatcher({
+    store: alertStore,
+    fetchTrades: fetchTradesSince,
+    notify: sendAlertNotification,
+    calculateVolume,
+    getPriceAtTime,
+    intervalMs: parseInt(env.ALERT_CHECK_INTERVAL_MS, 10) || 60000,
+    cooldownMs: parseInt(env.ALERT_COOLDOWN_MS, 10) || 60 * 60 * 1000,
+    logger
+  });
+
+  // Whale notification text in the language of `t`
+  function formatWhaleEvent(token, event, t) {
+    const { locale } = t;
+    const isBuy = event.side === 'buy';
+    const fills = event.trades > 1
+      ? ` (${t('whale.fills', { trades: event.trades, seconds: Math.max(1, Math.round((event.endTime - event.startTime) / 1000)) })})`
+      : '';
+    const impact = `${formatSignedPercent(event.priceImpact, 2, locale)}%`;
+    
+    const name = escapeHtml(token.name);
+    return `🐋 <b>${t(isBuy ? 'whale.largeBuy' : 'whale.largeSell')}</b> ${isBuy ? '🟢' : '🔴'} ${name}/USDT\n` +
+      `💵 <b>$${formatNumber(event.value, 0, locale)}</b> | ${formatNumber(event.qty, 0, locale)} ${name}${fills}\n` +
+      `💰 <b>${t('whale.price')}:</b> $${formatPrice(event.priceBefore, locale)} → $${formatPrice(event.lastPrice, locale)} (${t('whale.impact', { impact })})`;
+  }
+
+  // Post a whale trade (or cluster of trades) to the token's group/topic
+  async function sendWhaleNotification(token, event) {
+    // Every chat receiving the token whose whale threshold the trade reaches
+    const targets = allChatTargets().filter(target =>
+      target.token.symbol === token.symbol &&
+      event.value >= signalOptionsFor(target.chatId).thresholds.whaleUsdt);
+    
+    for (const target of targets) {
+      const message = formatWhaleEvent(token, event, createTranslator(chatLanguage(target.chatId)));
+      await bot.telegram.sendMessage(target.chatId, message, {
+        parse_mode: 'HTML',
+        message_thread_id: target.threadId || undefined
+      }).catch(error => {
+        logger.error('Failed to send whale notification', { chatId: target.chatId, error: error.message });
+      });
+    }
+  }
+
+  // Tokens received by at least one chat, and the lowest whale threshold among those chats
+  function whaleWatchTokens() {
+    if (postingPaused()) return [];
+    return [...new Set(allChatTargets().map(target => target.token))];
+  }
+
+  function lowestWhaleThreshold(token) {
+    const thresholds = allChatTargets()
+      .filter(target => target.token.symbol === token.symbol)
+      .map(target => signalOptionsFor(target.chatId).thresholds.whaleUsdt);
+    return thresholds.length > 0 ? Math.min(...thresholds) : DEFAULT_THRESHOLDS.whaleUsdt;
+  }
+
+  // WHALE_MIN_USDT is the default minimum trade/cluster value (chats can change
+  // theirs with /settings); WHALE_PERCENTILE (e.g. 99) raises it to that
+  // percentile of the last hour's trade values
+  const whaleWatcher = createWhaleWatcher({
+    tokens: whaleWatchTokens,
+    fetchTrades: fetchTradesSince,
+    notify: sendWhaleNotification,
+    minValue: lowestWhaleThreshold,
+    percentile: parseFloat(env.WHALE_PERCENTILE) || null,
+    clusterMs: parseInt(env.WHALE_CLUSTER_MS, 10) || 10000,
+    intervalMs: parseInt(env.WHALE_CHECK_INTERVAL_MS, 10) || 30000,
+    logger
+  });
+  const WHALE_ALERTS_ENABLED = env.WHALE_ALERTS !== 'false';
+
+  // Minimum time between event-triggered posts of a token to one chat
+  const EVENT_MIN_SPACING_MS = parseInt(env.EVENT_MIN_SPACING_MS, 10) || 60 * 60 * 1000;
+
+  // Chats using event-driven posting, with the thresholds they trigger at
+  function eventWatchTargets() {
+    if (postingPaused()) return [];
+    return allChatTargets()
+      .filter(target => target.mode === 'events')
+      .map(target => ({ ...target, thresholds: signalOptionsFor(target.chatId).thresholds }));
+  }
+
+  async function measureTokenMarket(token) {
+    const [trades, klines, orderBook] = await Promise.all([
+      fetchTradesSince(token.pair, Date.now() - 15 * 60 * 1000),
+      fetchKlines(token.pair, '1m', MINUTE_KLINES_LIMIT),
+      fetchLatestOrderBook(token.pair, 100)
+    ]);
+    
+    return measureMarket({ trades, klines, orderBook }, { calculateVolume, getPriceAtTime });
+  }
+
+  function formatMarketEvent(event, t) {
+    const { locale } = t;
+    switch (event.type) {
+      case 'move':
+        return `${event.value >= 0 ? '🚀' : '📉'} ${t('event.move', { change: formatSignedPercent(event.value, 2, locale), threshold: event.threshold })}`;
+      case 'ratio':
+        return `⚖️ ${t(event.value >= 1 ? 'event.ratioBuyers' : 'event.ratioSellers', { ratio: formatNumber(event.value, 2, locale) })}`;
+      case 'volume':
+        return `📊 ${t('event.volume', { multiple: formatNumber(event.value, 1, locale) })}`;
+      case 'buyWall':
+        return `🧱 ${t('event.buyWall', {
+          value: formatNumber(event.wall.value, 0, locale),
+          price: formatPrice(event.wall.price, locale),
+          distance: formatNumber(event.wall.distancePercent, 2, locale)
+        })}`;
+      default:
+        return event.type;
+    }
+  }
+
+  // Post the full signal analysis, headed by the events that triggered it
+  function sendEventSignal(target, events) {
+    const t = createTranslator(chatLanguage(target.chatId));
+    const title = t(events.length > 1 ? 'event.titlePlural' : 'event.title');
+    const header = `⚡ <b>${title}</b>\n${events.map(event => formatMarketEvent(event, t)).join('\n')}\n\n`;
+    return sendSignal(target.token, null, { ...target, trigger: 'event', header });
+  }
+
+  function lastEventPostAt(target) {
+    return storage.signals
+      .list({ chatId: target.chatId, symbol: target.token.symbol, since: Date.now() - EVENT_MIN_SPACING_MS })
+      .find(signal => signal.trigger === 'event')?.postedAt || null;
+  }
+
+  // Chats with /settings posting mode "Market events" (or SIGNAL_MODE=events)
+  // get posts when their thresholds are crossed, see src/events.js
+  const eventWatcher = createEventWatcher({
+    targets: eventWatchTargets,
+    measure: measureTokenMarket,
+    notify: sendEventSignal,
+    lastPostedAt: lastEventPostAt,
+    minSpacingMs: EVENT_MIN_SPACING_MS,
+    rearmRatio: parseFloat(env.EVENT_REARM_RATIO) || 0.7,
+    intervalMs: parseInt(env.EVENT_CHECK_INTERVAL_MS, 10) || 60000,
+    logger
+  });
+
+
+  // Snapshots closer together than this would repeat each other, e.g. one
+  // post of a symbol to several chats
+  const SNAPSHOT_MIN_SPACING_MS = 5 * 60 * 1000;
+
+  // Keep a posted signal's metrics for /history and recorded backtests.
+  // Command replies and Refresh presses aren't recorded, so the history keeps
+  // the posting cadence.
+  function recordSnapshot(snapshot) {
+    const since = snapshot.timestamp - SNAPSHOT_MIN_SPACING_MS;
+    if (storage.snapshots.list({ symbol: snapshot.symbol, since }).length > 0) return;
+    storage.snapshots.record(snapshot);
+  }
+
+  // Main function to generate and send signals for a tracked token
+  async function sendSignal(token, ctx = null, target = null) {
+    // Determine chat and thread ID based on context, the chat target or the token's target chat
+    const chatId = ctx?.chat?.id || target?.chatId || token.chatId;
+    const messageThreadId = (ctx ? ctx.message?.message_thread_id : target ? target.threadId : token.threadId) || undefined;
+    // Replies follow the requesting user's language, posts the chat's
+    const locale = ctx ? localeFor(ctx) : chatLanguage(chatId);
+    const t = createTranslator(locale);
+    
+    try {
+      logger.info(`Starting ${token.symbol} signal generation`, { chatId, messageThreadId });
+      
+      const { message: analysis, trades, buyZones, currentPrice, change1Hour, change4Hour, snapshot } = await buildSignalMessage(token, { ...signalOptionsFor(chatId), locale });
+      const message = (target?.header || '') + analysis;
+      
+      // Long analyses go out as several messages; the keyboard goes on the last
+      const keyboard = signalKeyboard(token, t);
+      const parts = splitMessage(withUpdatedAt(message, locale));
+      let sentMessage;
+      for (const [index, part] of parts.entries()) {
+        const extra = {
+          disable_web_page_preview: true,
+          message_thread_id: messageThreadId,
+          ...(index === parts.length - 1 ? keyboard : {})
+        };
+        sentMessage = ctx
+          ? await ctx.replyWithHTML(part, extra)
+          : await bot.telegram.sendMessage(chatId, part, { parse_mode: 'HTML', ...extra });
+      }
+      rememberRefreshContent(sentMessage, message);
+      
+      // Follow up with the chart image
+      await sendChartPhoto(
+        () => buildChartImage(token.pair, { title: `${token.name}/USDT 5m - last 4h`, trades, buyZones, currentPrice }),
+        `📊 <b>${escapeHtml(token.name)}/USDT</b> $${formatPrice(currentPrice, locale)} | 1h: ${formatNumber(change1Hour, 2, locale)}% | 4h: ${formatNumber(change4Hour, 2, locale)}%`,
+        { ctx, chatId, messageThreadId }
+      );
+      
+      storage.signals.record({
+        chatId: chatId.toString(),
+        threadId: messageThreadId ? messageThreadId.toString() : null,
+        symbol: token.symbol,
+        messageId: sentMessage?.message_id || null,
+        trigger: ctx ? 'command' : target?.trigger || 'schedule'
+      });
+      if (!ctx) recordSnapshot(snapshot);
+      
+      logger.info(`Sent ${token.symbol} signal successfully`, { timestamp: new Date() });
+      return true;
+      
+    } catch (error) {
+      logger.error(`Error sending ${token.symbol} signal`, { 
+        error: error.message,
+        stack: error.stack
+      });
+      
+      // If not called from a command handler, try to send error message
+      if (!ctx && chatId) {
+        try {
+          await bot.telegram.sendMessage(
+            chatId,
+            t('signal.error', { name: escapeHtml(token.name), error: escapeHtml(error.message) }),
+            { 
+              parse_mode: 'HTML',
+              message_thread_id: messageThreadId
+            }
+          );
+        } catch (msgError) {
+          logger.error('Failed to send error message', { error: msgError.message });
+        }
+      }
+      
+      throw error;
+    }
+  }
+
+  // Backwards-compatible entry point for the default TCAPY signal
+  async function sendTcapySignal(ctx = null) {
+    const token = findToken(tokens, 'TCAPY');
+    if (!token) {
+      throw new Error('TCAPY is not configured');
+    }
+    
+    return sendSignal(token, ctx);
+  }
+
+  // Refresh button on /coin messages; unknown symbols fail like any build
+  bot.action(/^refresh_(.+)$/, (ctx) => {
+    const symbol = ctx.match[1];
+    return handleRefresh(ctx, () => buildCoinMessage(symbol, localeFor(ctx)));
+  });
+
+  // Refresh button on signal analysis messages
+  bot.action(/^signal_refresh_(.+)$/, (ctx) => {
+    const token = findToken(tokens, ctx.match[1]);
+    if (!token) {
+      return ctx.answerCbQuery(createTranslator(localeFor(ctx))('settings.error.untracked')).catch(() => {});
+    }
+    
+    const locale = localeFor(ctx);
+    // Long analyses were sent split in several messages, and only the last
+    // one carries the keyboard; edit that part
+    const renderLastPart = (content) => splitMessage(withUpdatedAt(content, locale)).at(-1);
+    return handleRefresh(ctx, async () => ({
+      message: (await buildSignalMessage(token, { ...signalOptionsFor(ctx.chat.id), locale })).message,
+      keyboard: signalKeyboard(token, createTranslator(locale)),
+      locale
+    }), renderLastPart);
+  });
+
+  // Handle global bot errors
+  bot.catch((err, ctx) => {
+    logger.error('Bot error', {
+      error: err.message,
+      stack: err.stack,
+      updateType: ctx?.updateType,
+      chat: ctx?.chat?.id,
+      user: ctx?.from?.id
+    });
+    
+    // Attempt to notify user
+    if (ctx && ctx.reply) {
+      ctx.reply(createTranslator(ctx.chat ? localeFor(ctx) : DEFAULT_LANGUAGE)('error.generic'))
+        .catch(replyErr => {
+          logger.error('Failed to send error reply', { error: replyErr.message });
+        });
+    }
+  });
+
+  // Last scheduled post ({ at, chatId, symbol, ok }), for /healthz
+  let lastScheduledPost = null;
+  metrics.gauge('tcapy_last_scheduled_post_timestamp_seconds', 'Time of the last scheduled post attempt', () => (
+    lastScheduledPost ? [{ labels: {}, value: lastScheduledPost.at / 1000 }] : []
+  ));
+
+  // Scheduled signal posts, one schedule per chat and token. SCHEDULE_TIMEZONE,
+  // SCHEDULE_POLICY (skip|catchup) and SCHEDULE_JITTER_MS are the defaults for
+  // schedules that don't set their own with /schedule set.
+  const scheduler = createScheduler({
+    store: storage.schedules,
+    run: async (schedule) => {
+      if (postingPaused()) {
+        scheduledPostsTotal.inc({ outcome: 'skipped' });
+        logger.info('Posting is paused, skipping scheduled post', { id: schedule.id });
+        return;
+      }
+      try {
+        const token = findToken(tokens, schedule.symbol);
+        if (!token) throw new Error(`${schedule.symbol} is no longer tracked`);
+        
+        // In events mode the scheduled post is the daily digest
+        const digest = chatTargets(schedule.chatId).some(target => target.token.symbol === token.symbol && target.mode === 'events');
+        await sendSignal(token, null, {
+          chatId: schedule.chatId,
+          threadId: schedule.threadId,
+          ...(digest && { trigger: 'digest', header: `📰 <b>${createTranslator(chatLanguage(schedule.chatId))('digest.title')}</b>\n\n` })
+        });
+        scheduledPostsTotal.inc({ outcome: 'success' });
+        lastScheduledPost = { at: Date.now(), chatId: schedule.chatId, symbol: schedule.symbol, ok: true };
+      } catch (error) {
+        scheduledPostsTotal.inc({ outcome: 'failure' });
+        lastScheduledPost = { at: Date.now(), chatId: schedule.chatId, symbol: schedule.symbol, ok: false };
+        throw error;
+      }
+    },
+    tickMs: parseInt(env.SCHEDULE_TICK_MS, 10) || 30000,
+    defaults: {
+      timezone: DEFAULT_SCHEDULE_TIMEZONE,
+      policy: SCHEDULE_POLICIES.includes(env.SCHEDULE_POLICY) ? env.SCHEDULE_POLICY : 'skip',
+      jitterMs: parseInt(env.SCHEDULE_JITTER_MS, 10) || 0
+    },
+    logger
+  });
+
+  // Called again whenever chat settings change
+  function syncSchedules() {
+    scheduler.sync(allChatTargets().map(target => ({
+      id: scheduleId(target.chatId, target.token.symbol),
+      chatId: target.chatId,
+      threadId: target.threadId,
+      symbol: target.token.symbol,
+      intervalMs: target.intervalMs
+    })));
+  }
+
+  // =====================================================
+  // Owner Commands
+  // =====================================================
+
+  // Operator commands for the users in OWNER_IDS. Every use, refused ones
+  // included, is logged with `audit: true` so it can be picked out of the logs.
+  function audit(ctx, command, details = {}) {
+    logger.info(`Owner command /${command}`, {
+      audit: true,
+      command,
+      userId: ctx.from?.id,
+      username: ctx.from?.username,
+      chatId: ctx.chat?.id,
+      ...details
+    });
+  }
+
+  // `handler(ctx, args, t)` returns extra details for the audit entry
+  function ownerCommand(command, handler) {
+    bot.command(command, async (ctx) => {
+      const t = createTranslator(localeFor(ctx));
+      if (!isOwner(ctx)) {
+        audit(ctx, command, { outcome: 'denied' });
+        return ctx.reply(t('owner.denied'));
+      }
+
+      const [, ...args] = ctx.message.text.trim().split(/\s+/);
+      try {
+        audit(ctx, command, { args, outcome: 'ok', ...await handler(ctx, args, t) });
+      } catch (error) {
+        audit(ctx, command, { args, outcome: 'error', error: error.message });
+        throw error;
+      }
+    });
+  }
+
+  // Post a signal now, even while posting is paused: /post_now <SYMBOL> [chat id]
+  ownerCommand('post_now', async (ctx, [rawSymbol, chatId], t) => {
+    const token = findToken(tokens, rawSymbol);
+    if (!token) {
+      await ctx.reply(t('owner.postNow.usage', { tracked: tokens.map(item => item.symbol).join(', ') }));
+      return { outcome: 'invalid' };
+    }
+
+    const targets = allChatTargets().filter(target =>
+      target.token.symbol === token.symbol && (!chatId || target.chatId === chatId));
+    if (targets.length === 0) {
+      await ctx.reply(chatId
+        ? t('owner.postNow.chatMissing', { chatId, symbol: token.symbol })
+        : t('owner.postNow.noChats', { symbol: token.symbol }));
+      return { outcome: 'invalid' };
+    }
+
+    const failed = [];
+    for (const target of targets) {
+      await sendSignal(token, null, { chatId: target.chatId, threadId: target.threadId, trigger: 'manual' })
+        .catch(() => failed.push(target.chatId));
+    }
+
+    await ctx.reply(t('owner.postNow.posted', { symbol: token.symbol, posted: targets.length - failed.length, total: targets.length }) +
+      (failed.length ? `\n${t('owner.postNow.failed', { chats: failed.join(', ') })}` : ''));
+    return { symbol: token.symbol, chats: targets.map(target => target.chatId), failed };
+  });
+
+  // Pause between broadcast messages, well under Telegram's ~30 messages/second
+  const BROADCAST_SPACING_MS = 50;
+
+  // Send a plain-text announcement to every registered group: /broadcast <text>
+  ownerCommand('broadcast', async (ctx, args, t) => {
+    const text = ctx.message.text.replace(/^\/\S+\s*/, '').trim();
+    if (!text) {
+      await ctx.reply(t('owner.broadcast.usage'));
+      return { outcome: 'invalid' };
+    }
+
+    const groups = storage.chats.list().filter(chat => chat.type === 'group' || chat.type === 'supergroup');
+    let sent = 0;
+    let removed = 0;
+    for (const [index, chat] of groups.entries()) {
+      if (index > 0) await new Promise(resolve => setTimeout(resolve, BROADCAST_SPACING_MS));
+      try {
+        await bot.telegram.sendMessage(chat.id, text, { disable_web_page_preview: true });
+        sent++;
+      } catch (error) {
+        logger.warn('Broadcast failed', { chatId: chat.id, error: error.message });
+        // Kicked or the group is gone: forget it like my_chat_member does
+        if (error.response?.error_code === 403) {
+          storage.chats.remove(chat.id.toString());
+          removed++;
+        }
+      }
+    }
+    if (removed) syncSchedules();
+
+    await ctx.reply(t('owner.broadcast.sent', { sent, total: groups.length }) +
+      (removed ? `\n${t('owner.broadcast.removed', { count: removed })}` : ''));
+    return { groups: groups.length, sent, removed };
+  });
+
+  // Stop and restart scheduled, market event and whale posts. Commands and
+  // price alerts keep working while paused.
+  ownerCommand('pause', async (ctx, args, t) => {
+    const state = storage.bot.get();
+    if (state.postingPaused) {
+      await ctx.reply(t('owner.pause.already', { since: isoTime(state.pausedAt) }));
+      return { outcome: 'unchanged' };
+    }
+
+    storage.bot.update({ postingPaused: true, pausedBy: ctx.from.id.toString(), pausedAt: Date.now() });
+    await ctx.reply(t('owner.pause.done'));
+  });
+
+  ownerCommand('resume', async (ctx, args, t) => {
+    if (!storage.bot.get().postingPaused) {
+      await ctx.reply(t('owner.resume.notPaused'));
+      return { outcome: 'unchanged' };
+    }
+
+    storage.bot.update({ postingPaused: false, pausedBy: null, pausedAt: null });
+    await ctx.reply(t('owner.resume.done'));
+  });
+
+  // 3d 4h, 2h 5m or 7m
+  function formatDuration(ms, t) {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    if (days > 0) return t('owner.duration.days', { days, hours: hours % 24 });
+    if (hours > 0) return t('owner.duration.hours', { hours, minutes: minutes % 60 });
+    return t('owner.duration.minutes', { minutes });
+  }
+
+  // Totals of a counter's series, grouped by one label
+  function countBy(counter, label, filter = () => true) {
+    const totals = {};
+    counter.entries().filter(({ labels }) => filter(labels)).forEach(({ labels, value }) => {
+      totals[labels[label]] = (totals[labels[label]] || 0) + value;
+    });
+    return totals;
+  }
+
+  const formatCounts = (counts, t) => Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([name, count]) => `${escapeHtml(name)} ${count}`)
+    .join(', ') || t('owner.stats.none');
+
+  // Usage since start and upstream health
+  ownerCommand('stats', async (ctx, args, t) => {
+    const { postingPaused: paused, pausedBy, pausedAt } = storage.bot.get();
+    const chats = storage.chats.list();
+    const groups = chats.filter(chat => chat.type === 'group' || chat.type === 'supergroup').length;
+    const signals = storage.signals.list({ since: Date.now() - 24 * 60 * 60 * 1000 });
+    const signalCounts = {};
+    signals.forEach(signal => {
+      signalCounts[signal.trigger] = (signalCounts[signal.trigger] || 0) + 1;
+    });
+
+    const upstreams = [...new Set(upstreamRequestsTotal.entries().map(({ labels }) => labels.upstream))].map(upstream => {
+      const outcomes = countBy(upstreamRequestsTotal, 'outcome', labels => labels.upstream === upstream);
+      const lastSuccess = lastUpstreamSuccessAt[upstream];
+      return t('owner.stats.upstream', { upstream, ok: outcomes.success || 0, failed: outcomes.error || 0 }) +
+        (lastSuccess ? t('owner.stats.lastOk', { duration: formatDuration(Date.now() - lastSuccess, t) }) : t('owner.stats.neverOk'));
+    });
+
+    await ctx.replyWithHTML([
+      `<b>${t('owner.stats.title')}</b>`,
+      t('owner.stats.uptime', { duration: formatDuration(Date.now() - startedAt, t), since: isoTime(startedAt) }),
+      t('owner.stats.updates', { role: t(isLeader() ? 'owner.stats.leader' : 'owner.stats.standby'), mode: updateMode || t('owner.stats.notConnected') }),
+      paused ? t('owner.stats.paused', { user: pausedBy, since: isoTime(pausedAt) }) : t('owner.stats.active'),
+      t('owner.stats.chats', { groups, other: chats.length - groups }),
+      t('owner.stats.signals', { count: signals.length, triggers: formatCounts(signalCounts, t) }),
+      t('owner.stats.commands', { counts: formatCounts(countBy(commandsTotal, 'command'), t) }),
+      t('owner.stats.scheduled', { counts: formatCounts(countBy(scheduledPostsTotal, 'outcome'), t) }),
+      '',
+      `<b>${t('owner.stats.upstreams')}</b>`,
+      ...(upstreams.length ? upstreams : [t('owner.stats.noRequests')])
+    ].join('\n'));
+  });
+
+  // Re-read tokens.json and signal-rules.json; on an error the current
+  // configuration stays
+  ownerCommand('reload', async (ctx, args, t) => {
+    let nextTokens;
+    let nextRules;
+    try {
+      nextTokens = loadTokenConfigs({ configPath: TOKENS_CONFIG_PATH, env });
+      nextRules = loadSignalRules({ rulesPath: SIGNAL_RULES_PATH });
+    } catch (error) {
+      logger.error(`Config reload failed: ${error.message}`);
+      await ctx.reply(t('owner.reload.failed', { error: error.message }));
+      return { outcome: 'error', error: error.message };
+    }
+
+    const before = tokens.map(token => token.symbol);
+    tokens.splice(0, tokens.length, ...nextTokens);
+    signalRules = nextRules;
+    syncStreamPairs();
+    syncSchedules();
+
+    const symbols = tokens.map(token => token.symbol);
+    const added = symbols.filter(symbol => !before.includes(symbol));
+    const dropped = before.filter(symbol => !symbols.includes(symbol));
+    logger.info(`Config reloaded, tracking tokens: ${symbols.join(', ')}`);
+    await ctx.reply([
+      t('owner.reload.done'),
+      t('owner.reload.tokens', { symbols: symbols.join(', ') }),
+      ...(added.length ? [t('owner.reload.added', { symbols: added.join(', ') })] : []),
+      ...(dropped.length ? [t('owner.reload.removed', { symbols: dropped.join(', ') })] : [])
+    ].join('\n'));
+    return { tokens: symbols, added, dropped };
+  });
+
+  // Recent lines of the error log (ERROR_LOG_FILE, logs/error.log by default):
+  // /logs [n]. Only the end of the file is read.
+  const ERROR_LOG_PATH = env.ERROR_LOG_FILE || path.join(rootDir, 'logs', 'error.log');
+  const DEFAULT_LOG_LINES = 20;
+  const MAX_LOG_LINES = 200;
+  const LOG_TAIL_BYTES = 256 * 1024;
+
+  function readLogTail(filePath, count) {
+    const { size } = fs.statSync(filePath);
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = buffer.toString('utf8').split('\n');
+    // The first line is cut off when the read starts mid-file
+    if (length < size) lines.shift();
+    return lines.filter(line => line.trim()).slice(-count);
+  }
+
+  ownerCommand('logs', async (ctx, [rawCount], t) => {
+    // Logs can hold chat ids and upstream responses; keep them out of groups
+    if (ctx.chat.type !== 'private') {
+      await ctx.reply(t('owner.logs.private'));
+      return { outcome: 'refused' };
+    }
+
+    const count = Math.min(Math.max(parseInt(rawCount, 10) || DEFAULT_LOG_LINES, 1), MAX_LOG_LINES);
+    if (!fs.existsSync(ERROR_LOG_PATH)) {
+      await ctx.reply(t('owner.logs.missing'));
+      return { lines: 0 };
+    }
+
+    const lines = readLogTail(ERROR_LOG_PATH, count);
+    if (lines.length === 0) {
+      await ctx.reply(t('owner.logs.empty'));
+      return { lines: 0 };
+    }
+
+    // The newest lines that fit in one message
+    const shown = [];
+    // Room for the header and <pre> tags
+    let length = 100;
+    for (const line of [...lines].reverse()) {
+      const escaped = escapeHtml(line);
+      if (length + escaped.length + 1 > TELEGRAM_MESSAGE_LIMIT) break;
+      shown.unshift(escaped);
+      length += escaped.length + 1;
+    }
+
+    await ctx.replyWithHTML(`<b>${t('owner.logs.title', { count: shown.length })}</b>\n<pre>${shown.join('\n')}</pre>`);
+    return { lines: shown.length };
+  });
+
+  // =====================================================
+  // Launch Bot
+  // =====================================================
+
+  // Receive updates through a webhook when WEBHOOK_URL is set (see
+  // src/webhook.js), falling back to long polling if it can't be set up.
+  // The HTTP server runs with the webhook or when HTTP_PORT is set, and also
+  // serves /healthz, /status and /metrics (see src/status.js). /status
+  // needs STATUS_TOKEN set and sent as a bearer token.
+  const webhookConfig = parseWebhookConfig(env, { logger });
+  const webhook = webhookConfig && createWebhook({ bot, config: webhookConfig, logger });
+  const httpServer = webhookConfig || env.HTTP_PORT
+    ? createHttpServer({ port: parseHttpPort(env, { logger }), host: env.HTTP_HOST || undefined, logger })
+    : null;
+  if (webhook) {
+    // Standbys ask Telegram (or the proxy) to deliver elsewhere
+    httpServer.use((req, res, next) => {
+      if (isLeader()) return webhook.handle(req, res, next);
+      if (req.method !== 'POST' || req.url !== webhookConfig.path) return next();
+      res.statusCode = 503;
+      res.end();
+    });
+  }
+  httpServer?.use(createStatusRoutes({ health, status, metrics, statusToken: env.STATUS_TOKEN || null }));
+
+  // Only one instance sharing the lock file (LOCK_FILE, data/bot.lock by
+  // default) receives updates and runs the scheduler and watchers; the others
+  // stand by and take over when it dies (see src/instanceLock.js). A new
+  // leader re-reads the storage its predecessor wrote, and only the leader
+  // writes it. LOCK_TTL_MS sets how long a silent leader keeps the lock;
+  // INSTANCE_LOCK=off runs without one.
+  const instanceLock = env.INSTANCE_LOCK === 'off' ? null : createInstanceLock({
+    filePath: env.LOCK_FILE || path.join(dataDir, 'bot.lock'),
+    ttlMs: parseInt(env.LOCK_TTL_MS, 10) || DEFAULT_LOCK_TTL_MS,
+    onAcquire: () => {
+      storage.reload();
+      storage.setWritable(true);
+      leadership = lead();
+    },
+    onLose: () => {
+      // Unsaved changes would overwrite the new leader's
+      storage.setWritable(false);
+      standBy('lost the instance lock');
+    },
+    logger
+  });
+  storage.setWritable(!instanceLock);
+  // The lead() started by the last takeover
+  let leadership = null;
+  const isLeader = () => !instanceLock || instanceLock.isLeader();
+
+  // Only the leader writes the shared storage, so with a lock the schedules
+  // are synced in lead(); without one this instance always leads
+  if (!instanceLock) syncSchedules();
+  metrics.gauge('tcapy_instance_leader', 'Whether this instance holds the instance lock', () => [{ labels: {}, value: isLeader() ? 1 : 0 }]);
+
+  const startedAt = Date.now();
+  const isoTime = (time) => (time ? new Date(time).toISOString() : null);
+
+  // Polling restarts after a failure, backing off while it keeps failing
+  // soon after starting, e.g. while another instance polls with the token
+  const POLLING_RETRY_MS = 30000;
+  const POLLING_MAX_RETRY_MS = 5 * 60 * 1000;
+  let pollingRetryMs = POLLING_RETRY_MS;
+  let retryTimer = null;
+  // 'webhook' or 'polling' while receiving updates
+  let updateMode = null;
+  metrics.gauge('tcapy_bot_connected', 'Whether the bot is receiving updates', () => [{ labels: {}, value: updateMode ? 1 : 0 }]);
+
+  // For /healthz: healthy while updates come in, or while standing by for
+  // another instance; upstream and post times are informational, so an
+  // upstream outage doesn't get the bot restarted
+  function health() {
+    const role = isLeader() ? 'leader' : 'standby';
+    return {
+      ok: updateMode !== null || role === 'standby',
+      role,
+      bot: { connected: updateMode !== null, mode: updateMode, username: bot.botInfo?.username ?? null },
+      lastSuccess: {
+        cmc: isoTime(lastUpstreamSuccessAt.cmc),
+        mexc: isoTime(lastUpstreamSuccessAt.mexc)
+      },
+      lastScheduledPost: lastScheduledPost && { ...lastScheduledPost, at: isoTime(lastScheduledPost.at) }
+    };
+  }
+
+  // For /status
+  function status() {
+    return {
+      ...health(),
+      startedAt: isoTime(startedAt),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      tokens: tokens.map(token => token.symbol),
+      instanceLock: instanceLock && { holder: lockHolder() },
+      mexcStream: {
+        connected: mexcStream.isConnected(),
+        connectedSince: isoTime(mexcStream.getConnectedSince())
+      },
+      upstreams: Object.fromEntries(Object.entries(lastUpstreamSuccessAt).map(([upstream, at]) => [upstream, { lastSuccess: isoTime(at) }])),
+      schedules: storage.schedules.list().map(schedule => ({
+        id: schedule.id,
+        paused: Boolean(schedule.paused),
+        lastRunAt: isoTime(schedule.lastRunAt),
+        nextRunAt: isoTime(schedule.nextRunAt)
+      })),
+      apiCache: apiCache.metrics()
+    };
+  }
+
+  function lockHolder() {
+    try {
+      return instanceLock.holder();
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  const isConflict = (error) => error.response?.error_code === 409 || error.message.includes('409: Conflict');
+
+  function scheduleRetry(delayMs) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (isLeader()) lead();
+    }, delayMs);
+  }
+
+  // Resolves once polling is under way (true) or failed to start (false).
+  // Telegraf's launch() only settles when polling ends, so later failures
+  // are handled here too.
+  function startPolling() {
+    return new Promise(resolve => {
+      let startedAt = null;
+
+      bot.launch(() => {
+        startedAt = Date.now();
+        updateMode = 'polling';
+        logger.info('Bot started with long polling', { username: bot.botInfo?.username });
+        resolve(true);
+      }).then(() => {
+        // Polling ended through stop()
+        updateMode = null;
+      }, error => {
+        updateMode = null;
+        const retryMs = pollingRetryMs;
+        pollingRetryMs = startedAt && Date.now() - startedAt > POLLING_MAX_RETRY_MS
+          ? POLLING_RETRY_MS
+          : Math.min(retryMs * 2, POLLING_MAX_RETRY_MS);
+
+        if (isConflict(error)) {
+          logger.warn(`Another instance is polling with this bot token (409 Conflict). Retrying in ${retryMs / 1000}s; run one instance per token or set WEBHOOK_URL.`);
+        } else {
+          logger.error('Long polling failed', { error: error.message, stack: error.stack });
+          logger.info(`Will attempt to restart in ${retryMs / 1000} seconds`);
+        }
+        scheduleRetry(retryMs);
+        resolve(false);
+      });
+    });
+  }
+
+  // Receive updates and run the background jobs, as the leader
+  async function lead() {
+    // Ensure the bot is not already running
+    if (updateMode) {
+      logger.info('Bot is already running.');
+      return true;
+    }
+
+    syncSchedules();
+    // Start streaming trades before connecting so the buffer fills as early as possible
+    mexcStream.start();
+    alertWatcher.start();
+    if (WHALE_ALERTS_ENABLED) whaleWatcher.start();
+    scheduler.start();
+    eventWatcher.start();
+    cacheStatsTimer = cacheStatsTimer || setInterval(() => {
+      logger.info('API cache stats', apiCache.metrics());
+    }, CACHE_STATS_INTERVAL_MS);
+
+    if (webhook && !httpServer.isListening()) {
+      logger.warn('The webhook needs the HTTP server, falling back to long polling');
+    } else if (webhook) {
+      try {
+        bot.botInfo ??= await bot.telegram.getMe();
+        await webhook.register();
+        updateMode = 'webhook';
+        logger.info('Bot started with webhook', { username: bot.botInfo.username, url: webhookConfig.url });
+        return true;
+      } catch (error) {
+        if (!bot.botInfo) {
+          // Telegram itself is unreachable; polling would fail the same way
+          logger.error('Failed to start bot', { error: error.message, stack: error.stack });
+          logger.info(`Will attempt to restart in ${POLLING_RETRY_MS / 1000} seconds`);
+          scheduleRetry(POLLING_RETRY_MS);
+          return false;
+        }
+        logger.error('Webhook setup failed, falling back to long polling', { error: error.message });
+      }
+    }
+
+    return startPolling();
+  }
+
+  // Stop receiving updates and the background jobs. The webhook stays
+  // registered for the next leader to point at itself.
+  function standBy(reason) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    mexcStream.stop();
+    alertWatcher.stop();
+    whaleWatcher.stop();
+    scheduler.stop();
+    eventWatcher.stop();
+    clearInterval(cacheStatsTimer);
+    cacheStatsTimer = null;
+    if (updateMode === 'polling') bot.stop(reason);
+    updateMode = null;
+  }
+
+  // Start the HTTP server, then lead or stand by. Resolves like lead(), or
+  // true when standing by.
+  async function launch() {
+    if (httpServer && !httpServer.isListening()) {
+      await httpServer.start().catch(error => {
+        logger.error(`HTTP server failed to start: ${error.message}`);
+      });
+    }
+
+    if (!instanceLock) return lead();
+    return instanceLock.start() ? leadership : true;
+  }
+
+  // Stop everything and release the instance lock, e.g. on SIGINT/SIGTERM
+  async function stop(reason) {
+    standBy(reason);
+    // Save pending changes while still holding the lock
+    storage.close();
+    instanceLock?.stop();
+    if (httpServer) await httpServer.stop();
+  }
+
+  return {
+    bot,
+    launch,
+    stop,
+    sendSignal,
+    sendTcapySignal,
+    buildSignalMessage,
+    tokens,
+    storage,
+    scheduler,
+    marketData,
+    mexcStream,
+    apiCache,
+    metrics,
+    httpServer,
+    health,
+    status,
+    instanceLock
+  };
+}
@@ -0,0 +1,229 @@
+import { createTranslator } from './i18n.js';
+import { klinesToCandles, KLINE_INTERVALS } from './klines.js';
+import { computeIndicators } from './indicators.js';
+import { klineWindowVolume, paginateTimeRange } from './volumeData.js';
+import { evaluateRules, signalFacts } from './signalRules.js';
+
+// Replay market data through the signal rules and measure what followed each
+// signal. Data comes as observations ({ time, price, facts }, oldest first)
+// and a price path ({ time, price }, oldest first) for the forward returns.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Forward return horizons in the report
+export const BACKTEST_HORIZONS = {
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '24h': 24 * HOUR_MS
+};
+
+// Same windows as the signal message
+const SIGNAL_WINDOWS = [
+  { id: '15m', ms: 15 * MINUTE_MS },
+  { id: '30m', ms: 30 * MINUTE_MS },
+  { id: '1h', ms: HOUR_MS },
+  { id: '4h', ms: 4 * HOUR_MS }
+];
+
+const KLINE_PAGE_LIMIT = 1000;
+
+// Download klines (MEXC rows, oldest first) for a time range. getKlines(params)
+// resolves one page of the /klines endpoint for { symbol, interval, startTime,
+// endTime, limit }. `interval` is a KLINE_INTERVALS id.
+export async function downloadKlines(getKlines, { symbol, interval = '5m', startTime, endTime = Date.now(), maxPages = 50 }) {
+  const { mexc, ms } = KLINE_INTERVALS[interval];
+
+  const { items } = await paginateTimeRange({
+    startTime,
+    endTime,
+    chunkMs: KLINE_PAGE_LIMIT * ms,
+    pageLimit: KLINE_PAGE_LIMIT,
+    maxPages,
+    fetchPage: (pageStart, pageEnd) => getKlines({ symbol, interval: mexc, startTime: pageStart, endTime: pageEnd, limit: KLINE_PAGE_LIMIT }),
+    getTime: row => Number(row[0])
+  });
+
+  return items;
+}
+
+// Candles of `intervalMs` built from shorter candles (oldest first)
+function aggregateCandles(candles, intervalMs) {
+  const buckets = new Map();
+  candles.forEach(candle => {
+    const start = Math.floor(candle.time / intervalMs) * intervalMs;
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, { ...candle, time: start });
+      return;
+    }
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.volume += candle.volume;
+  });
+
+  return [...buckets.values()];
+}
+
+// Observations every stepMs from klines of `interval` (a KLINE_INTERVALS id).
+// At each step only candles closed by then are used: price changes and
+// buy/sell volumes (approximated as in klineWindowVolume) for the signal
+// windows, and indicators for `indicatorIntervals` at least as long as the
+// kline interval, computed from the candles aggregated to that interval.
+export function klineObservations(klines, { interval = '5m', stepMs = HOUR_MS, indicatorIntervals = ['15m', '1h', '4h'] } = {}) {
+  const intervalMs = KLINE_INTERVALS[interval].ms;
+  const rows = [...klines].sort((a, b) => Number(a[0]) - Number(b[0]));
+  const candles = klinesToCandles(rows);
+  const prices = candles.map(candle => ({ time: candle.time + intervalMs, price: candle.close }));
+  const observations = [];
+  if (candles.length === 0) return { observations, prices };
+
+  // Price at a time: the close of the last candle closed by then
+  const priceAt = (closed, time) => {
+    for (let index = closed.length - 1; index >= 0; index--) {
+      if (closed[index].time + intervalMs <= time) return closed[index].close;
+    }
+    return null;
+  };
+
+  const firstTime = candles[0].time + SIGNAL_WINDOWS[SIGNAL_WINDOWS.length - 1].ms;
+  const lastTime = candles[candles.length - 1].time + intervalMs;
+
+  for (let time = Math.ceil(firstTime / stepMs) * stepMs; time <= lastTime; time += stepMs) {
+    const closedCount = candles.findIndex(candle => candle.time + intervalMs > time);
+    const closed = closedCount === -1 ? candles : candles.slice(0, closedCount);
+    const closedRows = rows.slice(0, closed.length);
+    const price = closed[closed.length - 1]?.close;
+    if (!price) continue;
+
+    const timeframes = SIGNAL_WINDOWS.map(({ id, ms }) => {
+      const startPrice = priceAt(closed, time - ms) || price;
+      return {
+        id,
+        change: (price - startPrice) / startPrice * 100,
+        data: klineWindowVolume(closedRows, time - ms)
+      };
+    });
+
+    const indicators = Object.fromEntries(indicatorIntervals
+      .filter(id => KLINE_INTERVALS[id].ms >= intervalMs)
+      .map(id => {
+        const intervalCandles = aggregateCandles(closed, KLINE_INTERVALS[id].ms);
+        return [id, computeIndicators(intervalCandles, { vwapCandles: KLINE_INTERVALS[id].vwapCandles })];
+      }));
+
+    observations.push({ time, price, facts: signalFacts({ timeframes, indicators }) });
+  }
+
+  return { observations, prices };
+}
+
+// Observations from the snapshots recorded for /history (oldest first).
+// Snapshots carry no 30m volumes or indicators, so rules on those don't
+// match when the 30m window is the most significant.
+export function snapshotObservations(snapshots) {
+  const priced = snapshots.filter(snapshot => typeof snapshot.price === 'number' && snapshot.price > 0);
+  const volumes = (buy, sell) => ({ totalBuyValue: buy, totalSellValue: sell });
+
+  return {
+    observations: priced.map(snapshot => ({
+      time: snapshot.timestamp,
+      price: snapshot.price,
+      facts: signalFacts({
+        timeframes: [
+          { id: '15m', change: snapshot.change15Min, data: volumes(snapshot.buyValue15Min, snapshot.sellValue15Min) },
+          { id: '30m', change: snapshot.change30Min, data: null },
+          { id: '1h', change: snapshot.change1Hour, data: volumes(snapshot.buyValue1Hour, snapshot.sellValue1Hour) },
+          { id: '4h', change: snapshot.change4Hour, data: volumes(snapshot.buyValue4Hour, snapshot.sellValue4Hour) }
+        ]
+      })
+    })),
+    prices: priced.map(snapshot => ({ time: snapshot.timestamp, price: snapshot.price }))
+  };
+}
+
+// First price at or after `time`, if it is within `toleranceMs` of it
+function priceAfter(prices, time, toleranceMs) {
+  const point = prices.find(entry => entry.time >= time);
+  return point && point.time - time <= toleranceMs ? point.price : null;
+}
+
+// Per matched rule: how often it fired and the forward return after each
+// horizon. A bullish rule is a hit when the price rose, a bearish one when it
+// fell and a neutral one when it moved less than neutralBandPercent either
+// way. Forward prices more than a quarter of the horizon late (gaps in
+// recorded data) are skipped.
+export function runBacktest(rules, { observations, prices }, { horizons = BACKTEST_HORIZONS, neutralBandPercent = 1 } = {}) {
+  const stats = new Map();
+
+  observations.forEach(({ time, price, facts }) => {
+    evaluateRules(rules, facts).forEach(rule => {
+      if (!stats.has(rule.id)) {
+        stats.set(rule.id, {
+          id: rule.id,
+          group: rule.group,
+          bias: rule.bias || null,
+          signals: 0,
+          horizons: Object.fromEntries(Object.keys(horizons).map(label => [label, { samples: 0, totalReturn: 0, hits: 0 }]))
+        });
+      }
+
+      const entry = stats.get(rule.id);
+      entry.signals++;
+
+      Object.entries(horizons).forEach(([label, ms]) => {
+        const future = priceAfter(prices, time + ms, ms / 4);
+        if (future === null) return;
+
+        const forwardReturn = (future - price) / price * 100;
+        const horizon = entry.horizons[label];
+        horizon.samples++;
+        horizon.totalReturn += forwardReturn;
+        if ((rule.bias === 'bullish' && forwardReturn > 0) ||
+            (rule.bias === 'bearish' && forwardReturn < 0) ||
+            (rule.bias === 'neutral' && Math.abs(forwardReturn) < neutralBandPercent)) {
+          horizon.hits++;
+        }
+      });
+    });
+  });
+
+  // Report in rule order
+  return rules
+    .filter(rule => stats.has(rule.id))
+    .map(rule => {
+      const entry = stats.get(rule.id);
+      return {
+        ...entry,
+        horizons: Object.fromEntries(Object.entries(entry.horizons).map(([label, { samples, totalReturn, hits }]) => [label, {
+          samples,
+          averageReturn: samples > 0 ? totalReturn / samples : null,
+          hitRate: samples > 0 && entry.bias ? hits / samples * 100 : null
+        }]))
+      };
+    });
+}
+
+// Plain-text report in the language of `t`, one line per rule
+export function formatBacktestReport(results, { symbol, observations, from, to }, t = createTranslator()) {
+  const date = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 16);
+  const percent = (value) => value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+  const lines = [t('backtest.report.title', { symbol, observations, from: date(from), to: date(to) })];
+  if (results.length === 0) {
+    lines.push(t('backtest.report.noMatch'));
+    return lines.join('\n');
+  }
+
+  lines.push(t('backtest.report.legend'));
+  results.forEach(result => {
+    const horizons = Object.entries(result.horizons).map(([label, { samples, averageReturn, hitRate }]) =>
+      samples === 0
+        ? `${label}: -`
+        : `${label}: ${percent(averageReturn)}${hitRate === null ? '' : t('backtest.report.hitRate', { rate: hitRate.toFixed(0) })} (${samples})`);
+    lines.push(`${result.id} (${result.bias || '-'}) ${result.signals}x | ${horizons.join(' | ')}`);
+  });
+
+  return lines.join('\n');
+}
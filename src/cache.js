@@ -0,0 +1,102 @@
+// In-memory cache for upstream API responses, one namespace per endpoint.
+//   - Values are fresh for the endpoint's TTL (ttls[endpoint], else defaultTtlMs)
+//   - Concurrent requests for the same key share one in-flight load
+//   - When a load fails, a value up to staleTtlMs past its TTL is served instead
+//   - Hits, misses, coalesced requests, stale serves and errors are counted
+// Failed loads are never cached, so the next request tries upstream again.
+export function createCache({
+  ttls = {},
+  defaultTtlMs = 30000,
+  staleTtlMs = 10 * 60 * 1000,
+  maxEntries = 1000,
+  logger = console,
+  now = Date.now
+} = {}) {
+  // endpoint -> Map(key -> { value, storedAt })
+  const entries = new Map();
+  // `${endpoint}\u0000${key}` -> promise
+  const inFlight = new Map();
+  const counters = new Map();
+
+  const ttlFor = (endpoint) => ttls[endpoint] ?? defaultTtlMs;
+
+  function count(endpoint, field) {
+    if (!counters.has(endpoint)) {
+      counters.set(endpoint, { hits: 0, misses: 0, coalesced: 0, stale: 0, errors: 0 });
+    }
+    counters.get(endpoint)[field]++;
+  }
+
+  function store(endpoint, key, value) {
+    if (!entries.has(endpoint)) entries.set(endpoint, new Map());
+    const endpointEntries = entries.get(endpoint);
+
+    // Re-insert so the Map stays in least-recently-stored order
+    endpointEntries.delete(key);
+    endpointEntries.set(key, { value, storedAt: now() });
+    if (endpointEntries.size > maxEntries) {
+      endpointEntries.delete(endpointEntries.keys().next().value);
+    }
+  }
+
+  async function load(endpoint, key, loader, entry) {
+    try {
+      const value = await loader();
+      store(endpoint, key, value);
+      return value;
+    } catch (error) {
+      count(endpoint, 'errors');
+
+      if (entry && now() - entry.storedAt < ttlFor(endpoint) + staleTtlMs) {
+        count(endpoint, 'stale');
+        logger.warn(`Serving stale ${endpoint} data for ${key}: ${error.message}`);
+        return entry.value;
+      }
+      throw error;
+    }
+  }
+
+  return {
+    // Cached value for endpoint/key, calling loader() to (re)load it
+    get(endpoint, key, loader) {
+      const entry = entries.get(endpoint)?.get(key);
+      if (entry && now() - entry.storedAt < ttlFor(endpoint)) {
+        count(endpoint, 'hits');
+        return Promise.resolve(entry.value);
+      }
+
+      const flightKey = `${endpoint}\u0000${key}`;
+      if (inFlight.has(flightKey)) {
+        count(endpoint, 'coalesced');
+        return inFlight.get(flightKey);
+      }
+
+      count(endpoint, 'misses');
+      const promise = load(endpoint, key, loader, entry).finally(() => inFlight.delete(flightKey));
+      inFlight.set(flightKey, promise);
+      return promise;
+    },
+
+    // Drop one key, a whole endpoint, or everything
+    invalidate(endpoint = null, key = null) {
+      if (endpoint === null) entries.clear();
+      else if (key === null) entries.delete(endpoint);
+      else entries.get(endpoint)?.delete(key);
+    },
+
+    // Counters and cached entry count per endpoint
+    metrics() {
+      const endpoints = new Set([...counters.keys(), ...entries.keys()]);
+      return Object.fromEntries([...endpoints].map(endpoint => [endpoint, {
+        hits: 0,
+        misses: 0,
+        coalesced: 0,
+        stale: 0,
+        errors: 0,
+        ...counters.get(endpoint),
+        size: entries.get(endpoint)?.size || 0,
+        ttlMs: ttlFor(endpoint)
+      }]));
+    }
+  };
+}
@@ -0,0 +1,259 @@
+import { PNG } from 'pngjs';
+import { GLYPH_WIDTH, GLYPH_HEIGHT, glyphFor } from './bitmapFont.js';
+
+const COLORS = {
+  background: [19, 23, 34],
+  grid: [42, 46, 57],
+  axisText: [178, 181, 190],
+  title: [235, 236, 240],
+  up: [38, 166, 154],
+  down: [239, 83, 80],
+  buyVolume: [38, 166, 154],
+  sellVolume: [239, 83, 80],
+  buyZone: [255, 193, 7],
+  currentPrice: [66, 165, 245]
+};
+
+// =====================================================
+// Raster drawing helpers
+// =====================================================
+
+function createRaster(width, height, background) {
+  const png = new PNG({ width, height });
+
+  function setPixel(x, y, [r, g, b]) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const index = (y * width + x) * 4;
+    png.data[index] = r;
+    png.data[index + 1] = g;
+    png.data[index + 2] = b;
+    png.data[index + 3] = 255;
+  }
+
+  function fillRect(x, y, w, h, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(width, Math.round(x + w));
+    const y1 = Math.min(height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        setPixel(px, py, color);
+      }
+    }
+  }
+
+  function hline(x0, x1, y, color, dash = 0) {
+    for (let x = Math.round(x0); x <= Math.round(x1); x++) {
+      if (dash && Math.floor((x - x0) / dash) % 2 === 1) continue;
+      setPixel(x, y, color);
+    }
+  }
+
+  function vline(x, y0, y1, color) {
+    const from = Math.round(Math.min(y0, y1));
+    const to = Math.round(Math.max(y0, y1));
+    for (let y = from; y <= to; y++) {
+      setPixel(x, y, color);
+    }
+  }
+
+  function text(x, y, value, color, scale = 1) {
+    let cursor = Math.round(x);
+    for (const char of String(value)) {
+      const rows = glyphFor(char);
+      rows.forEach((bits, row) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          if (bits & (1 << (GLYPH_WIDTH - 1 - col))) {
+            fillRect(cursor + col * scale, y + row * scale, scale, scale, color);
+          }
+        }
+      });
+      cursor += (GLYPH_WIDTH + 1) * scale;
+    }
+  }
+
+  fillRect(0, 0, width, height, background);
+
+  return {
+    fillRect,
+    hline,
+    vline,
+    text,
+    toBuffer: () => PNG.sync.write(png)
+  };
+}
+
+export function textWidth(value, scale = 1) {
+  return String(value).length * (GLYPH_WIDTH + 1) * scale;
+}
+
+// =====================================================
+// Data preparation
+// =====================================================
+
+// Build candles directly from trades (newest first) when klines are unavailable
+export function buildCandlesFromTrades(trades, { intervalMs, count, now = Date.now() }) {
+  const firstOpen = Math.floor(now / intervalMs) * intervalMs - (count - 1) * intervalMs;
+  const candles = [];
+
+  const chronological = [...trades].reverse();
+  chronological.forEach(trade => {
+    const time = parseInt(trade.time, 10);
+    const price = parseFloat(trade.price);
+    if (isNaN(time) || isNaN(price) || time < firstOpen) return;
+
+    const openTime = Math.floor(time / intervalMs) * intervalMs;
+    const last = candles[candles.length - 1];
+
+    if (last && last.time === openTime) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+    } else {
+      candles.push({ time: openTime, open: price, high: price, low: price, close: price });
+    }
+  });
+
+  return candles;
+}
+
+// Sum taker buy and sell value of trades falling into each candle
+export function bucketTradeVolumes(trades, candles, intervalMs) {
+  const volumes = candles.map(() => ({ buy: 0, sell: 0 }));
+  const indexByTime = new Map(candles.map((candle, index) => [candle.time, index]));
+
+  trades.forEach(trade => {
+    const openTime = Math.floor(parseInt(trade.time, 10) / intervalMs) * intervalMs;
+    const index = indexByTime.get(openTime);
+    if (index === undefined) return;
+
+    const value = parseFloat(trade.price) * parseFloat(trade.qty);
+    if (isNaN(value)) return;
+
+    if (trade.isBuyerMaker) {
+      volumes[index].sell += value;
+    } else {
+      volumes[index].buy += value;
+    }
+  });
+
+  return volumes;
+}
+
+// =====================================================
+// Chart rendering
+// =====================================================
+
+// Render a candlestick chart with buy/sell volume bars and buy zone levels as a PNG buffer
+export function renderSignalChart({
+  title,
+  candles,
+  volumes = [],
+  buyZones = [],
+  currentPrice,
+  formatPrice = (price) => String(price),
+  width = 900,
+  height = 560
+}) {
+  if (!candles || candles.length === 0) {
+    throw new Error('No candles to render');
+  }
+
+  const raster = createRaster(width, height, COLORS.background);
+
+  const padding = { top: 36, right: 96, bottom: 16, left: 12 };
+  const volumeHeight = Math.round((height - padding.top - padding.bottom) * 0.25);
+  const gap = 14;
+  const priceTop = padding.top;
+  const priceBottom = height - padding.bottom - volumeHeight - gap;
+  const volumeTop = priceBottom + gap;
+  const volumeBottom = height - padding.bottom;
+  const plotLeft = padding.left;
+  const plotRight = width - padding.right;
+
+  // Price range covers candles, buy zones and the current price
+  const levels = [
+    ...candles.flatMap(candle => [candle.high, candle.low]),
+    ...buyZones.map(zone => zone.price),
+    ...(isFinite(currentPrice) ? [currentPrice] : [])
+  ];
+  let minPrice = Math.min(...levels);
+  let maxPrice = Math.max(...levels);
+  if (minPrice === maxPrice) {
+    minPrice *= 0.99;
+    maxPrice *= 1.01;
+  }
+  const margin = (maxPrice - minPrice) * 0.05;
+  minPrice -= margin;
+  maxPrice += margin;
+
+  const priceToY = (price) => priceBottom - (price - minPrice) / (maxPrice - minPrice) * (priceBottom - priceTop);
+  const slot = (plotRight - plotLeft) / candles.length;
+  const bodyWidth = Math.max(1, Math.floor(slot * 0.7));
+  const xFor = (index) => plotLeft + slot * index + (slot - bodyWidth) / 2;
+
+  // Title
+  raster.text(plotLeft, 12, title, COLORS.title, 2);
+
+  // Horizontal grid with price labels
+  const gridLines = 5;
+  for (let i = 0; i <= gridLines; i++) {
+    const price = minPrice + (maxPrice - minPrice) * i / gridLines;
+    const y = Math.round(priceToY(price));
+    raster.hline(plotLeft, plotRight, y, COLORS.grid);
+    raster.text(plotRight + 6, y - Math.floor(GLYPH_HEIGHT / 2), `$${formatPrice(price)}`, COLORS.axisText);
+  }
+  raster.hline(plotLeft, plotRight, volumeBottom, COLORS.grid);
+
+  // Buy zones
+  buyZones.forEach(zone => {
+    const y = Math.round(priceToY(zone.price));
+    raster.hline(plotLeft, plotRight, y, COLORS.buyZone, 6);
+    raster.fillRect(plotRight + 2, y - 6, padding.right - 4, 12, COLORS.buyZone);
+    raster.text(plotRight + 6, y - 3, `$${formatPrice(zone.price)}`, COLORS.background);
+  });
+
+  // Candles
+  candles.forEach((candle, index) => {
+    const color = candle.close >= candle.open ? COLORS.up : COLORS.down;
+    const x = xFor(index);
+    const wickX = Math.round(x + bodyWidth / 2);
+    raster.vline(wickX, priceToY(candle.high), priceToY(candle.low), color);
+
+    const top = priceToY(Math.max(candle.open, candle.close));
+    const bottom = priceToY(Math.min(candle.open, candle.close));
+    raster.fillRect(x, top, bodyWidth, Math.max(1, bottom - top), color);
+  });
+
+  // Current price marker
+  if (isFinite(currentPrice)) {
+    const y = Math.round(priceToY(currentPrice));
+    raster.hline(plotLeft, plotRight, y, COLORS.currentPrice, 2);
+    raster.fillRect(plotRight + 2, y - 6, padding.right - 4, 12, COLORS.currentPrice);
+    raster.text(plotRight + 6, y - 3, `$${formatPrice(currentPrice)}`, COLORS.background);
+  }
+
+  // Buy vs sell volume bars, side by side per candle
+  const maxVolume = Math.max(1, ...volumes.flatMap(volume => [volume.buy, volume.sell]));
+  const halfWidth = Math.max(1, Math.floor(bodyWidth / 2));
+  volumes.forEach((volume, index) => {
+    const x = xFor(index);
+    const buyHeight = volume.buy / maxVolume * (volumeBottom - volumeTop);
+    const sellHeight = volume.sell / maxVolume * (volumeBottom - volumeTop);
+    raster.fillRect(x, volumeBottom - buyHeight, halfWidth, buyHeight, COLORS.buyVolume);
+    raster.fillRect(x + halfWidth, volumeBottom - sellHeight, bodyWidth - halfWidth, sellHeight, COLORS.sellVolume);
+  });
+
+  // Legend
+  const legend = [['BUY VOL', COLORS.buyVolume], ['SELL VOL', COLORS.sellVolume], ['BUY ZONE', COLORS.buyZone]];
+  let legendX = plotRight - legend.reduce((sum, [label]) => sum + textWidth(label) + 22, 0);
+  legend.forEach(([label, color]) => {
+    raster.fillRect(legendX, 15, 8, 8, color);
+    raster.text(legendX + 12, 16, label, COLORS.axisText);
+    legendX += textWidth(label) + 22;
+  });
+
+  return raster.toBuffer();
+}
@@ -0,0 +1,84 @@
+import { findToken } from './tokens.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Interval of the daily digest posted to chats using event-driven posting
+export const DIGEST_INTERVAL_MS = 24 * HOUR_MS;
+
+// Sections of the signal message a chat can switch off or reorder, in
+// default message order. Their names are the `section.<id>` catalog entries.
+export const SIGNAL_SECTIONS = ['signal', 'volume', 'buyZones', 'whales', 'market', 'exchanges', 'indicators'];
+
+// Choices offered by the /settings menu
+export const INTERVAL_OPTIONS = [0, 1, 2, 4, 6, 12, 24].map(hours => hours * HOUR_MS);
+
+export const LANGUAGES = {
+  en: 'English',
+  vi: 'Tiếng Việt'
+};
+
+export const THRESHOLD_OPTIONS = {
+  whaleUsdt: [1000, 5000, 10000, 25000, 50000],
+  move15m: [3, 5, 10],
+  move1h: [5, 10, 20],
+  ratioSpike: [2, 3, 5],
+  volumeSurge: [2, 3, 5],
+  buyWallUsdt: [5000, 10000, 25000, 50000]
+};
+
+// How scheduled signal posts are triggered: on the chat's interval, or by
+// market events (see events.js) plus an optional daily digest. Named by the
+// `postingMode.<id>` catalog entries.
+export const POSTING_MODES = ['interval', 'events'];
+
+// settings.threadId value meaning "post in the main chat, not a topic"
+export const MAIN_CHAT_THREAD = 'main';
+
+// Where and how often a chat receives each tracked token. Chats pick tokens in
+// their settings; otherwise they get the tokens whose config targets them.
+// Settings override the token config's topic and interval. In events mode the
+// interval is the daily digest, or 0 when the chat turned the digest off.
+export function resolveChatTargets({ chatId, settings, tokens, defaultMode = 'interval' }) {
+  const id = chatId.toString();
+  const mode = settings.mode || defaultMode;
+  const selected = settings.symbols
+    ? settings.symbols.map(symbol => findToken(tokens, symbol)).filter(Boolean)
+    : tokens.filter(token => token.chatId === id);
+
+  return selected.map(token => {
+    const configuredHere = token.chatId === id;
+    const threadId = settings.threadId === MAIN_CHAT_THREAD ? null
+      : settings.threadId || (configuredHere ? token.threadId : null);
+
+    return {
+      chatId: id,
+      token,
+      threadId,
+      mode,
+      intervalMs: mode === 'events'
+        ? (settings.digest === false ? 0 : DIGEST_INTERVAL_MS)
+        : settings.intervalMs ?? token.intervalMs
+    };
+  });
+}
+
+// Notification thresholds for a chat, falling back to the bot defaults
+export function resolveThresholds(settings, defaults) {
+  return { ...defaults, ...settings.thresholds };
+}
+
+// Ids of the sections a chat shows, in the order it shows them. Chats that
+// never changed their sections get every section in SIGNAL_SECTIONS order.
+export function orderedSections(sections) {
+  return sections ? sections.filter(id => SIGNAL_SECTIONS.includes(id)) : [...SIGNAL_SECTIONS];
+}
+
+// Section list with `id` moved one place towards the top
+export function moveSectionUp(sections, id) {
+  const order = orderedSections(sections);
+  const index = order.indexOf(id);
+  if (index <= 0) return order;
+
+  [order[index - 1], order[index]] = [order[index], order[index - 1]];
+  return order;
+}
@@ -0,0 +1,215 @@
+import { createTranslator } from './i18n.js';
+
+// Five-field cron expressions ("minute hour day month weekday") evaluated in an
+// IANA timezone. Supports *, lists (1,5), ranges (1-5), steps (*/4, 0-30/10)
+// and the @hourly/@daily/@weekly/@monthly shortcuts. Weekday 0 and 7 are Sunday.
+// When both day and weekday are restricted a time matches either (as in cron).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+
+// Give up looking for a match after this many minutes (four years, so Feb 29 is found)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+function parseField(raw, { name, min, max }, t) {
+  const field = t(`cron.field.${name}`);
+  const values = new Set();
+
+  raw.split(',').forEach(part => {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(t('cron.error.step', { step: stepRaw, field }));
+    }
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const match = /^(\d+)(?:-(\d+))?$/.exec(range);
+      if (!match) throw new Error(t('cron.error.field', { field, value: raw }));
+      from = Number(match[1]);
+      to = match[2] === undefined ? (stepRaw === undefined ? from : max) : Number(match[2]);
+    }
+
+    if (from < min || to > max || from > to) {
+      throw new Error(t('cron.error.range', { field, value: raw, min, max }));
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+// Parse an expression; throws an Error with a user-facing message (in the
+// language of `t`) when invalid
+export function parseCron(expression, t = createTranslator()) {
+  const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(t('cron.error.fieldCount', { count: FIELDS.length }));
+  }
+
+  const fields = Object.fromEntries(FIELDS.map((field, index) => [field.name, parseField(parts[index], field, t)]));
+  if (fields.weekday.has(7)) fields.weekday.add(0);
+
+  return {
+    expression: expression.trim(),
+    ...fields,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+// Throws a RangeError for unknown timezones
+export function assertTimeZone(timeZone) {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of a timestamp in the given timezone
+export function zonedParts(time, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timeZone)
+    .formatToParts(new Date(time))
+    .map(({ type, value }) => [type, value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function dayMatches(cron, { day, month, weekday }) {
+  if (!cron.month.has(month)) return false;
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return cron.day.has(day) || cron.weekday.has(weekday);
+  }
+  return cron.day.has(day) && cron.weekday.has(weekday);
+}
+
+// First minute of the local day after the one `time` falls on. Adding the
+// wall-clock minutes left in the day overshoots on 23-hour (DST start) days
+// and falls short on 25-hour ones, so the landing point is moved by its own
+// wall-clock time, unless that midnight doesn't exist (DST starting at 00:00).
+function startOfNextDay(time, parts, timeZone) {
+  const estimate = time + ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+  const landed = zonedParts(estimate, timeZone);
+  const offsetMinutes = landed.day === parts.day
+    ? 24 * 60 - (landed.hour * 60 + landed.minute)
+    : -(landed.hour * 60 + landed.minute);
+
+  const corrected = estimate + offsetMinutes * MINUTE_MS;
+  const { day, hour, minute } = zonedParts(corrected, timeZone);
+  return corrected > time && day !== parts.day && hour === 0 && minute === 0 ? corrected : estimate;
+}
+
+// First matching minute strictly after `after`, or null if there is none
+export function nextCronTime(cron, after, timeZone = 'UTC') {
+  let time = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+    const parts = zonedParts(time, timeZone);
+
+    // Skip whole days and hours that can't match
+    let next = time + MINUTE_MS;
+    if (!dayMatches(cron, parts)) {
+      next = startOfNextDay(time, parts, timeZone);
+    } else if (!cron.hour.has(parts.hour)) {
+      next = time + (60 - parts.minute) * MINUTE_MS;
+    } else if (cron.minute.has(parts.minute)) {
+      return time;
+    }
+
+    searched += (next - time) / MINUTE_MS;
+    time = next;
+  }
+
+  return null;
+}
+
+// Parse "22:00-07:00" into minutes of the day; the range may wrap past midnight
+export function parseQuietHours(raw, t = createTranslator()) {
+  const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(raw || '');
+  if (!match) throw new Error(t('cron.error.quietHours'));
+
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => {
+    if (Number(hours) > 23 || Number(minutes) > 59) throw new Error(t('cron.error.time', { time: `${hours}:${minutes}` }));
+    return Number(hours) * 60 + Number(minutes);
+  });
+
+  return { start, end, label: raw };
+}
+
+export function isQuietTime(time, quietHours, timeZone = 'UTC') {
+  if (!quietHours) return false;
+
+  const { hour, minute } = zonedParts(time, timeZone);
+  const minutes = hour * 60 + minute;
+  const { start, end } = quietHours;
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// First minute at or after `time` outside the quiet hours (`time` itself
+// when it isn't quiet)
+export function quietHoursEnd(time, quietHours, timeZone = 'UTC') {
+  let end = Math.ceil(time / MINUTE_MS) * MINUTE_MS;
+  // Quiet hours last under a day, 25 hours with a DST change
+  for (let minutes = 0; minutes < 25 * 60 && isQuietTime(end, quietHours, timeZone); minutes++) {
+    end += MINUTE_MS;
+  }
+  return end;
+}
+
+// Cron expression equivalent to posting every intervalMs, aligned to the clock
+export function intervalToCron(intervalMs) {
+  if (!intervalMs || intervalMs <= 0) return null;
+
+  const minutes = Math.max(1, Math.round(intervalMs / MINUTE_MS));
+  if (minutes < 60) return `*/${minutes} * * * *`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours === 1) return '0 * * * *';
+  if (hours < 24) return `0 */${hours} * * *`;
+
+  const days = Math.round(hours / 24);
+  return days === 1 ? '0 0 * * *' : `0 0 */${days} * *`;
+}
@@ -0,0 +1,144 @@
+// Order book analysis over MEXC-style books ({ bids: [[price, qty], ...], asks: [...] }).
+// Values are in the quote currency (USDT).
+
+// Distances from the mid price (in %) at which cumulative depth is reported
+export const DEPTH_BANDS = [1, 2, 5];
+
+// Walls are found by grouping levels into buckets of this size (% of mid price)
+const WALL_BUCKET_PERCENT = 0.5;
+
+// Walls further than this from the mid price are ignored
+const WALL_MAX_DISTANCE_PERCENT = 10;
+
+function normalizeLevels(levels, descending) {
+  return (levels || [])
+    .map(([price, qty]) => ({ price: parseFloat(price), qty: parseFloat(qty) }))
+    .filter(level => level.price > 0 && level.qty > 0)
+    .map(level => ({ ...level, value: level.price * level.qty }))
+    .sort((a, b) => descending ? b.price - a.price : a.price - b.price);
+}
+
+// Sort and parse both sides: bids best (highest) first, asks best (lowest) first
+export function normalizeOrderBook(orderBook) {
+  return {
+    bids: normalizeLevels(orderBook?.bids, true),
+    asks: normalizeLevels(orderBook?.asks, false)
+  };
+}
+
+// Group levels into price buckets and return the largest by value, biggest first
+function findWalls(levels, mid, count) {
+  const bucketSize = mid * WALL_BUCKET_PERCENT / 100;
+  const buckets = new Map();
+
+  levels.forEach(({ price, qty, value }) => {
+    if (Math.abs(price - mid) / mid * 100 > WALL_MAX_DISTANCE_PERCENT) return;
+
+    const key = Math.floor(price / bucketSize);
+    const bucket = buckets.get(key) || { price, amount: 0, value: 0, topValue: 0 };
+
+    // Label the bucket with its largest single level
+    if (value > bucket.topValue) {
+      bucket.price = price;
+      bucket.topValue = value;
+    }
+    bucket.amount += qty;
+    bucket.value += value;
+    buckets.set(key, bucket);
+  });
+
+  return [...buckets.values()]
+    .sort((a, b) => b.value - a.value)
+    .slice(0, count)
+    .map(({ price, amount, value }) => ({
+      price,
+      amount,
+      value,
+      distancePercent: (price - mid) / mid * 100
+    }));
+}
+
+// Spread, cumulative depth per band, imbalance and walls on both sides.
+// Returns null when either side of the book is empty.
+export function analyzeOrderBook(orderBook, { bands = DEPTH_BANDS, wallCount = 3 } = {}) {
+  const { bids, asks } = normalizeOrderBook(orderBook);
+  if (bids.length === 0 || asks.length === 0) return null;
+
+  const bestBid = bids[0].price;
+  const bestAsk = asks[0].price;
+  const mid = (bestBid + bestAsk) / 2;
+
+  const lowestBid = bids[bids.length - 1].price;
+  const highestAsk = asks[asks.length - 1].price;
+
+  const depth = bands.map(percent => {
+    const bidFloor = mid * (1 - percent / 100);
+    const askCeiling = mid * (1 + percent / 100);
+    const bidValue = bids.filter(level => level.price >= bidFloor).reduce((sum, level) => sum + level.value, 0);
+    const askValue = asks.filter(level => level.price <= askCeiling).reduce((sum, level) => sum + level.value, 0);
+    const total = bidValue + askValue;
+
+    return {
+      percent,
+      bidValue,
+      askValue,
+      imbalance: total > 0 ? (bidValue - askValue) / total : 0,
+      // The book snapshot may end before the band edge, so the figure is a lower bound
+      truncated: lowestBid > bidFloor || highestAsk < askCeiling
+    };
+  });
+
+  return {
+    bestBid,
+    bestAsk,
+    mid,
+    spread: bestAsk - bestBid,
+    spreadPercent: (bestAsk - bestBid) / mid * 100,
+    depth,
+    buyWalls: findWalls(bids, mid, wallCount),
+    sellWalls: findWalls(asks, mid, wallCount)
+  };
+}
+
+// Walk the book for a market order of `size` USDT. A buy spends `size` USDT
+// against the asks; a sell sells `size` USDT worth of the token (at the mid
+// price) into the bids. Returns null when the relevant side is empty.
+export function estimateSlippage(orderBook, size, side) {
+  const { bids, asks } = normalizeOrderBook(orderBook);
+  const levels = side === 'buy' ? asks : bids;
+  if (levels.length === 0 || bids.length === 0 || asks.length === 0) return null;
+
+  const bestPrice = levels[0].price;
+  const mid = (bids[0].price + asks[0].price) / 2;
+
+  let remaining = side === 'buy' ? size : size / mid;
+  let filledQty = 0;
+  let filledValue = 0;
+  let worstPrice = bestPrice;
+
+  for (const { price, qty } of levels) {
+    if (remaining <= 0) break;
+
+    const takeQty = side === 'buy' ? Math.min(qty, remaining / price) : Math.min(qty, remaining);
+    filledQty += takeQty;
+    filledValue += takeQty * price;
+    remaining -= side === 'buy' ? takeQty * price : takeQty;
+    worstPrice = price;
+  }
+
+  const averagePrice = filledQty > 0 ? filledValue / filledQty : bestPrice;
+  const slippagePercent = side === 'buy'
+    ? (averagePrice - bestPrice) / bestPrice * 100
+    : (bestPrice - averagePrice) / bestPrice * 100;
+
+  return {
+    side,
+    size,
+    averagePrice,
+    worstPrice,
+    slippagePercent,
+    filledValue,
+    // Tiny float remainders don't count as an unfilled order
+    complete: remaining <= (side === 'buy' ? size : size / mid) * 1e-9
+  };
+}
@@ -0,0 +1,197 @@
+import { analyzeOrderBook } from './depth.js';
+
+// Market events that trigger a signal post in chats using event-driven posting.
+// Thresholds come from the chat's settings (see chatSettings.js):
+//   move       |15m price change| >= thresholds.move15m (%)
+//   ratio      15m buy/sell ratio >= thresholds.ratioSpike, or <= its inverse
+//   volume     15m volume >= thresholds.volumeSurge x the trailing 15m average
+//   buyWall    a bid wall worth >= thresholds.buyWallUsdt that wasn't there before
+export const MARKET_EVENTS = ['move', 'ratio', 'volume', 'buyWall'];
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// 1m klines: [openTime, open, high, low, close, volume, closeTime, quoteVolume]
+const KLINE_QUOTE_VOLUME = 7;
+
+// Walls within this distance (% of price) of a known wall are the same wall
+const SAME_WALL_PERCENT = 0.5;
+
+// 15m volume over the trailing average of earlier 15m blocks, from 1m klines
+// (oldest first). Null when there isn't at least one full earlier block.
+export function volumeSurgeRatio(klines, windowMinutes = WINDOW_MS / 60000) {
+  const volumes = klines.map(kline => parseFloat(kline[KLINE_QUOTE_VOLUME]) || 0);
+  if (volumes.length < windowMinutes * 2) return null;
+
+  const recent = volumes.slice(-windowMinutes).reduce((sum, volume) => sum + volume, 0);
+  const earlier = volumes.slice(0, -windowMinutes);
+  const blocks = Math.floor(earlier.length / windowMinutes);
+  const average = earlier.slice(-blocks * windowMinutes).reduce((sum, volume) => sum + volume, 0) / blocks;
+
+  return average > 0 ? recent / average : null;
+}
+
+// Metrics the events are evaluated on. `trades` are newest first and cover at
+// least the last 15 minutes; calculateVolume and getPriceAtTime are the bot's
+// trade helpers.
+export function measureMarket({ trades, klines, orderBook }, { calculateVolume, getPriceAtTime, now = Date.now() }) {
+  const metrics = { price: null, move15m: null, buySellRatio: null, volumeSurge: null, buyWalls: [] };
+
+  if (trades.length > 0) {
+    const price = parseFloat(trades[0].price);
+    const startPrice = getPriceAtTime(trades, now - WINDOW_MS);
+    const { totalBuyValue, totalSellValue } = calculateVolume(trades, now - WINDOW_MS);
+
+    metrics.price = price;
+    metrics.move15m = startPrice ? (price - startPrice) / startPrice * 100 : null;
+    metrics.buySellRatio = totalSellValue > 0 ? totalBuyValue / totalSellValue : null;
+  }
+
+  if (klines) metrics.volumeSurge = volumeSurgeRatio(klines);
+  if (orderBook) metrics.buyWalls = analyzeOrderBook(orderBook)?.buyWalls || [];
+
+  return metrics;
+}
+
+// Whether each condition holds, and whether it has cleared far enough to re-arm
+function evaluateConditions(metrics, thresholds, rearmRatio) {
+  const ratioHigh = thresholds.ratioSpike;
+  const ratioRearm = 1 + (ratioHigh - 1) * rearmRatio;
+  const ratio = metrics.buySellRatio;
+  const move = metrics.move15m === null ? null : Math.abs(metrics.move15m);
+
+  return {
+    move: {
+      active: move !== null && move >= thresholds.move15m,
+      cleared: move === null || move < thresholds.move15m * rearmRatio,
+      value: metrics.move15m,
+      threshold: thresholds.move15m
+    },
+    ratio: {
+      active: ratio !== null && (ratio >= ratioHigh || ratio <= 1 / ratioHigh),
+      cleared: ratio === null || (ratio < ratioRearm && ratio > 1 / ratioRearm),
+      value: ratio,
+      threshold: ratioHigh
+    },
+    volume: {
+      active: metrics.volumeSurge !== null && metrics.volumeSurge >= thresholds.volumeSurge,
+      cleared: metrics.volumeSurge === null || metrics.volumeSurge < thresholds.volumeSurge * rearmRatio,
+      value: metrics.volumeSurge,
+      threshold: thresholds.volumeSurge
+    }
+  };
+}
+
+const sameWall = (a, b) => Math.abs(a.price - b.price) / b.price * 100 <= SAME_WALL_PERCENT;
+
+// Background watcher for event-driven posting. `targets()` returns the
+// { chatId, threadId, token, thresholds } entries to watch; `measure(token)`
+// resolves the token's metrics (see measureMarket). Each condition fires once
+// per crossing and re-arms only after falling below rearmRatio x its
+// threshold, so a value hovering at the threshold doesn't post repeatedly.
+// A chat gets at most one event post per token every minSpacingMs (counted
+// from lastPostedAt(target)); events held back by the spacing stay armed and
+// post once it has passed if they still hold. Conditions already true when a
+// target is first seen don't post.
+export function createEventWatcher({
+  targets,
+  measure,
+  notify,
+  lastPostedAt = () => null,
+  minSpacingMs = 60 * 60 * 1000,
+  rearmRatio = 0.7,
+  intervalMs = 60000,
+  logger = console,
+  now = Date.now
+}) {
+  let timer = null;
+  let running = false;
+  // Per chat and token: { armed: { move, ratio, volume }, walls }
+  const states = new Map();
+
+  async function checkTarget(target, metrics) {
+    const key = `${target.chatId}:${target.token.symbol}`;
+    const conditions = evaluateConditions(metrics, target.thresholds, rearmRatio);
+    const walls = metrics.buyWalls.filter(wall => wall.value >= target.thresholds.buyWallUsdt);
+    const state = states.get(key);
+
+    if (!state) {
+      states.set(key, {
+        armed: Object.fromEntries(Object.entries(conditions).map(([type, condition]) => [type, !condition.active])),
+        walls
+      });
+      return;
+    }
+
+    Object.entries(conditions).forEach(([type, condition]) => {
+      if (condition.cleared) state.armed[type] = true;
+    });
+
+    // Known walls stay known until they shrink below the re-arm level
+    state.walls = state.walls.filter(known => metrics.buyWalls.some(wall =>
+      sameWall(wall, known) && wall.value >= target.thresholds.buyWallUsdt * rearmRatio));
+    const newWalls = walls.filter(wall => !state.walls.some(known => sameWall(wall, known)));
+
+    const events = Object.entries(conditions)
+      .filter(([type, condition]) => condition.active && state.armed[type])
+      .map(([type, { value, threshold }]) => ({ type, value, threshold }));
+    newWalls.forEach(wall => events.push({ type: 'buyWall', value: wall.value, threshold: target.thresholds.buyWallUsdt, wall }));
+
+    if (events.length === 0) return;
+
+    const lastPost = lastPostedAt(target);
+    if (lastPost && now() - lastPost < minSpacingMs) return;
+
+    events.forEach(event => {
+      if (event.type === 'buyWall') state.walls.push(event.wall);
+      else state.armed[event.type] = false;
+    });
+
+    try {
+      await notify(target, events, metrics);
+      logger.info(`Event signal posted for ${target.token.symbol}`, { chatId: target.chatId, events: events.map(event => event.type) });
+    } catch (error) {
+      logger.error('Failed to post event signal', { chatId: target.chatId, symbol: target.token.symbol, error: error.message });
+    }
+  }
+
+  async function checkAll() {
+    if (running) return;
+    running = true;
+
+    try {
+      const byToken = new Map();
+      targets().forEach(target => {
+        if (!byToken.has(target.token.symbol)) byToken.set(target.token.symbol, []);
+        byToken.get(target.token.symbol).push(target);
+      });
+
+      for (const tokenTargets of byToken.values()) {
+        try {
+          const metrics = await measure(tokenTargets[0].token);
+          for (const target of tokenTargets) {
+            await checkTarget(target, metrics);
+          }
+        } catch (error) {
+          logger.error('Failed to check market events', { symbol: tokenTargets[0].token.symbol, error: error.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    checkAll,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(checkAll, intervalMs);
+      checkAll();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,375 @@
+// Exchange adapters. Every adapter exposes the same interface so venues can be
+// queried and aggregated uniformly:
+//
+//   id, name, hasOrderBook
+//   marketFor(symbol, configured) -> venue market id (e.g. "TCAPY_USDT") or null
+//   fetchTrades(market, limit)    -> [{ price, qty, time, isBuyerMaker }], newest first
+//   fetchDepth(market, limit)     -> { bids: [[price, qty]], asks: [[price, qty]] } or null
+//   fetchTicker(market)           -> { price, volume24h (USDT), change24h (%) }
+//   fetchKlines(market, interval, limit) -> [{ time, open, high, low, close, volume }], oldest first
+//
+// `configured` is the market from the token's "exchanges" config: a string
+// overrides the default market, false disables the venue.
+//
+// Factories take an axios instance (`http`) and an optional `retry(fn)` wrapper.
+
+const passThrough = (fn) => fn();
+
+// Interval names accepted by fetchKlines, mapped per venue below
+export const ADAPTER_INTERVALS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+function defaultMarket(format) {
+  return (symbol, configured) => {
+    if (configured === false) return null;
+    if (typeof configured === 'string') return configured;
+    return format(symbol.toUpperCase());
+  };
+}
+
+function unsupportedInterval(venue, interval) {
+  return new Error(`${venue} does not support the ${interval} interval`);
+}
+
+// =====================================================
+// MEXC (https://api.mexc.com/api/v3)
+// =====================================================
+
+const MEXC_INTERVALS = { '1m': '1m', '5m': '5m', '15m': '15m', '1h': '60m', '4h': '4h', '1d': '1d' };
+
+export function createMexcAdapter({ http, retry = passThrough }) {
+  return {
+    id: 'mexc',
+    name: 'MEXC',
+    hasOrderBook: true,
+    marketFor: defaultMarket(symbol => `${symbol}USDT`),
+
+    fetchTrades: (market, limit = 500) => retry(async () => {
+      const response = await http.get('/trades', { params: { symbol: market, limit } });
+      return (response.data || []).map(trade => ({
+        price: trade.price,
+        qty: trade.qty,
+        time: Number(trade.time),
+        isBuyerMaker: Boolean(trade.isBuyerMaker)
+      }));
+    }),
+
+    fetchDepth: (market, limit = 100) => retry(async () => {
+      const response = await http.get('/depth', { params: { symbol: market, limit } });
+      return { bids: response.data?.bids || [], asks: response.data?.asks || [] };
+    }),
+
+    fetchTicker: (market) => retry(async () => {
+      const response = await http.get('/ticker/24hr', { params: { symbol: market } });
+      const ticker = response.data || {};
+      return {
+        price: parseFloat(ticker.lastPrice),
+        volume24h: parseFloat(ticker.quoteVolume) || 0,
+        // MEXC reports the change as a ratio
+        change24h: parseFloat(ticker.priceChangePercent) * 100
+      };
+    }),
+
+    fetchKlines: (market, interval = '5m', limit = 48) => retry(async () => {
+      if (!MEXC_INTERVALS[interval]) throw unsupportedInterval('MEXC', interval);
+      const response = await http.get('/klines', {
+        params: { symbol: market, interval: MEXC_INTERVALS[interval], limit }
+      });
+      return (response.data || []).map(row => ({
+        time: Number(row[0]),
+        open: parseFloat(row[1]),
+        high: parseFloat(row[2]),
+        low: parseFloat(row[3]),
+        close: parseFloat(row[4]),
+        volume: parseFloat(row[5])
+      }));
+    })
+  };
+}
+
+// =====================================================
+// Gate.io (https://api.gateio.ws/api/v4)
+// =====================================================
+
+export function createGateAdapter({ http, retry = passThrough }) {
+  return {
+    id: 'gate',
+    name: 'Gate.io',
+    hasOrderBook: true,
+    marketFor: defaultMarket(symbol => `${symbol}_USDT`),
+
+    fetchTrades: (market, limit = 500) => retry(async () => {
+      const response = await http.get('/spot/trades', { params: { currency_pair: market, limit } });
+      return (response.data || []).map(trade => ({
+        price: trade.price,
+        qty: trade.amount,
+        time: Math.round(parseFloat(trade.create_time_ms)),
+        isBuyerMaker: trade.side === 'sell'
+      }));
+    }),
+
+    fetchDepth: (market, limit = 100) => retry(async () => {
+      const response = await http.get('/spot/order_book', { params: { currency_pair: market, limit } });
+      return { bids: response.data?.bids || [], asks: response.data?.asks || [] };
+    }),
+
+    fetchTicker: (market) => retry(async () => {
+      const response = await http.get('/spot/tickers', { params: { currency_pair: market } });
+      const ticker = response.data?.[0];
+      if (!ticker) throw new Error(`Gate.io has no ticker for ${market}`);
+      return {
+        price: parseFloat(ticker.last),
+        volume24h: parseFloat(ticker.quote_volume) || 0,
+        change24h: parseFloat(ticker.change_percentage) || 0
+      };
+    }),
+
+    fetchKlines: (market, interval = '5m', limit = 48) => retry(async () => {
+      if (!ADAPTER_INTERVALS.includes(interval)) throw unsupportedInterval('Gate.io', interval);
+      const response = await http.get('/spot/candlesticks', {
+        params: { currency_pair: market, interval, limit }
+      });
+      // Rows: [time (s), quote volume, close, high, low, open, base volume, closed]
+      return (response.data || []).map(row => ({
+        time: Number(row[0]) * 1000,
+        open: parseFloat(row[5]),
+        high: parseFloat(row[3]),
+        low: parseFloat(row[4]),
+        close: parseFloat(row[2]),
+        volume: parseFloat(row[6])
+      }));
+    })
+  };
+}
+
+// =====================================================
+// Bitget (https://api.bitget.com/api/v2/spot/market)
+// =====================================================
+
+const BITGET_INTERVALS = { '1m': '1min', '5m': '5min', '15m': '15min', '1h': '1h', '4h': '4h', '1d': '1day' };
+
+// Bitget wraps every response in { code, msg, data }; "00000" means success
+function bitgetData(response) {
+  if (response.data?.code !== '00000') {
+    throw new Error(`Bitget error ${response.data?.code}: ${response.data?.msg}`);
+  }
+  return response.data.data;
+}
+
+export function createBitgetAdapter({ http, retry = passThrough }) {
+  return {
+    id: 'bitget',
+    name: 'Bitget',
+    hasOrderBook: true,
+    marketFor: defaultMarket(symbol => `${symbol}USDT`),
+
+    fetchTrades: (market, limit = 500) => retry(async () => {
+      const response = await http.get('/fills', { params: { symbol: market, limit } });
+      return (bitgetData(response) || []).map(trade => ({
+        price: trade.price,
+        qty: trade.size,
+        time: Number(trade.ts),
+        isBuyerMaker: trade.side === 'sell'
+      }));
+    }),
+
+    fetchDepth: (market, limit = 100) => retry(async () => {
+      const response = await http.get('/orderbook', { params: { symbol: market, type: 'step0', limit } });
+      const book = bitgetData(response) || {};
+      return { bids: book.bids || [], asks: book.asks || [] };
+    }),
+
+    fetchTicker: (market) => retry(async () => {
+      const response = await http.get('/tickers', { params: { symbol: market } });
+      const ticker = bitgetData(response)?.[0];
+      if (!ticker) throw new Error(`Bitget has no ticker for ${market}`);
+      return {
+        price: parseFloat(ticker.lastPr),
+        volume24h: parseFloat(ticker.quoteVolume) || 0,
+        // Bitget reports the change as a ratio
+        change24h: parseFloat(ticker.change24h) * 100
+      };
+    }),
+
+    fetchKlines: (market, interval = '5m', limit = 48) => retry(async () => {
+      if (!BITGET_INTERVALS[interval]) throw unsupportedInterval('Bitget', interval);
+      const response = await http.get('/candles', {
+        params: { symbol: market, granularity: BITGET_INTERVALS[interval], limit }
+      });
+      return (bitgetData(response) || [])
+        .map(row => ({
+          time: Number(row[0]),
+          open: parseFloat(row[1]),
+          high: parseFloat(row[2]),
+          low: parseFloat(row[3]),
+          close: parseFloat(row[4]),
+          volume: parseFloat(row[5])
+        }))
+        .sort((a, b) => a.time - b.time);
+    })
+  };
+}
+
+// =====================================================
+// TON DEX pools via GeckoTerminal (https://api.geckoterminal.com/api/v2)
+// =====================================================
+
+// Timeframe and aggregate for GeckoTerminal's OHLCV endpoint
+const GECKO_INTERVALS = {
+  '1m': ['minute', 1],
+  '5m': ['minute', 5],
+  '15m': ['minute', 15],
+  '1h': ['hour', 1],
+  '4h': ['hour', 4],
+  '1d': ['day', 1]
+};
+
+// The market is the pool address (STON.fi, DeDust, ...), which has to be
+// configured per token. AMM pools have no order book, so fetchDepth returns null.
+export function createTonDexAdapter({ http, retry = passThrough, network = 'ton' }) {
+  const poolPath = (pool) => `/networks/${network}/pools/${pool}`;
+
+  return {
+    id: 'ton',
+    name: 'TON DEX',
+    hasOrderBook: false,
+    marketFor: (symbol, configured) => typeof configured === 'string' ? configured : null,
+
+    fetchTrades: (pool) => retry(async () => {
+      const response = await http.get(`${poolPath(pool)}/trades`);
+      return (response.data?.data || []).map(({ attributes }) => {
+        const isBuy = attributes.kind === 'buy';
+        return {
+          price: isBuy ? attributes.price_to_in_usd : attributes.price_from_in_usd,
+          qty: isBuy ? attributes.to_token_amount : attributes.from_token_amount,
+          time: Date.parse(attributes.block_timestamp),
+          isBuyerMaker: !isBuy
+        };
+      });
+    }),
+
+    fetchDepth: async () => null,
+
+    fetchTicker: (pool) => retry(async () => {
+      const response = await http.get(poolPath(pool));
+      const attributes = response.data?.data?.attributes;
+      if (!attributes) throw new Error(`GeckoTerminal has no pool ${pool}`);
+      return {
+        price: parseFloat(attributes.base_token_price_usd),
+        volume24h: parseFloat(attributes.volume_usd?.h24) || 0,
+        change24h: parseFloat(attributes.price_change_percentage?.h24) || 0
+      };
+    }),
+
+    fetchKlines: (pool, interval = '5m', limit = 48) => retry(async () => {
+      if (!GECKO_INTERVALS[interval]) throw unsupportedInterval('GeckoTerminal', interval);
+      const [timeframe, aggregate] = GECKO_INTERVALS[interval];
+      const response = await http.get(`${poolPath(pool)}/ohlcv/${timeframe}`, {
+        params: { aggregate, limit }
+      });
+      // Rows: [time (s), open, high, low, close, volume (USD)], newest first
+      return (response.data?.data?.attributes?.ohlcv_list || [])
+        .map(row => ({
+          time: Number(row[0]) * 1000,
+          open: Number(row[1]),
+          high: Number(row[2]),
+          low: Number(row[3]),
+          close: Number(row[4]),
+          volume: Number(row[4]) > 0 ? Number(row[5]) / Number(row[4]) : 0
+        }))
+        .sort((a, b) => a.time - b.time);
+    })
+  };
+}
+
+// =====================================================
+// Aggregation
+// =====================================================
+
+// Venues a symbol can be looked up on: [{ adapter, market }]
+export function resolveMarkets(adapters, symbol, configured = {}) {
+  return adapters
+    .map(adapter => ({ adapter, market: adapter.marketFor(symbol, configured[adapter.id]) }))
+    .filter(({ market }) => market);
+}
+
+// Query ticker (and top of book where available) on every venue in parallel.
+// Venues that fail or don't list the market are left out and reported in `failed`.
+export async function fetchVenueQuotes(markets, { logger = console } = {}) {
+  const results = await Promise.allSettled(markets.map(async ({ adapter, market }) => {
+    const [ticker, depth] = await Promise.all([
+      adapter.fetchTicker(market),
+      adapter.hasOrderBook ? adapter.fetchDepth(market, 5).catch(() => null) : null
+    ]);
+
+    if (!(ticker.price > 0)) {
+      throw new Error('No price');
+    }
+
+    const bestBid = depth?.bids?.length ? parseFloat(depth.bids[0][0]) : null;
+    const bestAsk = depth?.asks?.length ? parseFloat(depth.asks[0][0]) : null;
+
+    return {
+      id: adapter.id,
+      name: adapter.name,
+      market,
+      price: ticker.price,
+      volume24h: ticker.volume24h,
+      change24h: ticker.change24h,
+      bestBid,
+      bestAsk
+    };
+  }));
+
+  const venues = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { adapter, market } = markets[index];
+    if (result.status === 'fulfilled') {
+      venues.push(result.value);
+    } else {
+      failed.push(adapter.id);
+      logger.warn(`${adapter.name} quote unavailable for ${market}`, { error: result.reason?.message });
+    }
+  });
+
+  return { venues, failed };
+}
+
+// Aggregated volume, volume-weighted price, price spread between venues and
+// arbitrage gaps (buy at the cheapest ask, sell at the richest bid).
+// Venues without an order book quote their last price on both sides.
+export function aggregateVenues(venues, { minGapPercent = 0.5 } = {}) {
+  if (venues.length === 0) return null;
+
+  const totalVolume = venues.reduce((sum, venue) => sum + venue.volume24h, 0);
+  const weightedPrice = totalVolume > 0
+    ? venues.reduce((sum, venue) => sum + venue.price * venue.volume24h, 0) / totalVolume
+    : venues.reduce((sum, venue) => sum + venue.price, 0) / venues.length;
+
+  const prices = venues.map(venue => venue.price);
+  const lowest = Math.min(...prices);
+  const highest = Math.max(...prices);
+
+  const arbitrage = [];
+  venues.forEach(buyVenue => {
+    const buyPrice = buyVenue.bestAsk ?? buyVenue.price;
+    venues.forEach(sellVenue => {
+      if (sellVenue === buyVenue) return;
+      const sellPrice = sellVenue.bestBid ?? sellVenue.price;
+      const gapPercent = (sellPrice - buyPrice) / buyPrice * 100;
+      if (gapPercent >= minGapPercent) {
+        arbitrage.push({ buy: buyVenue.name, sell: sellVenue.name, buyPrice, sellPrice, gapPercent });
+      }
+    });
+  });
+
+  return {
+    venues: venues
+      .map(venue => ({ ...venue, volumeShare: totalVolume > 0 ? venue.volume24h / totalVolume * 100 : 0 }))
+      .sort((a, b) => b.volume24h - a.volume24h),
+    totalVolume,
+    weightedPrice,
+    spreadPercent: (highest - lowest) / lowest * 100,
+    arbitrage: arbitrage.sort((a, b) => b.gapPercent - a.gapPercent)
+  };
+}
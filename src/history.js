@@ -0,0 +1,107 @@
+// Supported /history ranges
+export const HISTORY_RANGES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+const CSV_COLUMNS = [
+  'timestamp',
+  'symbol',
+  'price',
+  'volume24h',
+  'change15Min',
+  'change30Min',
+  'change1Hour',
+  'change4Hour',
+  'buyValue15Min',
+  'sellValue15Min',
+  'buyValue1Hour',
+  'sellValue1Hour',
+  'buyValue4Hour',
+  'sellValue4Hour',
+  'buySellRatio1Hour',
+  'buyZones'
+];
+
+// Build the snapshot stored for one signal computation
+export function buildSnapshot({ symbol, currentPrice, volume24h, changes, volumes, buyZones, timestamp = Date.now() }) {
+  const ratio = volumes.hour1.totalSellValue > 0
+    ? volumes.hour1.totalBuyValue / volumes.hour1.totalSellValue
+    : null;
+
+  return {
+    symbol,
+    timestamp,
+    price: currentPrice,
+    volume24h,
+    change15Min: changes.min15,
+    change30Min: changes.min30,
+    change1Hour: changes.hour1,
+    change4Hour: changes.hour4,
+    buyValue15Min: volumes.min15.totalBuyValue,
+    sellValue15Min: volumes.min15.totalSellValue,
+    buyValue1Hour: volumes.hour1.totalBuyValue,
+    sellValue1Hour: volumes.hour1.totalSellValue,
+    buyValue4Hour: volumes.hour4.totalBuyValue,
+    sellValue4Hour: volumes.hour4.totalSellValue,
+    buySellRatio1Hour: ratio,
+    buyZones: buyZones.map(zone => ({ price: zone.price, value: zone.value }))
+  };
+}
+
+// Summarize snapshots (oldest first) into high/low, average ratio and biggest moves
+export function summarizeSnapshots(snapshots) {
+  const priced = snapshots.filter(snapshot => typeof snapshot.price === 'number' && snapshot.price > 0);
+  if (priced.length === 0) return null;
+
+  const high = priced.reduce((best, snapshot) => snapshot.price > best.price ? snapshot : best);
+  const low = priced.reduce((best, snapshot) => snapshot.price < best.price ? snapshot : best);
+  const first = priced[0];
+  const last = priced[priced.length - 1];
+
+  const ratios = priced
+    .map(snapshot => snapshot.buySellRatio1Hour)
+    .filter(ratio => typeof ratio === 'number' && isFinite(ratio));
+  const averageRatio = ratios.length > 0
+    ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+    : null;
+
+  const withMoves = priced.filter(snapshot => typeof snapshot.change1Hour === 'number');
+  const biggestGain = withMoves.reduce((best, snapshot) =>
+    !best || snapshot.change1Hour > best.change1Hour ? snapshot : best, null);
+  const biggestDrop = withMoves.reduce((best, snapshot) =>
+    !best || snapshot.change1Hour < best.change1Hour ? snapshot : best, null);
+
+  return {
+    count: priced.length,
+    from: first.timestamp,
+    to: last.timestamp,
+    firstPrice: first.price,
+    lastPrice: last.price,
+    rangeChange: (last.price - first.price) / first.price * 100,
+    high,
+    low,
+    averageRatio,
+    biggestGain: biggestGain && biggestGain.change1Hour > 0 ? biggestGain : null,
+    biggestDrop: biggestDrop && biggestDrop.change1Hour < 0 ? biggestDrop : null
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render snapshots as CSV with an ISO timestamp column
+export function snapshotsToCsv(snapshots) {
+  const rows = snapshots.map(snapshot => CSV_COLUMNS.map(column => {
+    if (column === 'timestamp') return new Date(snapshot.timestamp).toISOString();
+    if (column === 'buyZones') {
+      return csvValue((snapshot.buyZones || []).map(zone => zone.price).join(' '));
+    }
+    return csvValue(snapshot[column]);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
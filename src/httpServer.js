@@ -0,0 +1,85 @@
+import http from 'http';
+
+// The bot's HTTP server, shared by the webhook (src/webhook.js) and the
+// health, status and metrics endpoints (src/status.js). Handlers take
+// (req, res, next) and are tried in the order they were added until one
+// answers; requests none of them answer get 404.
+
+export const DEFAULT_HTTP_PORT = 8080;
+
+// Port from HTTP_PORT, else WEBHOOK_PORT or PORT, else 8080. Invalid values
+// are logged and replaced by the default.
+export function parseHttpPort(env, { logger = console } = {}) {
+  const setting = env.HTTP_PORT || env.WEBHOOK_PORT || env.PORT;
+  if (!setting) return DEFAULT_HTTP_PORT;
+
+  const port = Number(setting);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logger.warn(`Invalid HTTP port "${setting}", using ${DEFAULT_HTTP_PORT}`);
+    return DEFAULT_HTTP_PORT;
+  }
+  return port;
+}
+
+export function createHttpServer({ port = DEFAULT_HTTP_PORT, host, logger = console } = {}) {
+  const handlers = [];
+  let server = null;
+
+  function dispatch(req, res) {
+    let index = 0;
+    const next = () => {
+      const handler = handlers[index++];
+      if (!handler) {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+      Promise.resolve()
+        .then(() => handler(req, res, next))
+        .catch(error => {
+          logger.error('HTTP request failed', { url: req.url, error: error.message });
+          if (!res.headersSent) res.statusCode = 500;
+          res.end();
+        });
+    };
+    next();
+  }
+
+  return {
+    use(handler) {
+      handlers.push(handler);
+    },
+
+    // Resolves once listening; rejects if the port can't be bound
+    start() {
+      if (server) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const starting = http.createServer(dispatch);
+        starting.once('error', reject);
+        starting.listen(port, host, () => {
+          starting.off('error', reject);
+          server = starting;
+          logger.info(`HTTP server listening on port ${server.address().port}`);
+          resolve();
+        });
+      });
+    },
+
+    stop() {
+      if (!server) return Promise.resolve();
+      const closing = server;
+      server = null;
+      return new Promise(resolve => {
+        closing.close(() => resolve());
+        closing.closeIdleConnections?.();
+      });
+    },
+
+    isListening: () => server !== null,
+
+    // Address the server is listening on (port 0 picks a free one)
+    address() {
+      return server?.address() ?? null;
+    }
+  };
+}
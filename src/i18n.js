@@ -0,0 +1,44 @@
+import en from './locales/en.js';
+import vi from './locales/vi.js';
+
+// Message catalogs by language code. Each maps a key to a string with
+// {placeholders}; keys missing from a catalog fall back to English.
+export const CATALOGS = { en, vi };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Intl locale used for number formatting in each language
+const NUMBER_LOCALES = {
+  en: 'en-US',
+  vi: 'vi-VN'
+};
+
+// Supported language for a Telegram language_code ("vi", "vi-VN", "en-GB"), or null
+export function resolveLocale(code) {
+  const language = (code || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : null;
+}
+
+export function numberLocale(locale) {
+  return NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_LOCALE];
+}
+
+// Fill {placeholders}; unknown ones are left as they are
+export function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+export function translate(locale, key, params = {}) {
+  const template = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (template === undefined) return key;
+
+  return interpolate(template, params);
+}
+
+// t(key, params) bound to a language; t.locale is the language code
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const resolved = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const t = (key, params) => translate(resolved, key, params);
+  t.locale = resolved;
+  return t;
+}
@@ -0,0 +1,148 @@
+// Technical indicators over candles ({ time, open, high, low, close, volume }, oldest first).
+// Functions return null when there isn't enough data for the requested period.
+
+// Exponential moving average series (first value seeded with the SMA)
+function emaSeries(values, period) {
+  if (values.length < period) return [];
+
+  const k = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  const series = [ema];
+
+  for (let i = period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    series.push(ema);
+  }
+
+  return series;
+}
+
+export function ema(values, period) {
+  const series = emaSeries(values, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// Wilder's RSI
+export function rsi(values, period = 14) {
+  if (values.length <= period) return null;
+
+  let gains = 0;
+  let losses = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = values[i] - values[i - 1];
+    if (delta >= 0) gains += delta;
+    else losses -= delta;
+  }
+
+  let avgGain = gains / period;
+  let avgLoss = losses / period;
+  for (let i = period + 1; i < values.length; i++) {
+    const delta = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(delta, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-delta, 0)) / period;
+  }
+
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+  const fastSeries = emaSeries(values, fast);
+  const slowSeries = emaSeries(values, slow);
+  if (slowSeries.length === 0) return null;
+
+  // Align the fast EMA with the slow one (both end at the latest value)
+  const offset = fastSeries.length - slowSeries.length;
+  const macdSeries = slowSeries.map((slowValue, i) => fastSeries[i + offset] - slowValue);
+  const signalSeries = emaSeries(macdSeries, signal);
+  if (signalSeries.length === 0) return null;
+
+  const macdValue = macdSeries[macdSeries.length - 1];
+  const signalValue = signalSeries[signalSeries.length - 1];
+
+  return {
+    macd: macdValue,
+    signal: signalValue,
+    histogram: macdValue - signalValue
+  };
+}
+
+export function bollingerBands(values, period = 20, multiplier = 2) {
+  if (values.length < period) return null;
+
+  const window = values.slice(-period);
+  const middle = window.reduce((sum, value) => sum + value, 0) / period;
+  const variance = window.reduce((sum, value) => sum + Math.pow(value - middle, 2), 0) / period;
+  const deviation = Math.sqrt(variance);
+
+  return {
+    upper: middle + multiplier * deviation,
+    middle,
+    lower: middle - multiplier * deviation
+  };
+}
+
+// Volume weighted average price over the given candles (typical price weighting)
+export function vwap(candles) {
+  let priceVolume = 0;
+  let volume = 0;
+
+  candles.forEach(candle => {
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    priceVolume += typicalPrice * candle.volume;
+    volume += candle.volume;
+  });
+
+  return volume > 0 ? priceVolume / volume : null;
+}
+
+// Summarize the indicators into a trend label: Bullish / Bearish / Neutral
+export function classifyTrend({ close, rsi: rsiValue, macd: macdValue, ema20, ema50 }) {
+  let score = 0;
+
+  if (ema20 !== null && ema50 !== null) score += ema20 > ema50 ? 1 : -1;
+  if (ema20 !== null) score += close > ema20 ? 1 : -1;
+  if (macdValue) score += macdValue.histogram > 0 ? 1 : -1;
+  if (rsiValue !== null) {
+    if (rsiValue >= 55) score += 1;
+    else if (rsiValue <= 45) score -= 1;
+  }
+
+  if (score >= 2) return 'Bullish';
+  if (score <= -2) return 'Bearish';
+  return 'Neutral';
+}
+
+// Compute every indicator for one interval's candles; VWAP uses the last vwapCandles
+export function computeIndicators(candles, { vwapCandles = candles.length } = {}) {
+  const closes = candles.map(candle => candle.close);
+  const close = closes.length > 0 ? closes[closes.length - 1] : null;
+
+  const result = {
+    close,
+    rsi: rsi(closes, 14),
+    macd: macd(closes),
+    ema20: ema(closes, 20),
+    ema50: ema(closes, 50),
+    ema200: ema(closes, 200),
+    bollinger: bollingerBands(closes, 20, 2),
+    vwap: vwap(candles.slice(-vwapCandles))
+  };
+
+  return { ...result, trend: close === null ? 'Neutral' : classifyTrend(result) };
+}
+
+// Combine per-interval trends into one label (majority, ignoring missing intervals)
+export function overallTrend(indicatorsByInterval) {
+  const trends = Object.values(indicatorsByInterval)
+    .filter(Boolean)
+    .map(indicators => indicators.trend);
+  if (trends.length === 0) return null;
+
+  const bullish = trends.filter(trend => trend === 'Bullish').length;
+  const bearish = trends.filter(trend => trend === 'Bearish').length;
+
+  if (bullish > bearish && bullish >= trends.length / 2) return 'Bullish';
+  if (bearish > bullish && bearish >= trends.length / 2) return 'Bearish';
+  return 'Neutral';
+}
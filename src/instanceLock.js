@@ -0,0 +1,177 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+// Single-instance lock: of all the bot processes sharing a lock file (one
+// host, or containers sharing the data volume) only the holder, the leader,
+// receives updates and posts. The leader rewrites the file's heartbeat every
+// renewMs; the others check it just as often and take over once it is stale:
+//   - the heartbeat is older than ttlMs (the leader died or hangs), or
+//   - the holder ran on this host and its process is gone (checked at once,
+//     so a crashed leader is replaced without waiting for the TTL)
+// Two standbys taking over the same stale lock can both briefly believe they
+// lead; the one whose record didn't survive notices on its next renewal and
+// steps down.
+
+export const DEFAULT_LOCK_TTL_MS = 30000;
+
+// Whether a process with this id is running here. EPERM means it exists but
+// belongs to another user.
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// `onAcquire` runs when this instance becomes the leader and `onLose` when it
+// stops being one (the lock was taken over, or stop() released it).
+export function createInstanceLock({
+  filePath,
+  ttlMs = DEFAULT_LOCK_TTL_MS,
+  renewMs = Math.round(ttlMs / 3),
+  instanceId = crypto.randomUUID(),
+  pid = process.pid,
+  processStartedAt = Date.now() - process.uptime() * 1000,
+  hostname = os.hostname(),
+  isProcessAlive = processAlive,
+  onAcquire = () => {},
+  onLose = () => {},
+  logger = console,
+  now = Date.now
+}) {
+  let leader = false;
+  let acquiredAt = null;
+  let timer = null;
+
+  // The current holder's record, or null without a lock file. Legacy lock
+  // files hold just a PID; they count as written on this host at their mtime.
+  function readHolder() {
+    let content;
+    let stats;
+    try {
+      content = fs.readFileSync(filePath, 'utf8').trim();
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    if (/^\d+$/.test(content)) {
+      return { pid: Number(content), hostname, heartbeatAt: stats.mtimeMs };
+    }
+    try {
+      return JSON.parse(content);
+    } catch {
+      return { heartbeatAt: stats.mtimeMs };
+    }
+  }
+
+  function isStale(holder) {
+    if (!Number.isFinite(holder.heartbeatAt) || now() - holder.heartbeatAt > ttlMs) return true;
+    if (holder.hostname !== hostname || !holder.pid) return false;
+    // Our own PID from before this process started: an earlier run of this
+    // container, which got the same PID
+    if (holder.pid === pid) return holder.heartbeatAt < processStartedAt;
+    return !isProcessAlive(holder.pid);
+  }
+
+  function record() {
+    return JSON.stringify({ instanceId, pid, hostname, acquiredAt, heartbeatAt: now() });
+  }
+
+  // Create the lock file; false if another instance got there first
+  function create() {
+    acquiredAt = now();
+    try {
+      fs.writeFileSync(filePath, record(), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  function tryAcquire() {
+    if (create()) return true;
+
+    const holder = readHolder();
+    if (holder && !isStale(holder)) return false;
+
+    logger.warn('Taking over a stale instance lock', { holder });
+    fs.rmSync(filePath, { force: true });
+    return create();
+  }
+
+  // Rewrite the heartbeat; false if another instance holds the lock now
+  function renew() {
+    if (readHolder()?.instanceId !== instanceId) return false;
+
+    const tmpPath = `${filePath}.${instanceId}.tmp`;
+    fs.writeFileSync(tmpPath, record());
+    fs.renameSync(tmpPath, filePath);
+    return true;
+  }
+
+  function setLeader(value) {
+    if (leader === value) return;
+    leader = value;
+    if (value) {
+      logger.info('Acquired the instance lock, running as leader', { filePath, instanceId });
+      onAcquire();
+    } else {
+      onLose();
+    }
+  }
+
+  // One round: renew as the leader, try to take over as a standby
+  function tick() {
+    try {
+      if (leader) {
+        if (!renew()) {
+          logger.warn('Instance lock taken over by another instance, standing by', { holder: readHolder() });
+          setLeader(false);
+        }
+      } else if (tryAcquire()) {
+        setLeader(true);
+      }
+    } catch (error) {
+      logger.error(`Instance lock check failed: ${error.message}`, { filePath });
+    }
+    return leader;
+  }
+
+  return {
+    tick,
+
+    // Try to become the leader now and keep checking; returns whether this
+    // instance leads
+    start() {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      if (!timer) timer = setInterval(tick, renewMs);
+      const acquired = tick();
+      if (!acquired) logger.info('Another instance holds the instance lock, standing by', { holder: readHolder() });
+      return acquired;
+    },
+
+    // Stop checking and give up the lock so a standby can take over at once
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      if (!leader) return;
+      try {
+        if (readHolder()?.instanceId === instanceId) fs.rmSync(filePath, { force: true });
+      } catch (error) {
+        logger.error(`Could not release the instance lock: ${error.message}`, { filePath });
+      }
+      setLeader(false);
+    },
+
+    isLeader: () => leader,
+
+    holder: readHolder
+  };
+}
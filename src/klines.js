@@ -0,0 +1,30 @@
+// Candle intervals used for analysis. `mexc` is the interval name the MEXC API
+// expects (it uses "60m" rather than "1h"); `vwapCandles` is how many candles
+// make up the VWAP session for that interval.
+export const KLINE_INTERVALS = {
+  '5m': { mexc: '5m', ms: 5 * 60 * 1000, vwapCandles: 288 },
+  '15m': { mexc: '15m', ms: 15 * 60 * 1000, vwapCandles: 96 },
+  '1h': { mexc: '60m', ms: 60 * 60 * 1000, vwapCandles: 24 },
+  '4h': { mexc: '4h', ms: 4 * 60 * 60 * 1000, vwapCandles: 42 },
+  '1d': { mexc: '1d', ms: 24 * 60 * 60 * 1000, vwapCandles: 30 }
+};
+
+// Intervals shown in the signal message and /ta summary
+export const ANALYSIS_INTERVALS = ['15m', '1h', '4h', '1d'];
+
+// Convert MEXC /klines rows into candles, oldest first
+export function klinesToCandles(klines) {
+  if (!Array.isArray(klines)) return [];
+
+  return klines
+    .map(row => ({
+      time: Number(row[0]),
+      open: parseFloat(row[1]),
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+      volume: parseFloat(row[5]) || 0
+    }))
+    .filter(candle => [candle.open, candle.high, candle.low, candle.close].every(isFinite))
+    .sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,424 @@
+// English messages (the fallback for keys missing from other catalogs)
+export default {
+  // /start and /help
+  'start.message': `
+    💰 <b>Welcome to TCAPY Community Bot</b> 💰
+
+  Hello! Explore cryptocurrency data with these commands:
+
+  - <code>/start</code> - Show this welcome message
+  - <code>/tcapy</code> - See real-time TCAPY investment signals
+  - <code>/signal [symbol]</code> - See real-time signals for any tracked token
+  - <code>/coin tcapy</code> - Get detailed info for TCAPY
+  - <code>/coin [symbol]</code> - Get details for any cryptocurrency
+  - <code>/alert</code> - Get notified on price, change or volume moves
+  - <code>/history [symbol]</code> - Summarize recorded price/volume history
+  - <code>/backtest [symbol] [24h|7d] [recorded]</code> - Hit rate and forward returns of each signal rule over recent klines, or over recorded snapshots
+  - <code>/ta [symbol]</code> - Technical indicators (RSI, MACD, EMA, Bollinger, VWAP)
+  - <code>/depth [symbol]</code> - Order book spread, depth, walls and slippage
+  - <code>/settings</code> - Configure this group (admins only)
+  - <code>/schedule</code> - See or change when updates are posted
+  - <code>/lang</code> - Choose your language
+  - <code>/help</code> - Display all available commands
+
+  <i>Serving a community of 500,000+ crypto enthusiasts!</i>
+  `,
+  'help.message': `
+    📚 <b>TCAPY Bot Command Guide</b> 📚
+
+  Here's everything you can do with this bot:
+
+  - <code>/start</code> - Displays the welcome message to get you started
+  - <code>/tcapy</code> - Shows real-time investment signals for TCAPY
+  - <code>/signal [symbol]</code> - Shows real-time signals for a tracked token:
+    • Tracked tokens: {tokens}
+  - <code>/coin [symbol]</code> - Fetches details for any cryptocurrency:
+    • Example: <code>/coin tcapy</code> - Get TCAPY details
+    • Example: <code>/coin btc</code> - Get Bitcoin details
+  - <code>/alert add [symbol] above|below [price]</code> - Alert on a price level
+  - <code>/alert add [symbol] change 15m &gt;5%</code> - Alert on a % move in a window
+  - <code>/alert add [symbol] volume 1h &gt;$20K</code> - Alert on traded volume in a window
+  - <code>/alert list</code> / <code>/alert remove [id|all]</code> - Manage this chat's alerts
+  - <code>/history [symbol] [24h|7d]</code> - Summary of recorded snapshots; add <code>csv</code> to export
+  - <code>/ta [symbol] [15m|1h|4h|1d]</code> - Technical indicators across intervals, or details for one
+  - <code>/depth [symbol] [size]</code> - Spread, depth at ±1/2/5%, walls and slippage for a USDT size (default $1K)
+  - <code>/settings</code> - Admins: symbols, topic, posting mode (fixed interval, or market events plus a daily digest), language, alert/event thresholds and sections for this group
+  - <code>/schedule list</code> - Shows this chat's scheduled posts and their next run
+  - <code>/schedule set [symbol|all] [cron] [tz=..] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m]</code> - Admins: post on a cron schedule, e.g. <code>/schedule set tcapy 0 9,21 * * * tz=Asia/Ho_Chi_Minh</code>
+  - <code>/schedule pause|resume [symbol|all]</code> - Admins: stop or restart scheduled posts
+  - <code>/lang [en|vi|reset]</code> - Sets your language; admins can use <code>/lang group [en|vi]</code> for the group default
+  - <code>/getgroupid</code> - Shows this chat's ID and topic ID
+  - <code>/help</code> - Shows this guide with all available commands
+
+  <i>Tracked tokens are posted on each chat's schedule (see /schedule list); picking an interval in /settings replaces a custom cron</i>
+  `,
+
+  // /lang
+  'lang.current': '🌐 Your language: {language}\nChange it with /lang en or /lang vi, or go back to your Telegram language with /lang reset.',
+  'lang.set': '✅ Language set to {language}.',
+  'lang.reset': '✅ Using your Telegram language again ({language}).',
+  'lang.groupSet': '✅ Group language set to {language}.',
+  'lang.unsupported': '❌ Unsupported language "{code}". Available: {languages}',
+  'lang.adminOnly': '❌ Only group admins can change the group language.',
+
+  // Shared labels
+  'button.chart': '📊 Chart',
+  'button.trade': '💹 Trade',
+  'button.news': '📰 News',
+  'button.refresh': '🔄 Refresh',
+  'common.updatedAt': 'Last updated: {timestamp} UTC',
+  'common.buy': 'Buy',
+  'common.sell': 'Sell',
+
+  // /coin
+  'coin.usage': '❌ Please provide a coin symbol (e.g., /coin BTC)',
+  'coin.currentPrice': 'Current Price',
+  'coin.change24h': '24h Change',
+  'coin.change1h': '1h Change',
+  'coin.volume24h': '24h Volume',
+  'coin.marketCap': 'Market Cap',
+  'coin.totalSupply': 'Total Supply',
+  'coin.circulatingSupply': 'Circulating Supply',
+  'coin.maxSupply': 'Max Supply',
+  'coin.supplyUnavailable': 'Supply information is currently unavailable.',
+  'coin.viewChart': 'View Price Chart',
+  'coin.error.default': '⚠️ Unable to retrieve data',
+  'coin.error.400': '⚠️ Invalid request. Please check the coin symbol (e.g., use BTC, ETH).',
+  'coin.error.401': '⚠️ API authentication error. Please try again later.',
+  'coin.error.403': '⚠️ Access denied. Please try again later.',
+  'coin.error.429': '⚠️ Rate limit exceeded. Please try again in a few minutes.',
+  'coin.error.500': '⚠️ Server error. Please try again later.',
+  'coin.error.unexpected': '⚠️ An unexpected error occurred.',
+  'coin.error.details': ' Details: {details}',
+  'coin.error.notFound': '❌ Coin "{symbol}" not found. Please check the symbol and try again!',
+  'coin.error.generic': '⚠️ Error: {error}',
+
+  // Command rate limiting
+  'rateLimit.wait': '⏳ You are using /{command} too often. Please try again in {seconds}s.',
+
+  // Signal analysis
+  'timeframe.15m': '15 Minutes',
+  'timeframe.30m': '30 Minutes',
+  'timeframe.1h': '1 Hour',
+  'timeframe.4h': '4 Hours',
+  'signal.title': '🚨 {name}/USDT Real-Time Analysis ',
+  'signal.currentPrice': 'Current Price',
+  'signal.alert': '⚠️ ALERT: Significant Price Movement Detected!',
+  'signal.volumeTitle': 'Volume Analysis (Last 24h: ${volume})',
+  'signal.sellOrders': 'Sell Orders (Asks)',
+  'signal.buyOrders': 'Buy Orders (Bids)',
+  'signal.last': 'Last {window}',
+  'signal.ratio1h': 'Buy/Sell Ratio (1h)',
+  'signal.dataQuality': 'Data Quality',
+  'signal.buyZones': 'Top Buy Zones Right Now',
+  'signal.noBuyZones': 'No significant buy zones detected in recent trading activity.',
+  'signal.largestTrades': 'Largest Trades (Last 1 Hour)',
+  'signal.marketMetrics': 'Market Metrics',
+  'signal.marketCap': 'Market Cap',
+  'signal.totalVolume24h': 'Total Volume 24H',
+  'signal.circulatingSupply': 'Circulating Supply',
+  'signal.indicators': 'Technical Indicators',
+  'signal.technicalTrend': 'Technical Trend',
+  'signal.tradeOnMexc': 'Trade on MEXC',
+  'signal.viewOnCmc': 'View on CMC',
+  'signal.footerCommands': 'Use /signal {symbol} for real-time updates | /help for all commands',
+  'signal.poweredBy': 'Powered by <b>TCAPY Community Bot</b> | Serving 500K+ traders',
+  'signal.notEnabled': '❌ {name} signals are not enabled in this group. An admin can enable them with /settings.',
+  'signal.wrongTopic': '❌ This command is only available in the designated topic.',
+  'signal.collecting': '🔄 Collecting real-time {name} data, please wait...',
+  'signal.failed': '❌ Failed to retrieve {name} data. Please try again later.',
+  'signal.error': '❌ Error generating {name} signal: {error}. Service will retry automatically.',
+
+  // Volume data quality (see volumeData.js)
+  'quality.live': 'Live trade stream (complete)',
+  'quality.complete': 'Trade history (complete)',
+  'quality.approximate': '1m klines (buy/sell split approximated)',
+  'quality.partial': 'Recent trades only (window truncated)',
+  'quality.estimated': 'Estimated from 24h volume',
+  'quality.note.approximate': '~ buy/sell split approximated from 1m klines',
+  'quality.note.partial': '≥ lower bound, older trades unavailable',
+  'quality.note.estimated': '≈ estimated from the 24h volume',
+
+  // Technical indicators
+  'trend.Bullish': 'Bullish 📈',
+  'trend.Bearish': 'Bearish 📉',
+  'trend.Neutral': 'Neutral ↔️',
+  'rsi.overbought': 'overbought',
+  'rsi.oversold': 'oversold',
+
+  // Exchanges section
+  'exchanges.title': 'Exchanges',
+  'exchanges.aggregatedVolume': 'Aggregated Volume 24H',
+  'exchanges.weightedPrice': 'Volume-Weighted Price',
+  'exchanges.spread': 'Price Spread Between Venues',
+  'exchanges.arbitrage': 'Arbitrage',
+  'exchanges.arbitrageRoute': 'buy {buy} ${buyPrice} → sell {sell} ${sellPrice} (+{gap}%)',
+
+  // generateSignalMessage: price movement
+  'move.extremeSurge': '🌋 EXTREME SURGE in {timeframe}: {coin} showing parabolic movement with massive buy pressure – FOMO phase detected!',
+  'move.massiveBreakout': '🚀 MASSIVE BREAKOUT in {timeframe}: {coin} exploding with extreme buy strength – strong momentum building!',
+  'move.strongRally': '📈 STRONG BULL RALLY in {timeframe}: Price accelerating rapidly with institutional buying detected.',
+  'move.powerfulMomentum': '💥 POWERFUL MOMENTUM in {timeframe}: Strong buy pressure pushing price higher with conviction.',
+  'move.strongUptrend': '💡 STRONG UPTREND in {timeframe}: Clear bullish pattern forming with sustained buying.',
+  'move.solidBullish': '🌟 SOLID BULLISH MOVE in {timeframe}: Buyers stepping in with confidence – good momentum.',
+  'move.positiveTrend': '✅ POSITIVE TREND in {timeframe}: Healthy buying momentum with bullish continuation likely.',
+  'move.mildStrength': '🟢 MILD STRENGTH in {timeframe}: Market trending upward with steady support.',
+  'move.gradualGrowth': '📊 GRADUAL GROWTH in {timeframe}: Slow but steady accumulation phase.',
+  'move.earlyBullish': '🌱 EARLY BULLISH SIGNS in {timeframe}: First signs of accumulation – monitor closely.',
+  'move.consolidation': '🌾 CONSOLIDATION PHASE in {timeframe}: Market taking a breather – often precedes bigger moves.',
+  'move.minorWeakness': '🌥 MINOR WEAKNESS in {timeframe}: Slight selling pressure but nothing concerning.',
+  'move.mildCorrection': '🟠 MILD CORRECTION in {timeframe}: Some profit-taking but technical structure remains intact.',
+  'move.pullback': '🔄 PULLBACK ZONE in {timeframe}: Healthy correction after recent moves.',
+  'move.significantDecline': '📉 SIGNIFICANT DECLINE in {timeframe}: Increased selling pressure – watch key support levels.',
+  'move.majorCorrection': '🌀 MAJOR CORRECTION in {timeframe}: Sharp selloff – potential oversold opportunity for brave traders.',
+
+  // generateSignalMessage: volume and sentiment
+  'volume.extremeBuying': ' 📈 EXTREMELY HIGH buy pressure detected with heavy accumulation!',
+  'volume.strongBuying': ' 📈 Strong buy pressure with institutional accumulation patterns.',
+  'volume.heavyDistribution': ' 📉 Heavy distribution detected – potential buying opportunity approaching.',
+  'volume.sellersInControl': ' 📉 Sellers currently in control – monitor for reversal signs.',
+  'volume.extremeActivity': ' 🔊 Extremely high trading activity with major market participation!',
+  'volume.highActivity': ' 🔊 High trading volume indicating strong market interest!',
+  'horizon.short': ' ⚡ Short-term traders may consider quick entries or exits based on this signal.',
+  'horizon.long': ' 🕰 Long-term investors should assess this signal in the context of their overall strategy.',
+  'sentiment.bullish': ' 😃 Market sentiment appears strongly bullish – FOMO may drive prices higher.',
+  'sentiment.bearish': ' 😟 Market sentiment is bearish – panic selling could lead to oversold conditions.',
+  'sentiment.neutral': ' 😐 Market sentiment is neutral with low activity – patience may be required.',
+
+  // /getgroupid and shared replies
+  'groupId.chat': 'Group ID: {id}',
+  'groupId.thread': 'Thread ID: {id}',
+  'error.generic': 'An error occurred while processing your request. Please try again later.',
+  'owner.denied': '❌ This command is only for the bot owners.',
+
+  // Refresh buttons
+  'refresh.wait': '⏳ Please wait {seconds}s before refreshing again',
+  'refresh.unchanged': '✅ Data is unchanged since the last update',
+  'refresh.updated': '🔄 Updated',
+  'refresh.failed': '⚠️ Could not refresh data. Please try again later.',
+
+  // /signal and /tcapy
+  'signal.usage': '❌ Please provide a token symbol (e.g., /signal {example}). Tracked: {tracked}',
+  'signal.untracked': '❌ {symbol} is not tracked by this bot. Tracked: {tracked}',
+  'signal.tcapyMissing': '❌ TCAPY is not configured on this bot. Use /signal [symbol] instead.',
+
+  // /settings
+  'settings.adminOnly': '❌ Only group admins can change the bot settings.',
+  'settings.adminOnlyToast': '❌ Only group admins can change the settings',
+  'settings.saved': '✅ Saved',
+  'settings.title': 'Chat Settings',
+  'settings.default': 'default',
+  'settings.none': 'none',
+  'settings.off': 'Off',
+  'settings.symbols': 'Symbols',
+  'settings.topic': 'Topic',
+  'settings.topicId': 'Topic {id}',
+  'settings.mainChat': 'Main chat',
+  'settings.useTopic': 'Use this topic',
+  'settings.tokenDefault': 'Token default',
+  'settings.posting': 'Posting',
+  'settings.digest': 'Daily digest',
+  'settings.digestOn': 'daily digest on',
+  'settings.digestOff': 'daily digest off',
+  'settings.interval': 'Interval',
+  'settings.language': 'Language',
+  'settings.alerts': 'Alerts',
+  'settings.alertThresholds': 'whales ≥ ${whale} | move ≥ {move15m}% (15m) / {move1h}% (1h)',
+  'settings.events': 'Events',
+  'settings.eventThresholds': 'ratio ≥ {ratio}x | volume ≥ {volume}x avg | buy wall ≥ ${wall}',
+  'settings.timesAverage': '{value}x avg',
+  'settings.sections': 'Sections',
+  'settings.layout': 'Layout',
+  'settings.back': 'Back',
+  'settings.reset': 'Reset',
+  'settings.close': 'Close',
+  'settings.error.untracked': '❌ This token is no longer tracked',
+  'settings.error.noTopic': 'ℹ️ Open /settings inside the topic you want to use',
+  'settings.error.mode': '❌ Unknown posting mode',
+  'settings.error.language': '❌ Unsupported language',
+  'settings.error.threshold': '❌ Unknown threshold',
+  'settings.error.section': '❌ Unknown section',
+  'settings.error.layout': '❌ Unknown layout',
+  'settings.error.action': '❌ Unknown action',
+  'postingMode.interval': 'Fixed interval',
+  'postingMode.events': 'Market events',
+  'layout.full': 'Full',
+  'layout.compact': 'Compact',
+  'section.signal': 'Signal & movement alert',
+  'section.volume': 'Volume analysis',
+  'section.buyZones': 'Buy zones',
+  'section.whales': 'Largest trades',
+  'section.market': 'Market metrics',
+  'section.exchanges': 'Exchanges',
+  'section.indicators': 'Technical indicators',
+
+  // /schedule
+  'schedule.usage': 'ℹ️ Usage: /schedule list | /schedule set <SYMBOL|all> <cron|@daily> [tz=Asia/Ho_Chi_Minh] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m] | /schedule pause|resume [SYMBOL|all]',
+  'schedule.setUsage': 'Usage: /schedule set <SYMBOL> <cron|@daily> [tz=Asia/Ho_Chi_Minh] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m]',
+  'schedule.empty': 'ℹ️ No scheduled posts in this chat. An admin can pick tokens with /settings.',
+  'schedule.title': 'Scheduled posts',
+  'schedule.adminOnly': '❌ Only group admins can change the schedule.',
+  'schedule.noneInChat': '❌ This chat has no scheduled posts. An admin can pick tokens with /settings.',
+  'schedule.notPosted': '❌ {symbol} is not posted in this chat. An admin can pick tokens with /settings.',
+  'schedule.updated': 'Schedule updated:',
+  'schedule.quiet': 'quiet {hours}',
+  'schedule.jitter': 'jitter {jitter}',
+  'schedule.next': 'Next: {time}',
+  'schedule.last': 'Last: {time}',
+  'schedule.failed': 'failed',
+  'schedule.never': 'never',
+  'schedule.error.cron': '{error}. {usage}',
+  'schedule.error.timezone': 'Unknown timezone "{value}". Use an IANA name like Asia/Ho_Chi_Minh or UTC.',
+  'schedule.error.policy': 'Policy must be one of: {policies}',
+  'schedule.error.jitter': 'Jitter must look like 30s, 5m or 1h',
+  'schedule.error.option': 'Unknown option "{option}". {usage}',
+  'cron.field.minute': 'minute',
+  'cron.field.hour': 'hour',
+  'cron.field.day': 'day',
+  'cron.field.month': 'month',
+  'cron.field.weekday': 'weekday',
+  'cron.error.fieldCount': 'Cron expression needs {count} fields (minute hour day month weekday)',
+  'cron.error.step': 'Invalid step "{step}" in cron {field} field',
+  'cron.error.field': 'Invalid cron {field} field "{value}"',
+  'cron.error.range': 'Cron {field} field "{value}" is out of range {min}-{max}',
+  'cron.error.quietHours': 'Quiet hours must look like 22:00-07:00',
+  'cron.error.time': 'Invalid time {time}',
+  'digest.title': 'Daily digest',
+
+  // /alert and alert notifications
+  'alert.usage': 'ℹ️ Usage: /alert add [symbol] above|below [price] | /alert add [symbol] change 15m >5% | /alert add [symbol] volume 1h >$20K | /alert list | /alert remove [id|all]',
+  'alert.spec.usage': 'Usage: /alert add <SYMBOL> above|below <price>, /alert add <SYMBOL> change 15m >5%, /alert add <SYMBOL> volume 1h >$20K',
+  'alert.spec.invalidPrice': 'Invalid price "{value}". {usage}',
+  'alert.spec.invalidWindow': 'Invalid window "{value}". Use one of: {windows}',
+  'alert.spec.invalidCondition': 'Invalid condition "{value}". {usage}',
+  'alert.limit': '❌ This chat already has {max} alerts. Remove some with /alert remove [id].',
+  'alert.added': '🔔 Alert #{id} added: {alert}',
+  'alert.empty': 'ℹ️ No alerts in this chat. Add one with /alert add [symbol] above [price]',
+  'alert.listTitle': '🔔 Alerts in this chat:',
+  'alert.removedAll': '🗑 Removed {count} alert(s).',
+  'alert.idMissing': '❌ Please provide an alert id (e.g., /alert remove 3). Use /alert list to see ids.',
+  'alert.removed': '🗑 Alert #{id} removed.',
+  'alert.notFound': '❌ Alert #{id} not found in this chat.',
+  'alert.triggered': 'Alert #{id} triggered',
+  'alert.now': 'Now',
+  'alert.describe.priceAbove': '{symbol} price above ${price}',
+  'alert.describe.priceBelow': '{symbol} price below ${price}',
+  'alert.describe.change': '{symbol} {window} change {operator} {threshold}%',
+  'alert.describe.volume': '{symbol} {window} volume {operator} ${threshold}',
+
+  // /ta
+  'ta.usage': '❌ Please provide a symbol (e.g., /ta {example} 1h). Intervals: {intervals}',
+  'ta.badInterval': '❌ Unsupported interval "{interval}". Use one of: {intervals}',
+  'ta.noData': '❌ No kline data available for {pair} on MEXC.',
+  'ta.title': '{symbol}/USDT Technical Analysis',
+  'ta.overall': 'Overall',
+  'ta.details': 'Details: /ta {symbol} 1h',
+  'ta.trend': 'Trend',
+  'ta.close': 'Close',
+
+  // /depth
+  'depth.usage': '❌ Please provide a symbol (e.g., /depth {example} 5K).',
+  'depth.badSize': '❌ Invalid order size "{size}". Use a USDT amount like 500, 5K or $2.5K.',
+  'depth.noData': '❌ No order book data available for {pair} on MEXC.',
+  'depth.title': '{name}/USDT Order Book Depth',
+  'depth.bestBid': 'Best Bid',
+  'depth.bestAsk': 'Best Ask',
+  'depth.spread': 'Spread',
+  'depth.cumulative': 'Cumulative Depth',
+  'depth.imbalance': 'Imbalance (±{percent}%)',
+  'depth.bidsHeavier': 'bids heavier',
+  'depth.asksHeavier': 'asks heavier',
+  'depth.balanced': 'balanced',
+  'depth.sellWalls': 'Sell Walls (Resistance)',
+  'depth.buyWalls': 'Buy Walls (Support)',
+  'depth.slippageFor': 'Slippage for ${size}',
+  'depth.marketBuy': 'Market buy',
+  'depth.marketSell': 'Market sell',
+  'depth.fillableUp': 'only ${value} fillable up to ${price}',
+  'depth.fillableDown': 'only ${value} fillable down to ${price}',
+  'depth.slippage': 'avg ${average} | {percent}% slippage | worst ${worst}',
+  'depth.truncated': '≥ order book snapshot ends inside this band',
+  'depth.otherSizes': 'Other sizes: /depth {symbol} 10K',
+
+  // /history
+  'history.usage': '❌ Please provide a tracked token (e.g., /history {example} 24h). Tracked: {tracked}',
+  'history.empty': 'ℹ️ No {name} snapshots recorded in the last {range} yet.',
+  'history.csvCaption': '{name} snapshots ({count}) for the last {range}',
+  'history.title': '{name} History – last {range}',
+  'history.snapshots': 'Snapshots',
+  'history.price': 'Price',
+  'history.high': 'High',
+  'history.low': 'Low',
+  'history.priceAt': '${price} at {time} UTC',
+  'history.averageRatio': 'Avg Buy/Sell Ratio (1h)',
+  'history.biggestMoves': 'Biggest Moves',
+  'history.move': '{change}% (1h) at {time} UTC',
+  'history.export': 'Export: /history {symbol} {range} csv',
+
+  // /backtest
+  'backtest.usage': '❌ Please provide a tracked token (e.g., /backtest {example} 7d). Tracked: {tracked}',
+  'backtest.noKlineData': 'ℹ️ Not enough kline data for {name} in the last {range} to backtest.',
+  'backtest.noRecordedData': 'ℹ️ Not enough recorded data for {name} in the last {range} to backtest.',
+  'backtest.report.title': 'Backtest {symbol}: {observations} observations, {from} → {to} UTC',
+  'backtest.report.noMatch': 'No rule matched.',
+  'backtest.report.legend': 'rule (bias) signals | horizon: avg return, hit rate (samples)',
+  'backtest.report.hitRate': ', {rate}% hit',
+
+  // Whale and market event posts
+  'whale.largeBuy': 'Large buy',
+  'whale.largeSell': 'Large sell',
+  'whale.fills': '{trades} trades in {seconds}s',
+  'whale.price': 'Price',
+  'whale.impact': '{impact} impact',
+  'event.title': 'Market event',
+  'event.titlePlural': 'Market events',
+  'event.move': '15m move {change}% (±{threshold}%)',
+  'event.ratioBuyers': 'Buy/sell ratio {ratio} (15m) - buyers dominate',
+  'event.ratioSellers': 'Buy/sell ratio {ratio} (15m) - sellers dominate',
+  'event.volume': '15m volume {multiple}x the recent average',
+  'event.buyWall': 'New buy wall: ${value} at ${price} ({distance}%)',
+
+  // Owner commands
+  'owner.postNow.usage': '❌ Usage: /post_now <SYMBOL> [chat id]. Tracked: {tracked}',
+  'owner.postNow.chatMissing': '❌ Chat {chatId} doesn\'t receive {symbol}.',
+  'owner.postNow.noChats': '❌ No chat receives {symbol}.',
+  'owner.postNow.posted': '✅ Posted {symbol} to {posted} of {total} chat(s).',
+  'owner.postNow.failed': 'Failed: {chats} (see /logs)',
+  'owner.broadcast.usage': '❌ Usage: /broadcast <message>',
+  'owner.broadcast.sent': '📣 Broadcast sent to {sent} of {total} group(s).',
+  'owner.broadcast.removed': '{count} group(s) the bot is no longer in were removed.',
+  'owner.pause.already': 'ℹ️ Posting is already paused (since {since}).',
+  'owner.pause.done': '⏸ Posting paused: no scheduled, market event or whale posts until /resume. Commands and price alerts keep working.',
+  'owner.resume.notPaused': 'ℹ️ Posting is not paused.',
+  'owner.resume.done': '▶️ Posting resumed.',
+  'owner.duration.days': '{days}d {hours}h',
+  'owner.duration.hours': '{hours}h {minutes}m',
+  'owner.duration.minutes': '{minutes}m',
+  'owner.stats.title': '📊 Bot stats',
+  'owner.stats.uptime': '⏱ Up {duration} (since {since})',
+  'owner.stats.leader': 'Leader',
+  'owner.stats.standby': 'Standby',
+  'owner.stats.updates': '🤖 {role}, updates: {mode}',
+  'owner.stats.notConnected': 'not connected',
+  'owner.stats.paused': '⏸ Posting paused by {user} since {since}',
+  'owner.stats.active': '▶️ Posting active',
+  'owner.stats.chats': '💬 Chats: {groups} group(s), {other} other',
+  'owner.stats.signals': '📨 Signals in 24h: {count} ({triggers})',
+  'owner.stats.commands': '⌨️ Commands: {counts}',
+  'owner.stats.scheduled': '📅 Scheduled posts: {counts}',
+  'owner.stats.none': 'none',
+  'owner.stats.upstreams': '🌐 Upstreams',
+  'owner.stats.upstream': '• {upstream}: {ok} ok, {failed} failed',
+  'owner.stats.lastOk': ', last ok {duration} ago',
+  'owner.stats.neverOk': ', never ok',
+  'owner.stats.noRequests': 'No requests yet',
+  'owner.reload.failed': '❌ Reload failed, keeping the current config: {error}',
+  'owner.reload.done': '🔄 Config reloaded.',
+  'owner.reload.tokens': 'Tokens: {symbols}',
+  'owner.reload.added': 'Added: {symbols}',
+  'owner.reload.removed': 'Removed: {symbols}',
+  'owner.logs.private': '🔒 Use /logs in a private chat with the bot.',
+  'owner.logs.missing': 'ℹ️ No error log yet.',
+  'owner.logs.empty': 'ℹ️ The error log is empty.',
+  'owner.logs.title': '📜 Last {count} error log line(s)'
+};
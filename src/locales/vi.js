@@ -0,0 +1,424 @@
+// Tiếng Việt
+export default {
+  // /start và /help
+  'start.message': `
+    💰 <b>Chào mừng đến với TCAPY Community Bot</b> 💰
+
+  Xin chào! Khám phá dữ liệu tiền mã hóa với các lệnh sau:
+
+  - <code>/start</code> - Hiển thị lời chào này
+  - <code>/tcapy</code> - Xem tín hiệu đầu tư TCAPY theo thời gian thực
+  - <code>/signal [mã]</code> - Xem tín hiệu theo thời gian thực cho token đang theo dõi
+  - <code>/coin tcapy</code> - Xem thông tin chi tiết về TCAPY
+  - <code>/coin [mã]</code> - Xem thông tin bất kỳ đồng tiền mã hóa nào
+  - <code>/alert</code> - Nhận thông báo khi giá, biến động hoặc khối lượng thay đổi
+  - <code>/history [mã]</code> - Tóm tắt lịch sử giá/khối lượng đã ghi nhận
+  - <code>/backtest [mã] [24h|7d] [recorded]</code> - Tỷ lệ đúng và lợi nhuận sau tín hiệu của từng quy tắc trên nến gần đây, hoặc trên dữ liệu đã ghi nhận
+  - <code>/ta [mã]</code> - Chỉ báo kỹ thuật (RSI, MACD, EMA, Bollinger, VWAP)
+  - <code>/depth [mã]</code> - Chênh lệch giá, độ sâu, tường lệnh và trượt giá của sổ lệnh
+  - <code>/settings</code> - Cấu hình nhóm (chỉ quản trị viên)
+  - <code>/schedule</code> - Xem hoặc đổi lịch đăng cập nhật
+  - <code>/lang</code> - Chọn ngôn ngữ
+  - <code>/help</code> - Hiển thị tất cả các lệnh
+
+  <i>Phục vụ cộng đồng hơn 500.000 người yêu thích crypto!</i>
+  `,
+  'help.message': `
+    📚 <b>Hướng dẫn lệnh TCAPY Bot</b> 📚
+
+  Đây là tất cả những gì bạn có thể làm với bot:
+
+  - <code>/start</code> - Hiển thị lời chào để bắt đầu
+  - <code>/tcapy</code> - Hiển thị tín hiệu đầu tư TCAPY theo thời gian thực
+  - <code>/signal [mã]</code> - Hiển thị tín hiệu theo thời gian thực cho token đang theo dõi:
+    • Token đang theo dõi: {tokens}
+  - <code>/coin [mã]</code> - Lấy thông tin bất kỳ đồng tiền mã hóa nào:
+    • Ví dụ: <code>/coin tcapy</code> - Thông tin TCAPY
+    • Ví dụ: <code>/coin btc</code> - Thông tin Bitcoin
+  - <code>/alert add [mã] above|below [giá]</code> - Báo khi giá vượt một mức
+  - <code>/alert add [mã] change 15m &gt;5%</code> - Báo khi giá biến động % trong một khung thời gian
+  - <code>/alert add [mã] volume 1h &gt;$20K</code> - Báo theo khối lượng giao dịch trong một khung thời gian
+  - <code>/alert list</code> / <code>/alert remove [id|all]</code> - Quản lý cảnh báo của nhóm
+  - <code>/history [mã] [24h|7d]</code> - Tóm tắt dữ liệu đã ghi nhận; thêm <code>csv</code> để xuất file
+  - <code>/ta [mã] [15m|1h|4h|1d]</code> - Chỉ báo kỹ thuật theo các khung, hoặc chi tiết một khung
+  - <code>/depth [mã] [số tiền]</code> - Chênh lệch giá, độ sâu ±1/2/5%, tường lệnh và trượt giá cho một khoản USDT (mặc định $1K)
+  - <code>/settings</code> - Quản trị viên: token, topic, chế độ đăng (định kỳ, hoặc theo biến động thị trường kèm bản tin hằng ngày), ngôn ngữ, ngưỡng cảnh báo/sự kiện và các phần của tin nhắn
+  - <code>/schedule list</code> - Hiển thị lịch đăng của nhóm và lần chạy tiếp theo
+  - <code>/schedule set [mã|all] [cron] [tz=..] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m]</code> - Quản trị viên: đăng theo lịch cron, ví dụ <code>/schedule set tcapy 0 9,21 * * * tz=Asia/Ho_Chi_Minh</code>
+  - <code>/schedule pause|resume [mã|all]</code> - Quản trị viên: tạm dừng hoặc tiếp tục lịch đăng
+  - <code>/lang [en|vi|reset]</code> - Đặt ngôn ngữ của bạn; quản trị viên dùng <code>/lang group [en|vi]</code> để đặt ngôn ngữ mặc định của nhóm
+  - <code>/getgroupid</code> - Hiển thị ID nhóm và ID topic
+  - <code>/help</code> - Hiển thị hướng dẫn này
+
+  <i>Token được đăng theo lịch của từng nhóm (xem /schedule list); chọn chu kỳ trong /settings sẽ thay thế lịch cron tùy chỉnh</i>
+  `,
+
+  // /lang
+  'lang.current': '🌐 Ngôn ngữ của bạn: {language}\nĐổi bằng /lang en hoặc /lang vi, hoặc dùng lại ngôn ngữ Telegram với /lang reset.',
+  'lang.set': '✅ Đã đặt ngôn ngữ: {language}.',
+  'lang.reset': '✅ Đã dùng lại ngôn ngữ Telegram của bạn ({language}).',
+  'lang.groupSet': '✅ Đã đặt ngôn ngữ của nhóm: {language}.',
+  'lang.unsupported': '❌ Không hỗ trợ ngôn ngữ "{code}". Có sẵn: {languages}',
+  'lang.adminOnly': '❌ Chỉ quản trị viên mới có thể đổi ngôn ngữ của nhóm.',
+
+  // Nhãn dùng chung
+  'button.chart': '📊 Biểu đồ',
+  'button.trade': '💹 Giao dịch',
+  'button.news': '📰 Tin tức',
+  'button.refresh': '🔄 Làm mới',
+  'common.updatedAt': 'Cập nhật lúc: {timestamp} UTC',
+  'common.buy': 'Mua',
+  'common.sell': 'Bán',
+
+  // /coin
+  'coin.usage': '❌ Vui lòng nhập mã coin (ví dụ: /coin BTC)',
+  'coin.currentPrice': 'Giá hiện tại',
+  'coin.change24h': 'Thay đổi 24h',
+  'coin.change1h': 'Thay đổi 1h',
+  'coin.volume24h': 'Khối lượng 24h',
+  'coin.marketCap': 'Vốn hóa',
+  'coin.totalSupply': 'Tổng cung',
+  'coin.circulatingSupply': 'Cung lưu hành',
+  'coin.maxSupply': 'Cung tối đa',
+  'coin.supplyUnavailable': 'Hiện chưa có thông tin về nguồn cung.',
+  'coin.viewChart': 'Xem biểu đồ giá',
+  'coin.error.default': '⚠️ Không thể lấy dữ liệu',
+  'coin.error.400': '⚠️ Yêu cầu không hợp lệ. Vui lòng kiểm tra mã coin (ví dụ: BTC, ETH).',
+  'coin.error.401': '⚠️ Lỗi xác thực API. Vui lòng thử lại sau.',
+  'coin.error.403': '⚠️ Truy cập bị từ chối. Vui lòng thử lại sau.',
+  'coin.error.429': '⚠️ Vượt giới hạn truy vấn. Vui lòng thử lại sau vài phút.',
+  'coin.error.500': '⚠️ Lỗi máy chủ. Vui lòng thử lại sau.',
+  'coin.error.unexpected': '⚠️ Đã xảy ra lỗi không mong muốn.',
+  'coin.error.details': ' Chi tiết: {details}',
+  'coin.error.notFound': '❌ Không tìm thấy coin "{symbol}". Vui lòng kiểm tra lại mã!',
+  'coin.error.generic': '⚠️ Lỗi: {error}',
+
+  // Giới hạn tần suất lệnh
+  'rateLimit.wait': '⏳ Bạn dùng /{command} quá nhiều lần. Vui lòng thử lại sau {seconds} giây.',
+
+  // Phân tích tín hiệu
+  'timeframe.15m': '15 phút',
+  'timeframe.30m': '30 phút',
+  'timeframe.1h': '1 giờ',
+  'timeframe.4h': '4 giờ',
+  'signal.title': '🚨 Phân tích {name}/USDT theo thời gian thực ',
+  'signal.currentPrice': 'Giá hiện tại',
+  'signal.alert': '⚠️ CẢNH BÁO: Phát hiện biến động giá mạnh!',
+  'signal.volumeTitle': 'Phân tích khối lượng (24h qua: ${volume})',
+  'signal.sellOrders': 'Lệnh bán (Ask)',
+  'signal.buyOrders': 'Lệnh mua (Bid)',
+  'signal.last': '{window} qua',
+  'signal.ratio1h': 'Tỷ lệ Mua/Bán (1h)',
+  'signal.dataQuality': 'Chất lượng dữ liệu',
+  'signal.buyZones': 'Vùng mua nổi bật hiện tại',
+  'signal.noBuyZones': 'Chưa phát hiện vùng mua đáng kể trong các giao dịch gần đây.',
+  'signal.largestTrades': 'Giao dịch lớn nhất (1 giờ qua)',
+  'signal.marketMetrics': 'Chỉ số thị trường',
+  'signal.marketCap': 'Vốn hóa',
+  'signal.totalVolume24h': 'Tổng khối lượng 24H',
+  'signal.circulatingSupply': 'Cung lưu hành',
+  'signal.indicators': 'Chỉ báo kỹ thuật',
+  'signal.technicalTrend': 'Xu hướng kỹ thuật',
+  'signal.tradeOnMexc': 'Giao dịch trên MEXC',
+  'signal.viewOnCmc': 'Xem trên CMC',
+  'signal.footerCommands': 'Dùng /signal {symbol} để cập nhật theo thời gian thực | /help để xem tất cả lệnh',
+  'signal.poweredBy': 'Vận hành bởi <b>TCAPY Community Bot</b> | Phục vụ hơn 500K nhà giao dịch',
+  'signal.notEnabled': '❌ Tín hiệu {name} chưa được bật trong nhóm này. Quản trị viên có thể bật bằng /settings.',
+  'signal.wrongTopic': '❌ Lệnh này chỉ dùng được trong topic đã chỉ định.',
+  'signal.collecting': '🔄 Đang thu thập dữ liệu {name} theo thời gian thực, vui lòng chờ...',
+  'signal.failed': '❌ Không thể lấy dữ liệu {name}. Vui lòng thử lại sau.',
+  'signal.error': '❌ Lỗi khi tạo tín hiệu {name}: {error}. Hệ thống sẽ tự động thử lại.',
+
+  // Chất lượng dữ liệu khối lượng
+  'quality.live': 'Luồng giao dịch trực tiếp (đầy đủ)',
+  'quality.complete': 'Lịch sử giao dịch (đầy đủ)',
+  'quality.approximate': 'Nến 1 phút (tỷ lệ mua/bán ước tính)',
+  'quality.partial': 'Chỉ có giao dịch gần đây (thiếu dữ liệu cũ)',
+  'quality.estimated': 'Ước tính từ khối lượng 24h',
+  'quality.note.approximate': '~ tỷ lệ mua/bán ước tính từ nến 1 phút',
+  'quality.note.partial': '≥ giá trị tối thiểu, không có giao dịch cũ hơn',
+  'quality.note.estimated': '≈ ước tính từ khối lượng 24h',
+
+  // Chỉ báo kỹ thuật
+  'trend.Bullish': 'Tăng 📈',
+  'trend.Bearish': 'Giảm 📉',
+  'trend.Neutral': 'Đi ngang ↔️',
+  'rsi.overbought': 'quá mua',
+  'rsi.oversold': 'quá bán',
+
+  // Các sàn
+  'exchanges.title': 'Các sàn giao dịch',
+  'exchanges.aggregatedVolume': 'Tổng khối lượng 24H',
+  'exchanges.weightedPrice': 'Giá bình quân theo khối lượng',
+  'exchanges.spread': 'Chênh lệch giá giữa các sàn',
+  'exchanges.arbitrage': 'Cơ hội arbitrage',
+  'exchanges.arbitrageRoute': 'mua {buy} ${buyPrice} → bán {sell} ${sellPrice} (+{gap}%)',
+
+  // generateSignalMessage: biến động giá
+  'move.extremeSurge': '🌋 TĂNG VỌT CỰC MẠNH trong {timeframe}: {coin} tăng thẳng đứng với lực mua khổng lồ – giai đoạn FOMO!',
+  'move.massiveBreakout': '🚀 BỨT PHÁ MẠNH trong {timeframe}: {coin} bùng nổ với lực mua cực lớn – đà tăng đang hình thành!',
+  'move.strongRally': '📈 SÓNG TĂNG MẠNH trong {timeframe}: Giá tăng tốc nhanh, phát hiện dòng tiền lớn.',
+  'move.powerfulMomentum': '💥 ĐÀ TĂNG MẠNH MẼ trong {timeframe}: Lực mua mạnh đẩy giá lên một cách chắc chắn.',
+  'move.strongUptrend': '💡 XU HƯỚNG TĂNG RÕ RỆT trong {timeframe}: Mô hình tăng giá rõ ràng với lực mua duy trì.',
+  'move.solidBullish': '🌟 TĂNG GIÁ VỮNG CHẮC trong {timeframe}: Người mua tự tin tham gia – đà tăng tốt.',
+  'move.positiveTrend': '✅ XU HƯỚNG TÍCH CỰC trong {timeframe}: Lực mua ổn định, nhiều khả năng tiếp tục tăng.',
+  'move.mildStrength': '🟢 TĂNG NHẸ trong {timeframe}: Thị trường đi lên với lực đỡ ổn định.',
+  'move.gradualGrowth': '📊 TĂNG TỪ TỪ trong {timeframe}: Giai đoạn tích lũy chậm nhưng chắc.',
+  'move.earlyBullish': '🌱 DẤU HIỆU TĂNG BAN ĐẦU trong {timeframe}: Những dấu hiệu tích lũy đầu tiên – theo dõi sát.',
+  'move.consolidation': '🌾 GIAI ĐOẠN TÍCH LŨY trong {timeframe}: Thị trường tạm nghỉ – thường trước một đợt biến động lớn.',
+  'move.minorWeakness': '🌥 SUY YẾU NHẸ trong {timeframe}: Áp lực bán nhẹ, chưa đáng lo ngại.',
+  'move.mildCorrection': '🟠 ĐIỀU CHỈNH NHẸ trong {timeframe}: Có chốt lời nhưng cấu trúc kỹ thuật vẫn giữ vững.',
+  'move.pullback': '🔄 VÙNG HỒI GIÁ trong {timeframe}: Điều chỉnh lành mạnh sau các đợt biến động.',
+  'move.significantDecline': '📉 GIẢM ĐÁNG KỂ trong {timeframe}: Áp lực bán gia tăng – theo dõi các vùng hỗ trợ quan trọng.',
+  'move.majorCorrection': '🌀 ĐIỀU CHỈNH MẠNH trong {timeframe}: Bán tháo mạnh – cơ hội quá bán cho nhà giao dịch mạo hiểm.',
+
+  // generateSignalMessage: khối lượng và tâm lý
+  'volume.extremeBuying': ' 📈 Lực mua CỰC KỲ LỚN với tích lũy mạnh!',
+  'volume.strongBuying': ' 📈 Lực mua mạnh với dấu hiệu tích lũy của dòng tiền lớn.',
+  'volume.heavyDistribution': ' 📉 Phát hiện phân phối mạnh – cơ hội mua có thể sắp đến.',
+  'volume.sellersInControl': ' 📉 Phe bán đang chiếm ưu thế – theo dõi dấu hiệu đảo chiều.',
+  'volume.extremeActivity': ' 🔊 Giao dịch cực kỳ sôi động với sự tham gia lớn của thị trường!',
+  'volume.highActivity': ' 🔊 Khối lượng giao dịch cao cho thấy thị trường rất quan tâm!',
+  'horizon.short': ' ⚡ Nhà giao dịch ngắn hạn có thể cân nhắc vào/ra lệnh nhanh dựa trên tín hiệu này.',
+  'horizon.long': ' 🕰 Nhà đầu tư dài hạn nên đánh giá tín hiệu này trong tổng thể chiến lược của mình.',
+  'sentiment.bullish': ' 😃 Tâm lý thị trường rất lạc quan – FOMO có thể đẩy giá cao hơn.',
+  'sentiment.bearish': ' 😟 Tâm lý thị trường bi quan – bán tháo có thể dẫn đến vùng quá bán.',
+  'sentiment.neutral': ' 😐 Tâm lý thị trường trung lập, giao dịch thưa thớt – cần kiên nhẫn.',
+
+  // /getgroupid và phản hồi dùng chung
+  'groupId.chat': 'ID nhóm: {id}',
+  'groupId.thread': 'ID chủ đề: {id}',
+  'error.generic': 'Đã xảy ra lỗi khi xử lý yêu cầu của bạn. Vui lòng thử lại sau.',
+  'owner.denied': '❌ Lệnh này chỉ dành cho chủ bot.',
+
+  // Nút làm mới
+  'refresh.wait': '⏳ Vui lòng đợi {seconds} giây trước khi làm mới lại',
+  'refresh.unchanged': '✅ Dữ liệu không đổi kể từ lần cập nhật trước',
+  'refresh.updated': '🔄 Đã cập nhật',
+  'refresh.failed': '⚠️ Không thể làm mới dữ liệu. Vui lòng thử lại sau.',
+
+  // /signal và /tcapy
+  'signal.usage': '❌ Vui lòng nhập mã token (ví dụ: /signal {example}). Đang theo dõi: {tracked}',
+  'signal.untracked': '❌ Bot không theo dõi {symbol}. Đang theo dõi: {tracked}',
+  'signal.tcapyMissing': '❌ Bot này chưa cấu hình TCAPY. Hãy dùng /signal [mã] thay thế.',
+
+  // /settings
+  'settings.adminOnly': '❌ Chỉ quản trị viên mới có thể đổi cài đặt của bot.',
+  'settings.adminOnlyToast': '❌ Chỉ quản trị viên mới có thể đổi cài đặt',
+  'settings.saved': '✅ Đã lưu',
+  'settings.title': 'Cài đặt nhóm',
+  'settings.default': 'mặc định',
+  'settings.none': 'không có',
+  'settings.off': 'Tắt',
+  'settings.symbols': 'Token',
+  'settings.topic': 'Chủ đề',
+  'settings.topicId': 'Chủ đề {id}',
+  'settings.mainChat': 'Kênh chat chính',
+  'settings.useTopic': 'Dùng chủ đề này',
+  'settings.tokenDefault': 'Mặc định của token',
+  'settings.posting': 'Đăng bài',
+  'settings.digest': 'Bản tin hằng ngày',
+  'settings.digestOn': 'bản tin hằng ngày bật',
+  'settings.digestOff': 'bản tin hằng ngày tắt',
+  'settings.interval': 'Chu kỳ',
+  'settings.language': 'Ngôn ngữ',
+  'settings.alerts': 'Cảnh báo',
+  'settings.alertThresholds': 'cá voi ≥ ${whale} | biến động ≥ {move15m}% (15m) / {move1h}% (1h)',
+  'settings.events': 'Sự kiện',
+  'settings.eventThresholds': 'tỷ lệ ≥ {ratio}x | khối lượng ≥ {volume}x TB | tường mua ≥ ${wall}',
+  'settings.timesAverage': '{value}x TB',
+  'settings.sections': 'Mục',
+  'settings.layout': 'Bố cục',
+  'settings.back': 'Quay lại',
+  'settings.reset': 'Đặt lại',
+  'settings.close': 'Đóng',
+  'settings.error.untracked': '❌ Token này không còn được theo dõi',
+  'settings.error.noTopic': 'ℹ️ Hãy mở /settings trong chủ đề bạn muốn dùng',
+  'settings.error.mode': '❌ Chế độ đăng bài không xác định',
+  'settings.error.language': '❌ Ngôn ngữ không được hỗ trợ',
+  'settings.error.threshold': '❌ Ngưỡng không xác định',
+  'settings.error.section': '❌ Mục không xác định',
+  'settings.error.layout': '❌ Bố cục không xác định',
+  'settings.error.action': '❌ Thao tác không xác định',
+  'postingMode.interval': 'Chu kỳ cố định',
+  'postingMode.events': 'Sự kiện thị trường',
+  'layout.full': 'Đầy đủ',
+  'layout.compact': 'Thu gọn',
+  'section.signal': 'Tín hiệu & cảnh báo biến động',
+  'section.volume': 'Phân tích khối lượng',
+  'section.buyZones': 'Vùng mua',
+  'section.whales': 'Giao dịch lớn nhất',
+  'section.market': 'Chỉ số thị trường',
+  'section.exchanges': 'Sàn giao dịch',
+  'section.indicators': 'Chỉ báo kỹ thuật',
+
+  // /schedule
+  'schedule.usage': 'ℹ️ Cách dùng: /schedule list | /schedule set <MÃ|all> <cron|@daily> [tz=Asia/Ho_Chi_Minh] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m] | /schedule pause|resume [MÃ|all]',
+  'schedule.setUsage': 'Cách dùng: /schedule set <MÃ> <cron|@daily> [tz=Asia/Ho_Chi_Minh] [quiet=22:00-07:00] [policy=skip|catchup] [jitter=5m]',
+  'schedule.empty': 'ℹ️ Nhóm này chưa có bài đăng theo lịch. Quản trị viên có thể chọn token bằng /settings.',
+  'schedule.title': 'Bài đăng theo lịch',
+  'schedule.adminOnly': '❌ Chỉ quản trị viên mới có thể đổi lịch đăng.',
+  'schedule.noneInChat': '❌ Nhóm này chưa có bài đăng theo lịch. Quản trị viên có thể chọn token bằng /settings.',
+  'schedule.notPosted': '❌ {symbol} không được đăng trong nhóm này. Quản trị viên có thể chọn token bằng /settings.',
+  'schedule.updated': 'Đã cập nhật lịch đăng:',
+  'schedule.quiet': 'giờ yên lặng {hours}',
+  'schedule.jitter': 'lệch ngẫu nhiên {jitter}',
+  'schedule.next': 'Lần tới: {time}',
+  'schedule.last': 'Lần trước: {time}',
+  'schedule.failed': 'thất bại',
+  'schedule.never': 'chưa có',
+  'schedule.error.cron': '{error}. {usage}',
+  'schedule.error.timezone': 'Múi giờ "{value}" không xác định. Hãy dùng tên IANA như Asia/Ho_Chi_Minh hoặc UTC.',
+  'schedule.error.policy': 'Chính sách phải là một trong: {policies}',
+  'schedule.error.jitter': 'Độ lệch phải có dạng 30s, 5m hoặc 1h',
+  'schedule.error.option': 'Tùy chọn "{option}" không xác định. {usage}',
+  'cron.field.minute': 'phút',
+  'cron.field.hour': 'giờ',
+  'cron.field.day': 'ngày',
+  'cron.field.month': 'tháng',
+  'cron.field.weekday': 'thứ',
+  'cron.error.fieldCount': 'Biểu thức cron cần {count} trường (phút giờ ngày tháng thứ)',
+  'cron.error.step': 'Bước "{step}" không hợp lệ trong trường {field} của cron',
+  'cron.error.field': 'Trường {field} của cron không hợp lệ: "{value}"',
+  'cron.error.range': 'Trường {field} của cron "{value}" nằm ngoài khoảng {min}-{max}',
+  'cron.error.quietHours': 'Giờ yên lặng phải có dạng 22:00-07:00',
+  'cron.error.time': 'Thời gian {time} không hợp lệ',
+  'digest.title': 'Bản tin hằng ngày',
+
+  // /alert và thông báo cảnh báo
+  'alert.usage': 'ℹ️ Cách dùng: /alert add [mã] above|below [giá] | /alert add [mã] change 15m >5% | /alert add [mã] volume 1h >$20K | /alert list | /alert remove [id|all]',
+  'alert.spec.usage': 'Cách dùng: /alert add <MÃ> above|below <giá>, /alert add <MÃ> change 15m >5%, /alert add <MÃ> volume 1h >$20K',
+  'alert.spec.invalidPrice': 'Giá "{value}" không hợp lệ. {usage}',
+  'alert.spec.invalidWindow': 'Khung thời gian "{value}" không hợp lệ. Hãy dùng một trong: {windows}',
+  'alert.spec.invalidCondition': 'Điều kiện "{value}" không hợp lệ. {usage}',
+  'alert.limit': '❌ Nhóm này đã có {max} cảnh báo. Hãy xóa bớt bằng /alert remove [id].',
+  'alert.added': '🔔 Đã thêm cảnh báo #{id}: {alert}',
+  'alert.empty': 'ℹ️ Nhóm này chưa có cảnh báo. Thêm bằng /alert add [mã] above [giá]',
+  'alert.listTitle': '🔔 Cảnh báo trong nhóm này:',
+  'alert.removedAll': '🗑 Đã xóa {count} cảnh báo.',
+  'alert.idMissing': '❌ Vui lòng nhập id cảnh báo (ví dụ: /alert remove 3). Dùng /alert list để xem các id.',
+  'alert.removed': '🗑 Đã xóa cảnh báo #{id}.',
+  'alert.notFound': '❌ Không tìm thấy cảnh báo #{id} trong nhóm này.',
+  'alert.triggered': 'Cảnh báo #{id} đã kích hoạt',
+  'alert.now': 'Hiện tại',
+  'alert.describe.priceAbove': 'Giá {symbol} trên ${price}',
+  'alert.describe.priceBelow': 'Giá {symbol} dưới ${price}',
+  'alert.describe.change': 'Biến động {window} của {symbol} {operator} {threshold}%',
+  'alert.describe.volume': 'Khối lượng {window} của {symbol} {operator} ${threshold}',
+
+  // /ta
+  'ta.usage': '❌ Vui lòng nhập mã (ví dụ: /ta {example} 1h). Khung thời gian: {intervals}',
+  'ta.badInterval': '❌ Không hỗ trợ khung thời gian "{interval}". Hãy dùng một trong: {intervals}',
+  'ta.noData': '❌ Không có dữ liệu nến cho {pair} trên MEXC.',
+  'ta.title': 'Phân tích kỹ thuật {symbol}/USDT',
+  'ta.overall': 'Tổng thể',
+  'ta.details': 'Chi tiết: /ta {symbol} 1h',
+  'ta.trend': 'Xu hướng',
+  'ta.close': 'Giá đóng cửa',
+
+  // /depth
+  'depth.usage': '❌ Vui lòng nhập mã (ví dụ: /depth {example} 5K).',
+  'depth.badSize': '❌ Khối lượng lệnh "{size}" không hợp lệ. Hãy nhập số USDT như 500, 5K hoặc $2.5K.',
+  'depth.noData': '❌ Không có dữ liệu sổ lệnh cho {pair} trên MEXC.',
+  'depth.title': 'Độ sâu sổ lệnh {name}/USDT',
+  'depth.bestBid': 'Giá mua tốt nhất',
+  'depth.bestAsk': 'Giá bán tốt nhất',
+  'depth.spread': 'Chênh lệch',
+  'depth.cumulative': 'Độ sâu tích lũy',
+  'depth.imbalance': 'Mất cân bằng (±{percent}%)',
+  'depth.bidsHeavier': 'bên mua lớn hơn',
+  'depth.asksHeavier': 'bên bán lớn hơn',
+  'depth.balanced': 'cân bằng',
+  'depth.sellWalls': 'Tường bán (Kháng cự)',
+  'depth.buyWalls': 'Tường mua (Hỗ trợ)',
+  'depth.slippageFor': 'Trượt giá cho ${size}',
+  'depth.marketBuy': 'Mua thị trường',
+  'depth.marketSell': 'Bán thị trường',
+  'depth.fillableUp': 'chỉ khớp được ${value} khi lên tới ${price}',
+  'depth.fillableDown': 'chỉ khớp được ${value} khi xuống tới ${price}',
+  'depth.slippage': 'TB ${average} | trượt giá {percent}% | xấu nhất ${worst}',
+  'depth.truncated': '≥ ảnh chụp sổ lệnh kết thúc trong khoảng này',
+  'depth.otherSizes': 'Khối lượng khác: /depth {symbol} 10K',
+
+  // /history
+  'history.usage': '❌ Vui lòng nhập token đang theo dõi (ví dụ: /history {example} 24h). Đang theo dõi: {tracked}',
+  'history.empty': 'ℹ️ Chưa ghi nhận dữ liệu {name} nào trong {range} qua.',
+  'history.csvCaption': 'Dữ liệu {name} ({count}) trong {range} qua',
+  'history.title': 'Lịch sử {name} – {range} qua',
+  'history.snapshots': 'Số bản ghi',
+  'history.price': 'Giá',
+  'history.high': 'Cao nhất',
+  'history.low': 'Thấp nhất',
+  'history.priceAt': '${price} lúc {time} UTC',
+  'history.averageRatio': 'Tỷ lệ Mua/Bán TB (1h)',
+  'history.biggestMoves': 'Biến động lớn nhất',
+  'history.move': '{change}% (1h) lúc {time} UTC',
+  'history.export': 'Xuất file: /history {symbol} {range} csv',
+
+  // /backtest
+  'backtest.usage': '❌ Vui lòng nhập token đang theo dõi (ví dụ: /backtest {example} 7d). Đang theo dõi: {tracked}',
+  'backtest.noKlineData': 'ℹ️ Không đủ dữ liệu nến của {name} trong {range} qua để kiểm thử.',
+  'backtest.noRecordedData': 'ℹ️ Không đủ dữ liệu đã ghi của {name} trong {range} qua để kiểm thử.',
+  'backtest.report.title': 'Kiểm thử {symbol}: {observations} quan sát, {from} → {to} UTC',
+  'backtest.report.noMatch': 'Không có quy tắc nào khớp.',
+  'backtest.report.legend': 'quy tắc (xu hướng) số tín hiệu | khung: lợi nhuận TB, tỷ lệ đúng (mẫu)',
+  'backtest.report.hitRate': ', đúng {rate}%',
+
+  // Bài đăng cá voi và sự kiện thị trường
+  'whale.largeBuy': 'Lệnh mua lớn',
+  'whale.largeSell': 'Lệnh bán lớn',
+  'whale.fills': '{trades} giao dịch trong {seconds} giây',
+  'whale.price': 'Giá',
+  'whale.impact': 'tác động {impact}',
+  'event.title': 'Sự kiện thị trường',
+  'event.titlePlural': 'Sự kiện thị trường',
+  'event.move': 'Biến động 15m {change}% (±{threshold}%)',
+  'event.ratioBuyers': 'Tỷ lệ mua/bán {ratio} (15m) - bên mua áp đảo',
+  'event.ratioSellers': 'Tỷ lệ mua/bán {ratio} (15m) - bên bán áp đảo',
+  'event.volume': 'Khối lượng 15m gấp {multiple} lần mức trung bình gần đây',
+  'event.buyWall': 'Tường mua mới: ${value} tại ${price} ({distance}%)',
+
+  // Lệnh của chủ bot
+  'owner.postNow.usage': '❌ Cách dùng: /post_now <MÃ> [id nhóm]. Đang theo dõi: {tracked}',
+  'owner.postNow.chatMissing': '❌ Nhóm {chatId} không nhận {symbol}.',
+  'owner.postNow.noChats': '❌ Không có nhóm nào nhận {symbol}.',
+  'owner.postNow.posted': '✅ Đã đăng {symbol} lên {posted}/{total} nhóm.',
+  'owner.postNow.failed': 'Thất bại: {chats} (xem /logs)',
+  'owner.broadcast.usage': '❌ Cách dùng: /broadcast <nội dung>',
+  'owner.broadcast.sent': '📣 Đã gửi thông báo tới {sent}/{total} nhóm.',
+  'owner.broadcast.removed': 'Đã xóa {count} nhóm mà bot không còn tham gia.',
+  'owner.pause.already': 'ℹ️ Việc đăng bài đã tạm dừng (từ {since}).',
+  'owner.pause.done': '⏸ Đã tạm dừng đăng bài: không có bài theo lịch, sự kiện thị trường hay cá voi cho đến khi /resume. Các lệnh và cảnh báo giá vẫn hoạt động.',
+  'owner.resume.notPaused': 'ℹ️ Việc đăng bài không bị tạm dừng.',
+  'owner.resume.done': '▶️ Đã tiếp tục đăng bài.',
+  'owner.duration.days': '{days} ngày {hours} giờ',
+  'owner.duration.hours': '{hours} giờ {minutes} phút',
+  'owner.duration.minutes': '{minutes} phút',
+  'owner.stats.title': '📊 Thống kê bot',
+  'owner.stats.uptime': '⏱ Đã chạy {duration} (từ {since})',
+  'owner.stats.leader': 'Chính',
+  'owner.stats.standby': 'Dự phòng',
+  'owner.stats.updates': '🤖 {role}, cập nhật: {mode}',
+  'owner.stats.notConnected': 'chưa kết nối',
+  'owner.stats.paused': '⏸ Đăng bài bị tạm dừng bởi {user} từ {since}',
+  'owner.stats.active': '▶️ Đang đăng bài',
+  'owner.stats.chats': '💬 Nhóm: {groups} nhóm, {other} khác',
+  'owner.stats.signals': '📨 Tín hiệu trong 24h: {count} ({triggers})',
+  'owner.stats.commands': '⌨️ Lệnh: {counts}',
+  'owner.stats.scheduled': '📅 Bài theo lịch: {counts}',
+  'owner.stats.none': 'không có',
+  'owner.stats.upstreams': '🌐 Nguồn dữ liệu',
+  'owner.stats.upstream': '• {upstream}: {ok} thành công, {failed} lỗi',
+  'owner.stats.lastOk': ', thành công gần nhất {duration} trước',
+  'owner.stats.neverOk': ', chưa thành công lần nào',
+  'owner.stats.noRequests': 'Chưa có yêu cầu nào',
+  'owner.reload.failed': '❌ Tải lại thất bại, giữ cấu hình hiện tại: {error}',
+  'owner.reload.done': '🔄 Đã tải lại cấu hình.',
+  'owner.reload.tokens': 'Token: {symbols}',
+  'owner.reload.added': 'Đã thêm: {symbols}',
+  'owner.reload.removed': 'Đã xóa: {symbols}',
+  'owner.logs.private': '🔒 Hãy dùng /logs trong cuộc trò chuyện riêng với bot.',
+  'owner.logs.missing': 'ℹ️ Chưa có nhật ký lỗi.',
+  'owner.logs.empty': 'ℹ️ Nhật ký lỗi trống.',
+  'owner.logs.title': '📜 {count} dòng nhật ký lỗi gần nhất'
+};
@@ -0,0 +1,479 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { KLINE_INTERVALS, ANALYSIS_INTERVALS, klinesToCandles } from './klines.js';
+import { computeIndicators } from './indicators.js';
+import {
+  createMexcAdapter,
+  createGateAdapter,
+  createBitgetAdapter,
+  createTonDexAdapter,
+  resolveMarkets,
+  fetchVenueQuotes,
+  aggregateVenues
+} from './exchanges.js';
+import { aggTradeToTrade, paginateTimeRange } from './volumeData.js';
+import { createCache } from './cache.js';
+
+// Market data from CoinMarketCap, MEXC (REST and the websocket stream) and the
+// other venues compared in signals.
+
+// Venue adapters, in the order venues are listed
+export const EXCHANGE_IDS = ['mexc', 'gate', 'bitget', 'ton'];
+
+// Enough candles for EMA 200 plus warm-up
+const INDICATOR_CANDLES = 250;
+
+// Aggregated trades are paged in windows of at most one hour (MEXC limit)
+const AGG_TRADES_WINDOW_MS = 60 * 60 * 1000;
+const AGG_TRADES_PAGE_LIMIT = 1000;
+const AGG_TRADES_MAX_PAGES = 40;
+// Ranges are widened to these boundaries so the watchers, which ask for the
+// same lookbacks every tick, hit the same cache entries (mexc.aggTrades)
+const AGG_TRADES_START_ALIGN_MS = 5 * 60 * 1000;
+const AGG_TRADES_END_ALIGN_MS = 60 * 1000;
+
+// 1m klines covering the 4h window, used when trades don't reach back far enough
+export const MINUTE_KLINES_LIMIT = 245;
+
+// Extra history fetched before a window so the price at its start can be found
+const PRICE_LOOKBACK_MS = 5 * 60 * 1000;
+
+// Generate a throttled function to prevent API rate limits. Calls start at
+// least `delay` ms apart, in order; calls made too early wait for their slot
+// rather than replacing each other.
+export function throttle(func, delay) {
+  let nextSlot = 0;
+  
+  return function(...args) {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot);
+    nextSlot = startAt + delay;
+    
+    if (startAt === now) {
+      return func.apply(this, args);
+    }
+    return new Promise(resolve => setTimeout(resolve, startAt - now))
+      .then(() => func.apply(this, args));
+  };
+}
+
+// Endpoint of a request URL for metrics, with pool addresses and other long
+// path segments replaced by ":id"
+function endpointOf(url) {
+  return url.replace(/\/[^/]{20,}/g, '/:id');
+}
+
+// API clients and fetchers. `http` is axios (or anything with a compatible
+// create()), `mexcStream` the websocket stream (see mexcStream.js) and
+// `cache` caches responses per endpoint (see cache.js). `exchanges` lists
+// the venue adapters to enable; failed calls are retried after retryDelayMs,
+// doubling each time. Every upstream request is reported to
+// onRequest({ upstream, endpoint, durationMs, error }) and every retry to
+// onRetry({ upstream, attempt, error }), e.g. for metrics.
+export function createMarketData({
+  http = axios,
+  cmcApiKey,
+  mexcApiKey,
+  mexcApiSecret,
+  exchanges = EXCHANGE_IDS,
+  mexcStream,
+  cache = createCache(),
+  retryDelayMs = 1000,
+  onRequest = () => {},
+  onRetry = () => {},
+  logger = console
+}) {
+  // Time every request made through `client` and report it to onRequest
+  function instrument(upstream, client) {
+    return {
+      async get(url, config) {
+        const startedAt = Date.now();
+        const report = (error) => onRequest({ upstream, endpoint: endpointOf(url), durationMs: Date.now() - startedAt, error });
+        try {
+          const response = await client.get(url, config);
+          report(null);
+          return response;
+        } catch (error) {
+          report(error);
+          throw error;
+        }
+      }
+    };
+  }
+
+  // API clients with default configs
+  const cmcAxios = instrument('cmc', http.create({
+    baseURL: 'https://pro-api.coinmarketcap.com/v2',
+    headers: {
+      'X-CMC_PRO_API_KEY': cmcApiKey,
+      'Accept-Encoding': 'gzip'
+    },
+    timeout: 10000
+  }));
+
+  const mexcAxios = instrument('mexc', http.create({
+    baseURL: 'https://api.mexc.com/api/v3',
+    timeout: 10000
+  }));
+
+  const gateAxios = instrument('gate', http.create({
+    baseURL: 'https://api.gateio.ws/api/v4',
+    timeout: 10000
+  }));
+
+  const bitgetAxios = instrument('bitget', http.create({
+    baseURL: 'https://api.bitget.com/api/v2/spot/market',
+    timeout: 10000
+  }));
+
+  const geckoTerminalAxios = instrument('geckoterminal', http.create({
+    baseURL: 'https://api.geckoterminal.com/api/v2',
+    headers: { Accept: 'application/json' },
+    timeout: 10000
+  }));
+
+  // Retry function for API calls to `upstream`
+  async function withRetry(fn, { upstream, retries = 3 } = {}) {
+    for (let i = 0; i < retries; i++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (i === retries - 1) throw error;
+        
+        logger.warn(`API call failed, retrying (${i + 1}/${retries}): ${error.message}`);
+        onRetry({ upstream, attempt: i + 1, error });
+        
+        // Exponential backoff
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * Math.pow(2, i)));
+      }
+    }
+  }
+
+  // Create HMAC signature for MEXC API
+  function createSignature(queryString) {
+    return crypto.createHmac('sha256', mexcApiSecret)
+      .update(queryString)
+      .digest('hex');
+  }
+
+  // Venues compared in signals and /coin
+  const exchangeAdapters = [
+    createMexcAdapter({ http: mexcAxios, retry: (fn) => withRetry(fn, { upstream: 'mexc', retries: 2 }) }),
+    createGateAdapter({ http: gateAxios, retry: (fn) => withRetry(fn, { upstream: 'gate', retries: 2 }) }),
+    createBitgetAdapter({ http: bitgetAxios, retry: (fn) => withRetry(fn, { upstream: 'bitget', retries: 2 }) }),
+    createTonDexAdapter({ http: geckoTerminalAxios, retry: (fn) => withRetry(fn, { upstream: 'geckoterminal', retries: 2 }) })
+  ].filter(adapter => exchanges.includes(adapter.id));
+
+  // Fetch a quote from the CoinMarketCap API with retry
+  async function requestCmcQuote(symbol) {
+    return withRetry(async () => {
+      const response = await cmcAxios.get('/cryptocurrency/quotes/latest', {
+        params: { symbol, convert: 'USDT' }
+      });
+      
+      const coinData = response.data.data[symbol]?.[0];
+      if (!coinData) {
+        throw new Error(`Coin data not found for symbol: ${symbol}`);
+      }
+      
+      return {
+        name: coinData.name,
+        slug: coinData.slug,
+        price: coinData.quote.USDT.price || 0,
+        volume24h: coinData.quote.USDT.volume_24h || 0,
+        percent_change_1h: coinData.quote.USDT.percent_change_1h || 0,
+        percent_change_24h: coinData.quote.USDT.percent_change_24h || 0,
+        market_cap: coinData.quote.USDT.market_cap || 0,
+        circulating_supply: coinData.circulating_supply || 0,
+        total_supply: coinData.total_supply || 0,
+        max_supply: coinData.max_supply || 0
+      };
+    }, { upstream: 'cmc' });
+  }
+
+  // Requests that reach CMC are spaced out to respect its rate limits
+  const throttledRequestCmcQuote = throttle(requestCmcQuote, 2000);
+
+  // CMC quote for a symbol, from the cache when fresh
+  async function fetchCmcData(symbol) {
+    try {
+      return await cache.get('cmc.quotes', symbol, () => throttledRequestCmcQuote(symbol));
+    } catch (error) {
+      logger.error('Failed to fetch CMC data', { symbol, error: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch MEXC 24h trading volume
+  async function fetchMexc24hVolume(symbol) {
+    try {
+      return await cache.get('mexc.ticker24hr', symbol, () => withRetry(async () => {
+        const response = await mexcAxios.get('/ticker/24hr', {
+          params: { symbol }
+        });
+        
+        const quoteVolume = parseFloat(response.data.quoteVolume) || 0;
+        logger.info(`MEXC 24h volume for ${symbol}: ${quoteVolume} USDT`);
+        
+        return quoteVolume;
+      }, { upstream: 'mexc' }));
+    } catch (error) {
+      logger.error('Failed to fetch MEXC 24h volume', { 
+        symbol, 
+        error: error.message,
+        stack: error.stack
+      });
+      
+      return 0;
+    }
+  }
+
+  // Whether `symbol` is a spot pair listed on MEXC. MEXC answers 400 for
+  // unknown symbols, which isn't retried; other failures are thrown.
+  async function isMexcPairListed(symbol) {
+    try {
+      return await cache.get('mexc.exchangeInfo', symbol, () => withRetry(async () => {
+        try {
+          const response = await mexcAxios.get('/exchangeInfo', {
+            params: { symbol }
+          });
+
+          return response.data.symbols?.some(item => item.symbol === symbol) ?? false;
+        } catch (error) {
+          if (error.response?.status === 400) return false;
+          throw error;
+        }
+      }, { upstream: 'mexc' }));
+    } catch (error) {
+      logger.error('Failed to look up MEXC pair', { symbol, error: error.message });
+      throw error;
+    }
+  }
+
+  // Fetch trade history from MEXC with error handling
+  async function fetchTradeHistory(symbol, limit = 1000) {
+    try {
+      return await cache.get('mexc.trades', `${symbol}:${limit}`, () => withRetry(async () => {
+        const timestamp = Date.now();
+        const queryString = `symbol=${symbol}&limit=${limit}&timestamp=${timestamp}`;
+        const signature = createSignature(queryString);
+        
+        const response = await mexcAxios.get('/trades', {
+          params: { 
+            symbol, 
+            limit,
+            timestamp,
+            signature 
+          },
+          headers: { 
+            'X-MEXC-APIKEY': mexcApiKey 
+          }
+        });
+        
+        if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
+          throw new Error('No trade data available');
+        }
+        
+        return response.data;
+      }, { upstream: 'mexc' }));
+    } catch (error) {
+      logger.error('Failed to fetch trade history', { 
+        symbol, 
+        error: error.message 
+      });
+      
+      throw error;
+    }
+  }
+
+  // Fetch order book from MEXC with error handling
+  async function fetchOrderBook(symbol, limit = 100) {
+    try {
+      return await cache.get('mexc.depth', `${symbol}:${limit}`, () => withRetry(async () => {
+        const response = await mexcAxios.get('/depth', {
+          params: { symbol, limit }
+        });
+        
+        return response.data;
+      }, { upstream: 'mexc' }));
+    } catch (error) {
+      logger.error('Failed to fetch order book', { 
+        symbol, 
+        error: error.message 
+      });
+      
+      return { bids: [], asks: [] };
+    }
+  }
+
+  // Fetch candlestick data from MEXC (rows of [openTime, open, high, low, close, volume, ...])
+  async function fetchKlines(symbol, interval = '5m', limit = 48) {
+    try {
+      return await cache.get('mexc.klines', `${symbol}:${interval}:${limit}`, () => withRetry(async () => {
+        const response = await mexcAxios.get('/klines', {
+          params: { symbol, interval, limit }
+        });
+        
+        return Array.isArray(response.data) ? response.data : [];
+      }, { upstream: 'mexc' }));
+    } catch (error) {
+      logger.error('Failed to fetch klines', { 
+        symbol, 
+        interval,
+        error: error.message 
+      });
+      
+      return [];
+    }
+  }
+
+  // One page of MEXC klines for a time range, uncached (see downloadKlines)
+  async function fetchKlinePage(params) {
+    const response = await mexcAxios.get('/klines', { params });
+    return response.data;
+  }
+
+  // Fetch klines and compute indicators for each interval; missing data yields null
+  async function fetchIndicators(symbol, intervals = ANALYSIS_INTERVALS) {
+    const results = await Promise.all(intervals.map(async (interval) => {
+      const { mexc, vwapCandles } = KLINE_INTERVALS[interval];
+      const candles = klinesToCandles(await fetchKlines(symbol, mexc, INDICATOR_CANDLES));
+      return [interval, candles.length > 0 ? computeIndicators(candles, { vwapCandles }) : null];
+    }));
+    
+    return Object.fromEntries(results);
+  }
+
+  // Fetch aggregated trades between startTime and endTime from MEXC, newest first.
+  // coveredFrom is the time from which the result is complete (pagination is capped).
+  async function fetchAggTradesRange(symbol, startTime, endTime) {
+    const from = Math.floor(startTime / AGG_TRADES_START_ALIGN_MS) * AGG_TRADES_START_ALIGN_MS;
+    const to = Math.ceil(endTime / AGG_TRADES_END_ALIGN_MS) * AGG_TRADES_END_ALIGN_MS;
+
+    try {
+      const { trades, coveredFrom } = await cache.get('mexc.aggTrades', `${symbol}:${from}:${to}`, () => downloadAggTrades(symbol, from, to));
+      return {
+        trades: trades.filter(trade => trade.time >= startTime && trade.time < endTime),
+        coveredFrom: Math.max(coveredFrom, startTime)
+      };
+    } catch (error) {
+      logger.error('Failed to fetch aggregated trades', { 
+        symbol, 
+        error: error.message 
+      });
+      
+      return null;
+    }
+  }
+
+  // Uncached download behind fetchAggTradesRange
+  async function downloadAggTrades(symbol, startTime, endTime) {
+    const { items, coveredFrom } = await paginateTimeRange({
+      startTime,
+      endTime,
+      chunkMs: AGG_TRADES_WINDOW_MS,
+      pageLimit: AGG_TRADES_PAGE_LIMIT,
+      maxPages: AGG_TRADES_MAX_PAGES,
+      fetchPage: (from, to) => withRetry(async () => {
+        const response = await mexcAxios.get('/aggTrades', {
+          params: { symbol, startTime: from, endTime: to, limit: AGG_TRADES_PAGE_LIMIT }
+        });
+        
+        return Array.isArray(response.data)
+          ? [...response.data].sort((a, b) => Number(a.T) - Number(b.T))
+          : [];
+      }, { upstream: 'mexc' }),
+      getTime: (aggTrade) => Number(aggTrade.T)
+    });
+    
+    return {
+      trades: items.map(aggTradeToTrade).reverse(),
+      coveredFrom
+    };
+  }
+
+  // Get trades covering the window since startTime, newest first, with where they came from:
+  // - source 'live': the websocket buffer has been connected for the whole window
+  // - source 'aggTrades': aggregated trades fill the gap before the oldest streamed trade
+  // - source 'recentTrades': only the latest 1000 REST trades were available
+  // coveredFrom is the time from which the trades are complete.
+  async function fetchTradeWindow(symbol, startTime) {
+    const streamTrades = mexcStream.getTrades(symbol);
+
+    if (mexcStream.covers(symbol, startTime) && streamTrades.length > 0) {
+      return { trades: streamTrades, source: 'live', coveredFrom: startTime };
+    }
+
+    const gapEnd = streamTrades.length > 0 ? streamTrades[streamTrades.length - 1].time : Date.now();
+    const aggregated = await fetchAggTradesRange(symbol, startTime - PRICE_LOOKBACK_MS, gapEnd);
+
+    if (aggregated && (aggregated.trades.length > 0 || streamTrades.length > 0)) {
+      const olderTrades = aggregated.trades.filter(trade => trade.time < gapEnd);
+      return {
+        trades: [...streamTrades, ...olderTrades],
+        source: 'aggTrades',
+        coveredFrom: aggregated.coveredFrom
+      };
+    }
+
+    const restTrades = await fetchTradeHistory(symbol, 1000).catch(err => {
+      logger.error('Failed to fetch trade history', { error: err.message });
+      return [];
+    });
+
+    // REST trades only fill the gap before the oldest streamed trade
+    const olderTrades = restTrades.filter(trade => parseInt(trade.time, 10) < gapEnd);
+    const trades = [...streamTrades, ...olderTrades];
+    const oldest = trades[trades.length - 1];
+
+    return {
+      trades,
+      source: 'recentTrades',
+      coveredFrom: oldest ? parseInt(oldest.time, 10) : Date.now()
+    };
+  }
+
+  async function fetchTradesSince(symbol, startTime) {
+    return (await fetchTradeWindow(symbol, startTime)).trades;
+  }
+
+  // Quote a symbol on every enabled venue and aggregate volume, spread and arbitrage gaps.
+  // `configured` is the token's "exchanges" config. Returns null when no venue has it.
+  async function fetchMarketOverview(symbol, configured = {}) {
+    const markets = resolveMarkets(exchangeAdapters, symbol, configured);
+    const marketsKey = markets.map(({ adapter, market }) => `${adapter.id}:${market}`).join(',');
+    const { venues, failed } = await cache.get('venues', marketsKey, () => fetchVenueQuotes(markets, { logger }));
+    
+    if (venues.length === 0) {
+      return null;
+    }
+    
+    return { ...aggregateVenues(venues), failed };
+  }
+
+  // Get the latest order book, preferring a fresh websocket snapshot
+  async function fetchLatestOrderBook(symbol, limit = 100) {
+    const streamBook = mexcStream.getDepth(symbol);
+    if (streamBook && Date.now() - streamBook.updatedAt < 60000) {
+      return streamBook;
+    }
+
+    return fetchOrderBook(symbol, limit);
+  }
+
+  return {
+    fetchCmcData,
+    fetchMexc24hVolume,
+    isMexcPairListed,
+    fetchTradeHistory,
+    fetchOrderBook,
+    fetchKlines,
+    fetchKlinePage,
+    fetchIndicators,
+    fetchAggTradesRange,
+    fetchTradeWindow,
+    fetchTradesSince,
+    fetchMarketOverview,
+    fetchLatestOrderBook
+  };
+}
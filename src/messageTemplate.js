@@ -0,0 +1,91 @@
+// Building blocks for long HTML messages (see buildSignalMessage in src/app.js):
+// a message is a list of named sections rendered in a chat-chosen order and
+// layout, then split or truncated to fit Telegram's size limits.
+
+// Telegram counts the limits on the text after HTML parsing, so measuring
+// the raw HTML errs on the safe side
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+export const TELEGRAM_CAPTION_LIMIT = 1024;
+
+// full: every detail; compact: one or two lines per section. Named by the
+// `layout.<id>` catalog entries.
+export const MESSAGE_LAYOUTS = ['full', 'compact'];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+const ELLIPSIS = '…';
+
+// Escape text from APIs or users before putting it in an HTML message
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"]/g, char => HTML_ENTITIES[char]);
+}
+
+// Render `blocks` (section id -> (layout) => HTML) in `order`. Ids without a
+// block and blocks rendering nothing are left out; sections are separated by
+// a blank line in the full layout and a line break in the compact one.
+export function renderSections(blocks, order, layout = 'full') {
+  return order
+    .filter(id => blocks[id])
+    .map(id => blocks[id](layout).trim())
+    .filter(Boolean)
+    .join(layout === 'compact' ? '\n' : '\n\n');
+}
+
+// Cut one line to `limit` characters. Tags are dropped since the cut could
+// leave one open, and a trailing partial &entity; is removed.
+function truncateLine(line, limit) {
+  if (line.length <= limit) return line;
+  const text = line.replace(/<[^>]*>/g, '');
+  if (text.length <= limit) return text;
+  return text.slice(0, limit - ELLIPSIS.length).replace(/&[#\w]*$/, '') + ELLIPSIS;
+}
+
+// Greedily join parts (each at most `limit` long) into as few chunks as fit
+function packParts(parts, separator, limit) {
+  const chunks = [];
+  let current = null;
+
+  parts.forEach(part => {
+    if (current !== null && current.length + separator.length + part.length <= limit) {
+      current += separator + part;
+    } else {
+      if (current !== null) chunks.push(current);
+      current = part;
+    }
+  });
+  if (current !== null) chunks.push(current);
+
+  return chunks;
+}
+
+// Split a message into chunks of at most `limit` characters, breaking
+// between paragraphs where possible and otherwise between lines. Lines are
+// never broken, so tags opened on a line (as all our messages do) stay
+// balanced in every chunk.
+export function splitMessage(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+  if (text.length <= limit) return [text];
+
+  const paragraphs = text.split('\n\n').flatMap(paragraph => paragraph.length <= limit
+    ? [paragraph]
+    : packParts(paragraph.split('\n').map(line => truncateLine(line, limit)), '\n', limit));
+
+  return packParts(paragraphs, '\n\n', limit)
+    .map(chunk => chunk.trim())
+    .filter(Boolean);
+}
+
+// Keep as many whole lines as fit in `limit` characters, ending with "…"
+// when anything was cut. For messages that can't be split, like edits and
+// photo captions.
+export function truncateMessage(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+  if (text.length <= limit) return text;
+
+  const lines = text.split('\n');
+  let result = truncateLine(lines[0], limit - ELLIPSIS.length - 1);
+  for (const line of lines.slice(1)) {
+    if (result.length + line.length + ELLIPSIS.length + 2 > limit) break;
+    result += `\n${line}`;
+  }
+
+  return `${result.trimEnd()}\n${ELLIPSIS}`;
+}
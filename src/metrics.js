@@ -0,0 +1,108 @@
+// In-memory Prometheus metrics, rendered in the text exposition format for
+// /metrics. Series are identified by their labels, given as an object
+// ({ command: 'coin' }); metrics without labels use {}.
+
+// Upper bounds (seconds) of the latency histogram buckets
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// {a="1",b="2"} with keys sorted, so equal label sets give the same series
+function formatLabels(labels) {
+  const entries = Object.entries(labels).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+export function createMetrics() {
+  // name -> { help, type, samples() -> [{ name, labels, value }] }
+  const families = new Map();
+
+  function register(name, help, type, samples) {
+    if (families.has(name)) throw new Error(`Metric ${name} is already registered`);
+    families.set(name, { help, type, samples });
+  }
+
+  // Series kept by label set: formatted labels -> { labels, value }
+  function seriesStore() {
+    const series = new Map();
+    return {
+      entry(labels, create) {
+        const key = formatLabels(labels);
+        if (!series.has(key)) series.set(key, { labels: { ...labels }, ...create() });
+        return series.get(key);
+      },
+      find: (labels) => series.get(formatLabels(labels)),
+      values: () => [...series.values()]
+    };
+  }
+
+  return {
+    // Counter. With `collect` (returning [{ labels, value }]) the values are
+    // read from elsewhere when rendered instead of counted with inc().
+    counter(name, help, collect = null) {
+      const store = seriesStore();
+      register(name, help, 'counter', () => (collect ? collect() : store.values()).map(({ labels, value }) => ({ name, labels, value })));
+      return {
+        inc(labels = {}, value = 1) {
+          store.entry(labels, () => ({ value: 0 })).value += value;
+        },
+        get: (labels = {}) => store.find(labels)?.value ?? 0,
+        // Every counted series as [{ labels, value }]
+        entries: () => store.values().map(({ labels, value }) => ({ labels: { ...labels }, value }))
+      };
+    },
+
+    // Gauge, set() directly or read through `collect` like counter()
+    gauge(name, help, collect = null) {
+      const store = seriesStore();
+      register(name, help, 'gauge', () => (collect ? collect() : store.values()).map(({ labels, value }) => ({ name, labels, value })));
+      return {
+        set(labels, value) {
+          store.entry(labels, () => ({ value: 0 })).value = value;
+        }
+      };
+    },
+
+    // Histogram of observed values (seconds for latencies), cumulative per bucket
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const store = seriesStore();
+      register(name, help, 'histogram', () => store.values().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ]));
+      return {
+        observe(labels, value) {
+          const entry = store.entry(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    // Everything in the Prometheus text format
+    render() {
+      const lines = [];
+      families.forEach(({ help, type, samples }, name) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples().forEach(sample => {
+          lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        });
+      });
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
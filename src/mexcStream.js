@@ -0,0 +1,306 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+// MEXC has been moving its spot streams to protobuf channels on
+// wss://wbs-api.mexc.com/ws. Should this endpoint stop serving the JSON
+// channels below, its refusals mean no pair ever counts as covered and all
+// trades come from REST, as without the stream (MEXC_WS_URL overrides it).
+export const DEFAULT_MEXC_WS_URL = 'wss://wbs.mexc.com/ws';
+
+const DEALS_CHANNEL = 'spot@public.deals.v3.api';
+const DEPTH_CHANNEL = 'spot@public.limit.depth.v3.api';
+
+// Keep a bit more than the longest analysis window (4h) in memory
+const DEFAULT_RETENTION_MS = 5 * 60 * 60 * 1000;
+const DEFAULT_PING_INTERVAL_MS = 20000;
+const DEFAULT_MIN_BACKOFF_MS = 1000;
+const DEFAULT_MAX_BACKOFF_MS = 60000;
+
+// Convert a MEXC websocket deal into the same shape as a REST /trades entry
+// so calculateVolume and getPriceAtTime can consume both interchangeably.
+// S = 1 is a taker buy, S = 2 is a taker sell (buyer was the maker).
+function dealToTrade(deal) {
+  return {
+    price: deal.p,
+    qty: deal.v,
+    time: Number(deal.t),
+    isBuyerMaker: Number(deal.S) === 2
+  };
+}
+
+// Convert websocket depth levels ({ p, v }) into REST /depth tuples ([price, qty])
+function levelsToTuples(levels) {
+  return Array.isArray(levels) ? levels.map(level => [level.p, level.v]) : [];
+}
+
+// Create a persistent MEXC spot websocket subscriber for deals and depth.
+// Trades are kept in a rolling per-symbol buffer, oldest first; getTrades()
+// returns them newest first, like REST.
+export function createMexcStream({
+  url = DEFAULT_MEXC_WS_URL,
+  symbols = [],
+  depthLevels = 20,
+  retentionMs = DEFAULT_RETENTION_MS,
+  pingIntervalMs = DEFAULT_PING_INTERVAL_MS,
+  minBackoffMs = DEFAULT_MIN_BACKOFF_MS,
+  maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+  WebSocketImpl = WebSocket,
+  logger = console,
+  now = Date.now
+} = {}) {
+  const events = new EventEmitter();
+  const trackedSymbols = new Set(symbols.map(symbol => symbol.toUpperCase()));
+  const trades = new Map();
+  const depth = new Map();
+  // symbol -> when MEXC confirmed its subscription on the current connection;
+  // its buffer is only complete from then on
+  const subscribedSince = new Map();
+
+  let socket = null;
+  let pingTimer = null;
+  let reconnectTimer = null;
+  let reconnectAttempts = 0;
+  let connectedSince = null;
+  let stopped = true;
+
+  function channelsFor(symbol) {
+    return [
+      `${DEALS_CHANNEL}@${symbol}`,
+      `${DEPTH_CHANNEL}@${symbol}@${depthLevels}`
+    ];
+  }
+
+  function send(payload) {
+    if (socket && socket.readyState === WebSocketImpl.OPEN) {
+      socket.send(JSON.stringify(payload));
+    }
+  }
+
+  function sendSubscription(method, symbolList) {
+    if (symbolList.length === 0) return;
+    send({ method, params: symbolList.flatMap(channelsFor) });
+  }
+
+  // A subscription counts once MEXC acknowledges it or its first deals
+  // arrive; a refused one (e.g. a channel MEXC no longer serves) never does,
+  // so those windows keep coming from REST
+  function confirmSubscription(symbol) {
+    if (!trackedSymbols.has(symbol) || subscribedSince.has(symbol)) return;
+    subscribedSince.set(symbol, now());
+  }
+
+  // Acks look like { id: 0, code: 0, msg: "spot@public.deals.v3.api@BTCUSDT" };
+  // refusals carry "Not Subscribed successfully! [channel]. Reason: Blocked!"
+  function handleAck(message) {
+    const channels = String(message.msg).split(/[\s,[\]]+/);
+    const refused = message.code !== 0 || /not subscribed/i.test(message.msg);
+
+    trackedSymbols.forEach(symbol => {
+      if (!channels.includes(`${DEALS_CHANNEL}@${symbol}`)) return;
+      if (refused) {
+        logger.warn(`MEXC refused the deals subscription for ${symbol}, using REST for its trades`, { msg: message.msg });
+      } else {
+        confirmSubscription(symbol);
+      }
+    });
+  }
+
+  // Index of the first buffered trade at or after `time` (buffers are oldest first)
+  function firstTradeFrom(buffer, time) {
+    let low = 0;
+    let high = buffer.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (buffer[middle].time < time) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  // Dropping from the front of a buffer moves the whole array, so expired
+  // trades are dropped in batches; reads skip the ones still in place
+  function pruneTrades(symbol) {
+    const buffer = trades.get(symbol);
+    if (!buffer) return;
+
+    const expired = firstTradeFrom(buffer, now() - retentionMs);
+    if (expired > 0 && expired >= buffer.length / 4) {
+      buffer.splice(0, expired);
+    }
+  }
+
+  function addTrades(symbol, newTrades) {
+    if (!trades.has(symbol)) {
+      trades.set(symbol, []);
+    }
+    const buffer = trades.get(symbol);
+
+    newTrades.forEach(trade => {
+      if (isNaN(trade.time)) return;
+
+      // Deals usually arrive in order and are appended; a late one goes after
+      // the trades at or before its time
+      if (buffer.length === 0 || buffer[buffer.length - 1].time <= trade.time) {
+        buffer.push(trade);
+      } else {
+        buffer.splice(firstTradeFrom(buffer, trade.time + 1), 0, trade);
+      }
+      events.emit('trade', symbol, trade);
+    });
+
+    pruneTrades(symbol);
+  }
+
+  function handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      logger.warn(`Ignoring malformed MEXC websocket message: ${error.message}`);
+      return;
+    }
+
+    if (message.msg !== undefined && message.c === undefined) {
+      if (message.msg !== 'PONG') handleAck(message);
+      return;
+    }
+    if (!message.c || !message.d) return;
+
+    const channel = message.c;
+    const symbol = (message.s || channel.split('@')[2] || '').toUpperCase();
+
+    if (channel.startsWith(DEALS_CHANNEL)) {
+      const deals = Array.isArray(message.d.deals) ? message.d.deals : [];
+      confirmSubscription(symbol);
+      addTrades(symbol, deals.map(dealToTrade));
+    } else if (channel.startsWith(DEPTH_CHANNEL)) {
+      const book = {
+        bids: levelsToTuples(message.d.bids),
+        asks: levelsToTuples(message.d.asks),
+        updatedAt: Number(message.t) || now()
+      };
+      depth.set(symbol, book);
+      events.emit('depth', symbol, book);
+    }
+  }
+
+  function clearTimers() {
+    clearInterval(pingTimer);
+    clearTimeout(reconnectTimer);
+    pingTimer = null;
+    reconnectTimer = null;
+  }
+
+  function scheduleReconnect() {
+    if (stopped) return;
+
+    const delay = Math.min(maxBackoffMs, minBackoffMs * Math.pow(2, reconnectAttempts));
+    reconnectAttempts++;
+    logger.warn(`MEXC websocket disconnected, reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+
+    reconnectTimer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    clearTimers();
+
+    socket = new WebSocketImpl(url);
+
+    socket.on('open', () => {
+      reconnectAttempts = 0;
+      connectedSince = now();
+      logger.info(`MEXC websocket connected (${url})`);
+
+      sendSubscription('SUBSCRIPTION', [...trackedSymbols]);
+      pingTimer = setInterval(() => send({ method: 'PING' }), pingIntervalMs);
+      events.emit('open');
+    });
+
+    socket.on('message', handleMessage);
+
+    socket.on('error', (error) => {
+      logger.error('MEXC websocket error', { error: error.message });
+    });
+
+    socket.on('close', () => {
+      // Trades during the gap are lost, so buffers are only complete from
+      // the next connection's subscriptions
+      connectedSince = null;
+      subscribedSince.clear();
+      clearTimers();
+      events.emit('close');
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      connect();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimers();
+      connectedSince = null;
+      subscribedSince.clear();
+      if (socket) {
+        socket.removeAllListeners('close');
+        socket.close();
+        socket = null;
+      }
+    },
+
+    subscribe(symbol) {
+      const normalized = symbol.toUpperCase();
+      if (trackedSymbols.has(normalized)) return;
+      trackedSymbols.add(normalized);
+      sendSubscription('SUBSCRIPTION', [normalized]);
+    },
+
+    unsubscribe(symbol) {
+      const normalized = symbol.toUpperCase();
+      if (!trackedSymbols.delete(normalized)) return;
+      sendSubscription('UNSUBSCRIPTION', [normalized]);
+      subscribedSince.delete(normalized);
+      trades.delete(normalized);
+      depth.delete(normalized);
+    },
+
+    isConnected() {
+      return connectedSince !== null;
+    },
+
+    // Symbols subscribed to (or to be, once connected)
+    getSymbols() {
+      return [...trackedSymbols];
+    },
+
+    // True when the buffer holds every trade since startTime for the symbol
+    covers(symbol, startTime) {
+      const since = subscribedSince.get(symbol.toUpperCase());
+      return since !== undefined && since <= startTime;
+    },
+
+    // Buffered trades for a symbol, newest first, optionally limited to a window
+    getTrades(symbol, startTime = 0) {
+      const normalized = symbol.toUpperCase();
+      const buffer = trades.get(normalized) || [];
+      const from = firstTradeFrom(buffer, Math.max(startTime, now() - retentionMs));
+      return buffer.slice(from).reverse();
+    },
+
+    // Latest order book snapshot in REST /depth shape, or null if none received yet
+    getDepth(symbol) {
+      return depth.get(symbol.toUpperCase()) || null;
+    },
+
+    getConnectedSince() {
+      return connectedSince;
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// Command rate limiting with token buckets. Each command has a limit per user
+// and per chat, written "<burst>/<period>" (e.g. "5/1m": up to 5 at once,
+// refilling at 5 per minute). A command runs only when both the user's and
+// the chat's bucket have a token left.
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Parse "5/1m" into { burst, periodMs }; "off" (or null) means no limit.
+// Thrown error messages name the spec.
+export function parseLimit(spec) {
+  if (spec === null || spec === 'off') return null;
+
+  const match = /^(\d+)\/(\d+)([smh])$/.exec(spec);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid rate limit "${spec}" (use e.g. 5/1m, 10/30s or off)`);
+  }
+  return { burst: Number(match[1]), periodMs: Number(match[2]) * DURATION_UNITS[match[3]] };
+}
+
+// Merge overrides like "coin:user=3/1m,coin:chat=off,*:user=20/1m" into
+// `defaults` ({ command: { user, chat } } with specs as strings; "*" applies
+// to commands without their own entry).
+export function parseRateLimits(overrides, defaults = {}) {
+  const limits = Object.fromEntries(Object.entries(defaults).map(([command, scopes]) => [command, {
+    user: parseLimit(scopes.user ?? null),
+    chat: parseLimit(scopes.chat ?? null)
+  }]));
+
+  (overrides || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = /^([\w*]+):(user|chat)=(.+)$/.exec(entry);
+    if (!match) throw new Error(`Invalid rate limit override "${entry}" (use command:user=5/1m or command:chat=off)`);
+
+    const [, command, scope, spec] = match;
+    const key = command.toLowerCase();
+    limits[key] = { user: null, chat: null, ...limits[key], [scope]: parseLimit(spec) };
+  });
+
+  return limits;
+}
+
+// Command name of a message ("/coin@MyBot btc" -> "coin"), or null
+export function commandName(text) {
+  const match = /^\/([A-Za-z0-9_]+)(?:@\w+)?(?:\s|$)/.exec(text || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Telegraf middleware. `limits` comes from parseRateLimits. Limited commands
+// in private chats get one cooldown notice per cooldown (notify(ctx,
+// retryAfterMs)); in groups they're dropped silently. isExempt(ctx) is only
+// asked once a bucket is empty, so exemption checks that call Telegram stay rare.
+export function createRateLimiter({
+  limits,
+  isExempt = async () => false,
+  notify = async () => {},
+  maxBuckets = 50000,
+  logger = console,
+  now = Date.now
+}) {
+  // `${scope}:${id}:${command}` -> { tokens, updatedAt, noticeUntil }
+  const buckets = new Map();
+
+  function bucketFor(key, limit) {
+    const time = now();
+    let bucket = buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: time, noticeUntil: 0 };
+      buckets.set(key, bucket);
+      if (buckets.size > maxBuckets) buckets.delete(buckets.keys().next().value);
+    } else {
+      const refilled = (time - bucket.updatedAt) / limit.periodMs * limit.burst;
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + refilled);
+      bucket.updatedAt = time;
+    }
+    return bucket;
+  }
+
+  // Time until the bucket holds a whole token again
+  const retryAfter = (bucket, limit) => Math.ceil((1 - bucket.tokens) * limit.periodMs / limit.burst);
+
+  return async function rateLimit(ctx, next) {
+    const command = commandName(ctx.message?.text);
+    const limit = command && (limits[command] || limits['*']);
+    if (!limit || !ctx.from || !ctx.chat) return next();
+
+    const checks = [
+      limit.user && { key: `user:${ctx.from.id}:${command}`, limit: limit.user },
+      limit.chat && { key: `chat:${ctx.chat.id}:${command}`, limit: limit.chat }
+    ].filter(Boolean).map(check => ({ ...check, bucket: bucketFor(check.key, check.limit) }));
+
+    const empty = checks.filter(({ bucket }) => bucket.tokens < 1);
+    if (empty.length === 0) {
+      checks.forEach(({ bucket }) => { bucket.tokens -= 1; });
+      return next();
+    }
+
+    if (await isExempt(ctx)) return next();
+
+    const waitMs = Math.max(...empty.map(({ bucket, limit: bucketLimit }) => retryAfter(bucket, bucketLimit)));
+    logger.info(`Rate limited /${command}`, { chatId: ctx.chat.id, userId: ctx.from.id, retryAfterMs: waitMs });
+
+    if (ctx.chat.type !== 'private') return;
+
+    // One notice per cooldown, however often the user retries meanwhile
+    const [first] = empty;
+    if (first.bucket.noticeUntil > now()) return;
+    first.bucket.noticeUntil = now() + waitMs;
+    await notify(ctx, waitMs);
+  };
+}
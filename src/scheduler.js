@@ -0,0 +1,242 @@
+import { createTranslator } from './i18n.js';
+import { parseCron, nextCronTime, parseQuietHours, isQuietTime, quietHoursEnd, intervalToCron, assertTimeZone } from './cron.js';
+
+// Cron-driven scheduled posts. Each schedule (one per chat and token) is a
+// record in the `store` collection with its next run time, so the plan
+// survives restarts. Runs that fell due while the bot was down are either
+// posted once on startup, or when quiet hours end (policy 'catchup'), or
+// dropped (policy 'skip').
+// Runs inside quiet hours move to the next cron time outside them, and each
+// run is delayed by a random 0..jitterMs so chats don't all post at once.
+
+export const SCHEDULE_POLICIES = ['skip', 'catchup'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Parse the arguments of "/schedule set <SYMBOL> ..." (everything after the
+// symbol): a cron expression or @shortcut followed by optional tz=, quiet=,
+// policy= and jitter= options. Quiet hours and jitter accept "off".
+// Thrown error messages are meant to be shown to the user as-is, in the
+// language of `t`.
+export function parseScheduleArgs(args, t = createTranslator()) {
+  const usage = t('schedule.setUsage');
+  const options = args.filter(arg => arg.includes('='));
+  const cronParts = args.filter(arg => !arg.includes('='));
+  const changes = {};
+
+  if (cronParts.length > 0) {
+    changes.cron = cronParts.join(' ');
+    try {
+      parseCron(changes.cron, t);
+    } catch (error) {
+      throw new Error(t('schedule.error.cron', { error: error.message, usage }));
+    }
+  }
+
+  options.forEach(option => {
+    const [key, value] = option.split('=');
+
+    switch (key.toLowerCase()) {
+      case 'tz':
+        try {
+          assertTimeZone(value);
+        } catch {
+          throw new Error(t('schedule.error.timezone', { value }));
+        }
+        changes.timezone = value;
+        break;
+      case 'quiet':
+        changes.quietHours = value === 'off' ? null : parseQuietHours(value, t).label;
+        break;
+      case 'policy':
+        if (!SCHEDULE_POLICIES.includes(value)) {
+          throw new Error(t('schedule.error.policy', { policies: SCHEDULE_POLICIES.join(', ') }));
+        }
+        changes.policy = value;
+        break;
+      case 'jitter': {
+        const match = /^(\d+)([smh])$/.exec(value);
+        if (value !== 'off' && !match) throw new Error(t('schedule.error.jitter'));
+        changes.jitterMs = match ? Number(match[1]) * DURATION_UNITS[match[2]] : 0;
+        break;
+      }
+      default:
+        throw new Error(t('schedule.error.option', { option: key, usage }));
+    }
+  });
+
+  if (Object.keys(changes).length === 0) throw new Error(usage);
+  return changes;
+}
+
+export function createScheduler({
+  store,
+  run,
+  tickMs = 30000,
+  defaults = {},
+  logger = console,
+  now = Date.now,
+  random = Math.random
+}) {
+  const { timezone: defaultTimezone = 'UTC', policy: defaultPolicy = 'skip', jitterMs: defaultJitterMs = 0 } = defaults;
+  let timer = null;
+  let running = false;
+
+  // Next run after `after`: the first cron time outside quiet hours, plus jitter
+  function planNextRun(schedule, after = now()) {
+    if (!schedule.cron) return null;
+
+    const cron = parseCron(schedule.cron);
+    const quietHours = schedule.quietHours ? parseQuietHours(schedule.quietHours) : null;
+    const timezone = schedule.timezone || defaultTimezone;
+
+    let time = nextCronTime(cron, after, timezone);
+    // A week of quiet matches means the quiet hours cover every cron time
+    for (let attempts = 0; time !== null && isQuietTime(time, quietHours, timezone); attempts++) {
+      if (attempts > 7 * 24 * 60) return null;
+      time = nextCronTime(cron, time, timezone);
+    }
+    if (time === null) return null;
+
+    const jitterMs = schedule.jitterMs ?? defaultJitterMs;
+    return time + Math.floor(random() * jitterMs);
+  }
+
+  function replan(id, changes = {}) {
+    const schedule = { ...store.get(id), ...changes };
+    return store.update(id, { ...changes, nextRunAt: planNextRun(schedule) });
+  }
+
+  // Make the stored schedules match the wanted ones ({ id, chatId, threadId,
+  // symbol, intervalMs }). Schedules customised with set() keep their cron.
+  function sync(wanted) {
+    const wantedIds = new Set(wanted.map(entry => entry.id));
+
+    store.list()
+      .filter(schedule => !wantedIds.has(schedule.id))
+      .forEach(schedule => store.remove(schedule.id));
+
+    wanted.forEach(({ id, chatId, threadId, symbol, intervalMs }) => {
+      const existing = store.get(id);
+      const cron = intervalToCron(intervalMs);
+
+      if (!existing) {
+        const schedule = {
+          id,
+          chatId,
+          threadId,
+          symbol,
+          cron,
+          custom: false,
+          timezone: null,
+          quietHours: null,
+          policy: null,
+          jitterMs: null,
+          paused: false,
+          lastRunAt: null,
+          lastResult: null
+        };
+        store.upsert({ ...schedule, nextRunAt: planNextRun(schedule) });
+        return;
+      }
+
+      if (existing.threadId !== threadId) store.update(id, { threadId });
+      if (!existing.custom && existing.cron !== cron) replan(id, { cron });
+    });
+  }
+
+  async function runSchedule(schedule) {
+    const startedAt = now();
+    // Plan the next run before posting so a slow or failing post can't repeat
+    store.update(schedule.id, { lastRunAt: startedAt, nextRunAt: planNextRun(schedule, startedAt) });
+
+    try {
+      await run(schedule);
+      store.update(schedule.id, { lastResult: 'ok' });
+    } catch (error) {
+      store.update(schedule.id, { lastResult: error.message });
+      logger.error('Scheduled post failed', { id: schedule.id, error: error.message });
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    try {
+      const due = store.list().filter(schedule => !schedule.paused && schedule.nextRunAt && schedule.nextRunAt <= now());
+      for (const schedule of due) {
+        await runSchedule(schedule);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // Handle runs missed while the bot was down, according to each schedule's policy
+  function recoverMissedRuns() {
+    const startTime = now();
+
+    store.list().forEach(schedule => {
+      if (schedule.paused || !schedule.cron) return;
+      if (schedule.nextRunAt && schedule.nextRunAt > startTime - tickMs) return;
+
+      if (schedule.nextRunAt && (schedule.policy || defaultPolicy) === 'catchup') {
+        const quietHours = schedule.quietHours ? parseQuietHours(schedule.quietHours) : null;
+        const timezone = schedule.timezone || defaultTimezone;
+        if (isQuietTime(startTime, quietHours, timezone)) {
+          const nextRunAt = quietHoursEnd(startTime, quietHours, timezone);
+          store.update(schedule.id, { nextRunAt });
+          logger.info(`Catching up missed ${schedule.symbol} post for chat ${schedule.chatId} after quiet hours`, { nextRunAt: new Date(nextRunAt) });
+          return;
+        }
+        logger.info(`Catching up missed ${schedule.symbol} post for chat ${schedule.chatId}`);
+        return;
+      }
+
+      const { nextRunAt } = replan(schedule.id);
+      logger.info(`Skipped missed ${schedule.symbol} post for chat ${schedule.chatId}`, { nextRunAt: nextRunAt && new Date(nextRunAt) });
+    });
+  }
+
+  return {
+    sync,
+    tick,
+    planNextRun,
+
+    start() {
+      if (timer) return;
+      recoverMissedRuns();
+      timer = setInterval(tick, tickMs);
+      tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // Change a schedule's cron, timezone, quiet hours, policy or jitter.
+    // Throws on an invalid cron expression or quiet hours range.
+    set(id, changes) {
+      const schedule = { ...store.get(id), ...changes };
+      if (schedule.cron) parseCron(schedule.cron);
+      if (schedule.quietHours) parseQuietHours(schedule.quietHours);
+
+      return replan(id, { ...changes, custom: changes.cron !== undefined || schedule.custom });
+    },
+
+    pause(id) {
+      return store.update(id, { paused: true });
+    },
+
+    resume(id) {
+      return replan(id, { paused: false });
+    },
+
+    // Go back to the interval chosen in /settings
+    reset(id, intervalMs) {
+      return replan(id, { cron: intervalToCron(intervalMs), custom: false });
+    }
+  };
+}
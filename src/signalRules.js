@@ -0,0 +1,144 @@
+import fs from 'fs';
+import { overallTrend } from './indicators.js';
+
+// Signal rules as data. The signal sentence is built from the first matching
+// rule of each group, groups in the order they first appear. A rule:
+//   id       unique name, used in backtest reports
+//   group    rules of a group are alternatives, checked top to bottom
+//   when     { fact: { op: value } }; every condition must hold. Operators
+//            are gt, gte, lt, lte, eq and in (list of values); facts are the
+//            keys of signalFacts() or dotted paths like "indicators.1h.rsi"
+//   message  message catalog key (see locales/), with {timeframe} and {coin}
+//   text     literal text instead of a catalog key, same placeholders
+//   bias     bullish, bearish or neutral: the move the rule predicts, judged
+//            by the backtest; rules without one only get forward returns
+export const SIGNAL_BIASES = ['bullish', 'bearish', 'neutral'];
+
+// The bot's built-in rules
+export const DEFAULT_SIGNAL_RULES = [
+  // Price movement of the most significant timeframe
+  { id: 'extremeSurge', group: 'move', when: { change: { gte: 20 } }, message: 'move.extremeSurge', bias: 'bullish' },
+  { id: 'massiveBreakout', group: 'move', when: { change: { gte: 15 } }, message: 'move.massiveBreakout', bias: 'bullish' },
+  { id: 'strongRally', group: 'move', when: { change: { gte: 10 } }, message: 'move.strongRally', bias: 'bullish' },
+  { id: 'powerfulMomentum', group: 'move', when: { change: { gte: 7 } }, message: 'move.powerfulMomentum', bias: 'bullish' },
+  { id: 'strongUptrend', group: 'move', when: { change: { gte: 5 } }, message: 'move.strongUptrend', bias: 'bullish' },
+  { id: 'solidBullish', group: 'move', when: { change: { gte: 3 } }, message: 'move.solidBullish', bias: 'bullish' },
+  { id: 'positiveTrend', group: 'move', when: { change: { gte: 2 } }, message: 'move.positiveTrend', bias: 'bullish' },
+  { id: 'mildStrength', group: 'move', when: { change: { gte: 1 } }, message: 'move.mildStrength', bias: 'bullish' },
+  { id: 'gradualGrowth', group: 'move', when: { change: { gte: 0.5 } }, message: 'move.gradualGrowth', bias: 'bullish' },
+  { id: 'earlyBullish', group: 'move', when: { change: { gte: 0.2 } }, message: 'move.earlyBullish', bias: 'bullish' },
+  { id: 'consolidation', group: 'move', when: { change: { gt: -0.2, lt: 0.2 } }, message: 'move.consolidation', bias: 'neutral' },
+  { id: 'minorWeakness', group: 'move', when: { change: { gt: -0.5 } }, message: 'move.minorWeakness', bias: 'bearish' },
+  { id: 'mildCorrection', group: 'move', when: { change: { gt: -1 } }, message: 'move.mildCorrection', bias: 'bearish' },
+  { id: 'pullback', group: 'move', when: { change: { gt: -3 } }, message: 'move.pullback', bias: 'bearish' },
+  { id: 'significantDecline', group: 'move', when: { change: { gt: -7 } }, message: 'move.significantDecline', bias: 'bearish' },
+  { id: 'majorCorrection', group: 'move', when: { change: { lte: -7 } }, message: 'move.majorCorrection', bias: 'bearish' },
+
+  // Buy/sell pressure and activity in that timeframe
+  { id: 'extremeBuying', group: 'volume', when: { ratio: { gt: 2 }, volume: { gt: 1000 } }, message: 'volume.extremeBuying', bias: 'bullish' },
+  { id: 'strongBuying', group: 'volume', when: { ratio: { gt: 1.5 }, volume: { gt: 1000 } }, message: 'volume.strongBuying', bias: 'bullish' },
+  { id: 'heavyDistribution', group: 'volume', when: { ratio: { lt: 0.5 }, volume: { gt: 1000 } }, message: 'volume.heavyDistribution', bias: 'bearish' },
+  { id: 'sellersInControl', group: 'volume', when: { ratio: { lt: 0.8 }, volume: { gt: 1000 } }, message: 'volume.sellersInControl', bias: 'bearish' },
+  { id: 'extremeActivity', group: 'volume', when: { volume: { gt: 3000 } }, message: 'volume.extremeActivity' },
+  { id: 'highActivity', group: 'volume', when: { volume: { gt: 2000 } }, message: 'volume.highActivity' },
+
+  // Trading horizon of the timeframe
+  { id: 'shortHorizon', group: 'horizon', when: { timeframe: { in: ['15m', '30m'] } }, message: 'horizon.short' },
+  { id: 'longHorizon', group: 'horizon', when: { timeframe: { in: ['1h', '4h'] } }, message: 'horizon.long' },
+
+  // Overall market sentiment
+  { id: 'bullishSentiment', group: 'sentiment', when: { change: { gt: 5 }, ratio: { gt: 1.5 } }, message: 'sentiment.bullish', bias: 'bullish' },
+  { id: 'bearishSentiment', group: 'sentiment', when: { change: { lt: -5 }, ratio: { lt: 0.5 } }, message: 'sentiment.bearish', bias: 'bearish' },
+  { id: 'neutralSentiment', group: 'sentiment', when: { absChange: { lt: 1 }, volume: { lt: 1000 } }, message: 'sentiment.neutral', bias: 'neutral' }
+];
+
+const OPERATORS = {
+  gt: (value, operand) => value > operand,
+  gte: (value, operand) => value >= operand,
+  lt: (value, operand) => value < operand,
+  lte: (value, operand) => value <= operand,
+  eq: (value, operand) => value === operand,
+  in: (value, operand) => operand.includes(value)
+};
+
+// Check a rule list's shape. Thrown error messages name the offending rule.
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Signal rules must be an array');
+
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const name = rule?.id ? `Signal rule "${rule.id}"` : `Signal rule #${index + 1}`;
+
+    if (!rule?.id || !rule.group) throw new Error(`${name} needs an "id" and a "group"`);
+    if (ids.has(rule.id)) throw new Error(`${name} is defined twice`);
+    ids.add(rule.id);
+
+    if (!rule.message && !rule.text) throw new Error(`${name} needs a "message" or "text"`);
+    if (rule.bias && !SIGNAL_BIASES.includes(rule.bias)) {
+      throw new Error(`${name} has unknown bias "${rule.bias}" (use ${SIGNAL_BIASES.join(', ')})`);
+    }
+    if (!rule.when || typeof rule.when !== 'object') throw new Error(`${name} needs "when" conditions`);
+
+    Object.entries(rule.when).forEach(([fact, condition]) => {
+      Object.entries(condition || {}).forEach(([op, operand]) => {
+        if (!OPERATORS[op]) throw new Error(`${name} uses unknown operator "${op}" on ${fact}`);
+        if (op === 'in' && !Array.isArray(operand)) throw new Error(`${name}: "in" on ${fact} needs a list`);
+      });
+    });
+  });
+
+  return rules;
+}
+
+// Load rules from a JSON file (array of rules) if it exists, otherwise use
+// the built-in rules
+export function loadSignalRules({ rulesPath } = {}) {
+  if (!rulesPath || !fs.existsSync(rulesPath)) return DEFAULT_SIGNAL_RULES;
+  return validateRules(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+}
+
+function factValue(facts, name) {
+  return name.split('.').reduce((value, key) => value?.[key], facts);
+}
+
+// Missing facts (null/undefined) never satisfy a condition
+export function ruleMatches(rule, facts) {
+  return Object.entries(rule.when).every(([fact, condition]) => {
+    const value = factValue(facts, fact);
+    if (value === null || value === undefined) return false;
+    return Object.entries(condition).every(([op, operand]) => OPERATORS[op](value, operand));
+  });
+}
+
+// The first matching rule of each group, in group order
+export function evaluateRules(rules, facts) {
+  const matched = new Map();
+  rules.forEach(rule => {
+    if (!matched.has(rule.group)) matched.set(rule.group, null);
+    if (!matched.get(rule.group) && ruleMatches(rule, facts)) matched.set(rule.group, rule);
+  });
+
+  return [...matched.values()].filter(Boolean);
+}
+
+// Facts the rules are evaluated on, from the per-timeframe price changes and
+// volumes ({ id, change, data: { totalBuyValue, totalSellValue } }) and the
+// per-interval indicators (see computeIndicators). The signal is about the
+// timeframe with the largest change; its buy/sell ratio is 1 when it had no
+// sells, and volume facts are null when the timeframe's volume is unknown.
+export function signalFacts({ timeframes, indicators = {} }) {
+  const primary = [...timeframes].sort((a, b) => b.change - a.change)[0];
+  const buyValue = parseFloat(primary.data?.totalBuyValue);
+  const sellValue = parseFloat(primary.data?.totalSellValue);
+  const known = isFinite(buyValue) && isFinite(sellValue);
+
+  return {
+    timeframe: primary.id,
+    change: primary.change,
+    absChange: Math.abs(primary.change),
+    ratio: known ? (sellValue === 0 ? 1 : buyValue / sellValue) : null,
+    volume: known ? buyValue + sellValue : null,
+    trend: overallTrend(indicators),
+    indicators
+  };
+}
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Health, status and metrics endpoints for the bot's HTTP server:
+//   GET /healthz  liveness: 200 while the bot receives updates, else 503
+//   GET /status   JSON snapshot of the bot and its jobs
+//   GET /metrics  Prometheus metrics (see src/metrics.js)
+// `health()` returns { ok, ... } and `status()` any JSON-able object.
+// /status lists chat and schedule ids and the lock holder's host, so it is
+// only served with `statusToken` set, to requests sending
+// "Authorization: Bearer <statusToken>".
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function hasToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export function createStatusRoutes({ health, status, metrics, statusToken = null }) {
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    switch (req.url.split('?')[0]) {
+      case '/healthz': {
+        const report = health();
+        return sendJson(res, report.ok ? 200 : 503, report);
+      }
+      case '/status':
+        if (!statusToken) return next();
+        if (!hasToken(req, statusToken)) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+          return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+        return sendJson(res, 200, status());
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        return res.end(metrics.render());
+      default:
+        return next();
+    }
+  };
+}
@@ -0,0 +1,418 @@
+import fs from 'fs';
+import path from 'path';
+
+// Persisted bot state. Every backend exposes the same collections:
+//
+//   chats      { id, title, type, firstSeenAt, updatedAt }      keyed by chat id
+//   settings   per-chat overrides (see DEFAULT_CHAT_SETTINGS)  keyed by chat id
+//   alerts     { id, chatId, threadId, userId, symbol, pair, type, operator,
+//                threshold, windowMs?, windowLabel?, armed, lastTriggeredAt, createdAt }
+//   signals    { chatId, threadId, symbol, messageId, trigger, postedAt }
+//   snapshots  { symbol, timestamp, price, ... }   computed market metrics
+//   schedules  { id, chatId, threadId, symbol, cron, custom, timezone, quietHours,
+//                policy, jitterMs, paused, nextRunAt, lastRunAt, lastResult }  keyed by id
+//   users      { language }  per-user preferences, keyed by Telegram user id
+//   bot        { postingPaused, pausedBy, pausedAt }  bot-wide state set by owners
+//
+// Older data files are upgraded in place by MIGRATIONS on load.
+
+// null means "use the token config / bot default" for every field.
+//   symbols     tracked token symbols posted to the chat
+//   threadId    topic id to post in, or 'main' for the main chat
+//   intervalMs  posting interval, 0 turns scheduled posts off
+//   mode        'interval' or 'events' (posts triggered by market events)
+//   digest      in events mode, false turns the daily digest off
+//   language    message language code
+//   thresholds  { whaleUsdt, move15m, move1h, ratioSpike, volumeSurge, buyWallUsdt }
+//               notification and event thresholds
+//   sections    ids of the signal message sections to show, in display order
+//   layout      signal message layout, 'full' or 'compact'
+export const DEFAULT_CHAT_SETTINGS = {
+  symbols: null,
+  threadId: null,
+  intervalMs: null,
+  mode: null,
+  digest: null,
+  language: null,
+  thresholds: null,
+  sections: null,
+  layout: null
+};
+
+// Keep history bounded so the JSON file stays small
+const HISTORY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Writes within this long of each other are saved to the JSON file together
+export const DEFAULT_SAVE_DELAY_MS = 1000;
+
+// New stores start here and get their collections from MIGRATIONS
+function emptyState() {
+  return { schemaVersion: 0 };
+}
+
+// Ordered schema migrations; each receives the raw state and a context object.
+// Released migrations must not change: add a new one instead.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up(state) {
+      state.chats = state.chats || {};
+      state.settings = state.settings || {};
+      state.alerts = state.alerts || { nextId: 1, items: [] };
+      state.signals = state.signals || [];
+      state.snapshots = state.snapshots || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Import alert subscriptions from the legacy alerts.json file',
+    up(state, { dataDir }) {
+      const legacyPath = dataDir && path.join(dataDir, 'alerts.json');
+      if (!legacyPath || !fs.existsSync(legacyPath)) return;
+
+      const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      state.alerts.items.push(...(legacy.alerts || []));
+      state.alerts.nextId = Math.max(state.alerts.nextId, legacy.nextId || 1);
+      fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add scheduled posts with persisted next-run times',
+    up(state) {
+      state.schedules = state.schedules || {};
+    }
+  },
+  {
+    version: 4,
+    description: 'Add per-user language preferences',
+    up(state) {
+      state.users = state.users || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Add bot-wide state for owner commands',
+    up(state) {
+      state.bot = state.bot || {};
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring a raw state object up to SCHEMA_VERSION; returns applied migration versions
+export function migrate(state, context = {}) {
+  const applied = [];
+
+  MIGRATIONS
+    .filter(migration => migration.version > (state.schemaVersion || 0))
+    .forEach(migration => {
+      migration.up(state, context);
+      state.schemaVersion = migration.version;
+      applied.push(migration.version);
+    });
+
+  return applied;
+}
+
+function matches(item, { chatId, symbol, since }) {
+  if (chatId !== undefined && item.chatId !== chatId) return false;
+  if (symbol !== undefined && item.symbol !== symbol) return false;
+  if (since !== undefined && (item.timestamp ?? item.postedAt) < since) return false;
+  return true;
+}
+
+// Build the collection API over a state object; save() is called after each write
+function createCollections(state, save) {
+  const now = Date.now;
+
+  function pruneHistory(list, timeField) {
+    const cutoff = now() - HISTORY_RETENTION_MS;
+    while (list.length > 0 && list[0][timeField] < cutoff) {
+      list.shift();
+    }
+  }
+
+  const chats = {
+    get(id) {
+      return state.chats[id] || null;
+    },
+
+    // Insert or update a chat; only writes when something actually changed
+    upsert({ id, title = null, type = null }) {
+      const existing = state.chats[id];
+      if (existing && existing.title === title && existing.type === type) {
+        return existing;
+      }
+
+      state.chats[id] = {
+        id,
+        title,
+        type,
+        firstSeenAt: existing?.firstSeenAt || now(),
+        updatedAt: now()
+      };
+      save();
+      return state.chats[id];
+    },
+
+    remove(id) {
+      delete state.chats[id];
+      delete state.settings[id];
+      save();
+    },
+
+    list() {
+      return Object.values(state.chats);
+    }
+  };
+
+  const settings = {
+    // Chat settings merged over the defaults
+    get(chatId) {
+      return { ...DEFAULT_CHAT_SETTINGS, ...state.settings[chatId] };
+    },
+
+    update(chatId, changes) {
+      state.settings[chatId] = { ...state.settings[chatId], ...changes };
+      save();
+      return settings.get(chatId);
+    },
+
+    reset(chatId) {
+      delete state.settings[chatId];
+      save();
+      return settings.get(chatId);
+    }
+  };
+
+  const alerts = {
+    add(alert) {
+      const stored = {
+        ...alert,
+        id: state.alerts.nextId++,
+        armed: true,
+        lastTriggeredAt: null,
+        createdAt: now()
+      };
+      state.alerts.items.push(stored);
+      save();
+      return stored;
+    },
+
+    remove(chatId, id) {
+      const before = state.alerts.items.length;
+      state.alerts.items = state.alerts.items.filter(alert => !(alert.chatId === chatId && alert.id === id));
+      if (state.alerts.items.length === before) return false;
+      save();
+      return true;
+    },
+
+    removeAll(chatId) {
+      const before = state.alerts.items.length;
+      state.alerts.items = state.alerts.items.filter(alert => alert.chatId !== chatId);
+      save();
+      return before - state.alerts.items.length;
+    },
+
+    update(id, changes) {
+      const alert = state.alerts.items.find(item => item.id === id);
+      if (!alert) return;
+      Object.assign(alert, changes);
+      save();
+    },
+
+    list(chatId) {
+      return chatId === undefined
+        ? [...state.alerts.items]
+        : state.alerts.items.filter(alert => alert.chatId === chatId);
+    }
+  };
+
+  const signals = {
+    record(signal) {
+      const stored = { ...signal, postedAt: signal.postedAt || now() };
+      state.signals.push(stored);
+      pruneHistory(state.signals, 'postedAt');
+      save();
+      return stored;
+    },
+
+    // Most recent first; filter by chatId, symbol and/or since
+    list(filter = {}) {
+      const result = state.signals.filter(signal => matches(signal, filter)).reverse();
+      return filter.limit ? result.slice(0, filter.limit) : result;
+    },
+
+    last(filter = {}) {
+      return signals.list({ ...filter, limit: 1 })[0] || null;
+    }
+  };
+
+  const snapshots = {
+    record(snapshot) {
+      const stored = { ...snapshot, timestamp: snapshot.timestamp || now() };
+      state.snapshots.push(stored);
+      pruneHistory(state.snapshots, 'timestamp');
+      save();
+      return stored;
+    },
+
+    // Oldest first; filter by symbol and/or since
+    list(filter = {}) {
+      return state.snapshots.filter(snapshot => matches(snapshot, filter));
+    }
+  };
+
+  const schedules = {
+    get(id) {
+      return state.schedules[id] || null;
+    },
+
+    upsert(schedule) {
+      state.schedules[schedule.id] = { ...state.schedules[schedule.id], ...schedule };
+      save();
+      return state.schedules[schedule.id];
+    },
+
+    update(id, changes) {
+      if (!state.schedules[id]) return null;
+      Object.assign(state.schedules[id], changes);
+      save();
+      return state.schedules[id];
+    },
+
+    remove(id) {
+      delete state.schedules[id];
+      save();
+    },
+
+    list(chatId) {
+      const all = Object.values(state.schedules);
+      return chatId === undefined ? all : all.filter(schedule => schedule.chatId === chatId);
+    }
+  };
+
+  const users = {
+    get(userId) {
+      return { language: null, ...state.users[userId] };
+    },
+
+    update(userId, changes) {
+      state.users[userId] = { ...state.users[userId], ...changes };
+      save();
+      return users.get(userId);
+    }
+  };
+
+  const bot = {
+    get() {
+      return { postingPaused: false, pausedBy: null, pausedAt: null, ...state.bot };
+    },
+
+    update(changes) {
+      state.bot = { ...state.bot, ...changes };
+      save();
+      return bot.get();
+    }
+  };
+
+  return { chats, settings, alerts, signals, snapshots, schedules, users, bot };
+}
+
+// Non-persistent storage, used by tests and when STORAGE=memory
+export function createMemoryStorage(initialState = emptyState()) {
+  const state = JSON.parse(JSON.stringify(initialState));
+  migrate(state);
+
+  return {
+    kind: 'memory',
+    schemaVersion: state.schemaVersion,
+    ...createCollections(state, () => {}),
+    reload() {},
+    setWritable() {},
+    flush() {},
+    close() {}
+  };
+}
+
+// JSON file storage; writes go through a temp file so a crash never truncates it.
+// The whole file is rewritten, so changes are batched: the file is written
+// saveDelayMs after the first unsaved change, or on flush()/close().
+// setWritable(false) drops unsaved changes and stops writing, for an instance
+// that no longer owns the file (see src/instanceLock.js).
+export function createJsonStorage({ filePath, saveDelayMs = DEFAULT_SAVE_DELAY_MS, logger = console }) {
+  const dataDir = path.dirname(filePath);
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const state = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : emptyState();
+
+  let saveTimer = null;
+  let writable = true;
+
+  function write() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function flush() {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      write();
+    } catch (error) {
+      logger.error(`Could not save ${filePath}: ${error.message}`);
+    }
+  }
+
+  function save() {
+    if (writable && !saveTimer) saveTimer = setTimeout(flush, saveDelayMs);
+  }
+
+  const applied = migrate(state, { dataDir });
+  if (applied.length > 0) {
+    logger.info(`Storage migrated to schema v${state.schemaVersion} (applied: ${applied.join(', ')})`);
+    write();
+  }
+
+  return {
+    kind: 'json',
+    schemaVersion: state.schemaVersion,
+    ...createCollections(state, save),
+    // Re-read the file, e.g. after another instance has been writing it
+    reload() {
+      if (!fs.existsSync(filePath)) return;
+      const fresh = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.keys(state).forEach(key => delete state[key]);
+      Object.assign(state, fresh);
+      migrate(state, { dataDir });
+    },
+    setWritable(value) {
+      writable = value;
+      if (writable) return;
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    },
+    // Write unsaved changes now
+    flush,
+    close: flush
+  };
+}
+
+// Pick a storage backend by name ("json" or "memory")
+export function createStorage({ type = 'json', dataDir, saveDelayMs, logger = console } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'json':
+      return createJsonStorage({ filePath: path.join(dataDir, 'bot-state.json'), saveDelayMs, logger });
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
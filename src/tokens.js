@@ -0,0 +1,90 @@
+import fs from 'fs';
+
+const FOUR_HOURS_MS = 4 * 60 * 60 * 1000;
+
+const TCAPY_DESCRIPTION = `🌟 <b>Welcome to TonCapy!</b>
+TonCapy is where memes meet crypto—an energetic hub inspired by the friendly capybara. With the TCapy token at its heart, our platform empowers Telegram projects to effortlessly create, manage, and grow vibrant communities.
+
+📌 <b>Why TonCapy?</b>
+🤝 <i>Community Building:</i> Seamlessly connect with like-minded users.
+⚡ <i>Real-Time Interaction:</i> Enjoy dynamic notifications & interactive content.
+🚀 <i>Token Ecosystem:</i> Fuel community growth with TCapy.
+
+🏆 <b>Impressive Achievements:</b>
+• 1.5M Spins • 14.3B Total TCapy
+• 300K Daily Active Users • 4M Monthly Active Users
+• 5.5M Total Holders • 4.2M Users in 1 Month!`;
+
+// Build the default token list; TCAPY posts to the group/topic from env
+function defaultTokens(env) {
+  return [
+    {
+      symbol: 'TCAPY',
+      pair: 'TCAPYUSDT',
+      cmcSymbol: 'TCAPY',
+      name: 'TCAPY',
+      circulatingSupply: 888_000_000_000,
+      description: TCAPY_DESCRIPTION,
+      links: {
+        trade: 'https://www.mexc.com/exchange/TCAPY_USDT',
+        cmc: 'https://coinmarketcap.com/currencies/toncapy/'
+      },
+      chatId: env.GROUP_CHAT_ID,
+      threadId: env.MESSAGE_THREAD_ID,
+      intervalMs: FOUR_HOURS_MS,
+      exchanges: env.TCAPY_TON_POOL ? { ton: env.TCAPY_TON_POOL } : {}
+    }
+  ];
+}
+
+// Fill in derived fields so every entry has the same shape
+function normalizeToken(token) {
+  if (!token || !token.symbol) {
+    throw new Error('Token config entry is missing "symbol"');
+  }
+
+  const symbol = token.symbol.toUpperCase();
+  const pair = (token.pair || `${symbol}USDT`).toUpperCase();
+
+  return {
+    ...token,
+    symbol,
+    pair,
+    cmcSymbol: (token.cmcSymbol || symbol).toUpperCase(),
+    name: token.name || symbol,
+    circulatingSupply: token.circulatingSupply || null,
+    description: token.description || null,
+    links: {
+      trade: `https://www.mexc.com/exchange/${pair.replace(/USDT$/, '_USDT')}`,
+      ...token.links
+    },
+    chatId: token.chatId ? token.chatId.toString() : null,
+    threadId: token.threadId ? token.threadId.toString() : null,
+    intervalMs: token.intervalMs === undefined ? FOUR_HOURS_MS : token.intervalMs,
+    // Market per exchange id (string overrides the default, false disables the venue)
+    exchanges: { mexc: pair, ...token.exchanges }
+  };
+}
+
+// Load tracked tokens from a JSON file (array of entries) if it exists,
+// otherwise fall back to the built-in TCAPY entry
+export function loadTokenConfigs({ configPath, env = process.env } = {}) {
+  let tokens = defaultTokens(env);
+
+  if (configPath && fs.existsSync(configPath)) {
+    const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!Array.isArray(parsed)) {
+      throw new Error(`Token config ${configPath} must contain an array`);
+    }
+    tokens = parsed;
+  }
+
+  return tokens.map(normalizeToken);
+}
+
+// Find a token config by its symbol or trading pair (case-insensitive)
+export function findToken(tokens, symbol) {
+  if (!symbol) return null;
+  const normalized = symbol.toUpperCase();
+  return tokens.find(token => token.symbol === normalized || token.pair === normalized) || null;
+}
@@ -0,0 +1,109 @@
+// Data quality of a volume figure, best first. `rank` orders them so the
+// worst quality across windows can be reported for the whole message;
+// `marker` prefixes figures that aren't counted from complete trade data.
+// Labels and notes are the `quality.<id>` and `quality.note.<id>` catalog
+// entries.
+export const VOLUME_QUALITY = {
+  live: { rank: 0, icon: '🟢', marker: '' },
+  complete: { rank: 1, icon: '🟢', marker: '' },
+  approximate: { rank: 2, icon: '🟡', marker: '~' },
+  partial: { rank: 3, icon: '🟠', marker: '≥' },
+  estimated: { rank: 4, icon: '🔴', marker: '≈' }
+};
+
+export function worstQuality(qualities) {
+  return qualities.reduce((worst, quality) =>
+    VOLUME_QUALITY[quality].rank > VOLUME_QUALITY[worst].rank ? quality : worst, 'live');
+}
+
+// Convert a MEXC /aggTrades entry into the REST /trades shape
+export function aggTradeToTrade(aggTrade) {
+  return {
+    price: aggTrade.p,
+    qty: aggTrade.q,
+    time: Number(aggTrade.T),
+    isBuyerMaker: Boolean(aggTrade.m)
+  };
+}
+
+// Page through a time range newest chunk first, each chunk at most chunkMs long,
+// continuing within a chunk while pages come back full. fetchPage(startTime, endTime)
+// resolves to items sorted oldest first (endTime inclusive); getTime(item) gives an
+// item's timestamp. Stops after maxPages requests; a chunk that could not be fetched
+// completely is dropped. Returns items oldest first and the time from which the
+// range is fully covered (<= startTime when complete).
+export async function paginateTimeRange({
+  startTime,
+  endTime,
+  chunkMs,
+  pageLimit,
+  maxPages,
+  fetchPage,
+  getTime
+}) {
+  const chunks = [];
+  let pages = 0;
+  let chunkEnd = endTime;
+
+  while (chunkEnd > startTime) {
+    const chunkStart = Math.max(startTime, chunkEnd - chunkMs);
+    const chunkItems = [];
+    let pageStart = chunkStart;
+    let chunkComplete = false;
+
+    while (pages < maxPages) {
+      const page = await fetchPage(pageStart, chunkEnd - 1);
+      pages++;
+      chunkItems.push(...page);
+
+      if (page.length < pageLimit) {
+        chunkComplete = true;
+        break;
+      }
+
+      pageStart = getTime(page[page.length - 1]) + 1;
+      if (pageStart >= chunkEnd) {
+        chunkComplete = true;
+        break;
+      }
+    }
+
+    if (!chunkComplete) break;
+
+    chunks.unshift(chunkItems);
+    chunkEnd = chunkStart;
+  }
+
+  return { items: chunks.flat(), coveredFrom: chunkEnd };
+}
+
+// Sum 1m kline quote volume since startTime. Klines carry no taker side, so
+// the buy share of each candle is approximated by where it closed within its
+// range (close at the high = all buying, close at the low = all selling).
+export function klineWindowVolume(klines, startTime) {
+  const result = {
+    totalSellValue: 0,
+    totalSellAmount: 0,
+    totalBuyValue: 0,
+    totalBuyAmount: 0
+  };
+
+  klines.forEach(row => {
+    if (Number(row[0]) < startTime) return;
+
+    const high = parseFloat(row[2]);
+    const low = parseFloat(row[3]);
+    const close = parseFloat(row[4]);
+    const baseVolume = parseFloat(row[5]) || 0;
+    const quoteVolume = parseFloat(row[7]) || baseVolume * close || 0;
+
+    const buyShare = high > low ? (close - low) / (high - low) : 0.5;
+
+    result.totalBuyValue += quoteVolume * buyShare;
+    result.totalSellValue += quoteVolume * (1 - buyShare);
+    result.totalBuyAmount += baseVolume * buyShare;
+    result.totalSellAmount += baseVolume * (1 - buyShare);
+  });
+
+  return result;
+}
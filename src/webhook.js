@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+
+// Webhook mode: Telegram POSTs each update to WEBHOOK_URL (usually a reverse
+// proxy) and the proxy forwards it to the bot's HTTP server (see
+// src/httpServer.js for its port). Unlike long polling, a second container
+// running with the same token can't knock this one off with 409 Conflict;
+// the last one to start simply receives the updates.
+
+// Characters Telegram allows in a secret token (1-256 of them)
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+// Webhook settings from the environment, or null to use long polling:
+//   WEBHOOK_URL     public https URL Telegram posts updates to
+//   WEBHOOK_PATH    path the server accepts updates on (default: the URL's path)
+//   WEBHOOK_SECRET  token Telegram must send with every update (default:
+//                   a random one, registered again on each start)
+// Invalid values are logged and replaced by the default (polling for the URL).
+export function parseWebhookConfig(env, { logger = console } = {}) {
+  if (!env.WEBHOOK_URL) return null;
+
+  let url;
+  try {
+    url = new URL(env.WEBHOOK_URL);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || url.protocol !== 'https:') {
+    logger.warn(`Invalid WEBHOOK_URL "${env.WEBHOOK_URL}" (Telegram needs an https URL), using long polling`);
+    return null;
+  }
+
+  let path = env.WEBHOOK_PATH || url.pathname;
+  if (!path.startsWith('/')) {
+    logger.warn(`Invalid WEBHOOK_PATH "${path}" (must start with /), using ${url.pathname}`);
+    path = url.pathname;
+  }
+
+  let secretToken = env.WEBHOOK_SECRET;
+  if (secretToken && !SECRET_TOKEN_PATTERN.test(secretToken)) {
+    logger.warn('Invalid WEBHOOK_SECRET (use 1-256 of A-Z, a-z, 0-9, _ and -), using a random one');
+    secretToken = null;
+  }
+
+  return {
+    url: url.href,
+    path,
+    secretToken: secretToken || crypto.randomBytes(32).toString('hex')
+  };
+}
+
+// HTTP handler passing the updates Telegram posts to `config.path` on to the
+// bot; posts there without the secret token get 403. register() points
+// Telegram at the webhook.
+export function createWebhook({ bot, config, logger = console }) {
+  const handleUpdate = bot.webhookCallback(config.path, { secretToken: config.secretToken });
+
+  return {
+    handle(req, res, next) {
+      return handleUpdate(req, res, () => {
+        if (req.method !== 'POST' || req.url !== config.path) return next();
+
+        logger.warn('Webhook request with a wrong secret token', { ip: req.socket.remoteAddress });
+        res.statusCode = 403;
+        res.end();
+      });
+    },
+
+    register() {
+      return bot.telegram.setWebhook(config.url, { secret_token: config.secretToken });
+    }
+  };
+}
@@ -0,0 +1,167 @@
+// Whale trade detection over trades ({ price, qty, time, isBuyerMaker }, newest first)
+
+const tradeValue = (trade) => parseFloat(trade.price) * parseFloat(trade.qty);
+
+// Trade value at the given percentile (0-100) of the trades; 0 when there are none
+export function tradeValuePercentile(trades, percentile) {
+  const values = trades.map(tradeValue).filter(value => !isNaN(value)).sort((a, b) => a - b);
+  if (values.length === 0) return 0;
+
+  const index = Math.min(values.length - 1, Math.ceil(percentile / 100 * values.length) - 1);
+  return values[Math.max(0, index)];
+}
+
+// Threshold in USDT: minValue, raised to the percentile of recent trade values when set
+export function resolveWhaleThreshold(trades, { minValue = 0, percentile = null } = {}) {
+  if (!percentile) return minValue;
+  return Math.max(minValue, tradeValuePercentile(trades, percentile));
+}
+
+// Group consecutive same-side trades no more than clusterMs apart and return the
+// clusters worth at least `threshold` USDT, oldest first. A single large trade is
+// a cluster of one. priceImpact is the move from the price before the cluster
+// to its last trade, in percent.
+export function findWhaleTrades(trades, { threshold, clusterMs = 10000 }) {
+  const chronological = [...trades]
+    .filter(trade => !isNaN(tradeValue(trade)))
+    .sort((a, b) => Number(a.time) - Number(b.time));
+
+  const clusters = [];
+  let current = null;
+  let previousPrice = null;
+
+  chronological.forEach(trade => {
+    const side = trade.isBuyerMaker ? 'sell' : 'buy';
+    const time = Number(trade.time);
+    const price = parseFloat(trade.price);
+
+    if (!current || current.side !== side || time - current.endTime > clusterMs) {
+      current = {
+        side,
+        value: 0,
+        qty: 0,
+        trades: 0,
+        startTime: time,
+        endTime: time,
+        priceBefore: previousPrice ?? price,
+        lastPrice: price
+      };
+      clusters.push(current);
+    }
+
+    current.value += tradeValue(trade);
+    current.qty += parseFloat(trade.qty);
+    current.trades += 1;
+    current.endTime = time;
+    current.lastPrice = price;
+    previousPrice = price;
+  });
+
+  return clusters
+    .filter(cluster => cluster.value >= threshold)
+    .map(cluster => ({
+      ...cluster,
+      priceImpact: (cluster.lastPrice - cluster.priceBefore) / cluster.priceBefore * 100
+    }));
+}
+
+// The `count` largest single trades since startTime, biggest first
+export function largestTrades(trades, since, count = 3) {
+  return trades
+    .filter(trade => Number(trade.time) >= since && !isNaN(tradeValue(trade)))
+    .map(trade => ({
+      side: trade.isBuyerMaker ? 'sell' : 'buy',
+      price: parseFloat(trade.price),
+      qty: parseFloat(trade.qty),
+      value: tradeValue(trade),
+      time: Number(trade.time)
+    }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, count);
+}
+
+// Background watcher that posts each whale cluster once. A cluster is only
+// reported after clusterMs without a further same-side trade, so clustered
+// fills are announced as one event. The percentile threshold is computed over
+// the last lookbackMs of trades. `tokens` may be a function returning the
+// tokens to watch and `minValue` a function of the token, so both can follow
+// settings changed at runtime.
+export function createWhaleWatcher({
+  tokens,
+  fetchTrades,
+  notify,
+  minValue = 5000,
+  percentile = null,
+  clusterMs = 10000,
+  lookbackMs = 60 * 60 * 1000,
+  intervalMs = 30000,
+  logger = console,
+  now = Date.now
+}) {
+  let timer = null;
+  let running = false;
+  // Per pair: clusters ending at or before this time have been handled
+  const settledUntil = new Map();
+
+  async function checkToken(token) {
+    const checkTime = now();
+    const settleTime = checkTime - clusterMs;
+
+    if (!settledUntil.has(token.pair)) {
+      // Don't announce trades from before the watcher started
+      settledUntil.set(token.pair, settleTime);
+      return;
+    }
+
+    const trades = await fetchTrades(token.pair, checkTime - lookbackMs);
+    const tokenMinValue = typeof minValue === 'function' ? minValue(token) : minValue;
+    const threshold = resolveWhaleThreshold(trades, { minValue: tokenMinValue, percentile });
+    const since = settledUntil.get(token.pair);
+
+    const events = findWhaleTrades(trades, { threshold, clusterMs })
+      .filter(event => event.endTime > since && event.endTime <= settleTime);
+
+    settledUntil.set(token.pair, settleTime);
+
+    for (const event of events) {
+      try {
+        await notify(token, event, threshold);
+        logger.info(`Whale ${event.side} detected on ${token.pair}`, { value: event.value, trades: event.trades });
+      } catch (error) {
+        logger.error('Failed to send whale notification', { pair: token.pair, error: error.message });
+      }
+    }
+  }
+
+  async function checkAll() {
+    if (running) return;
+    running = true;
+
+    try {
+      for (const token of typeof tokens === 'function' ? tokens() : tokens) {
+        try {
+          await checkToken(token);
+        } catch (error) {
+          logger.error('Failed to check whale trades', { pair: token.pair, error: error.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    checkAll,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(checkAll, intervalMs);
+      checkAll();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
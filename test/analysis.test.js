@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateVolume,
+  estimateVolumeDistribution,
+  getPriceAtTime,
+  generateBuyZones,
+  generateSignalMessage
+} from '../src/analysis.js';
+import { createTranslator } from '../src/i18n.js';
+import { signalFacts } from '../src/signalRules.js';
+import { loadFixture, RECORDED_AT } from './helpers/fakeHttp.js';
+
+const NOW = 1700000000000;
+const MINUTE = 60 * 1000;
+
+// Newest first, like MEXC trades
+const trades = [
+  { price: '1.10', qty: '10', time: NOW - 1 * MINUTE, isBuyerMaker: false },
+  { price: '1.05', qty: '20', time: NOW - 10 * MINUTE, isBuyerMaker: true },
+  { price: '1.00', qty: '30', time: NOW - 20 * MINUTE, isBuyerMaker: false },
+  { price: '0.95', qty: '40', time: NOW - 60 * MINUTE, isBuyerMaker: true }
+];
+
+test('calculateVolume splits taker buys and sells since startTime', () => {
+  const volume = calculateVolume(trades, NOW - 30 * MINUTE);
+
+  assert.equal(volume.totalBuyAmount, 40);
+  assert.equal(volume.totalBuyValue, 1.1 * 10 + 1.0 * 30);
+  assert.equal(volume.totalSellAmount, 20);
+  assert.equal(volume.totalSellValue, 1.05 * 20);
+});
+
+test('calculateVolume skips malformed trades and handles no trades', () => {
+  const volume = calculateVolume([...trades, { price: 'x', qty: '5', time: NOW }, null], NOW - 5 * MINUTE);
+  assert.equal(volume.totalBuyAmount, 10);
+
+  assert.deepEqual(calculateVolume([], NOW), {
+    totalSellValue: 0,
+    totalSellAmount: 0,
+    totalBuyValue: 0,
+    totalBuyAmount: 0
+  });
+});
+
+test('getPriceAtTime uses the last trade at or before the time', () => {
+  assert.equal(getPriceAtTime(trades, NOW - 15 * MINUTE), 1.0);
+  assert.equal(getPriceAtTime(trades, NOW), 1.1);
+});
+
+test('getPriceAtTime falls back to the oldest trade', () => {
+  assert.equal(getPriceAtTime(trades, NOW - 5 * 60 * MINUTE), 0.95);
+  assert.equal(getPriceAtTime([], NOW), null);
+});
+
+test('estimateVolumeDistribution leans towards buys when the price rises', () => {
+  const estimate = estimateVolumeDistribution(100000, {
+    currentPrice: 2,
+    change15Min: 2.5,
+    change30Min: 0,
+    change1Hour: -3
+  });
+
+  assert.equal(estimate.min15.totalBuyValue + estimate.min15.totalSellValue, 100000 * 0.04);
+  assert.equal(estimate.min15.totalBuyValue, 100000 * 0.04 * 0.8);
+  assert.equal(estimate.min30.totalBuyValue, estimate.min30.totalSellValue);
+  assert.equal(estimate.hour1.totalBuyValue, 100000 * 0.08 * 0.2);
+  assert.equal(estimate.hour1.totalBuyAmount, Math.round(100000 * 0.08 * 0.2 / 2));
+});
+
+test('generateBuyZones picks large bids from the order book', () => {
+  const mexcTrades = loadFixture('mexc/trades.json');
+  const orderBook = loadFixture('mexc/depth.json');
+  const currentPrice = parseFloat(mexcTrades[0].price);
+
+  const zones = generateBuyZones(mexcTrades, orderBook, currentPrice, 427216, { now: RECORDED_AT });
+
+  assert.ok(zones.length > 0 && zones.length <= 3);
+  zones.forEach(zone => assert.ok(zone.price < currentPrice && zone.price >= currentPrice * 0.9));
+  assert.deepEqual(zones.map(zone => zone.price), [...zones].map(zone => zone.price).sort((a, b) => b - a));
+  // The zone holding the fixture's bid wall, 40x the size of its neighbours
+  assert.ok(zones.some(zone => zone.amount >= parseFloat(orderBook.bids[12][1])));
+});
+
+test('generateBuyZones falls back to zones below the price without data', () => {
+  const zones = generateBuyZones([], { bids: [] }, 2, 10000, { now: NOW });
+
+  assert.deepEqual(zones.map(zone => zone.price), [2 * 0.995, 2 * 0.985, 2 * 0.97]);
+  assert.equal(zones[0].value, 10000 * 0.05);
+});
+
+test('generateSignalMessage describes the most significant timeframe', () => {
+  const facts = signalFacts({
+    timeframes: [
+      { id: '15m', change: 1.2, data: { totalBuyValue: 500, totalSellValue: 400 } },
+      { id: '1h', change: 12, data: { totalBuyValue: 2500, totalSellValue: 1000 } }
+    ]
+  });
+  const t = createTranslator('en');
+  const message = generateSignalMessage(facts, 'TCAPY', t);
+
+  assert.ok(message.startsWith(t('move.strongRally', { timeframe: t('timeframe.1h'), coin: 'TCAPY' })));
+  assert.ok(message.includes(t('volume.extremeBuying', { timeframe: t('timeframe.1h'), coin: 'TCAPY' })));
+  assert.ok(message.includes(t('sentiment.bullish', { timeframe: t('timeframe.1h'), coin: 'TCAPY' })));
+});
+
+test('generateSignalMessage can be limited to some rule groups', () => {
+  const facts = signalFacts({ timeframes: [{ id: '15m', change: -8, data: { totalBuyValue: 100, totalSellValue: 900 } }] });
+  const t = createTranslator('vi');
+
+  assert.equal(
+    generateSignalMessage(facts, 'TCAPY', t, { groups: ['move'] }),
+    t('move.majorCorrection', { timeframe: t('timeframe.15m'), coin: 'TCAPY' })
+  );
+});
+
+test('generateSignalMessage uses the given rules', () => {
+  const rules = [{ id: 'dip', group: 'move', when: { change: { lt: 0 } }, text: '{coin} dipped over {timeframe}. ' }];
+  const facts = signalFacts({ timeframes: [{ id: '4h', change: -2, data: null }] });
+
+  assert.equal(generateSignalMessage(facts, 'TCAPY', createTranslator('en'), { rules }), 'TCAPY dipped over 4 Hours. ');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCache } from '../src/cache.js';
+import { silentLogger } from './helpers/testApp.js';
+
+function setup() {
+  const clock = { now: 0 };
+  const cache = createCache({ ttls: { quotes: 1000 }, staleTtlMs: 5000, logger: silentLogger, now: () => clock.now });
+  return { clock, cache };
+}
+
+test('values are served from the cache for their TTL', async () => {
+  const { clock, cache } = setup();
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cache.get('quotes', 'BTC', load), 1);
+  clock.now = 999;
+  assert.equal(await cache.get('quotes', 'BTC', load), 1);
+  clock.now = 1000;
+  assert.equal(await cache.get('quotes', 'BTC', load), 2);
+  assert.equal(await cache.get('quotes', 'ETH', load), 3);
+
+  assert.deepEqual(cache.metrics().quotes, { hits: 1, misses: 3, coalesced: 0, stale: 0, errors: 0, size: 2, ttlMs: 1000 });
+});
+
+test('concurrent requests for a key share one load', async () => {
+  const { cache } = setup();
+  let loads = 0;
+  let finish;
+  const load = () => {
+    loads++;
+    return new Promise(resolve => {
+      finish = resolve;
+    });
+  };
+
+  const requests = [cache.get('quotes', 'BTC', load), cache.get('quotes', 'BTC', load)];
+  finish('quote');
+
+  assert.deepEqual(await Promise.all(requests), ['quote', 'quote']);
+  assert.equal(loads, 1);
+  assert.equal(cache.metrics().quotes.coalesced, 1);
+});
+
+test('a failed load falls back to a stale value, then gives up', async () => {
+  const { clock, cache } = setup();
+  const fail = async () => {
+    throw new Error('upstream down');
+  };
+
+  await cache.get('quotes', 'BTC', async () => 'old');
+  clock.now = 5999;
+  assert.equal(await cache.get('quotes', 'BTC', fail), 'old');
+
+  clock.now = 6000;
+  await assert.rejects(cache.get('quotes', 'BTC', fail), /upstream down/);
+  assert.equal(cache.metrics().quotes.stale, 1);
+  assert.equal(cache.metrics().quotes.errors, 2);
+});
+
+test('failed loads are not cached', async () => {
+  const { cache } = setup();
+
+  await assert.rejects(cache.get('quotes', 'BTC', async () => {
+    throw new Error('timeout');
+  }));
+  assert.equal(await cache.get('quotes', 'BTC', async () => 'fresh'), 'fresh');
+});
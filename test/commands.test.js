@@ -0,0 +1,461 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTranslator } from '../src/i18n.js';
+import { createTestApp } from './helpers/testApp.js';
+import { messageUpdate, callbackUpdate, PRIVATE_CHAT, GROUP_CHAT } from './helpers/fakeTelegram.js';
+
+const en = createTranslator('en');
+
+// Reply keyboard buttons of a sent message, flattened
+const buttons = (payload) => payload.reply_markup.inline_keyboard.flat();
+
+test('/start and /help reply in the user\'s language', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/start'));
+  await send(messageUpdate('/help'));
+
+  const [start, help] = telegram.sent('sendMessage');
+  assert.equal(start.text, en('start.message'));
+  assert.equal(start.parse_mode, 'HTML');
+  assert.ok(help.text.includes('<code>TCAPY</code>'));
+});
+
+test('/lang switches a user\'s language and /lang group the chat\'s', async () => {
+  const { app, send, telegram } = createTestApp();
+  const vi = createTranslator('vi');
+
+  await send(messageUpdate('/lang vi'));
+  await send(messageUpdate('/start'));
+  await send(messageUpdate('/lang xx'));
+  await send(messageUpdate('/lang group vi'));
+
+  const texts = telegram.texts();
+  assert.equal(texts[0], vi('lang.set', { language: 'Tiếng Việt' }));
+  assert.equal(texts[1], vi('start.message'));
+  assert.ok(texts[2].includes('xx'));
+  assert.equal(app.storage.settings.get(String(GROUP_CHAT.id)).language, 'vi');
+});
+
+test('/getgroupid reports the chat and topic', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/getgroupid', { threadId: 7 }));
+
+  assert.equal(telegram.texts()[0], `Group ID: ${GROUP_CHAT.id}\nThread ID: 7`);
+});
+
+test('command replies, menus and numbers follow the chat\'s language', async () => {
+  const { app, send, telegram } = createTestApp();
+  const vi = createTranslator('vi');
+  const chatId = String(GROUP_CHAT.id);
+  app.storage.settings.update(chatId, { language: 'vi' });
+
+  await send(messageUpdate('/alert add TCAPY change 15m >2.5%'));
+  const [alert] = app.storage.alerts.list(chatId);
+  await send(messageUpdate('/settings'));
+  await send(messageUpdate('/depth TCAPY 5K'));
+  await send(messageUpdate('/schedule set TCAPY 0 9 * * * policy=later'));
+
+  const [added, settings, depth, invalid] = telegram.texts();
+  assert.equal(added, vi('alert.added', { id: alert.id, alert: 'Biến động 15m của TCAPY > 2,50%' }));
+  assert.ok(settings.startsWith(`<b>⚙️ ${vi('settings.title')}</b>`));
+  assert.ok(settings.includes(`${vi('settings.layout')}:</b> ${vi('layout.full')}`));
+  assert.ok(buttons(telegram.sent('sendMessage')[1]).some(button => button.text === `🧩 ${vi('settings.sections')}`));
+  assert.ok(depth.includes(`<b>💸 ${vi('depth.slippageFor', { size: '5.000' })}</b>`));
+  assert.equal(invalid, `❌ ${vi('schedule.error.policy', { policies: 'skip, catchup' })}`);
+});
+
+test('/coin sends CMC data, venue comparison, buttons and a chart', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/coin btc'));
+
+  const [message] = telegram.sent('sendMessage');
+  assert.ok(message.text.includes('<b>Bitcoin (BTC)</b>'));
+  assert.ok(message.text.includes('$62345.12'));
+  assert.ok(buttons(message).some(button => button.callback_data === 'refresh_BTC'));
+
+  const [photo] = telegram.sent('sendPhoto');
+  assert.ok(Buffer.isBuffer(photo.photo.source));
+  assert.ok(photo.caption.startsWith('📊 <b>Bitcoin (BTC)</b>'));
+});
+
+test('/coin explains missing symbols and unknown coins', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/coin'));
+  await send(messageUpdate('/coin NOPE'));
+
+  const [usage, notFound] = telegram.texts();
+  assert.equal(usage, en('coin.usage'));
+  assert.ok(notFound.includes('NOPE'));
+});
+
+test('/tcapy posts the signal analysis and records it', async () => {
+  const { app, send, telegram } = createTestApp();
+
+  await send(messageUpdate('/tcapy'));
+
+  const [status, analysis] = telegram.sent('sendMessage');
+  assert.equal(status.text, en('signal.collecting', { name: 'TCAPY' }));
+  assert.ok(analysis.text.includes(en('signal.title', { name: 'TCAPY' })));
+  assert.ok(analysis.text.includes(en('signal.buyZones')));
+  assert.ok(analysis.text.includes('Gate.io'));
+  assert.ok(buttons(analysis).some(button => button.callback_data === 'signal_refresh_TCAPY'));
+  assert.equal(telegram.sent('sendPhoto').length, 1);
+  // The status message goes once the analysis is out
+  assert.equal(telegram.sent('deleteMessage')[0].message_id, 1000);
+
+  const [signal] = app.storage.signals.list({ chatId: String(GROUP_CHAT.id) });
+  assert.equal(signal.symbol, 'TCAPY');
+  assert.equal(signal.trigger, 'command');
+  // Only posted signals go into the history
+  assert.deepEqual(app.storage.snapshots.list({ symbol: 'TCAPY' }), []);
+});
+
+test('/signal checks the symbol is tracked', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/signal'));
+  await send(messageUpdate('/signal DOGE'));
+
+  const [missing, untracked] = telegram.texts();
+  assert.ok(missing.includes('Tracked: TCAPY'));
+  assert.ok(untracked.startsWith('❌ DOGE is not tracked'));
+});
+
+test('/signal is refused in chats that don\'t receive the token', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/signal TCAPY', { chat: { id: -2002, type: 'supergroup', title: 'Other' } }));
+
+  assert.deepEqual(telegram.texts(), [en('signal.notEnabled', { name: 'TCAPY' })]);
+});
+
+test('the signal refresh button edits the message in place', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(callbackUpdate('signal_refresh_TCAPY', { messageId: 777 }));
+  // Pressed again within the cooldown
+  await send(callbackUpdate('signal_refresh_TCAPY', { messageId: 777 }));
+
+  const [edit] = telegram.sent('editMessageText');
+  assert.equal(edit.message_id, 777);
+  assert.ok(edit.text.includes(en('signal.title', { name: 'TCAPY' })));
+  const [updated, wait] = telegram.sent('answerCallbackQuery');
+  assert.equal(updated.text, '🔄 Updated');
+  assert.match(wait.text, /Please wait \d+s/);
+});
+
+test('/coin refresh button rebuilds the coin message', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(callbackUpdate('refresh_BTC', { messageId: 555 }));
+
+  const [edit] = telegram.sent('editMessageText');
+  assert.equal(edit.message_id, 555);
+  assert.ok(edit.text.includes('<b>Bitcoin (BTC)</b>'));
+  assert.equal(telegram.sent('answerCallbackQuery')[0].text, '🔄 Updated');
+});
+
+test('refresh buttons are answered whatever the symbol', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(callbackUpdate('refresh_1000SATS-X', { messageId: 556 }));
+  await send(callbackUpdate('signal_refresh_TCAPY.X', { messageId: 557 }));
+
+  assert.deepEqual(telegram.sent('answerCallbackQuery').map(answer => answer.text), [
+    en('refresh.failed'),
+    en('settings.error.untracked')
+  ]);
+  assert.deepEqual(telegram.sent('editMessageText'), []);
+});
+
+test('a refreshed /coin message is rendered like the one sent', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/coin btc'));
+  const [sent] = telegram.sent('sendMessage');
+  await send(callbackUpdate('refresh_BTC', { messageId: 558 }));
+
+  const [edit] = telegram.sent('editMessageText');
+  const body = (text) => text.replace(/🕒 <i>.*<\/i>$/, '');
+  assert.equal(body(edit.text), body(sent.text));
+});
+
+test('/alert adds, lists and removes alerts', async () => {
+  const { app, send, telegram } = createTestApp();
+  const chatId = String(GROUP_CHAT.id);
+
+  await send(messageUpdate('/alert add TCAPY above 0.002'));
+  await send(messageUpdate('/alert list'));
+  await send(messageUpdate('/alert add TCAPY sideways'));
+  const [alert] = app.storage.alerts.list(chatId);
+  await send(messageUpdate(`/alert remove ${alert.id}`));
+
+  const [added, list, invalid, removed] = telegram.texts();
+  assert.ok(added.startsWith(`🔔 Alert #${alert.id} added`));
+  assert.ok(list.includes(`#${alert.id}`));
+  assert.ok(invalid.startsWith('❌'));
+  assert.equal(removed, `🗑 Alert #${alert.id} removed.`);
+  assert.equal(app.storage.alerts.list(chatId).length, 0);
+});
+
+test('/alert refuses symbols that don\'t trade on MEXC', async () => {
+  const { app, http, send, telegram } = createTestApp();
+  const chatId = String(GROUP_CHAT.id);
+
+  await send(messageUpdate('/alert add NOPE above 1'));
+  http.fail('/exchangeInfo');
+  await send(messageUpdate('/alert add SHIB above 1'));
+
+  const [unknown, failed] = telegram.texts();
+  assert.equal(unknown, en('coin.error.notFound', { symbol: 'NOPE' }));
+  assert.equal(failed, en('error.generic'));
+  assert.deepEqual(app.storage.alerts.list(chatId), []);
+  assert.deepEqual(app.mexcStream.getSymbols(), ['TCAPYUSDT']);
+});
+
+test('the trade stream follows the pairs with alerts', async () => {
+  const { app, send } = createTestApp();
+
+  await send(messageUpdate('/alert add DOGE above 0.5'));
+  assert.deepEqual(app.mexcStream.getSymbols(), ['TCAPYUSDT', 'DOGEUSDT']);
+
+  await send(messageUpdate('/alert remove all'));
+  assert.deepEqual(app.mexcStream.getSymbols(), ['TCAPYUSDT']);
+});
+
+test('/ta summarises every interval or details one', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/ta TCAPY'));
+  await send(messageUpdate('/ta TCAPY 1h'));
+  await send(messageUpdate('/ta TCAPY 2h'));
+
+  const [summary, details, unsupported] = telegram.texts();
+  assert.ok(summary.includes('<b>Overall:</b>'));
+  assert.ok(details.includes('<b>RSI (14):</b>'));
+  assert.ok(details.includes('<b>VWAP:</b>'));
+  assert.ok(unsupported.startsWith('❌ Unsupported interval "2h"'));
+});
+
+test('/depth analyses the order book for an order size', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/depth TCAPY 5K'));
+  await send(messageUpdate('/depth TCAPY lots'));
+
+  const [depth, invalid] = telegram.texts();
+  assert.ok(depth.includes('Order Book Depth'));
+  assert.ok(depth.includes('<b>💸 Slippage for $5,000</b>'));
+  assert.ok(depth.includes('Buy Walls'));
+  assert.ok(invalid.startsWith('❌ Invalid order size'));
+});
+
+test('/history summarises recorded snapshots and exports CSV', async () => {
+  const { app, send, telegram } = createTestApp();
+
+  await send(messageUpdate('/history TCAPY'));
+  assert.equal(telegram.texts()[0], 'ℹ️ No TCAPY snapshots recorded in the last 24h yet.');
+
+  await app.sendTcapySignal();
+  // Within minutes of the last snapshot
+  await app.sendTcapySignal();
+  telegram.reset();
+  await send(messageUpdate('/history TCAPY 24h'));
+  await send(messageUpdate('/history TCAPY 24h csv'));
+
+  assert.ok(telegram.texts()[0].includes('<b>Snapshots:</b> 1'));
+  const [document] = telegram.sent('sendDocument');
+  assert.equal(document.document.filename, 'tcapy-history-24h.csv');
+  // Header and one snapshot
+  assert.equal(document.document.source.toString().trim().split('\n').length, 2);
+});
+
+test('/backtest replays klines through the signal rules', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/backtest TCAPY 24h'));
+  await send(messageUpdate('/backtest TCAPY 24h recorded'));
+
+  const [report, recorded] = telegram.texts();
+  assert.ok(report.startsWith('<pre>Backtest TCAPY:'));
+  assert.ok(recorded.startsWith('ℹ️ Not enough recorded data'));
+});
+
+test('/settings is for group admins and updates the chat settings', async () => {
+  const { app, send, telegram } = createTestApp();
+  const chatId = String(GROUP_CHAT.id);
+
+  await send(messageUpdate('/settings'));
+  assert.ok(telegram.texts()[0].startsWith('<b>⚙️ Chat Settings</b>'));
+
+  await send(callbackUpdate('settings:layout:compact'));
+  await send(callbackUpdate('settings:up:exchanges'));
+  const settings = app.storage.settings.get(chatId);
+  assert.equal(settings.layout, 'compact');
+  assert.ok(settings.sections.indexOf('exchanges') < settings.sections.indexOf('market'));
+  assert.ok(telegram.sent('editMessageText').at(-1).text.includes('<b>📐 Layout:</b> Compact'));
+
+  const member = createTestApp({ memberStatus: 'member' });
+  await member.send(messageUpdate('/settings'));
+  assert.equal(member.telegram.texts()[0], '❌ Only group admins can change the bot settings.');
+});
+
+test('/schedule lists and changes the chat\'s posts', async () => {
+  const { send, telegram } = createTestApp();
+
+  await send(messageUpdate('/schedule list'));
+  await send(messageUpdate('/schedule set TCAPY 0 9 * * * tz=Asia/Ho_Chi_Minh'));
+  await send(messageUpdate('/schedule pause'));
+
+  const [list, set, paused] = telegram.texts();
+  assert.ok(list.includes('<b>TCAPY</b>'));
+  assert.ok(set.includes('<code>0 9 * * *</code> (Asia/Ho_Chi_Minh)'));
+  assert.ok(paused.includes('⏸'));
+});
+
+test('scheduled signals are posted to the token\'s chat', async () => {
+  const { app, telegram } = createTestApp();
+
+  await app.sendTcapySignal();
+
+  const [analysis] = telegram.sent('sendMessage');
+  assert.equal(analysis.chat_id, '-1001');
+  assert.equal(analysis.parse_mode, 'HTML');
+  assert.equal(app.storage.signals.list({ chatId: '-1001' })[0].trigger, 'schedule');
+});
+
+test('commands over the rate limit get a notice in private chats', async () => {
+  const { send, telegram } = createTestApp({ env: { RATE_LIMITS: 'start:user=1/1m' } });
+
+  await send(messageUpdate('/start', { chat: PRIVATE_CHAT }));
+  await send(messageUpdate('/start', { chat: PRIVATE_CHAT }));
+  await send(messageUpdate('/start', { chat: PRIVATE_CHAT }));
+
+  const texts = telegram.texts();
+  assert.equal(texts.length, 2);
+  assert.equal(texts[1], en('rateLimit.wait', { command: 'start', seconds: 60 }));
+});
+
+test('owner commands are refused to other users', async () => {
+  const { app, send, telegram } = createTestApp({ env: { OWNER_IDS: '7' } });
+
+  await send(messageUpdate('/pause'));
+
+  assert.equal(telegram.texts()[0], '❌ This command is only for the bot owners.');
+  assert.equal(app.storage.bot.get().postingPaused, false);
+});
+
+test('owner command replies are in the owner\'s language', async () => {
+  const { send, telegram } = createTestApp({ env: { OWNER_IDS: '42' } });
+  const vi = createTranslator('vi');
+
+  await send(messageUpdate('/lang vi'));
+  await send(messageUpdate('/pause'));
+  await send(messageUpdate('/post_now doge'));
+  await send(messageUpdate('/stats'));
+
+  const [, paused, usage, stats] = telegram.texts();
+  assert.equal(paused, vi('owner.pause.done'));
+  assert.equal(usage, vi('owner.postNow.usage', { tracked: 'TCAPY' }));
+  assert.ok(stats.startsWith(`<b>${vi('owner.stats.title')}</b>`));
+  assert.ok(stats.includes('⏸ Đăng bài bị tạm dừng bởi 42 từ '));
+  assert.ok(stats.includes(vi('owner.stats.updates', { role: vi('owner.stats.leader'), mode: vi('owner.stats.notConnected') })));
+});
+
+test('/pause stops scheduled posts until /resume', async () => {
+  const { app, send, telegram } = createTestApp({ env: { OWNER_IDS: '7,42' } });
+  const [schedule] = app.storage.schedules.list();
+  const runNow = async () => {
+    app.storage.schedules.update(schedule.id, { nextRunAt: Date.now() - 1000 });
+    await app.scheduler.tick();
+  };
+
+  await send(messageUpdate('/pause'));
+  assert.equal(app.storage.bot.get().pausedBy, '42');
+  telegram.reset();
+  await runNow();
+  assert.equal(telegram.sent('sendMessage').length, 0);
+
+  await send(messageUpdate('/resume'));
+  telegram.reset();
+  await runNow();
+  assert.equal(telegram.sent('sendMessage')[0].chat_id, '-1001');
+  assert.match(app.metrics.render(), /^tcapy_scheduled_posts_total\{outcome="skipped"\} 1$/m);
+});
+
+test('/post_now posts a signal to the chats receiving the token', async () => {
+  const { app, send, telegram } = createTestApp({ env: { OWNER_IDS: '42' } });
+
+  await send(messageUpdate('/pause'));
+  await send(messageUpdate('/post_now tcapy -999'));
+  await send(messageUpdate('/post_now tcapy'));
+
+  const texts = telegram.texts();
+  assert.equal(texts[1], '❌ Chat -999 doesn\'t receive TCAPY.');
+  assert.ok(texts.at(-1).startsWith('✅ Posted TCAPY to 1 of 1 chat(s).'));
+  assert.equal(app.storage.signals.list({ chatId: '-1001' })[0].trigger, 'manual');
+});
+
+test('/broadcast sends to registered groups only', async () => {
+  const { send, telegram } = createTestApp({ env: { OWNER_IDS: '42' } });
+
+  await send(messageUpdate('/start', { chat: PRIVATE_CHAT }));
+  await send(messageUpdate('/broadcast Maintenance at 10:00 UTC'));
+
+  const broadcasts = telegram.sent('sendMessage').filter(payload => payload.text === 'Maintenance at 10:00 UTC');
+  assert.deepEqual(broadcasts.map(payload => payload.chat_id), [String(GROUP_CHAT.id)]);
+  assert.equal(telegram.texts().at(-1), '📣 Broadcast sent to 1 of 1 group(s).');
+});
+
+test('/stats reports usage and upstream health', async () => {
+  const { app, send, telegram } = createTestApp({ env: { OWNER_IDS: '42' } });
+
+  await send(messageUpdate('/coin btc'));
+  await app.sendTcapySignal();
+  await send(messageUpdate('/stats'));
+
+  const stats = telegram.texts().at(-1);
+  assert.ok(stats.includes('📨 Signals in 24h: 1 (schedule 1)'));
+  assert.ok(stats.includes('⌨️ Commands: coin 1, stats 1'));
+  assert.match(stats, /• cmc: 2 ok, 0 failed, last ok 0m ago/);
+});
+
+test('/reload re-reads the token config', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcapy-reload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'tokens.json');
+  fs.writeFileSync(configPath, JSON.stringify([{ symbol: 'TCAPY', chatId: '-1001' }]));
+  const { app, send, telegram } = createTestApp({ env: { OWNER_IDS: '42', TOKENS_CONFIG: configPath } });
+
+  fs.writeFileSync(configPath, JSON.stringify([{ symbol: 'TCAPY', chatId: '-1001' }, { symbol: 'DOGE', chatId: '-1001' }]));
+  await send(messageUpdate('/reload'));
+  assert.equal(telegram.texts()[0], '🔄 Config reloaded.\nTokens: TCAPY, DOGE\nAdded: DOGE');
+  assert.equal(app.storage.schedules.list().length, 2);
+
+  fs.writeFileSync(configPath, '{ not json');
+  await send(messageUpdate('/reload'));
+  assert.ok(telegram.texts()[1].startsWith('❌ Reload failed, keeping the current config'));
+  assert.deepEqual(app.status().tokens, ['TCAPY', 'DOGE']);
+});
+
+test('/logs sends the last error log lines in private chats', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcapy-logs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, 'error.log');
+  fs.writeFileSync(logPath, ['{"level":"error","message":"one"}', '{"level":"error","message":"<two>"}', ''].join('\n'));
+  const { send, telegram } = createTestApp({ env: { OWNER_IDS: '42', ERROR_LOG_FILE: logPath } });
+
+  await send(messageUpdate('/logs'));
+  await send(messageUpdate('/logs 1', { chat: PRIVATE_CHAT }));
+
+  const [refused, logs] = telegram.texts();
+  assert.equal(refused, '🔒 Use /logs in a private chat with the bot.');
+  assert.equal(logs, '<b>📜 Last 1 error log line(s)</b>\n<pre>{&quot;level&quot;:&quot;error&quot;,&quot;message&quot;:&quot;&lt;two&gt;&quot;}</pre>');
+});
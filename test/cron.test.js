@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime, parseQuietHours, isQuietTime, quietHoursEnd, intervalToCron } from '../src/cron.js';
+
+const at = (iso) => Date.parse(iso);
+const next = (expression, after, timeZone) => new Date(nextCronTime(parseCron(expression), at(after), timeZone)).toISOString();
+
+test('parseCron expands lists, ranges, steps and shortcuts', () => {
+  const cron = parseCron('0,30 9-17/4 * * 1-5');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+
+  assert.equal(parseCron('@daily').hour.has(0), true);
+  assert.equal(parseCron('0 0 * * 7').weekday.has(0), true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('61 * * * *'), /out of range 0-59/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCron('a * * * *'), /Invalid cron minute field/);
+});
+
+test('nextCronTime finds the next match in the schedule\'s timezone', () => {
+  assert.equal(next('0 9 * * *', '2026-01-10T09:00:00Z', 'UTC'), '2026-01-11T09:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2026-01-10T00:00:00Z', 'Asia/Ho_Chi_Minh'), '2026-01-10T02:00:00.000Z');
+  // Day or weekday when both are restricted, as in cron
+  assert.equal(next('0 0 15 * 1', '2026-01-10T00:00:00Z', 'UTC'), '2026-01-12T00:00:00.000Z');
+  assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z', 'UTC'), '2028-02-29T00:00:00.000Z');
+});
+
+test('nextCronTime does not skip the day after a 23-hour DST day', () => {
+  // Clocks in New York go forward on Sunday 2026-03-08
+  assert.equal(next('0 0 * * 1', '2026-03-07T05:30:00Z', 'America/New_York'), '2026-03-09T04:00:00.000Z');
+  assert.equal(next('30 0 * * 1', '2026-03-07T05:30:00Z', 'America/New_York'), '2026-03-09T04:30:00.000Z');
+  // 02:30 doesn't exist that Sunday
+  assert.equal(next('30 2 * * *', '2026-03-07T08:00:00Z', 'America/New_York'), '2026-03-09T06:30:00.000Z');
+});
+
+test('nextCronTime handles 25-hour days and DST starting at midnight', () => {
+  // Clocks in New York go back on Sunday 2026-11-01; 01:30 happens twice
+  assert.equal(next('0 0 * * 1', '2026-10-31T05:30:00Z', 'America/New_York'), '2026-11-02T05:00:00.000Z');
+  assert.equal(next('30 1 * * 0', '2026-10-31T05:30:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+  // Santiago skips from 00:00 to 01:00 on Sunday 2026-09-06
+  assert.equal(next('0 0 * * 0', '2026-09-04T12:00:00Z', 'America/Santiago'), '2026-09-13T03:00:00.000Z');
+  assert.equal(next('15 1 * * 0', '2026-09-04T12:00:00Z', 'America/Santiago'), '2026-09-06T04:15:00.000Z');
+});
+
+test('quiet hours may wrap past midnight', () => {
+  const quiet = parseQuietHours('22:00-07:00');
+
+  assert.equal(isQuietTime(at('2026-01-10T23:30:00Z'), quiet, 'UTC'), true);
+  assert.equal(isQuietTime(at('2026-01-10T07:00:00Z'), quiet, 'UTC'), false);
+  // 16:30 UTC is 23:30 in Ho Chi Minh City
+  assert.equal(isQuietTime(at('2026-01-10T16:30:00Z'), quiet, 'Asia/Ho_Chi_Minh'), true);
+  assert.equal(quietHoursEnd(at('2026-01-10T23:30:00Z'), quiet, 'UTC'), at('2026-01-11T07:00:00Z'));
+  assert.equal(quietHoursEnd(at('2026-01-10T12:00:00Z'), quiet, 'UTC'), at('2026-01-10T12:00:00Z'));
+
+  assert.throws(() => parseQuietHours('22-07'), /22:00-07:00/);
+  assert.throws(() => parseQuietHours('25:00-07:00'), /Invalid time/);
+});
+
+test('intervalToCron aligns intervals to the clock', () => {
+  assert.equal(intervalToCron(15 * 60 * 1000), '*/15 * * * *');
+  assert.equal(intervalToCron(60 * 60 * 1000), '0 * * * *');
+  assert.equal(intervalToCron(4 * 60 * 60 * 1000), '0 */4 * * *');
+  assert.equal(intervalToCron(24 * 60 * 60 * 1000), '0 0 * * *');
+  assert.equal(intervalToCron(0), null);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventWatcher, volumeSurgeRatio } from '../src/events.js';
+import { silentLogger } from './helpers/testApp.js';
+
+const THRESHOLDS = { move15m: 5, ratioSpike: 3, volumeSurge: 3, buyWallUsdt: 10000 };
+
+// A watcher over one chat whose metrics are set by `market`; `posts` records
+// the event types of each post
+function setup({ minSpacingMs = 0 } = {}) {
+  const clock = { now: 1000000 };
+  const market = { move15m: null, buySellRatio: null, volumeSurge: null, buyWalls: [] };
+  const posts = [];
+  let lastPost = null;
+  const watcher = createEventWatcher({
+    targets: () => [{ chatId: '-1001', token: { symbol: 'TCAPY' }, thresholds: THRESHOLDS }],
+    measure: async () => ({ ...market }),
+    notify: async (target, events) => {
+      lastPost = clock.now;
+      posts.push(events.map(event => event.type));
+    },
+    lastPostedAt: () => lastPost,
+    minSpacingMs,
+    logger: silentLogger,
+    now: () => clock.now
+  });
+  const check = async (changes) => {
+    Object.assign(market, changes);
+    await watcher.checkAll();
+  };
+  return { clock, posts, check };
+}
+
+test('a condition already true when first seen does not post', async () => {
+  const { posts, check } = setup();
+
+  await check({ move15m: 8 });
+  await check({ move15m: 9 });
+  assert.deepEqual(posts, []);
+});
+
+test('a condition re-arms only after falling below the re-arm level', async () => {
+  const { posts, check } = setup();
+
+  await check({ move15m: 1 });
+  await check({ move15m: 6 });
+  assert.deepEqual(posts, [['move']]);
+
+  // 4% is under the threshold but above 70% of it, so still not re-armed
+  await check({ move15m: 4 });
+  await check({ move15m: 6 });
+  assert.deepEqual(posts, [['move']]);
+
+  await check({ move15m: -3 });
+  await check({ move15m: -6 });
+  assert.deepEqual(posts, [['move'], ['move']]);
+});
+
+test('events held back by the spacing post once it has passed', async () => {
+  const { clock, posts, check } = setup({ minSpacingMs: 60000 });
+
+  await check({ buySellRatio: 1 });
+  await check({ buySellRatio: 4 });
+  clock.now += 30000;
+  await check({ buySellRatio: 1, volumeSurge: 1 });
+  await check({ volumeSurge: 5 });
+  assert.deepEqual(posts, [['ratio']]);
+
+  clock.now += 30000;
+  await check({});
+  assert.deepEqual(posts, [['ratio'], ['volume']]);
+});
+
+test('each new buy wall posts once', async () => {
+  const { posts, check } = setup();
+  const wall = { price: 0.001, value: 20000 };
+
+  await check({});
+  await check({ buyWalls: [wall] });
+  await check({ buyWalls: [{ ...wall, price: 0.001002 }] });
+  assert.deepEqual(posts, [['buyWall']]);
+});
+
+test('volumeSurgeRatio compares the last 15 minutes with earlier blocks', () => {
+  const kline = (quoteVolume) => [0, '1', '1', '1', '1', '0', 0, String(quoteVolume)];
+  const klines = [...Array(30).fill(kline(10)), ...Array(15).fill(kline(40))];
+
+  assert.equal(volumeSurgeRatio(klines), 4);
+  assert.equal(volumeSurgeRatio(klines.slice(-20)), null);
+});
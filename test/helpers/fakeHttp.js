@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Offline stand-in for axios: create() returns clients that answer GET
+// requests from the fixtures in test/fixtures, by API host and path.
+
+export const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures');
+
+// Time the fixture data ends at
+export const RECORDED_AT = 1760000000000;
+
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+function httpError(status, data = null) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data }
+  });
+}
+
+// Handlers per host and path: (params, shift) -> response body, where shift
+// moves fixture timestamps to the present
+const ROUTES = {
+  'pro-api.coinmarketcap.com': {
+    '/cryptocurrency/quotes/latest': (params) => {
+      const { status, data } = loadFixture('cmc/quotes-latest.json');
+      return { status, data: data[params.symbol] ? { [params.symbol]: data[params.symbol] } : {} };
+    }
+  },
+  'api.mexc.com': {
+    '/ticker/24hr': () => loadFixture('mexc/ticker-24hr.json'),
+    // Unknown symbols get MEXC's 400 "Invalid symbol."
+    '/exchangeInfo': (params) => {
+      const info = loadFixture('mexc/exchangeInfo.json');
+      const symbols = info.symbols.filter(item => item.symbol === params.symbol);
+      if (symbols.length === 0) throw httpError(400, { code: -1121, msg: 'Invalid symbol.' });
+      return { ...info, symbols };
+    },
+    '/trades': (params, shift) => loadFixture('mexc/trades.json')
+      .slice(0, params.limit)
+      .map(trade => ({ ...trade, time: trade.time + shift })),
+    '/aggTrades': (params, shift) => loadFixture('mexc/aggTrades.json')
+      .map(trade => ({ ...trade, T: trade.T + shift }))
+      .filter(trade => trade.T >= params.startTime && trade.T <= params.endTime)
+      .slice(0, params.limit),
+    '/depth': (params) => {
+      const { lastUpdateId, bids, asks } = loadFixture('mexc/depth.json');
+      return { lastUpdateId, bids: bids.slice(0, params.limit), asks: asks.slice(0, params.limit) };
+    },
+    // 5m rows whatever the interval; ranged requests get the rows inside the range
+    '/klines': (params, shift) => {
+      const rows = loadFixture('mexc/klines.json').map(([openTime, open, high, low, close, volume, closeTime, quoteVolume]) =>
+        [openTime + shift, open, high, low, close, volume, closeTime + shift, quoteVolume]);
+      return params.startTime
+        ? rows.filter(row => row[0] >= params.startTime && row[0] <= params.endTime).slice(0, params.limit)
+        : rows.slice(-params.limit);
+    }
+  },
+  'api.gateio.ws': {
+    '/spot/tickers': () => loadFixture('gate/tickers.json'),
+    '/spot/order_book': () => loadFixture('gate/order_book.json')
+  }
+};
+
+// `now` is when the fixture data should end. fail(path, status) makes
+// requests to a path fail from then on; `requests` records every request.
+export function createFakeHttp({ now = Date.now() } = {}) {
+  const shift = now - RECORDED_AT;
+  const failures = new Map();
+  const requests = [];
+
+  return {
+    requests,
+
+    fail(urlPath, status = 500, data = null) {
+      failures.set(urlPath, { status, data });
+    },
+
+    create({ baseURL }) {
+      const { host, pathname } = new URL(baseURL);
+      const prefix = pathname.replace(/\/$/, '');
+
+      return {
+        async get(url, { params = {} } = {}) {
+          requests.push({ host, path: url, params });
+
+          if (failures.has(url)) {
+            const { status, data } = failures.get(url);
+            throw httpError(status, data);
+          }
+
+          const handler = ROUTES[host]?.[url];
+          if (!handler) throw httpError(404, { message: `No fixture for ${host}${prefix}${url}` });
+          return { status: 200, data: handler(params, shift) };
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { Telegram } from 'telegraf';
+
+// Telegram client that records API calls instead of making them, plus
+// builders for the updates Telegram would send.
+
+export const BOT_INFO = {
+  id: 7000000001,
+  is_bot: true,
+  first_name: 'TCAPY Bot',
+  username: 'Tcapy_bot',
+  can_join_groups: true,
+  can_read_all_group_messages: false,
+  supports_inline_queries: false
+};
+
+export const GROUP_CHAT = { id: -1001, type: 'supergroup', title: 'TCAPY Community' };
+export const PRIVATE_CHAT = { id: 42, type: 'private', first_name: 'Tester' };
+export const USER = { id: 42, is_bot: false, first_name: 'Tester', language_code: 'en' };
+
+// `memberStatus` is what getChatMember reports for every user
+export class FakeTelegram extends Telegram {
+  constructor({ memberStatus = 'administrator' } = {}) {
+    super('123456:TEST');
+    this.memberStatus = memberStatus;
+    this.calls = [];
+    this.nextMessageId = 1000;
+  }
+
+  async callApi(method, payload = {}) {
+    this.calls.push({ method, payload });
+
+    switch (method) {
+      case 'getMe':
+        return BOT_INFO;
+      case 'getChatMember':
+        return { status: this.memberStatus, user: { id: payload.user_id, is_bot: false, first_name: 'Member' } };
+      case 'sendMessage':
+      case 'sendPhoto':
+      case 'sendDocument':
+        return {
+          message_id: this.nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: payload.chat_id },
+          message_thread_id: payload.message_thread_id,
+          text: payload.text,
+          caption: payload.caption
+        };
+      case 'editMessageText':
+        return { message_id: payload.message_id, chat: { id: payload.chat_id }, text: payload.text };
+      default:
+        return true;
+    }
+  }
+
+  // Payloads of the calls to one method
+  sent(method) {
+    return this.calls.filter(call => call.method === method).map(call => call.payload);
+  }
+
+  // Texts of the messages sent so far
+  texts() {
+    return this.sent('sendMessage').map(payload => payload.text);
+  }
+
+  reset() {
+    this.calls.length = 0;
+  }
+}
+
+let nextUpdateId = 1;
+
+export function messageUpdate(text, { chat = GROUP_CHAT, from = USER, threadId } = {}) {
+  const command = /^\/\S+/.exec(text);
+  return {
+    update_id: nextUpdateId++,
+    message: {
+      message_id: nextUpdateId,
+      date: Math.floor(Date.now() / 1000),
+      chat,
+      from,
+      text,
+      ...(threadId && { message_thread_id: threadId, is_topic_message: true }),
+      ...(command && { entities: [{ type: 'bot_command', offset: 0, length: command[0].length }] })
+    }
+  };
+}
+
+// Button press on a message the bot sent (`messageId`)
+export function callbackUpdate(data, { chat = GROUP_CHAT, from = USER, messageId = 1000 } = {}) {
+  return {
+    update_id: nextUpdateId++,
+    callback_query: {
+      id: String(nextUpdateId),
+      from,
+      chat_instance: '1',
+      data,
+      message: { message_id: messageId, date: Math.floor(Date.now() / 1000), chat, text: '' }
+    }
+  };
+}
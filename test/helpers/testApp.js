@@ -0,0 +1,37 @@
+import { createApp } from '../../src/app.js';
+import { createFakeHttp, FIXTURES_DIR } from './fakeHttp.js';
+import { FakeTelegram } from './fakeTelegram.js';
+
+export const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// The bot wired to fixture data and a fake Telegram, with in-memory storage.
+// tokens.json comes from test/fixtures; `env` overrides the configuration.
+export function createTestApp({ env = {}, memberStatus } = {}) {
+  const http = createFakeHttp();
+  const telegram = new FakeTelegram({ memberStatus });
+  const app = createApp({
+    env: {
+      BOT_TOKEN: '123456:TEST',
+      CMC_API_KEY: 'test',
+      MEXC_API_KEY: 'test',
+      MEXC_API_SECRET: 'test',
+      GROUP_CHAT_ID: '-1001',
+      STORAGE: 'memory',
+      EXCHANGES: 'mexc,gate',
+      RATE_LIMITS: 'off',
+      INSTANCE_LOCK: 'off',
+      ...env
+    },
+    rootDir: FIXTURES_DIR,
+    http,
+    telegram,
+    logger: silentLogger
+  });
+
+  return {
+    app,
+    http,
+    telegram,
+    send: (update) => app.bot.handleUpdate(update)
+  };
+}
@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createInstanceLock } from '../src/instanceLock.js';
+import { createJsonStorage } from '../src/storage.js';
+import { createTestApp, silentLogger } from './helpers/testApp.js';
+
+const TTL_MS = 30000;
+
+function tempLockFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcapy-lock-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'bot.lock');
+}
+
+// Locks on one shared clock, as separate instances on this host
+function lockFactory(filePath, { alive = () => true } = {}) {
+  const clock = { now: 1700000000000 };
+  let nextPid = 100;
+  const create = (options = {}) => {
+    const events = [];
+    const lock = createInstanceLock({
+      filePath,
+      ttlMs: TTL_MS,
+      pid: nextPid++,
+      isProcessAlive: alive,
+      onAcquire: () => events.push('acquire'),
+      onLose: () => events.push('lose'),
+      logger: silentLogger,
+      now: () => clock.now,
+      ...options
+    });
+    return { lock, events };
+  };
+  return { clock, create };
+}
+
+test('the first instance leads and the others stand by', (t) => {
+  const filePath = tempLockFile(t);
+  const { create } = lockFactory(filePath);
+  const first = create();
+  const second = create();
+
+  assert.equal(first.lock.start(), true);
+  assert.equal(second.lock.start(), false);
+  t.after(() => [first, second].forEach(({ lock }) => lock.stop()));
+
+  assert.equal(first.lock.holder().pid, 100);
+  assert.deepEqual(first.events, ['acquire']);
+  assert.deepEqual(second.events, []);
+});
+
+test('a standby takes over once the leader\'s heartbeat is stale', (t) => {
+  const { clock, create } = lockFactory(tempLockFile(t));
+  const leader = create();
+  const standby = create();
+  leader.lock.tick();
+
+  clock.now += TTL_MS;
+  assert.equal(standby.lock.tick(), false);
+
+  clock.now += 1;
+  assert.equal(standby.lock.tick(), true);
+  assert.deepEqual(standby.events, ['acquire']);
+
+  // The old leader finds out on its next renewal
+  assert.equal(leader.lock.tick(), false);
+  assert.deepEqual(leader.events, ['acquire', 'lose']);
+});
+
+test('renewing keeps the lock past the TTL', (t) => {
+  const { clock, create } = lockFactory(tempLockFile(t));
+  const leader = create();
+  const standby = create();
+  leader.lock.tick();
+
+  for (let i = 0; i < 5; i++) {
+    clock.now += TTL_MS / 2;
+    leader.lock.tick();
+    assert.equal(standby.lock.tick(), false);
+  }
+});
+
+test('a lock held by a dead process on this host is taken over at once', (t) => {
+  const filePath = tempLockFile(t);
+  // A legacy lock file with just a PID
+  fs.writeFileSync(filePath, '7512');
+  const { create } = lockFactory(filePath, { alive: (pid) => pid !== 7512 });
+
+  const { lock } = create();
+  assert.equal(lock.tick(), true);
+  assert.equal(lock.holder().pid, 100);
+});
+
+test('a lock left with this PID by an earlier run is taken over at once', (t) => {
+  const { clock, create } = lockFactory(tempLockFile(t));
+  create({ pid: 1 }).lock.tick();
+
+  const { lock } = create({ pid: 1, processStartedAt: clock.now + 1000 });
+  clock.now += 2000;
+  assert.equal(lock.tick(), true);
+});
+
+test('a lock from another host is only taken over after the TTL', (t) => {
+  const filePath = tempLockFile(t);
+  const { clock, create } = lockFactory(filePath, { alive: () => false });
+  create({ hostname: 'other-host' }).lock.tick();
+
+  const { lock } = create();
+  assert.equal(lock.tick(), false);
+  clock.now += TTL_MS + 1;
+  assert.equal(lock.tick(), true);
+});
+
+test('stopping the leader releases the lock for a standby', (t) => {
+  const filePath = tempLockFile(t);
+  const { create } = lockFactory(filePath);
+  const leader = create();
+  const standby = create();
+  leader.lock.tick();
+
+  leader.lock.stop();
+  assert.equal(fs.existsSync(filePath), false);
+  assert.deepEqual(leader.events, ['acquire', 'lose']);
+  assert.equal(standby.lock.tick(), true);
+});
+
+test('only the lock holder launches the bot and serves webhook updates', async (t) => {
+  const filePath = tempLockFile(t);
+  const launchApp = async () => {
+    const testApp = createTestApp({
+      env: {
+        INSTANCE_LOCK: 'on',
+        LOCK_FILE: filePath,
+        WEBHOOK_URL: 'https://bot.example.com/hook',
+        WEBHOOK_SECRET: 'secret',
+        HTTP_PORT: '0',
+        MEXC_WS_URL: 'ws://127.0.0.1:9'
+      }
+    });
+    await testApp.app.launch();
+    t.after(() => testApp.app.stop('test'));
+    return testApp;
+  };
+
+  const leader = await launchApp();
+  const standby = await launchApp();
+
+  assert.equal(leader.app.health().role, 'leader');
+  assert.equal(standby.app.health().role, 'standby');
+  assert.equal(standby.app.health().ok, true);
+  assert.equal(leader.telegram.sent('setWebhook').length, 1);
+  assert.equal(standby.telegram.sent('setWebhook').length, 0);
+
+  const { port } = standby.app.httpServer.address();
+  const response = await fetch(`http://127.0.0.1:${port}/hook`, {
+    method: 'POST',
+    headers: { 'x-telegram-bot-api-secret-token': 'secret' },
+    body: '{}'
+  });
+  assert.equal(response.status, 503);
+
+  // The standby takes over as soon as the leader lets go
+  await leader.app.stop('test');
+  standby.app.instanceLock.tick();
+  assert.equal(standby.app.health().role, 'leader');
+  // Connecting happens in the background
+  while (!standby.app.health().bot.connected) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(standby.telegram.sent('setWebhook').length, 1);
+});
+
+test('a standby leaves the shared storage to the leader', async (t) => {
+  const dir = path.dirname(tempLockFile(t));
+  const lockFile = path.join(dir, 'bot.lock');
+  const stateFile = path.join(dir, 'bot-state.json');
+  createJsonStorage({ filePath: stateFile, logger: silentLogger });
+  const written = fs.readFileSync(stateFile, 'utf8');
+  // Held by another live instance
+  fs.writeFileSync(lockFile, JSON.stringify({
+    instanceId: 'other', pid: process.pid, hostname: os.hostname(), acquiredAt: Date.now(), heartbeatAt: Date.now()
+  }));
+
+  const { app } = createTestApp({
+    env: { INSTANCE_LOCK: 'on', LOCK_FILE: lockFile, STORAGE: 'json', DATA_DIR: dir, MEXC_WS_URL: 'ws://127.0.0.1:9' }
+  });
+  await app.launch();
+  t.after(() => app.stop('test'));
+  assert.equal(app.health().role, 'standby');
+  assert.equal(fs.readFileSync(stateFile, 'utf8'), written);
+
+  // Schedules are set up on taking over
+  fs.rmSync(lockFile);
+  app.instanceLock.tick();
+  assert.equal(app.storage.schedules.list().length, 1);
+});
+
+test('an instance that loses the lock drops its unsaved changes', async (t) => {
+  const dir = path.dirname(tempLockFile(t));
+  const lockFile = path.join(dir, 'bot.lock');
+  const stateFile = path.join(dir, 'bot-state.json');
+
+  const { app } = createTestApp({
+    env: { INSTANCE_LOCK: 'on', LOCK_FILE: lockFile, STORAGE: 'json', DATA_DIR: dir, MEXC_WS_URL: 'ws://127.0.0.1:9' }
+  });
+  await app.launch();
+  t.after(() => app.stop('test'));
+  assert.equal(app.health().role, 'leader');
+  app.storage.flush();
+  const written = fs.readFileSync(stateFile, 'utf8');
+
+  app.storage.users.update('42', { language: 'vi' });
+  // Another instance took the lock over, e.g. after this one hung
+  fs.writeFileSync(lockFile, JSON.stringify({
+    instanceId: 'other', pid: process.pid, hostname: os.hostname(), acquiredAt: Date.now(), heartbeatAt: Date.now()
+  }));
+  app.instanceLock.tick();
+  assert.equal(app.health().role, 'standby');
+
+  app.storage.flush();
+  app.storage.users.update('43', { language: 'en' });
+  app.storage.flush();
+  assert.equal(fs.readFileSync(stateFile, 'utf8'), written);
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMarketData, throttle } from '../src/marketData.js';
+import { createMexcStream } from '../src/mexcStream.js';
+import { createCache } from '../src/cache.js';
+import { createFakeHttp, loadFixture } from './helpers/fakeHttp.js';
+import { silentLogger } from './helpers/testApp.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function setup({ exchanges = ['mexc', 'gate'] } = {}) {
+  const http = createFakeHttp();
+  const mexcStream = createMexcStream({ symbols: ['TCAPYUSDT'], logger: silentLogger });
+  const marketData = createMarketData({
+    http,
+    cmcApiKey: 'test',
+    mexcApiKey: 'test',
+    mexcApiSecret: 'test',
+    exchanges,
+    mexcStream,
+    cache: createCache({ ttls: { 'cmc.quotes': 60000 }, logger: silentLogger }),
+    retryDelayMs: 0,
+    logger: silentLogger
+  });
+  return { http, mexcStream, marketData };
+}
+
+test('fetchCmcData parses the USDT quote', async () => {
+  const { marketData } = setup();
+  const quote = await marketData.fetchCmcData('BTC');
+  const fixture = loadFixture('cmc/quotes-latest.json').data.BTC[0];
+
+  assert.equal(quote.name, 'Bitcoin');
+  assert.equal(quote.slug, 'bitcoin');
+  assert.equal(quote.price, fixture.quote.USDT.price);
+  assert.equal(quote.volume24h, fixture.quote.USDT.volume_24h);
+  assert.equal(quote.circulating_supply, fixture.circulating_supply);
+});
+
+test('fetchCmcData serves repeated requests from the cache', async () => {
+  const { http, marketData } = setup();
+  await marketData.fetchCmcData('BTC');
+  await marketData.fetchCmcData('BTC');
+
+  assert.equal(http.requests.filter(request => request.path === '/cryptocurrency/quotes/latest').length, 1);
+});
+
+test('fetchCmcData rejects unknown symbols', async () => {
+  const { marketData } = setup();
+  await assert.rejects(marketData.fetchCmcData('NOPE'), /Coin data not found for symbol: NOPE/);
+});
+
+test('fetchCmcData retries and passes on API errors', async () => {
+  const { http, marketData } = setup();
+  http.fail('/cryptocurrency/quotes/latest', 429, { status: { error_message: 'Rate limited' } });
+
+  await assert.rejects(marketData.fetchCmcData('BTC'), error => error.response.status === 429);
+  assert.equal(http.requests.length, 3);
+});
+
+test('fetchTradeWindow fills in from aggregated trades without the stream', async () => {
+  const { marketData } = setup();
+  const startTime = Date.now() - 4 * HOUR;
+  const window = await marketData.fetchTradeWindow('TCAPYUSDT', startTime);
+
+  assert.equal(window.source, 'aggTrades');
+  assert.ok(window.coveredFrom <= startTime);
+  assert.ok(window.trades.length > 300);
+  // Newest first, in MEXC trade format
+  assert.ok(window.trades[0].time > window.trades[window.trades.length - 1].time);
+  assert.equal(typeof window.trades[0].isBuyerMaker, 'boolean');
+});
+
+test('watchers asking for the same window share one aggregated trades download', async () => {
+  const { http, marketData } = setup();
+  const aggTradeRequests = () => http.requests.filter(request => request.path === '/aggTrades').length;
+
+  const first = await marketData.fetchTradeWindow('TCAPYUSDT', Date.now() - HOUR);
+  const downloaded = aggTradeRequests();
+  const second = await marketData.fetchTradeWindow('TCAPYUSDT', Date.now() - HOUR);
+
+  assert.ok(downloaded > 0);
+  assert.equal(aggTradeRequests(), downloaded);
+  assert.equal(second.trades.length, first.trades.length);
+  assert.ok(second.trades.every(trade => trade.time >= Date.now() - HOUR - 5 * 60 * 1000));
+});
+
+test('fetchTradeWindow falls back to recent REST trades', async () => {
+  const { http, marketData } = setup();
+  http.fail('/aggTrades');
+  const window = await marketData.fetchTradeWindow('TCAPYUSDT', Date.now() - HOUR);
+
+  assert.equal(window.source, 'recentTrades');
+  assert.equal(window.trades.length, loadFixture('mexc/trades.json').length);
+});
+
+test('fetchOrderBook and fetchKlines degrade to empty data', async () => {
+  const { http, marketData } = setup();
+  assert.equal((await marketData.fetchOrderBook('TCAPYUSDT', 20)).bids.length, 20);
+
+  http.fail('/depth');
+  http.fail('/klines');
+  assert.deepEqual(await marketData.fetchOrderBook('TCAPYUSDT', 50), { bids: [], asks: [] });
+  assert.deepEqual(await marketData.fetchKlines('TCAPYUSDT', '1m', 10), []);
+});
+
+test('fetchIndicators computes indicators per interval', async () => {
+  const { marketData } = setup();
+  const indicators = await marketData.fetchIndicators('TCAPYUSDT', ['15m', '1h']);
+
+  assert.deepEqual(Object.keys(indicators), ['15m', '1h']);
+  assert.equal(typeof indicators['1h'].rsi, 'number');
+  assert.ok(['Bullish', 'Bearish', 'Neutral'].includes(indicators['1h'].trend));
+});
+
+test('fetchMarketOverview aggregates the enabled venues', async () => {
+  const { marketData } = setup();
+  const overview = await marketData.fetchMarketOverview('TCAPY');
+
+  assert.deepEqual(overview.venues.map(venue => venue.id).sort(), ['gate', 'mexc']);
+  assert.equal(overview.totalVolume, overview.venues.reduce((sum, venue) => sum + venue.volume24h, 0));
+  assert.deepEqual(overview.failed, []);
+});
+
+test('fetchMarketOverview is null when no venue quotes the symbol', async () => {
+  const { http, marketData } = setup({ exchanges: ['mexc'] });
+  http.fail('/ticker/24hr', 400);
+
+  assert.equal(await marketData.fetchMarketOverview('TCAPY'), null);
+});
+
+test('throttle spaces calls out in order without dropping any', async () => {
+  const started = [];
+  const throttled = throttle(async (id) => { started.push({ id, at: Date.now() }); return id; }, 30);
+
+  assert.deepEqual(await Promise.all([throttled(1), throttled(2), throttled(3)]), [1, 2, 3]);
+  assert.deepEqual(started.map(call => call.id), [1, 2, 3]);
+  assert.ok(started[2].at - started[0].at >= 55);
+});
+
+test('requests and retries are reported per upstream', async () => {
+  const http = createFakeHttp();
+  const requests = [];
+  const retries = [];
+  const marketData = createMarketData({
+    http,
+    mexcStream: createMexcStream({ symbols: ['TCAPYUSDT'], logger: silentLogger }),
+    retryDelayMs: 0,
+    onRequest: (request) => requests.push(request),
+    onRetry: (retry) => retries.push(retry),
+    logger: silentLogger
+  });
+
+  await marketData.fetchCmcData('BTC');
+  http.fail('/depth');
+  await marketData.fetchOrderBook('TCAPYUSDT', 20);
+
+  assert.deepEqual(requests.map(({ upstream, endpoint, error }) => [upstream, endpoint, Boolean(error)]), [
+    ['cmc', '/cryptocurrency/quotes/latest', false],
+    ['mexc', '/depth', true],
+    ['mexc', '/depth', true],
+    ['mexc', '/depth', true]
+  ]);
+  assert.ok(requests.every(request => request.durationMs >= 0));
+  assert.deepEqual(retries.map(({ upstream, attempt }) => [upstream, attempt]), [['mexc', 1], ['mexc', 2]]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderSections, splitMessage, truncateMessage } from '../src/messageTemplate.js';
+
+test('splitMessage keeps short messages whole', () => {
+  assert.deepEqual(splitMessage('<b>Short</b>', 100), ['<b>Short</b>']);
+});
+
+test('splitMessage breaks between paragraphs, then between lines', () => {
+  const paragraphs = ['<b>Price</b>\nline one', '<b>Volume</b>\nline two', '<b>Depth</b>\nline three'];
+  assert.deepEqual(splitMessage(paragraphs.join('\n\n'), 50), [
+    `${paragraphs[0]}\n\n${paragraphs[1]}`,
+    paragraphs[2]
+  ]);
+
+  const lines = Array.from({ length: 6 }, (_, index) => `<i>line ${index}</i>`);
+  const chunks = splitMessage(lines.join('\n'), 45);
+  assert.deepEqual(chunks, [lines.slice(0, 3).join('\n'), lines.slice(3).join('\n')]);
+  assert.ok(chunks.every(chunk => chunk.length <= 45));
+});
+
+test('splitMessage cuts an overlong line without leaving tags or entities open', () => {
+  const [chunk] = splitMessage(`<b>${'x'.repeat(20)} &amp; more</b>`, 24);
+
+  assert.equal(chunk, `${'x'.repeat(20)} …`);
+  assert.ok(!chunk.includes('<'));
+});
+
+test('truncateMessage keeps whole lines and marks the cut', () => {
+  assert.equal(truncateMessage('one\ntwo\nthree', 100), 'one\ntwo\nthree');
+  assert.equal(truncateMessage('one\ntwo\nthree', 10), 'one\ntwo\n…');
+});
+
+test('renderSections orders sections and skips empty ones', () => {
+  const blocks = {
+    header: () => '<b>TCAPY</b>',
+    price: (layout) => (layout === 'compact' ? 'Price $1' : 'Price: $1\n'),
+    empty: () => '  '
+  };
+
+  assert.equal(renderSections(blocks, ['header', 'missing', 'empty', 'price']), '<b>TCAPY</b>\n\nPrice: $1');
+  assert.equal(renderSections(blocks, ['price', 'header'], 'compact'), 'Price $1\n<b>TCAPY</b>');
+});
+
+test('escapeHtml escapes markup characters', () => {
+  assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
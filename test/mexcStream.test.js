@@ -0,0 +1,201 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { WebSocketServer } from 'ws';
+import { createMexcStream } from '../src/mexcStream.js';
+import { silentLogger } from './helpers/testApp.js';
+
+const DEALS = 'spot@public.deals.v3.api';
+
+// Local stand-in for the MEXC websocket. The first `refuse` handshakes are
+// turned away; nextConnection() resolves with each accepted client socket.
+async function startServer(t, { refuse = 0 } = {}) {
+  let refused = 0;
+  const server = new WebSocketServer({
+    port: 0,
+    host: '127.0.0.1',
+    verifyClient: (info, accept) => accept(refused++ >= refuse, 503)
+  });
+  await once(server, 'listening');
+  const connections = [];
+  const waiting = [];
+  server.on('connection', socket => {
+    const next = waiting.shift();
+    if (next) next(socket);
+    else connections.push(socket);
+  });
+  t.after(() => new Promise(resolve => {
+    server.clients.forEach(socket => socket.terminate());
+    server.close(resolve);
+  }));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    nextConnection: () => (connections.length
+      ? Promise.resolve(connections.shift())
+      : new Promise(resolve => waiting.push(resolve)))
+  };
+}
+
+async function nextMessage(socket) {
+  const [raw] = await once(socket, 'message');
+  return JSON.parse(raw.toString());
+}
+
+// Resolves with the stream's next `name` event
+function nextEvent(stream, name) {
+  return new Promise(resolve => {
+    const listener = (...args) => {
+      stream.off(name, listener);
+      resolve(args);
+    };
+    stream.on(name, listener);
+  });
+}
+
+function dealsMessage(symbol, deals) {
+  return JSON.stringify({ c: `${DEALS}@${symbol}`, s: symbol, d: { deals, e: DEALS }, t: Date.now() });
+}
+
+function startStream(t, options) {
+  const stream = createMexcStream({ logger: silentLogger, ...options });
+  stream.start();
+  t.after(() => stream.stop());
+  return stream;
+}
+
+test('deals are buffered newest first in the REST trade shape', async (t) => {
+  const { url, nextConnection } = await startServer(t);
+  const stream = startStream(t, { url, symbols: ['tcapyusdt'], now: () => 3000 });
+
+  const socket = await nextConnection();
+  const subscription = await nextMessage(socket);
+  assert.equal(subscription.method, 'SUBSCRIPTION');
+  assert.deepEqual(subscription.params, [`${DEALS}@TCAPYUSDT`, 'spot@public.limit.depth.v3.api@TCAPYUSDT@20']);
+
+  const received = nextEvent(stream, 'trade');
+  socket.send(dealsMessage('TCAPYUSDT', [
+    { p: '0.0001', v: '1000', S: 1, t: 2000 },
+    { p: '0.0002', v: '500', S: 2, t: 1000 }
+  ]));
+  await received;
+
+  assert.deepEqual(stream.getTrades('TCAPYUSDT'), [
+    { price: '0.0001', qty: '1000', time: 2000, isBuyerMaker: false },
+    { price: '0.0002', qty: '500', time: 1000, isBuyerMaker: true }
+  ]);
+  assert.equal(stream.getTrades('TCAPYUSDT', 1500).length, 1);
+});
+
+test('a late deal is put in time order', async (t) => {
+  const { url, nextConnection } = await startServer(t);
+  const stream = startStream(t, { url, symbols: ['TCAPYUSDT'], now: () => 9000 });
+
+  const socket = await nextConnection();
+  await nextMessage(socket);
+  const received = nextEvent(stream, 'trade');
+  socket.send(dealsMessage('TCAPYUSDT', [
+    { p: '1', v: '1', S: 1, t: 2000 },
+    { p: '1', v: '2', S: 1, t: 4000 },
+    { p: '1', v: '3', S: 1, t: 6000 },
+    { p: '1', v: '4', S: 1, t: 4000 },
+    { p: '1', v: '5', S: 1, t: 1000 }
+  ]));
+  await received;
+
+  assert.deepEqual(stream.getTrades('TCAPYUSDT').map(trade => trade.qty), ['3', '4', '2', '1', '5']);
+});
+
+test('trades older than the retention window are dropped', async (t) => {
+  const { url, nextConnection } = await startServer(t);
+  const clock = { now: 10000 };
+  const stream = startStream(t, { url, symbols: ['TCAPYUSDT'], retentionMs: 5000, now: () => clock.now });
+
+  const socket = await nextConnection();
+  await nextMessage(socket);
+  const received = nextEvent(stream, 'trade');
+  socket.send(dealsMessage('TCAPYUSDT', [{ p: '1', v: '1', S: 1, t: 6000 }, { p: '1', v: '1', S: 1, t: 9000 }]));
+  await received;
+
+  clock.now = 12000;
+  assert.deepEqual(stream.getTrades('TCAPYUSDT').map(trade => trade.time), [9000]);
+});
+
+test('a pair is covered from its acknowledged subscription, not the connection', async (t) => {
+  const { url, nextConnection } = await startServer(t);
+  const clock = { now: 1000 };
+  const stream = startStream(t, { url, symbols: ['TCAPYUSDT'], now: () => clock.now });
+
+  const socket = await nextConnection();
+  await nextMessage(socket);
+  assert.equal(stream.covers('TCAPYUSDT', 1000), false);
+
+  socket.send(JSON.stringify({ id: 0, code: 0, msg: `${DEALS}@TCAPYUSDT,spot@public.limit.depth.v3.api@TCAPYUSDT@20` }));
+  while (!stream.covers('TCAPYUSDT', 1000)) await new Promise(resolve => setTimeout(resolve, 5));
+
+  // Added later, e.g. for an alert: covered from its own subscription on
+  clock.now = 60000;
+  const added = nextMessage(socket);
+  stream.subscribe('DOGEUSDT');
+  assert.deepEqual((await added).params[0], `${DEALS}@DOGEUSDT`);
+  const received = nextEvent(stream, 'trade');
+  socket.send(dealsMessage('DOGEUSDT', [{ p: '0.1', v: '10', S: 1, t: 60000 }]));
+  await received;
+
+  assert.equal(stream.covers('DOGEUSDT', 1000), false);
+  assert.equal(stream.covers('DOGEUSDT', 60000), true);
+  assert.equal(stream.covers('TCAPYUSDT', 1000), true);
+});
+
+test('a refused subscription never counts as covered', async (t) => {
+  const { url, nextConnection } = await startServer(t);
+  const warnings = [];
+  const stream = startStream(t, {
+    url,
+    symbols: ['TCAPYUSDT'],
+    logger: { ...silentLogger, warn: (message) => warnings.push(message) }
+  });
+
+  const socket = await nextConnection();
+  await nextMessage(socket);
+  socket.send(JSON.stringify({ id: 0, code: 0, msg: `Not Subscribed successfully! [${DEALS}@TCAPYUSDT].  Reason： Blocked! ` }));
+  while (warnings.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.match(warnings[0], /refused the deals subscription for TCAPYUSDT/);
+  assert.equal(stream.covers('TCAPYUSDT', Date.now() + 1000), false);
+});
+
+test('the stream reconnects with backoff and resubscribes', async (t) => {
+  const { url, nextConnection } = await startServer(t, { refuse: 2 });
+  const warnings = [];
+  const stream = startStream(t, {
+    url,
+    symbols: ['TCAPYUSDT'],
+    minBackoffMs: 10,
+    maxBackoffMs: 40,
+    logger: { ...silentLogger, warn: (message) => warnings.push(message) }
+  });
+
+  // Turned away twice before the first subscription gets through
+  const socket = await nextConnection();
+  const subscription = await nextMessage(socket);
+  assert.equal(subscription.method, 'SUBSCRIPTION');
+  assert.deepEqual(warnings, [
+    'MEXC websocket disconnected, reconnecting in 10ms (attempt 1)',
+    'MEXC websocket disconnected, reconnecting in 20ms (attempt 2)'
+  ]);
+
+  // Coverage restarts with the new connection
+  socket.send(dealsMessage('TCAPYUSDT', [{ p: '1', v: '1', S: 1, t: Date.now() }]));
+  await nextEvent(stream, 'trade');
+  const since = Date.now();
+  assert.equal(stream.covers('TCAPYUSDT', since), true);
+  const closed = nextEvent(stream, 'close');
+  socket.terminate();
+  await closed;
+  assert.equal(stream.covers('TCAPYUSDT', since), false);
+
+  // A connection that opened resets the backoff
+  await nextConnection();
+  assert.equal(warnings.at(-1), 'MEXC websocket disconnected, reconnecting in 10ms (attempt 1)');
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLimit, parseRateLimits, commandName, createRateLimiter } from '../src/rateLimit.js';
+import { silentLogger } from './helpers/testApp.js';
+
+const GROUP = { id: -1001, type: 'supergroup' };
+const PRIVATE = { id: 42, type: 'private' };
+
+const context = (text, { chat = GROUP, userId = 42 } = {}) => ({ message: { text }, chat, from: { id: userId } });
+
+// Runs each context through the limiter; returns whether the command ran
+function setup(limits, options = {}) {
+  const clock = { now: 0 };
+  const notices = [];
+  const limiter = createRateLimiter({
+    limits: parseRateLimits(limits),
+    notify: async (ctx, retryAfterMs) => notices.push(retryAfterMs),
+    logger: silentLogger,
+    now: () => clock.now,
+    ...options
+  });
+  const run = async (ctx) => {
+    let ran = false;
+    await limiter(ctx, async () => {
+      ran = true;
+    });
+    return ran;
+  };
+  return { clock, notices, run };
+}
+
+test('parseLimit and parseRateLimits read burst/period specs', () => {
+  assert.deepEqual(parseLimit('5/1m'), { burst: 5, periodMs: 60000 });
+  assert.equal(parseLimit('off'), null);
+  assert.throws(() => parseLimit('0/1m'), /Invalid rate limit "0\/1m"/);
+
+  const limits = parseRateLimits('coin:chat=off,ta:user=2/30s', { coin: { user: '5/1m', chat: '15/1m' } });
+  assert.deepEqual(limits.coin, { user: { burst: 5, periodMs: 60000 }, chat: null });
+  assert.deepEqual(limits.ta, { user: { burst: 2, periodMs: 30000 }, chat: null });
+  assert.throws(() => parseRateLimits('coin=5/1m'), /Invalid rate limit override/);
+});
+
+test('commandName strips the bot mention and arguments', () => {
+  assert.equal(commandName('/Coin@Tcapy_bot btc'), 'coin');
+  assert.equal(commandName('hello /coin'), null);
+});
+
+test('a user\'s bucket empties at the burst and refills over the period', async () => {
+  const { clock, run } = setup('coin:user=2/1m');
+
+  assert.equal(await run(context('/coin btc')), true);
+  assert.equal(await run(context('/coin btc')), true);
+  assert.equal(await run(context('/coin btc')), false);
+  // Other users and commands have their own buckets
+  assert.equal(await run(context('/coin btc', { userId: 7 })), true);
+  assert.equal(await run(context('/ta btc')), true);
+
+  clock.now = 30000;
+  assert.equal(await run(context('/coin btc')), true);
+  assert.equal(await run(context('/coin btc')), false);
+});
+
+test('the chat bucket limits all users together', async () => {
+  const { run } = setup('coin:chat=2/1m');
+
+  assert.equal(await run(context('/coin', { userId: 1 })), true);
+  assert.equal(await run(context('/coin', { userId: 2 })), true);
+  assert.equal(await run(context('/coin', { userId: 3 })), false);
+});
+
+test('limited users get one notice per cooldown in private chats', async () => {
+  const { clock, notices, run } = setup('coin:user=1/1m');
+
+  await run(context('/coin', { chat: PRIVATE }));
+  await run(context('/coin', { chat: PRIVATE }));
+  await run(context('/coin', { chat: PRIVATE }));
+  assert.deepEqual(notices, [60000]);
+
+  clock.now = 60000;
+  await run(context('/coin', { chat: PRIVATE }));
+  await run(context('/coin', { chat: PRIVATE }));
+  assert.deepEqual(notices, [60000, 60000]);
+});
+
+test('exempt users are only checked once a bucket is empty', async () => {
+  let checks = 0;
+  const { run } = setup('coin:user=1/1m', {
+    isExempt: async () => {
+      checks++;
+      return true;
+    }
+  });
+
+  assert.equal(await run(context('/coin')), true);
+  assert.equal(checks, 0);
+  assert.equal(await run(context('/coin')), true);
+  assert.equal(checks, 1);
+});
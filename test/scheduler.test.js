@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, parseScheduleArgs } from '../src/scheduler.js';
+import { createTranslator } from '../src/i18n.js';
+import { createStorage } from '../src/storage.js';
+import { silentLogger } from './helpers/testApp.js';
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => Date.parse(iso);
+
+// A scheduler over in-memory storage on a settable clock; `runs` records the
+// schedules posted
+function setup({ now = at('2026-01-10T12:00:00Z'), defaults } = {}) {
+  const clock = { now };
+  const runs = [];
+  const store = createStorage({ type: 'memory' }).schedules;
+  const scheduler = createScheduler({
+    store,
+    run: async (schedule) => {
+      runs.push(schedule.id);
+    },
+    tickMs: HOUR,
+    defaults,
+    logger: silentLogger,
+    now: () => clock.now,
+    random: () => 0.5
+  });
+  return { clock, runs, store, scheduler };
+}
+
+const WANTED = [{ id: '-1001:TCAPY', chatId: '-1001', threadId: null, symbol: 'TCAPY', intervalMs: 4 * HOUR }];
+
+test('sync creates schedules from intervals and drops unwanted ones', () => {
+  const { store, scheduler } = setup();
+
+  scheduler.sync(WANTED);
+  const [schedule] = store.list();
+  assert.equal(schedule.cron, '0 */4 * * *');
+  assert.equal(schedule.nextRunAt, at('2026-01-10T16:00:00Z'));
+
+  scheduler.set(schedule.id, { cron: '0 9 * * *' });
+  scheduler.sync([{ ...WANTED[0], intervalMs: HOUR }]);
+  assert.equal(store.get(schedule.id).cron, '0 9 * * *');
+
+  scheduler.sync([]);
+  assert.equal(store.list().length, 0);
+});
+
+test('due schedules run once and are planned again', async () => {
+  const { clock, runs, store, scheduler } = setup();
+  scheduler.sync(WANTED);
+
+  await scheduler.tick();
+  assert.deepEqual(runs, []);
+
+  clock.now = at('2026-01-10T16:00:30Z');
+  await scheduler.tick();
+  await scheduler.tick();
+  assert.deepEqual(runs, ['-1001:TCAPY']);
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-01-10T20:00:00Z'));
+  assert.equal(store.get('-1001:TCAPY').lastResult, 'ok');
+});
+
+test('runs move out of quiet hours and get their jitter', () => {
+  const { store, scheduler } = setup();
+  scheduler.sync(WANTED);
+
+  scheduler.set('-1001:TCAPY', { cron: '0 */4 * * *', quietHours: '15:00-21:00', jitterMs: 10 * 60 * 1000 });
+  // 16:00 and 20:00 are quiet; random() is 0.5
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-01-11T00:05:00Z'));
+});
+
+test('quiet hours follow the schedule\'s timezone across DST', () => {
+  const { store, scheduler } = setup({ now: at('2026-03-07T12:00:00Z') });
+  scheduler.sync(WANTED);
+
+  scheduler.set('-1001:TCAPY', { cron: '0 7 * * *', timezone: 'America/New_York', quietHours: '00:00-07:30' });
+  // 07:00 is quiet every day, so the schedule never runs
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, null);
+
+  scheduler.set('-1001:TCAPY', { quietHours: '22:00-06:00' });
+  // Sunday 07:00 is already daylight saving time (UTC-4)
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-03-08T11:00:00Z'));
+});
+
+test('the skip policy drops runs missed while stopped', async (t) => {
+  const { clock, runs, store, scheduler } = setup();
+  scheduler.sync(WANTED);
+  clock.now = at('2026-01-10T18:00:00Z');
+
+  scheduler.start();
+  t.after(() => scheduler.stop());
+  await scheduler.tick();
+
+  assert.deepEqual(runs, []);
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-01-10T20:00:00Z'));
+});
+
+test('the catchup policy posts a missed run once on start', async (t) => {
+  const { clock, runs, store, scheduler } = setup({ defaults: { policy: 'catchup' } });
+  scheduler.sync(WANTED);
+  clock.now = at('2026-01-10T23:00:00Z');
+
+  scheduler.start();
+  t.after(() => scheduler.stop());
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(runs, ['-1001:TCAPY']);
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-01-11T00:00:00Z'));
+});
+
+test('a caught-up run waits for quiet hours to end', async (t) => {
+  const { clock, runs, store, scheduler } = setup({ defaults: { policy: 'catchup' } });
+  scheduler.sync(WANTED);
+  scheduler.set('-1001:TCAPY', { quietHours: '22:00-07:00' });
+  clock.now = at('2026-01-11T02:00:00Z');
+
+  scheduler.start();
+  t.after(() => scheduler.stop());
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(runs, []);
+  assert.equal(store.get('-1001:TCAPY').nextRunAt, at('2026-01-11T07:00:00Z'));
+
+  clock.now = at('2026-01-11T07:00:00Z');
+  await scheduler.tick();
+  assert.deepEqual(runs, ['-1001:TCAPY']);
+});
+
+test('parseScheduleArgs reads the cron and options', () => {
+  assert.deepEqual(parseScheduleArgs(['0', '9', '*', '*', '*', 'tz=Asia/Ho_Chi_Minh', 'quiet=off', 'jitter=5m']), {
+    cron: '0 9 * * *',
+    timezone: 'Asia/Ho_Chi_Minh',
+    quietHours: null,
+    jitterMs: 5 * 60 * 1000
+  });
+  assert.throws(() => parseScheduleArgs(['@daily', 'tz=Mars/Olympus']), /Unknown timezone/);
+  assert.throws(() => parseScheduleArgs(['@daily', 'policy=later']), /Policy must be one of/);
+  assert.throws(() => parseScheduleArgs([]), /Usage/);
+});
+
+test('parseScheduleArgs errors are in the user\'s language', () => {
+  const vi = createTranslator('vi');
+
+  assert.throws(() => parseScheduleArgs(['@daily', 'tz=Mars/Olympus'], vi), /Múi giờ "Mars\/Olympus" không xác định/);
+  assert.throws(() => parseScheduleArgs(['61', '*', '*', '*', '*'], vi), /Trường phút của cron "61" nằm ngoài khoảng 0-59/);
+  assert.throws(() => parseScheduleArgs(['@daily', 'quiet=22-07'], vi), /Giờ yên lặng/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../src/metrics.js';
+import { createTestApp } from './helpers/testApp.js';
+import { messageUpdate } from './helpers/fakeTelegram.js';
+
+test('metrics render in the Prometheus text format', () => {
+  const metrics = createMetrics();
+  const requests = metrics.counter('requests_total', 'Requests');
+  const latency = metrics.histogram('latency_seconds', 'Latency', { buckets: [0.1, 1] });
+  metrics.gauge('up', 'Up', () => [{ labels: {}, value: 1 }]);
+
+  requests.inc({ path: '/a', method: 'GET' });
+  requests.inc({ method: 'GET', path: '/a' }, 2);
+  requests.inc({ path: 'say "hi"' });
+  latency.observe({}, 0.5);
+
+  assert.equal(requests.get({ path: '/a', method: 'GET' }), 3);
+  assert.equal(metrics.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{method="GET",path="/a"} 3',
+    'requests_total{path="say \\"hi\\""} 1',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{le="0.1"} 0',
+    'latency_seconds_bucket{le="1"} 1',
+    'latency_seconds_bucket{le="+Inf"} 1',
+    'latency_seconds_sum 0.5',
+    'latency_seconds_count 1',
+    '# HELP up Up',
+    '# TYPE up gauge',
+    'up 1',
+    ''
+  ].join('\n'));
+});
+
+test('/healthz, /status and /metrics report on the bot', async (t) => {
+  const { app, send } = createTestApp({ env: { HTTP_PORT: '0', STATUS_TOKEN: 'status-secret' } });
+  await app.httpServer.start();
+  t.after(() => app.httpServer.stop());
+  const get = (path, headers = {}) => fetch(`http://127.0.0.1:${app.httpServer.address().port}${path}`, { headers });
+
+  await send(messageUpdate('/coin btc'));
+  await send(messageUpdate('/frobnicate'));
+  await app.sendTcapySignal();
+
+  // Not launched, so not receiving updates
+  const healthz = await get('/healthz');
+  assert.equal(healthz.status, 503);
+  const health = await healthz.json();
+  assert.equal(health.bot.connected, false);
+  assert.ok(health.lastSuccess.cmc);
+  assert.ok(health.lastSuccess.mexc);
+
+  assert.equal((await get('/status')).status, 401);
+  assert.equal((await get('/status', { Authorization: 'Bearer wrong' })).status, 401);
+  const status = await (await get('/status', { Authorization: 'Bearer status-secret' })).json();
+  assert.deepEqual(status.tokens, ['TCAPY']);
+  assert.equal(status.schedules.length, 1);
+  assert.ok(status.apiCache['cmc.quotes']);
+
+  const metrics = await (await get('/metrics')).text();
+  assert.match(metrics, /^tcapy_commands_total\{command="coin"\} 1$/m);
+  assert.match(metrics, /^tcapy_commands_total\{command="other"\} 1$/m);
+  // BTC for /coin and TCAPY for the signal
+  assert.match(metrics, /^tcapy_upstream_requests_total\{endpoint="\/cryptocurrency\/quotes\/latest",outcome="success",upstream="cmc"\} 2$/m);
+  assert.match(metrics, /^tcapy_upstream_request_duration_seconds_count\{endpoint="\/depth",upstream="mexc"\} \d+$/m);
+  assert.match(metrics, /^tcapy_bot_connected 0$/m);
+
+  assert.equal((await get('/nothing')).status, 404);
+});
+
+test('/status is off without a status token', async (t) => {
+  const { app } = createTestApp({ env: { HTTP_PORT: '0' } });
+  await app.httpServer.start();
+  t.after(() => app.httpServer.stop());
+  const get = (path) => fetch(`http://127.0.0.1:${app.httpServer.address().port}${path}`);
+
+  assert.equal((await get('/status')).status, 404);
+  assert.equal((await get('/healthz')).status, 503);
+});
+
+test('scheduled posts are counted by outcome', async () => {
+  const { app } = createTestApp();
+  const [schedule] = app.storage.schedules.list();
+  const runNow = async (changes = {}) => {
+    app.storage.schedules.update(schedule.id, { ...changes, nextRunAt: Date.now() - 1000 });
+    await app.scheduler.tick();
+  };
+
+  await runNow();
+  assert.equal(app.health().lastScheduledPost.ok, true);
+
+  await runNow({ symbol: 'DOGE' });
+  assert.equal(app.health().lastScheduledPost.ok, false);
+
+  const metrics = app.metrics.render();
+  assert.match(metrics, /^tcapy_scheduled_posts_total\{outcome="success"\} 1$/m);
+  assert.match(metrics, /^tcapy_scheduled_posts_total\{outcome="failure"\} 1$/m);
+});
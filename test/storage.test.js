@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonStorage, createMemoryStorage, migrate, MIGRATIONS, SCHEMA_VERSION } from '../src/storage.js';
+import { silentLogger } from './helpers/testApp.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tcapy-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a new store gets every collection from the migrations', () => {
+  const storage = createMemoryStorage();
+
+  assert.equal(storage.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(storage.chats.list(), []);
+  assert.deepEqual(storage.schedules.list(), []);
+  assert.equal(storage.users.get('42').language, null);
+  assert.equal(storage.bot.get().postingPaused, false);
+});
+
+test('migration v1 creates only the original collections', () => {
+  const state = { schemaVersion: 0 };
+  MIGRATIONS[0].up(state, {});
+
+  assert.deepEqual(Object.keys(state).sort(), ['alerts', 'chats', 'schemaVersion', 'settings', 'signals', 'snapshots']);
+});
+
+test('a v2 state gains the collections of later migrations', () => {
+  const state = { schemaVersion: 2, chats: {}, settings: {}, alerts: { nextId: 1, items: [] }, signals: [], snapshots: [] };
+
+  assert.deepEqual(migrate(state, {}), [3, 4, 5]);
+  assert.deepEqual(state.schedules, {});
+  assert.deepEqual(state.users, {});
+  assert.deepEqual(state.bot, {});
+});
+
+test('a v1 data file is migrated to the current schema', (t) => {
+  const dir = tempDir(t);
+  const filePath = path.join(dir, 'bot-state.json');
+  fs.writeFileSync(filePath, JSON.stringify({
+    schemaVersion: 1,
+    chats: { '-1001': { id: '-1001', title: 'TCAPY Community', type: 'supergroup' } },
+    settings: { '-1001': { intervalMs: 3600000 } },
+    alerts: { nextId: 2, items: [{ id: 1, chatId: '-1001', pair: 'TCAPYUSDT', type: 'price' }] },
+    signals: [],
+    snapshots: []
+  }));
+  fs.writeFileSync(path.join(dir, 'alerts.json'), JSON.stringify({
+    nextId: 5,
+    alerts: [{ id: 4, chatId: '-1002', pair: 'DOGEUSDT', type: 'price' }]
+  }));
+
+  const storage = createJsonStorage({ filePath, logger: silentLogger });
+
+  assert.equal(storage.schemaVersion, SCHEMA_VERSION);
+  assert.equal(storage.chats.list()[0].title, 'TCAPY Community');
+  assert.equal(storage.settings.get('-1001').intervalMs, 3600000);
+  assert.deepEqual(storage.alerts.list().map(alert => alert.id), [1, 4]);
+  assert.equal(fs.existsSync(path.join(dir, 'alerts.json.migrated')), true);
+  assert.deepEqual(storage.schedules.list(), []);
+  assert.equal(storage.bot.get().postingPaused, false);
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(saved.users, {});
+});
+
+test('writes are batched into one save of the data file', async (t) => {
+  const filePath = path.join(tempDir(t), 'bot-state.json');
+  const storage = createJsonStorage({ filePath, saveDelayMs: 20, logger: silentLogger });
+  const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  storage.chats.upsert({ id: '-1001', title: 'One', type: 'supergroup' });
+  storage.chats.upsert({ id: '-1002', title: 'Two', type: 'group' });
+  assert.deepEqual(saved().chats, {});
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.deepEqual(Object.keys(saved().chats), ['-1001', '-1002']);
+
+  storage.users.update('42', { language: 'vi' });
+  storage.close();
+  assert.equal(saved().users['42'].language, 'vi');
+});
+
+test('a store that is not writable drops unsaved changes', (t) => {
+  const filePath = path.join(tempDir(t), 'bot-state.json');
+  const storage = createJsonStorage({ filePath, logger: silentLogger });
+  const written = fs.readFileSync(filePath, 'utf8');
+
+  storage.users.update('42', { language: 'vi' });
+  storage.setWritable(false);
+  storage.users.update('43', { language: 'en' });
+  storage.close();
+  assert.equal(fs.readFileSync(filePath, 'utf8'), written);
+
+  storage.setWritable(true);
+  storage.users.update('44', { language: 'vi' });
+  storage.close();
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).users), ['42', '43', '44']);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWebhookConfig } from '../src/webhook.js';
+import { parseHttpPort, DEFAULT_HTTP_PORT } from '../src/httpServer.js';
+import { createTestApp, silentLogger } from './helpers/testApp.js';
+import { messageUpdate } from './helpers/fakeTelegram.js';
+
+const SECRET = 'test-secret_123';
+
+test('parseWebhookConfig is null without WEBHOOK_URL', () => {
+  assert.equal(parseWebhookConfig({}), null);
+});
+
+test('parseWebhookConfig defaults the path to the URL\'s and makes up a secret', () => {
+  const config = parseWebhookConfig({ WEBHOOK_URL: 'https://bot.example.com/tg/hook' });
+
+  assert.equal(config.url, 'https://bot.example.com/tg/hook');
+  assert.equal(config.path, '/tg/hook');
+  assert.match(config.secretToken, /^[0-9a-f]{64}$/);
+});
+
+test('parseHttpPort prefers HTTP_PORT, then WEBHOOK_PORT and PORT', () => {
+  assert.equal(parseHttpPort({}), DEFAULT_HTTP_PORT);
+  assert.equal(parseHttpPort({ PORT: '3000' }), 3000);
+  assert.equal(parseHttpPort({ WEBHOOK_PORT: '8443', PORT: '3000' }), 8443);
+  assert.equal(parseHttpPort({ HTTP_PORT: '9000', WEBHOOK_PORT: '8443' }), 9000);
+  assert.equal(parseHttpPort({ HTTP_PORT: 'eighty' }, { logger: silentLogger }), DEFAULT_HTTP_PORT);
+});
+
+test('parseWebhookConfig falls back on invalid settings', () => {
+  const warnings = [];
+  const logger = { ...silentLogger, warn: (message) => warnings.push(message) };
+
+  assert.equal(parseWebhookConfig({ WEBHOOK_URL: 'http://bot.example.com/hook' }, { logger }), null);
+
+  const config = parseWebhookConfig({
+    WEBHOOK_URL: 'https://bot.example.com/hook',
+    WEBHOOK_PATH: 'proxied/hook',
+    WEBHOOK_SECRET: 'not a valid token!'
+  }, { logger });
+  assert.equal(config.path, '/hook');
+  assert.notEqual(config.secretToken, 'not a valid token!');
+  assert.equal(warnings.length, 3);
+});
+
+test('launching with WEBHOOK_URL registers the webhook and takes only updates with the secret', async (t) => {
+  const { app, telegram } = createTestApp({
+    env: {
+      WEBHOOK_URL: 'https://bot.example.com/hook',
+      WEBHOOK_SECRET: SECRET,
+      HTTP_PORT: '0',
+      // Nothing listens here, so the trade stream just fails to connect
+      MEXC_WS_URL: 'ws://127.0.0.1:9'
+    }
+  });
+  assert.equal(await app.launch(), true);
+  t.after(() => app.stop('test'));
+
+  const [webhook] = telegram.sent('setWebhook');
+  assert.equal(webhook.url, 'https://bot.example.com/hook');
+  assert.equal(webhook.secret_token, SECRET);
+  assert.equal(telegram.sent('getUpdates').length, 0);
+
+  const { port } = app.httpServer.address();
+  const post = (path, headers = {}) => fetch(`http://127.0.0.1:${port}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(messageUpdate('/start'))
+  });
+
+  assert.equal((await post('/hook')).status, 403);
+  assert.equal((await post('/hook', { 'x-telegram-bot-api-secret-token': 'wrong' })).status, 403);
+  assert.equal((await post('/elsewhere', { 'x-telegram-bot-api-secret-token': SECRET })).status, 404);
+  assert.equal(telegram.sent('sendMessage').length, 0);
+
+  assert.equal((await post('/hook', { 'x-telegram-bot-api-secret-token': SECRET })).status, 200);
+  assert.equal(telegram.sent('sendMessage').length, 1);
+  assert.equal(app.health().bot.mode, 'webhook');
+});
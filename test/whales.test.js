@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findWhaleTrades, resolveWhaleThreshold, tradeValuePercentile, largestTrades, createWhaleWatcher } from '../src/whales.js';
+import { silentLogger } from './helpers/testApp.js';
+
+// Newest first, like the stream and REST
+const trades = (...list) => list
+  .map(([time, price, qty, side = 'buy']) => ({ time, price: String(price), qty: String(qty), isBuyerMaker: side === 'sell' }))
+  .reverse();
+
+test('same-side trades close together form one cluster', () => {
+  const clusters = findWhaleTrades(trades(
+    [1000, 1, 100],
+    [2000, 1, 3000],
+    [5000, 1.1, 3000],
+    [30000, 1.25, 4000],
+    [31000, 1, 6000, 'sell']
+  ), { threshold: 5000, clusterMs: 10000 });
+
+  assert.deepEqual(clusters.map(({ side, value, trades: count, startTime, endTime }) => ({ side, value, count, startTime, endTime })), [
+    { side: 'buy', value: 6400, count: 3, startTime: 1000, endTime: 5000 },
+    { side: 'buy', value: 5000, count: 1, startTime: 30000, endTime: 30000 },
+    { side: 'sell', value: 6000, count: 1, startTime: 31000, endTime: 31000 }
+  ]);
+  assert.equal(Math.round(clusters[0].priceImpact), 10);
+  assert.equal(clusters[2].priceImpact, -20);
+});
+
+test('the threshold can follow a percentile of recent trade values', () => {
+  const recent = trades(...Array.from({ length: 100 }, (_, index) => [index, 1, index + 1]));
+
+  assert.equal(tradeValuePercentile(recent, 90), 90);
+  assert.equal(resolveWhaleThreshold(recent, { minValue: 50 }), 50);
+  assert.equal(resolveWhaleThreshold(recent, { minValue: 50, percentile: 99 }), 99);
+  assert.equal(resolveWhaleThreshold(recent, { minValue: 500, percentile: 99 }), 500);
+});
+
+test('largestTrades lists the biggest trades since a time', () => {
+  const top = largestTrades(trades([1000, 1, 900], [2000, 1, 50], [3000, 2, 100, 'sell'], [4000, 1, 10]), 2000, 2);
+
+  assert.deepEqual(top.map(trade => [trade.side, trade.value]), [['sell', 200], ['buy', 50]]);
+});
+
+test('the watcher announces each settled cluster once', async () => {
+  const clock = { now: 100000 };
+  const feed = [];
+  const notified = [];
+  const watcher = createWhaleWatcher({
+    tokens: [{ pair: 'TCAPYUSDT' }],
+    fetchTrades: async () => trades(...feed),
+    notify: async (token, event) => notified.push(event.endTime),
+    minValue: 1000,
+    clusterMs: 10000,
+    logger: silentLogger,
+    now: () => clock.now
+  });
+
+  // The first check only notes where to start
+  feed.push([95000, 1, 5000]);
+  await watcher.checkAll();
+
+  feed.push([101000, 1, 5000]);
+  clock.now = 105000;
+  await watcher.checkAll();
+  assert.deepEqual(notified, []);
+
+  // Settled once clusterMs passed without another trade
+  clock.now = 112000;
+  await watcher.checkAll();
+  clock.now = 130000;
+  await watcher.checkAll();
+  assert.deepEqual(notified, [101000]);
+});